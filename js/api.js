@@ -1,156 +1,240 @@
 /**
  * API Integration Module
- * Handles communication with Nano Banana Pro API
+ * Drives image generation through the provider selected in preferences
  */
 
+import Utils from './utils.js';
+import GenerationErrors from './errors.js';
+
 class ImageGenerator {
-  constructor() {
-    this.apiBaseUrl = 'https://api.kie.ai/api/v1';
-    this.modelName = 'nano-banana-pro';
-    this.pollingInterval = 2000; // 2 seconds
-    this.maxPollingTime = 300000; // 5 minutes
+  /**
+   * @param {Object} deps - { storage, providers, templates, callbacks };
+   *   callbacks is optional and only used in callback mode
+   */
+  constructor({ storage, providers, templates, callbacks = null }) {
+    this.storage = storage;
+    this.providers = providers;
+    this.templates = templates;
+    this.callbacks = callbacks;
+    this.pollingInterval = 2000; // 2 seconds, used again after every state change
+    this.maxPollingInterval = 15000; // Back off to at most 15 seconds
+    this.pollingBackoff = 1.5; // Interval multiplier while the state stays the same
+    this.pollingJitter = 0.2; // ±20% so parallel tasks don't poll in lockstep
+    this.maxPollingTime = 600000; // 10 minutes
+    this.transientRetries = 3; // Retries for network errors and 5xx responses
+    this.defaultEstimatedTime = 60000; // ETA when history has no generation times yet
+    this.callbackWaitTime = 120000; // Poll instead if no callback within 2 minutes
     this.activeTasks = new Map(); // Track active generation tasks
   }
 
+  /**
+   * Get the generation provider selected in preferences
+   * @returns {GenerationProvider} Active provider
+   */
+  getProvider() {
+    const preferences = this.storage.getPreferences();
+    return this.providers.get(preferences?.provider);
+  }
+
+  /**
+   * Get the callback channel when callback mode is on and the provider
+   * can deliver callbacks
+   * @returns {CallbackChannel|null} Channel, or null to use polling
+   */
+  getCallbackChannel() {
+    const channel = this.callbacks;
+    if (!channel || !channel.isEnabled()) return null;
+
+    return this.getProvider().getCapabilities().supportsCallback ? channel : null;
+  }
+
   /**
    * Create a new image generation task
    * @param {string} apiKey - API authentication key
    * @param {string} prompt - Text prompt for image generation
    * @param {Object} options - Additional generation options
-   * @returns {Promise<Object>} Task creation response
+   * @param {AbortSignal} signal - Aborts the request when fired
+   * @returns {Promise<Object>} Object containing the new taskId
    */
-  async createTask(apiKey, prompt, options = {}) {
-    const defaultOptions = {
-      aspect_ratio: '3:4', // Portrait format for literacy images
-      resolution: '2K',
-      output_format: 'png',
-      image_input: []
-    };
-
-    const requestBody = {
-      model: this.modelName,
-      input: {
-        ...defaultOptions,
-        ...options,
-        prompt: prompt
-      },
-      callBackUrl: null // 明确设置为null
-    };
-
-    try {
-      console.log('🔗 创建API任务...');
-      console.log('请求URL:', `${this.apiBaseUrl}/jobs/createTask`);
-      console.log('请求体:', JSON.stringify(requestBody, null, 2));
-
-      const response = await fetch(`${this.apiBaseUrl}/jobs/createTask`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      console.log('📡 API响应状态:', response.status, response.statusText);
-
-      const data = await response.json();
-      console.log('📋 API响应数据:', data);
-
-      if (!response.ok) {
-        const error = this.handleApiError(response.status, data);
-        console.error('❌ API请求失败:', error);
-        throw error;
-      }
-
-      if (!data.data || !data.data.taskId) {
-        throw new Error('API响应格式错误：缺少taskId');
-      }
-
-      console.log('✅ 任务创建成功:', data.data.taskId);
-      return data;
-
-    } catch (error) {
-      console.error('❌ 创建图片生成任务时出错:', error);
-
-      // 如果是网络错误，提供更友好的错误信息
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error('网络连接失败，请检查网络连接或API地址是否正确');
-      }
-
-      throw error;
-    }
+  async createTask(apiKey, prompt, options = {}, signal = null) {
+    return this.getProvider().createJob(apiKey, prompt, options, signal);
   }
 
   /**
    * Query task status and results
    * @param {string} taskId - Task ID to query
-   * @returns {Promise<Object>} Task status and results
+   * @param {string} apiKey - API authentication key
+   * @param {AbortSignal} signal - Aborts the request when fired
+   * @returns {Promise<Object>} Normalized job
    */
-  async queryTaskStatus(taskId) {
-    try {
-      console.log(`🔍 查询任务状态: ${taskId}`);
-      const response = await fetch(`${this.apiBaseUrl}/jobs/recordInfo?taskId=${taskId}`);
-      const data = await response.json();
-
-      console.log('📊 任务状态响应:', data);
-
-      if (!response.ok) {
-        const error = this.handleApiError(response.status, data);
-        console.error('❌ 查询任务状态失败:', error);
-        throw error;
-      }
-
-      return data;
-    } catch (error) {
-      console.error('❌ 查询任务状态时出错:', error);
-      throw error;
-    }
+  async queryTaskStatus(taskId, apiKey, signal = null) {
+    return this.getProvider().pollJob(taskId, apiKey, signal);
   }
 
   /**
-   * Poll task status until completion or timeout
+   * Poll task status until completion or timeout. The interval backs off while
+   * the state stays the same, 429 responses wait for Retry-After, and
+   * transient errors are retried with Utils.retry.
    * @param {string} taskId - Task ID to poll
-   * @param {Function} onUpdate - Callback for status updates
-   * @returns {Promise<Object>} Final task result
+   * @param {string} apiKey - API authentication key
+   * @param {Function} onUpdate - Called after every poll with (job, timing)
+   * @param {AbortSignal} signal - Stops polling when fired
+   * @returns {Promise<Object>} Final normalized job
    */
-  async pollTaskUntilComplete(taskId, onUpdate = null) {
+  async pollTaskUntilComplete(taskId, apiKey, onUpdate = null, signal = null) {
     const startTime = Date.now();
+    const estimatedTime = this.getEstimatedDuration();
+    let interval = this.pollingInterval;
     let lastStatus = null;
 
     while (true) {
-      try {
-        const result = await this.queryTaskStatus(taskId);
-        const currentStatus = result.data.state;
+      let delay;
 
-        // Call update callback if status changed
-        if (onUpdate && currentStatus !== lastStatus) {
-          onUpdate(result.data);
-          lastStatus = currentStatus;
+      try {
+        const job = await Utils.retry(() => this.queryTaskStatus(taskId, apiKey, signal), {
+          retries: this.transientRetries,
+          retryDelay: this.pollingInterval,
+          signal: signal,
+          shouldRetry: (error) => this.isTransientError(error),
+          onRetry: (error, attempt, retryDelay) => {
+            console.warn(`⚠️ 查询失败，${retryDelay}ms后重试 (${attempt}/${this.transientRetries}):`, error.message);
+          }
+        });
+        const currentStatus = job.state;
+
+        if (onUpdate) {
+          onUpdate(job, this.getTiming(job, startTime, estimatedTime));
         }
 
         // Check if task is complete
         if (currentStatus === 'success') {
-          return result;
+          return job;
         }
 
         // Check if task failed
         if (currentStatus === 'fail') {
-          throw new Error(`Task failed: ${result.data.failMsg || 'Unknown error'}`);
+          throw GenerationErrors.fromTaskFailure(job);
         }
 
-        // Check for timeout
-        if (Date.now() - startTime > this.maxPollingTime) {
-          throw new Error('Task polling timeout');
+        // Poll soon after a state change, back off while nothing happens
+        interval = currentStatus === lastStatus
+          ? Math.min(interval * this.pollingBackoff, this.maxPollingInterval)
+          : this.pollingInterval;
+        lastStatus = currentStatus;
+        delay = this.addJitter(interval);
+
+      } catch (error) {
+        if (!(error instanceof GenerationErrors.RateLimitError)) {
+          console.error('Error during task polling:', error);
+          throw error;
         }
 
-        // Wait before next poll
-        await new Promise(resolve => setTimeout(resolve, this.pollingInterval));
+        // Rate limited - wait as long as the server asks, then slow down
+        interval = Math.min(interval * 2, this.maxPollingInterval);
+        delay = error.retryAfter ?? this.addJitter(interval);
+        console.warn(`⏳ 请求频率受限，${delay}ms后继续查询`);
+      }
+
+      // Check for timeout
+      if (Date.now() - startTime + delay > this.maxPollingTime) {
+        throw new GenerationErrors.TimeoutError();
+      }
 
+      // Wait before next poll
+      await Utils.sleep(delay, signal);
+    }
+  }
+
+  /**
+   * Check whether a polling error is worth retrying straight away
+   * @param {Error} error - Error from queryTaskStatus
+   * @returns {boolean} True for network failures and 5xx responses
+   */
+  isTransientError(error) {
+    return error instanceof GenerationErrors.NetworkError ||
+      error instanceof GenerationErrors.ServerError;
+  }
+
+  /**
+   * Randomize a delay by ±pollingJitter
+   * @param {number} delay - Base delay in milliseconds
+   * @returns {number} Jittered delay
+   */
+  addJitter(delay) {
+    const factor = 1 + (Math.random() * 2 - 1) * this.pollingJitter;
+    return Math.round(delay * factor);
+  }
+
+  /**
+   * Estimate how long a generation takes from recent successful history items
+   * @returns {number} Estimated duration in milliseconds
+   */
+  getEstimatedDuration() {
+    const times = this.storage.getHistory()
+      .map(item => item.generationTime)
+      .filter(time => typeof time === 'number' && time > 0)
+      .slice(-10);
+
+    if (times.length === 0) {
+      return this.defaultEstimatedTime;
+    }
+    return times.reduce((sum, time) => sum + time, 0) / times.length;
+  }
+
+  /**
+   * Compute elapsed and remaining time for a job
+   * @param {Object} job - Normalized job
+   * @param {number} startTime - When polling started
+   * @param {number} estimatedTime - Estimated total duration
+   * @returns {Object} { elapsed, remaining } in milliseconds; remaining is
+   *   null once the estimate has been exceeded
+   */
+  getTiming(job, startTime, estimatedTime) {
+    const now = Date.now();
+
+    // Prefer the server's creation time so resumed tasks report their full age
+    const createdAt = job.createTime && job.createTime <= now ? job.createTime : startTime;
+    const elapsed = now - createdAt;
+
+    return {
+      elapsed: elapsed,
+      remaining: elapsed < estimatedTime ? estimatedTime - elapsed : null
+    };
+  }
+
+  /**
+   * Wait for a task to finish - through the callback channel when available,
+   * falling back to polling if the channel can't be used
+   * @param {string} taskId - Task ID to wait for
+   * @param {string} apiKey - API authentication key
+   * @param {Function} onUpdate - Callback for status updates
+   * @param {AbortSignal} signal - Stops waiting when fired
+   * @returns {Promise<Object>} Final normalized job
+   */
+  async waitForTask(taskId, apiKey, onUpdate = null, signal = null) {
+    const channel = this.getCallbackChannel();
+
+    if (channel) {
+      try {
+        const job = this.getProvider().normalizeJob(
+          await channel.waitFor(taskId, this.callbackWaitTime, signal)
+        );
+        if (onUpdate) onUpdate(job);
+
+        if (job.state === 'fail') {
+          throw GenerationErrors.fromTaskFailure(job);
+        }
+        return job;
       } catch (error) {
-        console.error('Error during task polling:', error);
-        throw error;
+        // Only channel problems fall back to polling - not cancellation or a failed task
+        if (signal?.aborted || error instanceof GenerationErrors.GenerationError) {
+          throw error;
+        }
+        console.warn('⚠️ 回调通道不可用，改为轮询:', error.message);
       }
     }
+
+    return this.pollTaskUntilComplete(taskId, apiKey, onUpdate, signal);
   }
 
   /**
@@ -159,28 +243,67 @@ class ImageGenerator {
    * @param {string} prompt - Text prompt for generation
    * @param {Object} options - Generation options
    * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Cancels creation and polling when fired
+   * @returns {Promise<Object>} Generated image result
+   */
+  async generateImage(apiKey, prompt, options = {}, onProgress = null, signal = null) {
+    return this.runTask(apiKey, prompt, onProgress, signal, async (taskSignal) => {
+      if (onProgress) onProgress({ status: 'creating', message: '正在创建生成任务...' });
+
+      const channel = this.getCallbackChannel();
+      const taskOptions = channel ? { ...options, callBackUrl: channel.getCallbackUrl() } : options;
+
+      const createResult = await this.createTask(apiKey, prompt, taskOptions, taskSignal);
+      return createResult.taskId;
+    });
+  }
+
+  /**
+   * Resume polling a task created earlier (e.g. before a page reload)
+   * @param {string} apiKey - API authentication key
+   * @param {string} taskId - Existing task ID
+   * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Stops polling when fired
+   * @returns {Promise<Object>} Generated image result
+   */
+  async resumeTask(apiKey, taskId, onProgress = null, signal = null) {
+    return this.runTask(apiKey, null, onProgress, signal, async () => taskId);
+  }
+
+  /**
+   * Obtain a task ID, then poll it to completion with cancellation support
+   * @param {string} apiKey - API authentication key
+   * @param {string|null} prompt - Prompt, kept for active task tracking
+   * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Cancels the task when fired
+   * @param {Function} startTask - Receives the task signal, resolves to a task ID
    * @returns {Promise<Object>} Generated image result
    */
-  async generateImage(apiKey, prompt, options = {}, onProgress = null) {
+  async runTask(apiKey, prompt, onProgress, signal, startTask) {
     let taskId = null;
 
-    try {
-      // Create task
-      if (onProgress) onProgress({ status: 'creating', message: '正在创建生成任务...' });
+    // Own controller so cancelTask() can abort tasks started without a signal
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', abort, { once: true });
+    }
 
-      const createResult = await this.createTask(apiKey, prompt, options);
-      taskId = createResult.data.taskId;
+    try {
+      taskId = await startTask(controller.signal);
 
       // Track active task
       this.activeTasks.set(taskId, {
         startTime: Date.now(),
-        prompt: prompt
+        prompt: prompt,
+        controller: controller
       });
 
-      // Poll for completion
-      if (onProgress) onProgress({ status: 'waiting', message: '任务已创建，等待处理...' });
+      // Wait for completion
+      if (onProgress) onProgress({ status: 'waiting', message: '任务已创建，等待处理...', taskId: taskId });
 
-      const result = await this.pollTaskUntilComplete(taskId, (data) => {
+      const job = await this.waitForTask(taskId, apiKey, (data, timing = {}) => {
         if (onProgress) {
           const message = this.getStatusMessage(data.state);
           onProgress({
@@ -188,31 +311,46 @@ class ImageGenerator {
             message: message,
             taskId: data.taskId,
             createTime: data.createTime,
-            costTime: data.costTime
+            costTime: data.costTime,
+            elapsed: timing.elapsed,
+            remaining: timing.remaining
           });
         }
-      });
-
-      // Process successful result
-      const imageData = JSON.parse(result.data.resultJson);
+      }, controller.signal);
 
       return {
         success: true,
         taskId: taskId,
-        imageUrl: imageData.resultUrls[0],
-        generationTime: result.data.costTime,
+        imageUrl: job.resultUrls[0],
+        generationTime: job.costTime,
         timestamp: Date.now()
       };
 
     } catch (error) {
+      if (controller.signal.aborted) {
+        console.log('🛑 生成任务已取消:', taskId);
+        if (taskId) this.getProvider().cancelJob(taskId);
+
+        return {
+          success: false,
+          cancelled: true,
+          error: '生成已取消',
+          taskId: taskId
+        };
+      }
+
       console.error('Image generation failed:', error);
+      const generationError = GenerationErrors.normalize(error);
 
       return {
         success: false,
-        error: error.message,
+        error: generationError.message,
+        cause: generationError, // Typed error for choosing a recovery action
         taskId: taskId
       };
     } finally {
+      signal?.removeEventListener('abort', abort);
+
       // Clean up active task tracking
       if (taskId) {
         this.activeTasks.delete(taskId);
@@ -221,12 +359,14 @@ class ImageGenerator {
   }
 
   /**
-   * Cancel active task
+   * Cancel active task - aborts in-flight requests and stops polling
    * @param {string} taskId - Task ID to cancel
    */
   cancelTask(taskId) {
-    this.activeTasks.delete(taskId);
-    // Note: API doesn't seem to have a cancel endpoint, so we just stop tracking
+    const task = this.activeTasks.get(taskId);
+    if (task) {
+      task.controller.abort();
+    }
   }
 
   /**
@@ -246,91 +386,26 @@ class ImageGenerator {
     return messages[status] || `任务状态: ${status}`;
   }
 
-  /**
-   * Handle API errors and return appropriate error objects
-   * @param {number} status - HTTP status code
-   * @param {Object} data - Response data
-   * @returns {Error} Formatted error
-   */
-  handleApiError(status, data) {
-    const errorMessages = {
-      400: '请求参数格式错误，请检查输入内容',
-      401: 'API密钥无效或已过期，请检查密钥是否正确',
-      402: '账户余额不足，请充值后重试',
-      404: '请求的资源不存在或已被删除',
-      422: '请求参数验证失败，请检查输入内容是否符合要求',
-      429: '请求频率过高，请稍后再试',
-      500: '服务器内部错误，请稍后重试',
-      502: '网关错误，请稍后重试',
-      503: '服务暂时不可用，请稍后重试',
-      504: '网关超时，请稍后重试'
-    };
-
-    // 尝试从响应中获取更详细的错误信息
-    let message = data.msg || data.message || errorMessages[status] || `未知错误 (${status})`;
-
-    // 如果有详细的错误信息，添加到消息中
-    if (data.failMsg) {
-      message += ` (${data.failMsg})`;
-    }
-
-    // 如果有错误代码，添加到消息中
-    if (data.failCode) {
-      message += ` [错误代码: ${data.failCode}]`;
-    }
-
-    const error = new Error(message);
-    error.status = status;
-    error.code = data.code || data.failCode;
-    error.data = data;
-
-    console.error('🚨 API错误详情:', {
-      status: status,
-      message: message,
-      code: error.code,
-      data: data
-    });
-
-    return error;
-  }
-
   /**
    * Build comprehensive prompt from template and vocabulary
    * @param {string} theme - Selected theme
    * @param {string} title - User title
    * @param {Object} vocabulary - Theme vocabulary data
    * @param {Object} themeInfo - Theme information including name
+   * @param {string} templateId - Prompt template ID; defaults to the `promptTemplate` preference
    * @returns {string} Complete prompt for API
    */
-  buildPrompt(theme, title, vocabulary, themeInfo = null) {
-    const themeName = themeInfo?.name || theme;
-    const coreVocabulary = vocabulary.core.map(item => `${item.pinyin} ${item.chinese}`).join(', ');
-    const itemsVocabulary = vocabulary.items.map(item => `${item.pinyin} ${item.chinese}`).join(', ');
-    const environmentVocabulary = vocabulary.environment.map(item => `${item.pinyin} ${item.chinese}`).join(', ');
-
-    // 使用中文提示词，直接要求生成中文内容
-    const prompt = `一张中国儿童识字海报：标题《${title}》，主题：${themeName}
-
-适合5-9岁儿童学习中文汉字的教育插图。
-
-要求：
-- 风格：简洁明快的卡通插画，儿童绘本风格
-- 格式：竖版海报
-- 语言：纯中文，包含拼音标注
-
-必须包含的词汇：
-${vocabulary.core.slice(0, 5).map(item => `${item.chinese}(${item.pinyin})`).join('、')}
-${vocabulary.items.slice(0, 5).map(item => `${item.chinese}(${item.pinyin})`).join('、')}
-
-每个物品都要有中文标签：
-第一行：拼音
-第二行：汉字
-
-色彩明亮，教育风格，清晰标注，适合教室使用。`;
-
+  buildPrompt(theme, title, vocabulary, themeInfo = null, templateId = null) {
+    const engine = this.templates;
+    const preferences = this.storage.getPreferences();
+    const template = engine.getTemplate(templateId || preferences?.promptTemplate);
+    const context = engine.buildContext(theme, title, vocabulary, themeInfo);
+    const prompt = engine.render(template.body, context);
+
+    console.log('📝 提示词模板:', `${template.name} v${template.version}`);
     console.log('📝 生成的提示词长度:', prompt.length);
-    console.log('📝 主题名称:', themeName);
-    console.log('📝 使用词汇数量:', selectedCore.length + selectedItems.length + selectedEnvironment.length);
+    console.log('📝 主题名称:', context.theme);
+    console.log('📝 使用词汇数量:', context.vocabulary.count);
     console.log('📝 提示词预览:', prompt.substring(0, 100) + '...');
 
     return prompt;
@@ -371,7 +446,7 @@ ${vocabulary.items.slice(0, 5).map(item => `${item.chinese}(${item.pinyin})`).jo
       const result = await this.createTask(apiKey, testPrompt);
 
       // If we get a task ID, the API key is valid
-      return result.data && result.data.taskId;
+      return !!result.taskId;
     } catch (error) {
       console.error('API connection test failed:', error);
       return false;
@@ -379,10 +454,4 @@ ${vocabulary.items.slice(0, 5).map(item => `${item.chinese}(${item.pinyin})`).jo
   }
 }
 
-// Create singleton instance
-window.imageGenerator = new ImageGenerator();
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = ImageGenerator;
-}
\ No newline at end of file
+export default ImageGenerator;
\ No newline at end of file
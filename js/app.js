@@ -1,8 +1,25 @@
 /**
  * Main Application Logic
- * Coordinates all modules and initializes the application
+ * The single entry point (loaded from index.html as an ES module). Creates
+ * every module, wires their dependencies explicitly and initializes the UI.
  */
 
+import Utils from './utils.js';
+import StorageManager from './storage.js';
+import KeyVault from './key-vault.js';
+import ParentLock from './parent-lock.js';
+import PinyinConverter from './pinyin.js';
+import PromptTemplateEngine from './prompt-templates.js';
+import { ProviderRegistry, KieProvider } from './providers.js';
+import CallbackChannel from './callbacks.js';
+import ImageGenerator from './api.js';
+import GenerationQueue from './queue.js';
+import ImageProcessor from './image-processor.js';
+import ImageLibrary from './image-library.js';
+import Flashcards from './flashcards.js';
+import ReviewScheduler from './review-scheduler.js';
+import UIManager from './ui.js';
+
 class LiteracyApp {
   constructor() {
     this.version = '1.0.0';
@@ -62,54 +79,76 @@ class LiteracyApp {
   }
 
   /**
-   * Initialize all modules
+   * Create all modules in dependency order and initialize the UI
    */
   async initializeModules() {
     console.log('📦 初始化模块...');
 
-    // Initialize Storage Manager
-    if (window.storageManager) {
-      const storageInitialized = window.storageManager.initialize();
-      if (storageInitialized) {
-        this.modules.storage = window.storageManager;
-        console.log('✅ 存储模块已初始化');
-      } else {
-        console.warn('⚠️ 存储模块初始化失败，某些功能可能受限');
-      }
+    const storage = new StorageManager();
+    if (storage.initialize()) {
+      console.log('✅ 存储模块已初始化');
+    } else {
+      console.warn('⚠️ 存储模块初始化失败，某些功能可能受限');
     }
 
-    // Initialize UI Manager
-    if (window.uiManager) {
-      this.modules.ui = window.uiManager;
-      this.modules.ui.loadSavedData();
-      console.log('✅ UI模块已初始化');
-    }
+    const keyVault = new KeyVault({ storage });
+    const parentLock = new ParentLock({ storage });
+    const providers = new ProviderRegistry();
+    providers.register(new KieProvider({ storage }));
+
+    const pinyin = new PinyinConverter({ storage });
+    const templates = new PromptTemplateEngine({ storage, pinyin });
+    const callbacks = new CallbackChannel({ storage });
+    const imageGenerator = new ImageGenerator({ storage, providers, templates, callbacks });
+    const imageProcessor = new ImageProcessor();
+    const imageLibrary = new ImageLibrary({ imageProcessor });
+    const queue = new GenerationQueue({ storage, generator: imageGenerator, imageLibrary, parentLock });
+    const flashcards = new Flashcards({ storage });
+    const reviewScheduler = new ReviewScheduler({ storage, flashcards });
+
+    const ui = new UIManager({
+      storage,
+      keyVault,
+      parentLock,
+      generator: imageGenerator,
+      imageProcessor,
+      imageLibrary,
+      queue,
+      templates,
+      pinyin,
+      flashcards,
+      reviewScheduler
+    });
 
-    // Initialize Image Generator
-    if (window.imageGenerator) {
-      this.modules.imageGenerator = window.imageGenerator;
-      console.log('✅ 图片生成模块已初始化');
-    }
+    this.modules = { storage, keyVault, parentLock, providers, pinyin, templates, callbacks, imageGenerator, queue, imageProcessor, imageLibrary, flashcards, reviewScheduler, ui };
+    this.exposeModules();
 
-    // Wait for any async operations
-    await this.waitForAsyncOperations();
+    await ui.init();
+    console.log('✅ UI模块已初始化');
   }
 
   /**
-   * Wait for async operations to complete
+   * Publish the module instances on window so they can be used from the
+   * browser console (e.g. storageManager.updatePreference(...))
    */
-  async waitForAsyncOperations() {
-    // Wait for themes to load
-    const maxWaitTime = 5000; // 5 seconds
-    const startTime = Date.now();
-
-    while (!this.modules.ui?.themesData && Date.now() - startTime < maxWaitTime) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-
-    if (!this.modules.ui?.themesData) {
-      console.warn('⚠️ 主题数据加载超时');
-    }
+  exposeModules() {
+    Object.assign(window, {
+      Utils: Utils,
+      storageManager: this.modules.storage,
+      keyVault: this.modules.keyVault,
+      parentLock: this.modules.parentLock,
+      providerRegistry: this.modules.providers,
+      pinyinConverter: this.modules.pinyin,
+      promptTemplates: this.modules.templates,
+      callbackChannel: this.modules.callbacks,
+      imageGenerator: this.modules.imageGenerator,
+      generationQueue: this.modules.queue,
+      imageProcessor: this.modules.imageProcessor,
+      imageLibrary: this.modules.imageLibrary,
+      flashcards: this.modules.flashcards,
+      reviewScheduler: this.modules.reviewScheduler,
+      uiManager: this.modules.ui
+    });
   }
 
   /**
@@ -199,7 +238,7 @@ class LiteracyApp {
       issues.push('您的浏览器不支持 Fetch API，请升级到最新版本');
     }
 
-    if (!window.localStorage) {
+    if (!this.modules.storage.isAvailable()) {
       issues.push('您的浏览器不支持 LocalStorage，某些功能可能无法使用');
     }
 
@@ -503,27 +542,10 @@ class LiteracyApp {
   }
 }
 
-// Global function to switch pages (called from HTML)
-function switchPage(page) {
-  if (window.uiManager) {
-    window.uiManager.switchPage(page);
-  }
-}
-
-// Global toast shortcut (called from HTML)
-function showToast(message, type = 'info') {
-  if (window.uiManager) {
-    window.uiManager.showToast(message, type);
-  }
-}
-
 // Initialize application
 window.literacyApp = new LiteracyApp();
 
 // Make app available globally for debugging
 window.app = window.literacyApp;
 
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = LiteracyApp;
-}
\ No newline at end of file
+export default LiteracyApp;
@@ -0,0 +1,184 @@
+/**
+ * Callback Channel Module
+ * Listens to the local callback server (tools/callback-server.js) over SSE
+ * and resolves waiting tasks when KIE reports completion
+ */
+
+import Utils from './utils.js';
+
+class CallbackChannel {
+  /**
+   * @param {Object} deps - { storage } for the callback preferences
+   */
+  constructor({ storage = null } = {}) {
+    this.storage = storage;
+    this.eventSource = null;
+    this.isOpen = false;
+    this.waiters = new Map(); // taskId -> { resolve, reject }
+  }
+
+  /**
+   * Get callback settings from preferences
+   * @returns {Object} { enabled, serverUrl, publicUrl }
+   */
+  getSettings() {
+    const preferences = this.storage?.getPreferences() || {};
+    const serverUrl = (preferences.callbackServerUrl || 'http://localhost:8788').replace(/\/+$/, '');
+
+    return {
+      enabled: !!preferences.callbackMode && typeof EventSource !== 'undefined',
+      serverUrl: serverUrl,
+      publicUrl: (preferences.callbackPublicUrl || serverUrl).replace(/\/+$/, '')
+    };
+  }
+
+  /**
+   * Check whether callback mode is turned on
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return this.getSettings().enabled;
+  }
+
+  /**
+   * URL to send to the API as callBackUrl
+   * @returns {string} Public callback URL
+   */
+  getCallbackUrl() {
+    return `${this.getSettings().publicUrl}/callback`;
+  }
+
+  /**
+   * Open the SSE connection if it isn't open yet
+   */
+  connect() {
+    if (this.eventSource) return;
+
+    const { serverUrl } = this.getSettings();
+    this.eventSource = new EventSource(`${serverUrl}/events`);
+
+    this.eventSource.addEventListener('open', () => {
+      const reconnected = this.isOpen === false && this.waiters.size > 0;
+      this.isOpen = true;
+      console.log('📬 回调通道已连接');
+
+      // Catch up on callbacks that arrived while disconnected
+      if (reconnected) {
+        this.waiters.forEach((waiter, taskId) => this.fetchStoredRecord(taskId));
+      }
+    });
+
+    this.eventSource.addEventListener('task', (event) => {
+      try {
+        this.handleRecord(JSON.parse(event.data));
+      } catch (error) {
+        console.error('❌ 回调数据解析失败:', error);
+      }
+    });
+
+    this.eventSource.addEventListener('error', () => {
+      // Never connected: the server isn't running, so let callers fall back to polling
+      if (!this.isOpen) {
+        this.disconnect(new Error('回调服务连接失败'));
+      } else {
+        this.isOpen = false;
+        console.warn('⚠️ 回调通道断开，正在重连...');
+      }
+    });
+  }
+
+  /**
+   * Close the SSE connection and reject anyone still waiting
+   * @param {Error} error - Reason passed to waiters
+   */
+  disconnect(error = new Error('回调通道已关闭')) {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    this.isOpen = false;
+
+    this.waiters.forEach(waiter => waiter.reject(error));
+    this.waiters.clear();
+  }
+
+  /**
+   * Resolve the waiter for a finished task
+   * @param {Object} record - Task record in recordInfo format
+   */
+  handleRecord(record) {
+    if (!record || (record.state !== 'success' && record.state !== 'fail')) return;
+
+    const waiter = this.waiters.get(record.taskId);
+    if (waiter) {
+      waiter.resolve(record);
+    }
+  }
+
+  /**
+   * Ask the server for a callback that may have arrived before we subscribed
+   * @param {string} taskId - Task ID
+   */
+  async fetchStoredRecord(taskId) {
+    try {
+      const { serverUrl } = this.getSettings();
+      const response = await fetch(`${serverUrl}/tasks/${encodeURIComponent(taskId)}`);
+      if (!response.ok) return;
+
+      const data = await response.json();
+      this.handleRecord(data.data);
+    } catch (error) {
+      console.warn('⚠️ 查询已收到的回调失败:', error);
+    }
+  }
+
+  /**
+   * Wait until the callback for a task arrives
+   * @param {string} taskId - Task ID
+   * @param {number} timeout - Maximum wait in milliseconds
+   * @param {AbortSignal} signal - Stops waiting when fired
+   * @returns {Promise<Object>} Task record in recordInfo format
+   */
+  waitFor(taskId, timeout, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(Utils.createAbortError());
+        return;
+      }
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.waiters.delete(taskId);
+      };
+
+      const onAbort = () => {
+        cleanup();
+        reject(Utils.createAbortError());
+      };
+
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('等待回调超时'));
+      }, timeout);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.waiters.set(taskId, {
+        resolve: (record) => {
+          cleanup();
+          resolve(record);
+        },
+        reject: (error) => {
+          cleanup();
+          reject(error);
+        }
+      });
+
+      this.connect();
+      this.fetchStoredRecord(taskId);
+    });
+  }
+}
+
+export default CallbackChannel;
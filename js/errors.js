@@ -0,0 +1,192 @@
+/**
+ * Generation Errors Module
+ * Typed errors for image generation failures. Each type carries the HTTP
+ * status, API code and whether retrying can help, so the UI can offer a
+ * concrete recovery action instead of matching on message text.
+ */
+
+class GenerationError extends Error {
+  /**
+   * @param {string} message - User-facing message
+   * @param {Object} details - { status, code, data, retryable, retryAfter }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'GenerationError';
+    this.type = 'unknown';
+    this.status = details.status ?? null;
+    this.code = details.code ?? null;
+    this.data = details.data ?? null;
+    this.retryable = details.retryable ?? false;
+    this.retryAfter = details.retryAfter ?? null; // milliseconds
+  }
+}
+
+// Invalid, expired or missing API key (401/403)
+class AuthError extends GenerationError {
+  constructor(message = 'API密钥无效或已过期，请检查密钥是否正确', details = {}) {
+    super(message, { ...details, retryable: false });
+    this.name = 'AuthError';
+    this.type = 'auth';
+  }
+}
+
+// Account balance exhausted (402)
+class QuotaError extends GenerationError {
+  constructor(message = '账户余额不足，请充值后重试', details = {}) {
+    super(message, { ...details, retryable: false });
+    this.name = 'QuotaError';
+    this.type = 'quota';
+  }
+}
+
+// Too many requests (429) - retry after `retryAfter` ms
+class RateLimitError extends GenerationError {
+  constructor(message = '请求频率过高，请稍后再试', details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'RateLimitError';
+    this.type = 'rate_limit';
+  }
+}
+
+// Request rejected as malformed (400/422)
+class ValidationError extends GenerationError {
+  constructor(message = '请求参数验证失败，请检查输入内容', details = {}) {
+    super(message, { ...details, retryable: false });
+    this.name = 'ValidationError';
+    this.type = 'validation';
+  }
+}
+
+// Request never reached the server
+class NetworkError extends GenerationError {
+  constructor(message = '网络连接失败，请检查网络连接或API地址是否正确', details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'NetworkError';
+    this.type = 'network';
+  }
+}
+
+// Task did not finish within the polling window
+class TimeoutError extends GenerationError {
+  constructor(message = '生成超时，请重试', details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'TimeoutError';
+    this.type = 'timeout';
+  }
+}
+
+// Prompt or reference image rejected by the model's safety filter
+class ContentPolicyError extends GenerationError {
+  constructor(message = '内容未通过安全审核，请修改标题或参考图后重试', details = {}) {
+    super(message, { ...details, retryable: false });
+    this.name = 'ContentPolicyError';
+    this.type = 'content_policy';
+  }
+}
+
+// Server-side failure (5xx) or a task that failed while rendering
+class ServerError extends GenerationError {
+  constructor(message = '服务器内部错误，请稍后重试', details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'ServerError';
+    this.type = 'server';
+  }
+}
+
+const CONTENT_POLICY_PATTERN = /policy|safety|sensitive|inappropriate|nsfw|moderation|违规|敏感|审核/i;
+
+/**
+ * Create a typed error from an HTTP error response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message built from the response
+ * @param {Object} details - { code, data, retryAfter }
+ * @returns {GenerationError} Typed error
+ */
+function fromHttpStatus(status, message, details = {}) {
+  const errorDetails = { ...details, status: status };
+
+  if (CONTENT_POLICY_PATTERN.test(message)) {
+    return new ContentPolicyError(message, errorDetails);
+  }
+
+  switch (status) {
+    case 401:
+    case 403:
+      return new AuthError(message, errorDetails);
+    case 402:
+      return new QuotaError(message, errorDetails);
+    case 429:
+      return new RateLimitError(message, errorDetails);
+    case 400:
+    case 422:
+      return new ValidationError(message, errorDetails);
+    default:
+      if (status >= 500) {
+        return new ServerError(message, errorDetails);
+      }
+      return new GenerationError(message, errorDetails);
+  }
+}
+
+/**
+ * Create a typed error from a job that ended in the `fail` state
+ * @param {Object} job - Normalized job
+ * @returns {GenerationError} Typed error
+ */
+function fromTaskFailure(job) {
+  const message = `生成失败：${job.failMsg || '未知错误'}`;
+  const details = { code: job.failCode, data: job };
+
+  if (CONTENT_POLICY_PATTERN.test(job.failMsg || '')) {
+    return new ContentPolicyError(message, details);
+  }
+  return new ServerError(message, details);
+}
+
+/**
+ * Check whether a task can never succeed, so waiting for it again is pointless.
+ * A task that failed while rendering is final even though a new generation
+ * may work; network errors and timeouts only mean the result isn't known yet.
+ * @param {Error} error - Error from generating or polling
+ * @returns {boolean} True for terminal failures
+ */
+function isTerminal(error) {
+  const generationError = normalize(error);
+  return generationError.data?.state === 'fail' || !generationError.retryable;
+}
+
+/**
+ * Wrap any error as a GenerationError, recognizing fetch network failures
+ * @param {Error} error - Original error
+ * @returns {GenerationError} Typed error
+ */
+function normalize(error) {
+  if (error instanceof GenerationError) {
+    return error;
+  }
+
+  if (error && error.name === 'TypeError') {
+    return new NetworkError(undefined, { data: error });
+  }
+
+  return new GenerationError(error?.message || '未知错误', { data: error });
+}
+
+const GenerationErrors = {
+  GenerationError,
+  AuthError,
+  QuotaError,
+  RateLimitError,
+  ValidationError,
+  NetworkError,
+  TimeoutError,
+  ContentPolicyError,
+  ServerError,
+  fromHttpStatus,
+  fromTaskFailure,
+  isTerminal,
+  normalize
+};
+
+export default GenerationErrors;
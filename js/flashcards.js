@@ -0,0 +1,118 @@
+/**
+ * Flashcards Module
+ * Turns a poster's vocabulary into a study deck and remembers, per word and
+ * per child profile, whether the child knew it.
+ */
+
+import wordEmoji from './word-emoji.js';
+
+class Flashcards {
+  /**
+   * @param {Object} deps - { storage } for the per-word results
+   */
+  constructor({ storage }) {
+    this.storage = storage;
+    this.faces = ['hanzi', 'pinyin', 'hint']; // Order a card shows its sides in
+  }
+
+  /**
+   * Get the emoji hint for a word
+   * @param {string} chinese - Chinese word
+   * @returns {string|null} Emoji, or null if the word has none
+   */
+  getHint(chinese) {
+    return wordEmoji[chinese] || null;
+  }
+
+  /**
+   * Get the words of a poster. Posters saved without their own vocabulary
+   * (older queue and resumed generations) use their theme's words.
+   * @param {Object} poster - History item or current result
+   * @param {Object} themes - Theme data by key
+   * @returns {Object|null} { core, items, environment }, or null if unknown
+   */
+  getVocabulary(poster, themes = {}) {
+    return poster?.vocabulary || themes?.[poster?.theme]?.vocabulary || null;
+  }
+
+  /**
+   * Build a deck from a poster's vocabulary. Words the child didn't know last
+   * time come first; the rest keep the poster's order.
+   * @param {Object} vocabulary - { core, items, environment } as saved in history
+   * @returns {Array} Cards of { chinese, pinyin, hint }
+   */
+  buildDeck(vocabulary) {
+    const seen = new Set();
+    const words = [
+      ...(vocabulary?.core || []),
+      ...(vocabulary?.items || []),
+      ...(vocabulary?.environment || [])
+    ].filter(word => {
+      if (!word?.chinese || !word.pinyin || seen.has(word.chinese)) return false;
+      seen.add(word.chinese);
+      return true;
+    });
+
+    const progress = this.storage.getProgress().words;
+    const needsPractice = word => progress[word.chinese]?.known === false;
+
+    return [...words.filter(needsPractice), ...words.filter(word => !needsPractice(word))]
+      .map(word => ({
+        chinese: word.chinese,
+        pinyin: word.pinyin,
+        hint: this.getHint(word.chinese)
+      }));
+  }
+
+  /**
+   * Get the face after the given one
+   * @param {string} face - Current face
+   * @returns {string} Next face, wrapping around to the hanzi
+   */
+  nextFace(face) {
+    return this.faces[(this.faces.indexOf(face) + 1) % this.faces.length];
+  }
+
+  /**
+   * Remember whether the child knew a word
+   * @param {Object} card - Card from buildDeck()
+   * @param {boolean} known - True if the child knew the word
+   * @returns {Object} Updated word record { pinyin, known, knownCount, unknownCount, lastStudied }
+   */
+  recordResult(card, known) {
+    const record = this.getWordRecord(card.chinese);
+    const changes = {
+      pinyin: card.pinyin,
+      known: known,
+      knownCount: (record?.knownCount || 0) + (known ? 1 : 0),
+      unknownCount: (record?.unknownCount || 0) + (known ? 0 : 1),
+      lastStudied: Date.now()
+    };
+
+    this.storage.updateWordProgress(card.chinese, changes);
+    return { ...record, ...changes };
+  }
+
+  /**
+   * Get the saved result of a word
+   * @param {string} chinese - Chinese word
+   * @returns {Object|null} Word record, or null if never studied
+   */
+  getWordRecord(chinese) {
+    return this.storage.getProgress().words[chinese] || null;
+  }
+
+  /**
+   * Split a finished round into known and unknown cards
+   * @param {Array} results - { card, known } in study order
+   * @returns {Object} { known, unknown } arrays of cards
+   */
+  summarize(results) {
+    return {
+      known: results.filter(result => result.known).map(result => result.card),
+      unknown: results.filter(result => !result.known).map(result => result.card)
+    };
+  }
+}
+
+export default Flashcards;
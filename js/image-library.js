@@ -0,0 +1,237 @@
+/**
+ * Image Library Module
+ * Keeps generated posters as Blobs in IndexedDB, each with a thumbnail, so
+ * history still shows them after the generation service's URLs expire and
+ * while offline. History items refer to their image by `imageId`.
+ */
+
+import Utils from './utils.js';
+
+class ImageLibrary {
+  /**
+   * @param {Object} deps - { imageProcessor } for creating thumbnails
+   */
+  constructor({ imageProcessor }) {
+    this.imageProcessor = imageProcessor;
+    this.dbName = 'literacy_image_library';
+    this.dbVersion = 1;
+    this.storeName = 'images';
+    this.thumbnailSize = 320;
+    this.dbPromise = null;
+    this.objectUrls = new Map(); // "<imageId>:<variant>" -> object URL
+  }
+
+  /**
+   * Check if IndexedDB is available
+   * @returns {boolean} True if IndexedDB is available
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating the images store on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!this.isAvailable()) {
+        reject(new Error('IndexedDB 不可用'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again instead of caching the failure
+    this.dbPromise.catch(() => { this.dbPromise = null; });
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request against the images store and wait for its transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} Result of the request
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Download a generated image and store it with a thumbnail
+   * @param {string} url - Image URL returned by the provider
+   * @param {Object} meta - { taskId, title }
+   * @returns {Promise<string|null>} Image ID, or null if the image couldn't be
+   *   downloaded or stored - the caller keeps using the remote URL then
+   */
+  async saveFromUrl(url, meta = {}) {
+    if (!url || !this.isAvailable()) return null;
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await this.saveBlob(await response.blob(), { ...meta, sourceUrl: url });
+    } catch (error) {
+      console.warn('⚠️ 图片保存到本地失败，继续使用远程地址:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store an image Blob with a thumbnail
+   * @param {Blob} blob - Image data
+   * @param {Object} meta - { taskId, title, sourceUrl }
+   * @returns {Promise<string>} Image ID
+   */
+  async saveBlob(blob, meta = {}) {
+    const thumbnail = await this.imageProcessor.createThumbnail(blob, this.thumbnailSize);
+
+    const record = {
+      id: Utils.generateUUID(),
+      blob: blob,
+      thumbnail: thumbnail,
+      type: blob.type,
+      size: blob.size,
+      taskId: meta.taskId || null,
+      title: meta.title || '',
+      sourceUrl: meta.sourceUrl || null,
+      createdAt: Date.now()
+    };
+
+    await this.run('readwrite', store => store.put(record));
+    console.log('💾 图片已保存到本地图库:', record.title, Utils.formatFileSize(record.size));
+    return record.id;
+  }
+
+  /**
+   * Get a stored image record
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object|null>} { id, blob, thumbnail, ... } or null
+   */
+  async get(imageId) {
+    if (!imageId) return null;
+
+    try {
+      return (await this.run('readonly', store => store.get(imageId))) || null;
+    } catch (error) {
+      console.warn('⚠️ 读取本地图片失败:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the full image Blob
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Blob|null>} Image data or null
+   */
+  async getBlob(imageId) {
+    return (await this.get(imageId))?.blob || null;
+  }
+
+  /**
+   * Get an object URL for a stored image. URLs are reused for the lifetime
+   * of the page and released when the image is removed.
+   * @param {string} imageId - Image ID
+   * @param {string} variant - 'full' or 'thumbnail'
+   * @returns {Promise<string|null>} Object URL, or null if not stored
+   */
+  async getObjectUrl(imageId, variant = 'full') {
+    const key = `${imageId}:${variant}`;
+    if (this.objectUrls.has(key)) {
+      return this.objectUrls.get(key);
+    }
+
+    const record = await this.get(imageId);
+    const blob = variant === 'thumbnail' ? (record?.thumbnail || record?.blob) : record?.blob;
+    if (!blob) return null;
+
+    const url = URL.createObjectURL(blob);
+    this.objectUrls.set(key, url);
+    return url;
+  }
+
+  /**
+   * Release the object URLs created for an image
+   * @param {string} imageId - Image ID
+   */
+  revokeObjectUrls(imageId) {
+    ['full', 'thumbnail'].forEach(variant => {
+      const key = `${imageId}:${variant}`;
+      if (this.objectUrls.has(key)) {
+        URL.revokeObjectURL(this.objectUrls.get(key));
+        this.objectUrls.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Delete a stored image
+   * @param {string} imageId - Image ID
+   * @returns {Promise<boolean>} True if successful
+   */
+  async remove(imageId) {
+    if (!imageId) return false;
+
+    this.revokeObjectUrls(imageId);
+    try {
+      await this.run('readwrite', store => store.delete(imageId));
+      return true;
+    } catch (error) {
+      console.warn('⚠️ 删除本地图片失败:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Delete images no history item refers to - e.g. trimmed by the history
+   * limit, or generated but never saved
+   * @param {Array} keepIds - Image IDs still in use
+   * @returns {Promise<number>} Number of images removed
+   */
+  async prune(keepIds) {
+    const keep = new Set(keepIds.filter(Boolean));
+
+    try {
+      const imageIds = await this.run('readonly', store => store.getAllKeys());
+      const unused = imageIds.filter(imageId => !keep.has(imageId));
+
+      for (const imageId of unused) {
+        await this.remove(imageId);
+      }
+
+      if (unused.length > 0) {
+        console.log(`🧹 已清理 ${unused.length} 张未使用的本地图片`);
+      }
+      return unused.length;
+    } catch (error) {
+      console.warn('⚠️ 清理本地图库失败:', error.message);
+      return 0;
+    }
+  }
+}
+
+export default ImageLibrary;
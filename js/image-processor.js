@@ -1,8 +1,10 @@
 /**
  * Image Processing Module
- * Handles post-processing of generated images to add Chinese labels
+ * Handles post-processing of generated images: Chinese labels and thumbnails
  */
 
+import Utils from './utils.js';
+
 class ImageProcessor {
   constructor() {
     this.canvas = null;
@@ -17,6 +19,17 @@ class ImageProcessor {
     this.ctx = this.canvas.getContext('2d');
   }
 
+  /**
+   * Create a small JPEG preview of an image for history cards
+   * @param {Blob} blob - Original image
+   * @param {number} maxSize - Longest side in pixels
+   * @param {number} quality - JPEG quality (0-1)
+   * @returns {Promise<Blob>} Thumbnail image
+   */
+  async createThumbnail(blob, maxSize = 320, quality = 0.8) {
+    return Utils.compressImage(blob, maxSize, maxSize, quality);
+  }
+
   /**
    * Add Chinese labels to generated image
    * @param {string} imageUrl - Original image URL
@@ -217,10 +230,4 @@ class ImageProcessor {
   }
 }
 
-// Create singleton instance
-window.imageProcessor = new ImageProcessor();
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = ImageProcessor;
-}
\ No newline at end of file
+export default ImageProcessor;
\ No newline at end of file
@@ -0,0 +1,246 @@
+/**
+ * Key Vault Module
+ * Encrypts the API key with AES-GCM under a key derived from the user's
+ * passphrase (PBKDF2-SHA-256) before it is written to localStorage. The
+ * decrypted key only lives in memory: it is unlocked once per page session
+ * and dropped again after a period without user activity.
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decode a base64 string to bytes
+ * @param {string} value - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+class KeyVault {
+  /**
+   * @param {Object} deps - { storage } for the encrypted record and the
+   *   `apiKeyLockMinutes` preference
+   */
+  constructor({ storage }) {
+    this.storage = storage;
+    this.iterations = 600000; // PBKDF2 iterations for new records; stored with each record
+    this.minPassphraseLength = 6;
+    this.defaultLockMinutes = 15;
+    this.apiKey = null; // Decrypted key while unlocked
+    this.idleTimer = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Check if Web Crypto is available (it requires HTTPS or localhost)
+   * @returns {boolean} True if keys can be encrypted
+   */
+  isSupported() {
+    return !!globalThis.crypto?.subtle;
+  }
+
+  /**
+   * Check whether an encrypted key is stored
+   * @returns {boolean} True if a key is saved
+   */
+  hasSavedKey() {
+    return !!this.storage.getApiKey();
+  }
+
+  /**
+   * Check whether the decrypted key is available
+   * @returns {boolean} True while unlocked
+   */
+  isUnlocked() {
+    return this.apiKey !== null;
+  }
+
+  /**
+   * Get the decrypted key
+   * @returns {string|null} API key, or null while locked
+   */
+  getApiKey() {
+    return this.apiKey;
+  }
+
+  /**
+   * Subscribe to lock events
+   * @param {Function} listener - Called with the reason: 'idle', 'manual' or 'forget'
+   */
+  onLock(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Check a new passphrase
+   * @param {string} passphrase - Passphrase to check
+   * @returns {Object} { valid, message }
+   */
+  validatePassphrase(passphrase) {
+    if (!passphrase || passphrase.length < this.minPassphraseLength) {
+      return { valid: false, message: `口令至少需要${this.minPassphraseLength}个字符` };
+    }
+    return { valid: true, message: '口令有效' };
+  }
+
+  /**
+   * Derive the AES-GCM key for a passphrase
+   * @param {string} passphrase - User passphrase
+   * @param {Uint8Array} salt - Random salt stored with the record
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<CryptoKey>} AES-GCM key
+   */
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Encrypt an API key
+   * @param {string} apiKey - Plain API key
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<Object>} { version, iterations, salt, iv, ciphertext } with base64 fields
+   */
+  async encrypt(apiKey, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await this.deriveKey(passphrase, salt, this.iterations);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, encoder.encode(apiKey));
+
+    return {
+      version: 1,
+      iterations: this.iterations,
+      salt: toBase64(salt),
+      iv: toBase64(iv),
+      ciphertext: toBase64(new Uint8Array(ciphertext))
+    };
+  }
+
+  /**
+   * Decrypt a stored record
+   * @param {Object} record - Record from encrypt()
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<string>} Plain API key
+   * @throws {Error} If the passphrase is wrong or the record is damaged
+   */
+  async decrypt(record, passphrase) {
+    try {
+      const key = await this.deriveKey(passphrase, fromBase64(record.salt), record.iterations);
+      const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(record.iv) },
+        key,
+        fromBase64(record.ciphertext)
+      );
+      return decoder.decode(plain);
+    } catch (error) {
+      // AES-GCM authentication fails the same way for a wrong passphrase and tampered data
+      throw new Error('口令不正确');
+    }
+  }
+
+  /**
+   * Encrypt and save an API key, leaving the vault unlocked with it
+   * @param {string} apiKey - Plain API key
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<boolean>} True if saved
+   */
+  async save(apiKey, passphrase) {
+    const validation = this.validatePassphrase(passphrase);
+    if (!validation.valid) {
+      throw new Error(validation.message);
+    }
+
+    const record = await this.encrypt(apiKey, passphrase);
+    if (!this.storage.saveApiKey(record)) {
+      return false;
+    }
+
+    this.apiKey = apiKey;
+    this.touch();
+    console.log('🔐 API密钥已加密保存');
+    return true;
+  }
+
+  /**
+   * Decrypt the saved key for this session
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<string>} Plain API key
+   * @throws {Error} If nothing is saved or the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    const record = this.storage.getApiKey();
+    if (!record) {
+      throw new Error('没有已保存的密钥');
+    }
+
+    this.apiKey = await this.decrypt(record, passphrase);
+    this.touch();
+    console.log('🔓 API密钥已解锁');
+    return this.apiKey;
+  }
+
+  /**
+   * Drop the decrypted key from memory
+   * @param {string} reason - 'idle', 'manual' or 'forget'
+   */
+  lock(reason = 'manual') {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    if (this.apiKey === null && reason !== 'forget') return;
+
+    this.apiKey = null;
+    console.log('🔒 API密钥已锁定:', reason);
+    this.listeners.forEach(listener => listener(reason));
+  }
+
+  /**
+   * Delete the saved key and lock
+   * @returns {boolean} True if successful
+   */
+  forget() {
+    const removed = this.storage.removeApiKey();
+    this.lock('forget');
+    return removed;
+  }
+
+  /**
+   * Get the idle time after which the key locks itself
+   * @returns {number} Milliseconds; 0 disables the automatic lock
+   */
+  getIdleTimeout() {
+    const minutes = this.storage.getPreferences()?.apiKeyLockMinutes ?? this.defaultLockMinutes;
+    return Math.max(0, minutes) * 60 * 1000;
+  }
+
+  /**
+   * Record user activity - restarts the idle timer while unlocked
+   */
+  touch() {
+    if (!this.isUnlocked()) return;
+
+    clearTimeout(this.idleTimer);
+    const timeout = this.getIdleTimeout();
+    this.idleTimer = timeout > 0 ? setTimeout(() => this.lock('idle'), timeout) : null;
+  }
+}
+
+export default KeyVault;
@@ -0,0 +1,296 @@
+/**
+ * Parent Lock Module
+ * Keeps parent/teacher-only actions (API key, deleting things, imports)
+ * behind a PIN or a simple arithmetic question, and limits how many
+ * generations can be started per day while the child is using the app.
+ * Parent mode only lasts for the page session and ends after a period
+ * without user activity.
+ */
+
+import Utils from './utils.js';
+
+const encoder = new TextEncoder();
+
+class ParentLock {
+  /**
+   * @param {Object} deps - { storage } for the settings and the daily usage count
+   */
+  constructor({ storage }) {
+    this.storage = storage;
+    this.modes = ['off', 'math', 'pin'];
+    this.defaultSettings = {
+      mode: 'math', // 'off', 'math' (arithmetic question) or 'pin'
+      pinHash: null,
+      pinSalt: null,
+      dailyLimit: 0 // Generations per day outside parent mode; 0 means no limit
+    };
+    this.pinPattern = /^\d{4,8}$/;
+    this.maxFailedAttempts = 5;
+    this.lockoutTime = 60 * 1000;
+    this.idleMinutes = 10;
+    this.unlocked = false;
+    this.challenge = null; // { question, answer } for the math gate
+    this.failedAttempts = 0;
+    this.lockedOutUntil = 0;
+    this.idleTimer = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Get the settings, filling in any missing values
+   * @returns {Object} { mode, pinHash, pinSalt, dailyLimit }
+   */
+  getSettings() {
+    return {
+      ...this.defaultSettings,
+      ...this.storage.getParentLockSettings()
+    };
+  }
+
+  /**
+   * Check whether a gate is configured at all
+   * @returns {boolean} False when the lock is switched off
+   */
+  isEnabled() {
+    return this.getSettings().mode !== 'off';
+  }
+
+  /**
+   * Check whether parent-only actions are allowed right now
+   * @returns {boolean} True in parent mode or when the lock is off
+   */
+  isUnlocked() {
+    return this.unlocked || !this.isEnabled();
+  }
+
+  /**
+   * Check if PINs can be hashed (Web Crypto requires HTTPS or localhost)
+   * @returns {boolean} True if the PIN mode is available
+   */
+  isPinSupported() {
+    return !!globalThis.crypto?.subtle;
+  }
+
+  /**
+   * Subscribe to parent mode changes
+   * @param {Function} listener - Called with true when parent mode starts and false when it ends
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Notify listeners of a change
+   */
+  emitChange() {
+    this.listeners.forEach(listener => listener(this.isUnlocked()));
+  }
+
+  /**
+   * Check a new PIN
+   * @param {string} pin - PIN to check
+   * @returns {Object} { valid, message }
+   */
+  validatePin(pin) {
+    if (!this.pinPattern.test(pin || '')) {
+      return { valid: false, message: 'PIN需要是4到8位数字' };
+    }
+    return { valid: true, message: 'PIN有效' };
+  }
+
+  /**
+   * Hash a PIN with its salt
+   * @param {string} pin - PIN digits
+   * @param {string} salt - Random salt stored with the hash
+   * @returns {Promise<string>} Hex-encoded SHA-256 hash
+   */
+  async hashPin(pin, salt) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${salt}:${pin}`));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Save the settings from the parent settings panel. Needs parent mode.
+   * @param {Object} changes - { mode, pin, dailyLimit }; an empty pin keeps the saved one
+   * @returns {Promise<boolean>} True if saved
+   * @throws {Error} If the mode or PIN is invalid
+   */
+  async saveSettings(changes) {
+    if (!this.isUnlocked()) {
+      throw new Error('请先进入家长模式');
+    }
+
+    const settings = { ...this.getSettings() };
+
+    if (changes.mode !== undefined) {
+      if (!this.modes.includes(changes.mode)) {
+        throw new Error(`未知的解锁方式: ${changes.mode}`);
+      }
+      settings.mode = changes.mode;
+    }
+
+    if (changes.pin) {
+      const validation = this.validatePin(changes.pin);
+      if (!validation.valid) {
+        throw new Error(validation.message);
+      }
+      if (!this.isPinSupported()) {
+        throw new Error('当前环境不支持PIN（需要通过 HTTPS 或 localhost 访问）');
+      }
+
+      settings.pinSalt = crypto.randomUUID();
+      settings.pinHash = await this.hashPin(changes.pin, settings.pinSalt);
+    }
+
+    if (settings.mode === 'pin' && !settings.pinHash) {
+      throw new Error('请设置PIN');
+    }
+
+    if (changes.dailyLimit !== undefined) {
+      settings.dailyLimit = Math.max(0, parseInt(changes.dailyLimit, 10) || 0);
+    }
+
+    if (!this.storage.saveParentLockSettings(settings)) {
+      return false;
+    }
+
+    console.log('👪 家长设置已保存:', settings.mode, settings.dailyLimit);
+    // Switching the lock on from "off" keeps the current session in parent mode
+    this.unlocked = true;
+    this.touch();
+    this.emitChange();
+    return true;
+  }
+
+  /**
+   * Create a new arithmetic question for the math gate. Each question can be
+   * answered once.
+   * @returns {string} Question text, e.g. "27 × 6 = ?"
+   */
+  createChallenge() {
+    const a = 12 + Math.floor(Math.random() * 38); // 12-49
+    const b = 3 + Math.floor(Math.random() * 7); // 3-9
+
+    this.challenge = { question: `${a} × ${b} = ?`, answer: a * b };
+    return this.challenge.question;
+  }
+
+  /**
+   * Enter parent mode with the answer to the current question or the PIN,
+   * depending on the configured mode
+   * @param {string} input - Answer or PIN as typed
+   * @returns {Promise<boolean>} True if parent mode started
+   * @throws {Error} After too many wrong attempts
+   */
+  async unlock(input) {
+    if (Date.now() < this.lockedOutUntil) {
+      const seconds = Math.ceil((this.lockedOutUntil - Date.now()) / 1000);
+      throw new Error(`尝试次数过多，请${seconds}秒后再试`);
+    }
+
+    const settings = this.getSettings();
+    let correct = false;
+
+    if (settings.mode === 'pin') {
+      const value = String(input || '').trim();
+      correct = this.pinPattern.test(value) && await this.hashPin(value, settings.pinSalt) === settings.pinHash;
+    } else if (settings.mode === 'math') {
+      correct = !!this.challenge && parseInt(input, 10) === this.challenge.answer;
+      this.challenge = null;
+    } else {
+      correct = true;
+    }
+
+    if (!correct) {
+      this.failedAttempts++;
+      if (this.failedAttempts >= this.maxFailedAttempts) {
+        this.failedAttempts = 0;
+        this.lockedOutUntil = Date.now() + this.lockoutTime;
+      }
+      return false;
+    }
+
+    this.failedAttempts = 0;
+    this.unlocked = true;
+    this.touch();
+    console.log('🔓 已进入家长模式');
+    this.emitChange();
+    return true;
+  }
+
+  /**
+   * Leave parent mode
+   * @param {string} reason - 'idle' or 'manual'
+   */
+  lock(reason = 'manual') {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    if (!this.unlocked) return;
+
+    this.unlocked = false;
+    console.log('🔒 已退出家长模式:', reason);
+    this.emitChange();
+  }
+
+  /**
+   * Record user activity - restarts the idle timer while in parent mode
+   */
+  touch() {
+    if (!this.unlocked) return;
+
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.lock('idle'), this.idleMinutes * 60 * 1000);
+  }
+
+  /**
+   * Get the local calendar day used for the usage count
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  getToday() {
+    return Utils.getDateKey();
+  }
+
+  /**
+   * Get the number of generations started today
+   * @returns {number} Count; resets every day
+   */
+  getTodayCount() {
+    const usage = this.storage.getGenerationUsage();
+    return usage?.date === this.getToday() ? usage.count : 0;
+  }
+
+  /**
+   * Get how many more generations may be started today
+   * The limit still applies when the gate is switched off - only a parent who
+   * actually unlocked parent mode can go past it.
+   * @returns {number} Remaining count; Infinity without a limit or in parent mode
+   */
+  getRemainingGenerations() {
+    const limit = this.getSettings().dailyLimit;
+    if (!limit || this.unlocked) return Infinity;
+
+    return Math.max(0, limit - this.getTodayCount());
+  }
+
+  /**
+   * Check whether another generation may be started
+   * @returns {boolean} True if the daily limit allows it
+   */
+  canGenerate() {
+    return this.getRemainingGenerations() > 0;
+  }
+
+  /**
+   * Count a started generation. Generations in parent mode count too, so the
+   * number shown to parents is the real total for the day.
+   * @returns {number} Today's count
+   */
+  recordGeneration() {
+    const count = this.getTodayCount() + 1;
+    this.storage.saveGenerationUsage({ date: this.getToday(), count: count });
+    return count;
+  }
+}
+
+export default ParentLock;
@@ -0,0 +1,1332 @@
+/**
+ * Pinyin Dictionary
+ * Tone-marked readings for the common characters (GB2312 level 1 plus the
+ * rarer characters used in theme vocabulary), bundled so pinyin works offline.
+ * - chars: characters grouped by their most common reading
+ * - polyphones: every reading of a polyphone, most common first
+ * - phrases: words whose reading differs from the per-character default,
+ *   e.g. 长大 (zhǎng) vs 长颈鹿 (cháng), and neutral tones such as 爸爸
+ */
+
+const pinyinDictionary = {
+  chars: {
+    'ā': '阿',
+    'a': '啊',
+    'āi': '哀哎唉埃挨',
+    'ái': '癌皑',
+    'ǎi': '矮蔼',
+    'ài': '爱碍艾隘',
+    'ān': '安氨鞍鹌',
+    'ǎn': '俺',
+    'àn': '岸按暗案胺',
+    'āng': '肮',
+    'áng': '昂',
+    'àng': '盎',
+    'āo': '凹',
+    'áo': '敖熬翱',
+    'ǎo': '袄',
+    'ào': '傲奥懊澳',
+    'bā': '八叭巴扒捌疤笆芭',
+    'bá': '拔跋',
+    'bǎ': '把靶',
+    'bà': '坝爸罢霸',
+    'ba': '吧',
+    'bái': '白',
+    'bǎi': '佰摆柏百',
+    'bài': '拜稗败',
+    'bān': '扳搬斑班般颁',
+    'bǎn': '板版',
+    'bàn': '伴办半扮拌瓣绊',
+    'bāng': '帮梆邦',
+    'bǎng': '榜绑膀',
+    'bàng': '傍棒磅蚌谤镑',
+    'bāo': '包胞苞褒',
+    'báo': '薄雹',
+    'bǎo': '保堡宝饱',
+    'bào': '报抱暴曝爆豹鲍',
+    'bēi': '卑悲杯碑',
+    'běi': '北',
+    'bèi': '倍备惫焙狈背被贝辈钡',
+    'bēn': '奔',
+    'běn': '本苯',
+    'bèn': '笨',
+    'bēng': '崩绷',
+    'béng': '甭',
+    'bèng': '泵蹦迸',
+    'bī': '逼',
+    'bí': '荸鼻',
+    'bǐ': '彼比笔鄙',
+    'bì': '壁币庇弊必敝毕毖毙痹碧臂蓖蔽避闭陛',
+    'biān': '编蝙边鞭',
+    'biǎn': '扁贬',
+    'biàn': '便卞变辨辩辫遍',
+    'biāo': '彪标膘',
+    'biǎo': '表',
+    'biē': '憋鳖',
+    'bié': '别',
+    'biè': '瘪',
+    'bīn': '宾彬斌滨濒',
+    'bìn': '摈殡鬓',
+    'bīng': '兵冰',
+    'bǐng': '丙柄炳秉饼',
+    'bìng': '并病',
+    'bō': '剥拨播波玻菠钵',
+    'bó': '伯勃博帛搏泊渤礴箔脖膊舶铂驳',
+    'bǒ': '簸跛',
+    'bǔ': '卜哺捕补',
+    'bù': '不埠布怖步簿部',
+    'cā': '擦',
+    'cāi': '猜',
+    'cái': '才材裁财',
+    'cǎi': '彩睬踩采',
+    'cài': '菜蔡',
+    'cān': '参餐',
+    'cán': '惭残蚕',
+    'cǎn': '惨',
+    'càn': '灿',
+    'cāng': '仓沧舱苍',
+    'cáng': '藏',
+    'cāo': '操糙',
+    'cáo': '曹槽',
+    'cǎo': '草',
+    'cè': '侧册厕测策',
+    'céng': '层曾',
+    'cèng': '蹭',
+    'chā': '叉喳插',
+    'chá': '察搽查碴茬茶',
+    'chà': '岔差诧',
+    'chāi': '拆',
+    'chái': '柴豺',
+    'chān': '掺搀',
+    'chán': '缠蝉谗馋',
+    'chǎn': '产铲阐',
+    'chàn': '颤',
+    'chāng': '昌猖',
+    'cháng': '偿嫦尝常肠长',
+    'chǎng': '厂场敞',
+    'chàng': '倡唱畅',
+    'chāo': '抄超钞',
+    'cháo': '嘲巢朝潮',
+    'chǎo': '吵炒',
+    'chē': '车',
+    'chě': '扯',
+    'chè': '彻掣撤澈',
+    'chēn': '抻郴',
+    'chén': '尘忱晨沉臣辰陈',
+    'chèn': '衬趁',
+    'chēng': '撑称',
+    'chéng': '乘呈城惩成承橙澄程诚',
+    'chěng': '逞骋',
+    'chèng': '秤',
+    'chī': '吃痴',
+    'chí': '匙弛持池迟驰',
+    'chǐ': '侈尺耻齿',
+    'chì': '斥炽翅赤',
+    'chōng': '充冲',
+    'chóng': '崇虫',
+    'chǒng': '宠',
+    'chōu': '抽',
+    'chóu': '仇愁畴稠筹绸踌酬',
+    'chǒu': '丑瞅',
+    'chòu': '臭',
+    'chū': '出初',
+    'chú': '厨橱滁躇锄除雏',
+    'chǔ': '储楚础',
+    'chù': '处搐畜矗触',
+    'chuāi': '揣',
+    'chuān': '川穿',
+    'chuán': '传椽船',
+    'chuǎn': '喘',
+    'chuàn': '串',
+    'chuāng': '疮窗',
+    'chuáng': '幢床',
+    'chuǎng': '闯',
+    'chuàng': '创',
+    'chuī': '吹炊',
+    'chuí': '垂捶锤',
+    'chūn': '春椿',
+    'chún': '唇淳纯醇鹑',
+    'chǔn': '蠢',
+    'chuō': '戳',
+    'chuò': '绰',
+    'cī': '疵',
+    'cí': '慈瓷磁茨词辞雌',
+    'cǐ': '此',
+    'cì': '伺刺次赐',
+    'cōng': '匆囱聪葱',
+    'cóng': '丛从',
+    'còu': '凑',
+    'cū': '粗',
+    'cù': '促簇醋',
+    'cuān': '蹿',
+    'cuàn': '窜篡',
+    'cuī': '催崔摧',
+    'cuì': '淬瘁粹翠脆',
+    'cūn': '村',
+    'cún': '存',
+    'cùn': '寸',
+    'cuō': '搓撮磋',
+    'cuò': '挫措错',
+    'dā': '搭',
+    'dá': '答达',
+    'dǎ': '打',
+    'dà': '大',
+    'da': '瘩',
+    'dāi': '呆',
+    'dǎi': '傣歹逮',
+    'dài': '代带待怠戴殆袋贷',
+    'dān': '丹单担耽郸',
+    'dǎn': '掸胆',
+    'dàn': '但惮旦氮淡蛋诞',
+    'dāng': '当',
+    'dǎng': '党挡',
+    'dàng': '档荡',
+    'dāo': '刀叨',
+    'dǎo': '倒导岛捣祷蹈',
+    'dào': '到悼盗稻道',
+    'dé': '得德',
+    'de': '的',
+    'dēng': '灯登蹬',
+    'děng': '等',
+    'dèng': '凳瞪邓',
+    'dī': '低堤滴',
+    'dí': '嫡敌涤狄笛翟迪',
+    'dǐ': '底抵',
+    'dì': '地帝弟第缔蒂递',
+    'diān': '掂滇甸颠',
+    'diǎn': '典点碘',
+    'diàn': '佃垫奠店惦殿淀电靛',
+    'diāo': '凋刁叼碉貂雕',
+    'diào': '吊掉钓',
+    'diē': '爹跌',
+    'dié': '叠碟蝶谍迭',
+    'dīng': '丁叮盯钉',
+    'dǐng': '顶鼎',
+    'dìng': '定订锭',
+    'diū': '丢',
+    'dōng': '东冬',
+    'dǒng': '懂董',
+    'dòng': '侗冻动恫栋洞',
+    'dōu': '兜都',
+    'dǒu': '抖蚪陡',
+    'dòu': '斗痘豆逗',
+    'dū': '督',
+    'dú': '毒犊独读',
+    'dǔ': '堵睹赌',
+    'dù': '妒度杜渡肚镀',
+    'duān': '端',
+    'duǎn': '短',
+    'duàn': '断段缎锻',
+    'duī': '堆',
+    'duì': '兑对队',
+    'dūn': '吨墩敦蹲',
+    'dùn': '囤炖盾遁钝顿',
+    'duō': '哆多掇',
+    'duó': '夺',
+    'duǒ': '朵躲',
+    'duò': '剁垛堕惰舵跺',
+    'é': '俄娥峨蛾讹额鹅',
+    'è': '厄恶扼遏鄂饿鳄',
+    'ēn': '恩',
+    'ér': '儿而',
+    'ěr': '尔洱耳饵',
+    'èr': '二贰',
+    'fā': '发',
+    'fá': '乏伐筏罚阀',
+    'fǎ': '法',
+    'fà': '珐',
+    'fān': '帆番翻藩',
+    'fán': '凡樊烦矾繁钒',
+    'fǎn': '反返',
+    'fàn': '泛犯范贩饭',
+    'fāng': '坊方芳',
+    'fáng': '妨房肪防',
+    'fǎng': '仿纺访',
+    'fàng': '放',
+    'fēi': '啡菲非飞',
+    'féi': '肥',
+    'fěi': '匪诽',
+    'fèi': '吠废沸狒肺费',
+    'fēn': '分吩氛纷芬酚',
+    'fén': '坟汾焚',
+    'fěn': '粉',
+    'fèn': '份奋忿愤粪',
+    'fēng': '丰封峰枫烽疯蜂锋风',
+    'féng': '冯缝逢',
+    'fěng': '讽',
+    'fèng': '凤奉',
+    'fó': '佛',
+    'fǒu': '否',
+    'fū': '夫孵敷肤',
+    'fú': '伏俘幅弗扶拂服氟浮涪福符蝠袱辐',
+    'fǔ': '俯府抚斧甫腐腑辅釜',
+    'fù': '付傅副复妇富父缚腹覆讣负赋赴阜附',
+    'fu': '咐',
+    'gā': '嘎',
+    'gá': '噶',
+    'gāi': '该',
+    'gǎi': '改',
+    'gài': '概溉盖钙',
+    'gān': '干杆柑甘竿肝',
+    'gǎn': '感擀敢秆赶',
+    'gàn': '赣',
+    'gāng': '冈刚纲缸肛钢',
+    'gǎng': '岗港',
+    'gàng': '杠',
+    'gāo': '皋篙糕羔膏高',
+    'gǎo': '搞稿镐',
+    'gào': '告',
+    'gē': '割咯哥戈搁歌疙胳鸽',
+    'gé': '格葛阁隔革',
+    'gè': '个各铬',
+    'gěi': '给',
+    'gēn': '根跟',
+    'gēng': '庚羹耕',
+    'gěng': '哽埂梗耿',
+    'gèng': '更',
+    'gōng': '供公功宫工弓恭攻躬龚',
+    'gǒng': '巩拱汞',
+    'gòng': '共贡',
+    'gōu': '勾沟钩',
+    'gǒu': '枸狗苟',
+    'gòu': '垢够构购',
+    'gū': '估咕姑孤沽箍菇辜',
+    'gǔ': '古股蛊谷骨鼓',
+    'gù': '固故雇顾',
+    'guā': '刮瓜',
+    'guǎ': '剐寡',
+    'guà': '挂褂',
+    'guāi': '乖',
+    'guǎi': '拐',
+    'guài': '怪',
+    'guān': '关冠官棺观',
+    'guǎn': '管馆',
+    'guàn': '惯灌罐贯',
+    'guāng': '光胱',
+    'guǎng': '广',
+    'guàng': '逛',
+    'guī': '圭归瑰硅规闺龟',
+    'guǐ': '癸诡轨鬼',
+    'guì': '刽柜桂贵跪',
+    'gǔn': '滚辊',
+    'gùn': '棍',
+    'guō': '蝈郭锅',
+    'guó': '国',
+    'guǒ': '果裹',
+    'guò': '过',
+    'hā': '哈',
+    'há': '蛤',
+    'hái': '孩还骸',
+    'hǎi': '海',
+    'hài': '亥害氦骇',
+    'hān': '憨酣',
+    'hán': '函含寒涵邯韩',
+    'hǎn': '喊罕',
+    'hàn': '悍憾捍撼旱汉汗焊翰',
+    'hāng': '夯',
+    'háng': '吭杭航',
+    'hāo': '蒿',
+    'háo': '嚎壕毫蚝豪',
+    'hǎo': '好郝',
+    'hào': '号浩耗',
+    'hē': '呵喝',
+    'hé': '何合和核河涸盒禾荷菏貉阂',
+    'hè': '褐贺赫鹤',
+    'hēi': '嘿黑',
+    'hén': '痕',
+    'hěn': '很狠',
+    'hèn': '恨',
+    'hēng': '亨哼',
+    'héng': '恒横衡',
+    'hōng': '烘轰',
+    'hóng': '宏弘洪红虹鸿',
+    'hǒng': '哄',
+    'hóu': '侯喉猴',
+    'hǒu': '吼',
+    'hòu': '候厚后',
+    'hū': '乎呼忽',
+    'hú': '壶弧湖狐瑚糊胡葫蝴',
+    'hǔ': '唬虎',
+    'hù': '互户护沪',
+    'huā': '哗花',
+    'huá': '划华滑猾',
+    'huà': '化桦画话',
+    'huái': '徊怀槐淮踝',
+    'huài': '坏',
+    'huān': '欢獾',
+    'huán': '桓环',
+    'huǎn': '缓',
+    'huàn': '唤宦幻患换涣焕痪豢',
+    'huāng': '慌荒',
+    'huáng': '凰惶煌皇磺簧蝗黄',
+    'huǎng': '幌恍晃谎',
+    'huī': '徽恢挥灰辉',
+    'huí': '回茴蛔',
+    'huǐ': '悔毁',
+    'huì': '会卉惠慧晦汇烩秽绘讳诲贿',
+    'hūn': '婚昏荤',
+    'hún': '浑馄魂',
+    'hùn': '混',
+    'huō': '豁',
+    'huó': '活',
+    'huǒ': '伙火',
+    'huò': '惑或祸获货霍',
+    'jī': '击叽圾基姬机激畸积稽箕缉肌讥饥鸡',
+    'jí': '即及吉嫉急极棘汲疾籍级藉辑集',
+    'jǐ': '几己挤脊',
+    'jì': '伎冀剂妓季寂寄忌悸技既济祭纪继绩蓟计记迹际',
+    'jiā': '佳加嘉夹家枷',
+    'jiá': '荚颊',
+    'jiǎ': '假甲贾钾',
+    'jià': '价嫁架稼驾',
+    'jiān': '兼坚奸尖歼煎监笺缄肩艰间',
+    'jiǎn': '俭减剪拣捡柬检硷碱简茧',
+    'jiàn': '件健剑建毽涧渐溅箭舰荐见贱践鉴键饯',
+    'jiāng': '僵姜将江浆疆',
+    'jiǎng': '奖桨蒋讲',
+    'jiàng': '匠酱降',
+    'jiāo': '交娇椒浇焦礁胶蕉郊骄',
+    'jiáo': '嚼',
+    'jiǎo': '侥剿搅狡矫绞缴脚角铰饺',
+    'jiào': '叫教窖轿较酵',
+    'jiē': '接揭皆秸街阶',
+    'jié': '劫截捷杰洁睫竭结节',
+    'jiě': '姐解',
+    'jiè': '介借届戒界疥芥诫',
+    'jīn': '今巾斤津筋襟金',
+    'jǐn': '仅紧谨锦',
+    'jìn': '劲尽晋浸烬禁近进靳',
+    'jīng': '京兢惊晶睛粳精经茎荆鲸',
+    'jǐng': '井景警颈',
+    'jìng': '净境径敬痉竞竟镜靖静',
+    'jiǒng': '炯窘',
+    'jiū': '揪究纠',
+    'jiǔ': '久九灸玖酒韭',
+    'jiù': '厩咎就救旧疚臼舅',
+    'jū': '居拘狙疽鞠驹',
+    'jú': '局桔橘菊',
+    'jǔ': '举咀沮矩',
+    'jù': '俱具剧句巨惧拒据炬聚距踞锯',
+    'juān': '娟捐鹃',
+    'juǎn': '卷',
+    'juàn': '倦眷绢',
+    'juē': '撅',
+    'jué': '倔决抉掘攫爵绝觉诀',
+    'jūn': '军君均菌钧',
+    'jùn': '俊峻浚竣郡骏',
+    'kā': '咖喀',
+    'kǎ': '卡',
+    'kāi': '开揩',
+    'kǎi': '凯慨楷',
+    'kān': '刊勘堪',
+    'kǎn': '坎槛砍',
+    'kàn': '看',
+    'kāng': '康慷糠',
+    'káng': '扛',
+    'kàng': '亢抗炕',
+    'kǎo': '拷烤考',
+    'kào': '靠',
+    'kē': '柯棵磕科苛蝌颗',
+    'ké': '咳壳',
+    'kě': '可坷渴',
+    'kè': '克刻客课',
+    'kěn': '啃垦恳肯',
+    'kēng': '坑',
+    'kōng': '空',
+    'kǒng': '孔恐',
+    'kòng': '控',
+    'kōu': '抠',
+    'kǒu': '口',
+    'kòu': '寇扣',
+    'kū': '哭枯窟',
+    'kǔ': '苦',
+    'kù': '库裤酷',
+    'kuā': '夸',
+    'kuǎ': '垮',
+    'kuà': '挎胯跨',
+    'kuài': '侩块快筷',
+    'kuān': '宽',
+    'kuǎn': '款',
+    'kuāng': '筐',
+    'kuáng': '狂',
+    'kuàng': '况匡旷框眶矿',
+    'kuī': '亏岿盔窥',
+    'kuí': '奎葵魁',
+    'kuǐ': '傀',
+    'kuì': '愧溃馈',
+    'kūn': '坤昆',
+    'kǔn': '捆',
+    'kùn': '困',
+    'kuò': '廓扩括阔',
+    'lā': '啦垃拉',
+    'lǎ': '喇',
+    'là': '腊蜡辣',
+    'lái': '来莱',
+    'lài': '赖',
+    'lán': '兰婪拦栏澜篮蓝谰阑',
+    'lǎn': '懒揽缆览',
+    'làn': '滥烂',
+    'láng': '廊榔狼琅螂郎',
+    'lǎng': '朗',
+    'làng': '浪',
+    'lāo': '捞',
+    'láo': '劳牢',
+    'lǎo': '佬姥老',
+    'lào': '涝烙酪',
+    'lè': '乐勒',
+    'le': '了',
+    'léi': '擂镭雷',
+    'lěi': '儡垒磊蕾',
+    'lèi': '泪类累肋',
+    'léng': '棱楞',
+    'lěng': '冷',
+    'lí': '厘梨漓犁狸璃离篱黎',
+    'lǐ': '哩李理礼里鲤',
+    'lì': '丽例俐傈利力励历厉吏栗沥猁痢砾立笠粒荔莉隶',
+    'liǎ': '俩',
+    'lián': '帘廉怜涟联莲连镰',
+    'liǎn': '敛脸',
+    'liàn': '恋炼练链',
+    'liáng': '凉梁粮粱良',
+    'liǎng': '两',
+    'liàng': '亮晾谅辆量',
+    'liāo': '撩',
+    'liáo': '僚寥潦燎疗聊辽',
+    'liào': '廖撂料镣',
+    'liè': '列劣烈猎裂',
+    'līn': '拎',
+    'lín': '临林淋琳磷邻霖鳞麟',
+    'lǐn': '凛',
+    'lìn': '吝赁',
+    'líng': '伶凌灵玲羚菱铃陵零龄',
+    'lǐng': '岭领',
+    'lìng': '令另',
+    'liū': '溜',
+    'liú': '刘榴流琉留瘤硫馏',
+    'liǔ': '柳',
+    'liù': '六遛',
+    'lóng': '咙窿笼聋隆龙',
+    'lǒng': '垄拢陇',
+    'lóu': '娄楼',
+    'lǒu': '搂篓',
+    'lòu': '漏陋',
+    'lú': '卢庐炉芦颅',
+    'lǔ': '卤掳虏鲁',
+    'lù': '录戮潞碌禄赂路陆露鹿麓',
+    'luán': '孪峦挛滦',
+    'luǎn': '卵',
+    'luàn': '乱',
+    'lūn': '抡',
+    'lún': '仑伦沦纶轮',
+    'lùn': '论',
+    'luō': '啰',
+    'luó': '箩罗萝螺逻锣骡',
+    'luǒ': '裸',
+    'luò': '洛络落骆',
+    'lǘ': '驴',
+    'lǚ': '侣吕屡履旅缕铝',
+    'lǜ': '律氯滤率绿虑',
+    'lüè': '掠略',
+    'mā': '妈',
+    'má': '蟆麻',
+    'mǎ': '玛码蚂马',
+    'mà': '骂',
+    'ma': '吗嘛',
+    'mái': '埋',
+    'mǎi': '买',
+    'mài': '卖脉迈麦',
+    'mán': '瞒蛮谩馒鳗',
+    'mǎn': '满',
+    'màn': '慢曼漫蔓',
+    'máng': '忙氓盲芒茫',
+    'mǎng': '莽',
+    'māo': '猫',
+    'máo': '毛矛茅锚',
+    'mǎo': '卯铆',
+    'mào': '冒帽茂貌贸',
+    'me': '么',
+    'méi': '媒枚梅没煤玫眉莓酶霉',
+    'měi': '每美镁',
+    'mèi': '妹媚寐昧魅',
+    'mēn': '闷',
+    'mén': '门',
+    'men': '们',
+    'méng': '檬盟萌蒙',
+    'měng': '猛锰',
+    'mèng': '孟梦',
+    'mī': '咪眯',
+    'mí': '弥猕糜谜迷醚靡',
+    'mǐ': '米',
+    'mì': '密幂泌秘蜜觅',
+    'mián': '棉眠绵',
+    'miǎn': '免冕勉娩缅',
+    'miàn': '面',
+    'miáo': '描瞄苗',
+    'miǎo': '渺秒藐',
+    'miào': '妙庙',
+    'miè': '灭蔑',
+    'mín': '民',
+    'mǐn': '悯抿敏皿闽',
+    'míng': '名明螟铭鸣',
+    'mìng': '命',
+    'miù': '谬',
+    'mō': '摸',
+    'mó': '摩摹模磨膜蘑魔',
+    'mǒ': '抹',
+    'mò': '墨寞末沫漠莫陌默',
+    'móu': '牟谋',
+    'mǒu': '某',
+    'mǔ': '亩姆拇母牡',
+    'mù': '募墓幕慕暮木牧目睦穆',
+    'ná': '拿',
+    'nǎ': '哪',
+    'nà': '呐娜纳那钠',
+    'nǎi': '乃奶氖',
+    'nài': '奈耐',
+    'nán': '南男难',
+    'náng': '囊',
+    'náo': '挠',
+    'nǎo': '恼脑',
+    'nào': '淖闹',
+    'ne': '呢',
+    'něi': '馁',
+    'nèi': '内',
+    'nèn': '嫩',
+    'néng': '能',
+    'nī': '妮',
+    'ní': '倪尼泥霓',
+    'nǐ': '你拟',
+    'nì': '匿溺腻逆',
+    'niān': '拈蔫',
+    'nián': '年',
+    'niǎn': '捻撵碾辗',
+    'niàn': '念',
+    'niáng': '娘',
+    'niàng': '酿',
+    'niǎo': '鸟',
+    'niào': '尿',
+    'niē': '捏',
+    'niè': '啮孽涅聂镊镍',
+    'nín': '您',
+    'níng': '凝宁拧柠狞',
+    'nìng': '泞',
+    'niú': '牛',
+    'niǔ': '扭纽钮',
+    'nóng': '农浓脓',
+    'nòng': '弄',
+    'nú': '奴',
+    'nǔ': '努',
+    'nù': '怒',
+    'nuǎn': '暖',
+    'nuó': '挪',
+    'nuò': '懦糯诺',
+    'nǚ': '女',
+    'nüè': '疟虐',
+    'ō': '喔',
+    'ó': '哦',
+    'ōu': '欧殴沤鸥',
+    'ǒu': '偶呕藕',
+    'pā': '啪趴',
+    'pá': '杷爬琶耙',
+    'pà': '帕怕',
+    'pāi': '拍',
+    'pái': '徘排牌',
+    'pài': '派湃',
+    'pān': '攀潘',
+    'pán': '盘磐',
+    'pàn': '判叛畔盼',
+    'pāng': '乓',
+    'páng': '庞旁螃',
+    'pǎng': '耪',
+    'pàng': '胖',
+    'pāo': '抛',
+    'páo': '刨咆袍',
+    'pǎo': '跑',
+    'pào': '泡炮',
+    'pēi': '呸胚',
+    'péi': '培裴赔陪',
+    'pèi': '佩沛配',
+    'pēn': '喷',
+    'pén': '盆',
+    'pēng': '抨烹砰',
+    'péng': '彭朋棚澎硼篷膨蓬鹏',
+    'pěng': '捧',
+    'pèng': '碰',
+    'pī': '劈坯批披砒霹',
+    'pí': '啤枇毗琵疲皮脾',
+    'pǐ': '匹痞',
+    'pì': '僻屁譬辟',
+    'piān': '偏篇',
+    'piàn': '片骗',
+    'piāo': '漂飘',
+    'piáo': '瓢',
+    'piào': '票',
+    'piē': '撇瞥',
+    'pīn': '拼',
+    'pín': '贫频',
+    'pǐn': '品',
+    'pìn': '聘',
+    'pīng': '乒',
+    'píng': '凭坪屏平瓶苹萍评',
+    'pō': '坡泼颇',
+    'pó': '婆',
+    'pò': '破粕迫魄',
+    'pōu': '剖',
+    'pū': '扑铺',
+    'pú': '仆脯莆菩葡蒲',
+    'pǔ': '圃埔普朴浦谱',
+    'pù': '瀑',
+    'qī': '七凄妻戚期柒栖欺沏漆蹊',
+    'qí': '其奇崎旗棋歧淇畦祁祈脐荠骑麒齐',
+    'qǐ': '乞企启岂杞起',
+    'qì': '器契弃气汽泣砌讫迄',
+    'qiā': '掐',
+    'qià': '恰洽',
+    'qiān': '仟千扦牵签谦迁钎铅',
+    'qián': '乾前潜钱钳黔',
+    'qiǎn': '浅谴遣',
+    'qiàn': '堑嵌欠歉',
+    'qiāng': '呛枪羌腔',
+    'qiáng': '墙强蔷',
+    'qiǎng': '抢',
+    'qiāo': '悄敲橇跷锹',
+    'qiáo': '乔侨桥瞧',
+    'qiǎo': '巧',
+    'qiào': '俏峭撬窍翘鞘',
+    'qiē': '切',
+    'qié': '茄',
+    'qiě': '且',
+    'qiè': '怯窃',
+    'qīn': '亲侵钦',
+    'qín': '勤擒琴禽秦芹',
+    'qǐn': '寝',
+    'qìn': '沁',
+    'qīng': '倾卿氢清蜻轻青',
+    'qíng': '情擎晴氰',
+    'qǐng': '请顷',
+    'qìng': '庆',
+    'qióng': '琼穷',
+    'qiū': '丘秋蚯邱',
+    'qiú': '囚求泅球酋',
+    'qū': '区屈曲蛆趋躯驱',
+    'qú': '渠',
+    'qǔ': '取娶龋',
+    'qù': '去趣',
+    'quān': '圈',
+    'quán': '全拳权泉痊醛颧',
+    'quǎn': '犬',
+    'quàn': '券劝',
+    'quē': '炔缺',
+    'qué': '瘸',
+    'què': '却榷确雀鹊',
+    'qún': '群裙',
+    'rán': '然燃',
+    'rǎn': '冉染',
+    'ráng': '瓤',
+    'rǎng': '嚷壤攘',
+    'ràng': '让',
+    'ráo': '饶',
+    'rǎo': '扰',
+    'rào': '绕',
+    'rě': '惹',
+    'rè': '热',
+    'rén': '人仁壬',
+    'rěn': '忍',
+    'rèn': '任刃妊纫认韧',
+    'rēng': '扔',
+    'réng': '仍',
+    'rì': '日',
+    'róng': '容戎溶熔绒茸荣蓉融',
+    'rǒng': '冗',
+    'róu': '揉柔',
+    'ròu': '肉',
+    'rú': '儒如孺茹蠕',
+    'rǔ': '乳汝辱',
+    'rù': '入褥',
+    'ruǎn': '软阮',
+    'ruǐ': '蕊',
+    'ruì': '瑞锐',
+    'rùn': '润闰',
+    'ruò': '弱若',
+    'sā': '撒',
+    'sǎ': '洒',
+    'sà': '萨',
+    'sāi': '塞腮鳃',
+    'sài': '赛',
+    'sān': '三叁',
+    'sǎn': '伞',
+    'sàn': '散',
+    'sāng': '桑',
+    'sǎng': '嗓',
+    'sàng': '丧',
+    'sāo': '搔骚',
+    'sǎo': '嫂扫',
+    'sào': '臊',
+    'sè': '涩瑟色',
+    'sēn': '森',
+    'sēng': '僧',
+    'shā': '刹杀沙煞砂纱莎鲨',
+    'shá': '啥',
+    'shǎ': '傻',
+    'shà': '厦',
+    'shāi': '筛',
+    'shài': '晒',
+    'shān': '删山杉煽珊苫衫',
+    'shǎn': '闪陕',
+    'shàn': '善扇擅汕缮膳赡',
+    'shāng': '伤商墒',
+    'shǎng': '晌赏',
+    'shàng': '上尚',
+    'shang': '裳',
+    'shāo': '捎梢烧稍',
+    'sháo': '勺芍韶',
+    'shǎo': '少',
+    'shào': '哨绍邵',
+    'shē': '奢猞赊',
+    'shé': '舌蛇',
+    'shě': '舍',
+    'shè': '射慑摄涉社设赦',
+    'shēn': '伸呻娠深申砷绅身',
+    'shén': '什神',
+    'shěn': '婶审沈',
+    'shèn': '慎渗甚肾',
+    'shēng': '升声牲生甥',
+    'shéng': '绳',
+    'shěng': '省',
+    'shèng': '剩圣盛胜',
+    'shī': '失尸师施湿狮虱诗',
+    'shí': '十实拾时石蚀识食',
+    'shǐ': '使史始屎矢驶',
+    'shì': '世事仕侍势嗜噬士室市式恃拭是柿氏示视誓试适逝释饰',
+    'shōu': '收',
+    'shǒu': '守手首',
+    'shòu': '兽受售寿授瘦',
+    'shū': '书叔抒枢梳殊淑疏舒蔬输',
+    'shú': '孰熟赎',
+    'shǔ': '属暑曙署薯蜀黍鼠',
+    'shù': '墅庶恕戍数术束树漱竖述',
+    'shuā': '刷',
+    'shuǎ': '耍',
+    'shuāi': '摔衰',
+    'shuǎi': '甩',
+    'shuài': '帅蟀',
+    'shuān': '拴栓',
+    'shuāng': '双霜',
+    'shuǎng': '爽',
+    'shuí': '谁',
+    'shuǐ': '水',
+    'shuì': '睡税',
+    'shǔn': '吮',
+    'shùn': '瞬舜顺',
+    'shuō': '说',
+    'shuò': '朔烁硕',
+    'sī': '丝司嘶思撕斯私',
+    'sǐ': '死',
+    'sì': '似嗣四寺巳肆饲',
+    'sōng': '松',
+    'sǒng': '怂耸',
+    'sòng': '宋讼诵送颂',
+    'sōu': '搜艘',
+    'sǒu': '擞',
+    'sòu': '嗽',
+    'sū': '苏酥',
+    'sú': '俗',
+    'sù': '僳塑宿溯粟素肃诉速',
+    'suān': '酸',
+    'suàn': '算蒜',
+    'suī': '虽',
+    'suí': '绥隋随',
+    'suǐ': '髓',
+    'suì': '岁碎祟穗遂隧',
+    'sūn': '孙',
+    'sǔn': '损笋',
+    'suō': '唆梭缩蓑',
+    'suǒ': '所琐索锁',
+    'tā': '他塌她它',
+    'tǎ': '塔獭',
+    'tà': '挞踏蹋',
+    'tāi': '胎',
+    'tái': '台抬苔',
+    'tài': '太态汰泰酞',
+    'tān': '坍摊滩瘫贪',
+    'tán': '坛弹檀潭痰谈谭',
+    'tǎn': '坦毯袒',
+    'tàn': '叹探炭碳',
+    'tāng': '汤',
+    'táng': '唐堂塘搪棠糖膛螳',
+    'tǎng': '倘淌躺',
+    'tàng': '烫趟',
+    'tāo': '掏涛滔绦',
+    'táo': '桃淘萄逃陶',
+    'tǎo': '讨',
+    'tào': '套',
+    'tè': '特',
+    'téng': '疼腾藤誊',
+    'tī': '剔梯踢锑',
+    'tí': '啼提蹄题',
+    'tǐ': '体',
+    'tì': '剃嚏屉惕替涕',
+    'tiān': '天添',
+    'tián': '填恬甜田',
+    'tiǎn': '腆舔',
+    'tiāo': '挑',
+    'tiáo': '条调迢',
+    'tiào': '眺跳',
+    'tiē': '贴',
+    'tiě': '帖铁',
+    'tīng': '厅听汀烃',
+    'tíng': '亭停庭廷蜓',
+    'tǐng': '挺艇',
+    'tōng': '通',
+    'tóng': '同彤桐瞳童酮铜',
+    'tǒng': '捅桶筒统',
+    'tòng': '痛',
+    'tōu': '偷',
+    'tóu': '头投',
+    'tòu': '透',
+    'tū': '凸秃突',
+    'tú': '图屠徒涂途',
+    'tǔ': '吐土',
+    'tù': '兔',
+    'tuān': '湍',
+    'tuán': '团',
+    'tuī': '推',
+    'tuí': '颓',
+    'tuǐ': '腿',
+    'tuì': '蜕褪退',
+    'tūn': '吞',
+    'tún': '屯臀饨',
+    'tuō': '托拖脱',
+    'tuó': '陀驮驼鸵',
+    'tuǒ': '妥椭',
+    'tuò': '唾拓',
+    'wā': '哇娃挖洼蛙',
+    'wǎ': '瓦',
+    'wà': '袜',
+    'wāi': '歪',
+    'wài': '外',
+    'wān': '弯湾豌',
+    'wán': '丸完烷玩顽',
+    'wǎn': '婉宛惋挽晚皖碗',
+    'wàn': '万腕',
+    'wāng': '汪',
+    'wáng': '亡王',
+    'wǎng': '往枉网',
+    'wàng': '妄忘旺望',
+    'wēi': '危威巍微',
+    'wéi': '唯围惟桅潍维违韦',
+    'wěi': '伟伪委尾纬苇萎',
+    'wèi': '为位卫味喂尉慰未渭猬畏胃蔚谓魏',
+    'wēn': '温瘟',
+    'wén': '文纹蚊闻',
+    'wěn': '吻稳紊',
+    'wèn': '问',
+    'wēng': '嗡翁',
+    'wèng': '瓮',
+    'wō': '挝涡窝蜗',
+    'wǒ': '我',
+    'wò': '卧握斡沃',
+    'wū': '乌呜屋巫污诬钨',
+    'wú': '吴吾无梧毋芜蜈',
+    'wǔ': '五伍侮午捂武舞鹉',
+    'wù': '务勿坞悟戊晤物误雾',
+    'xī': '吸嘻夕希息悉惜昔晰析汐溪烯熄熙牺犀矽硒稀膝蜥蟋西锡',
+    'xí': '习媳席檄袭',
+    'xǐ': '喜洗铣',
+    'xì': '戏系细隙',
+    'xiā': '瞎虾',
+    'xiá': '侠匣峡暇狭辖霞',
+    'xià': '下吓夏',
+    'xiān': '仙先掀纤锨鲜',
+    'xián': '咸嫌弦涎舷衔贤闲',
+    'xiǎn': '显险',
+    'xiàn': '县宪献现线羡腺限陷馅',
+    'xiāng': '乡厢湘相箱襄镶香',
+    'xiáng': '祥翔详',
+    'xiǎng': '享响想',
+    'xiàng': '像向巷橡象项',
+    'xiāo': '削嚣宵消硝箫萧销霄',
+    'xiáo': '淆',
+    'xiǎo': '小晓',
+    'xiào': '哮啸孝效校笑肖',
+    'xiē': '些楔歇蝎',
+    'xié': '协挟携斜胁谐邪鞋',
+    'xiě': '写',
+    'xiè': '卸屑懈械泄泻蟹谢',
+    'xīn': '心忻新欣芯薪辛锌',
+    'xìn': '信衅',
+    'xīng': '兴惺星猩腥',
+    'xíng': '刑型形行邢',
+    'xǐng': '醒',
+    'xìng': '姓幸性杏',
+    'xiōng': '兄凶匈汹胸',
+    'xióng': '熊雄',
+    'xiū': '休修羞',
+    'xiǔ': '朽',
+    'xiù': '嗅秀绣袖锈',
+    'xū': '吁嘘墟戌虚需须',
+    'xú': '徐',
+    'xǔ': '许',
+    'xù': '叙婿序恤旭絮绪续蓄酗',
+    'xuān': '喧宣轩',
+    'xuán': '悬旋玄',
+    'xuǎn': '癣选',
+    'xuàn': '炫眩绚',
+    'xuē': '薛靴',
+    'xué': '学穴',
+    'xuě': '雪鳕',
+    'xuè': '血',
+    'xūn': '勋熏',
+    'xún': '寻巡循旬询',
+    'xùn': '殉汛训讯迅逊驯',
+    'yā': '丫压呀押鸦鸭',
+    'yá': '崖涯牙芽蚜衙',
+    'yǎ': '哑雅',
+    'yà': '亚讶轧',
+    'yān': '咽淹烟焉阉',
+    'yán': '严岩延檐沿炎盐研蜒言阎颜',
+    'yǎn': '奄掩演眼衍',
+    'yàn': '厌唁堰宴彦焰燕砚艳谚雁验',
+    'yāng': '央殃秧鸯',
+    'yáng': '佯扬杨洋疡羊阳',
+    'yǎng': '仰养氧痒',
+    'yàng': '样漾',
+    'yāo': '妖腰邀',
+    'yáo': '姚尧摇瑶窑谣遥',
+    'yǎo': '咬舀',
+    'yào': '耀药要钥',
+    'yē': '噎掖椰耶',
+    'yé': '爷',
+    'yě': '也冶野',
+    'yè': '业叶夜曳液腋页',
+    'yī': '一伊依医壹揖衣铱',
+    'yí': '仪夷姨宜彝沂疑移胰遗颐',
+    'yǐ': '乙以倚已椅矣蚁',
+    'yì': '义亦亿屹异役忆意抑易毅溢疫益绎翌翼肄臆艺蜴裔议译诣谊逸邑',
+    'yīn': '因姻殷茵荫阴音',
+    'yín': '吟寅淫银',
+    'yǐn': '尹引蚓隐饮',
+    'yìn': '印',
+    'yīng': '婴应樱缨英鹦鹰',
+    'yíng': '盈荧莹萤营蝇赢迎',
+    'yǐng': '影颖',
+    'yìng': '映硬',
+    'yō': '哟',
+    'yōng': '佣庸拥痈臃雍',
+    'yǒng': '勇咏恿永泳涌蛹踊',
+    'yòng': '用',
+    'yōu': '优幽忧悠',
+    'yóu': '尤油游犹由邮铀鱿',
+    'yǒu': '友有酉',
+    'yòu': '佑又右幼诱釉',
+    'yū': '淤迂',
+    'yú': '于余俞娱愉愚榆渔渝盂舆虞逾隅鱼',
+    'yǔ': '与予宇屿禹羽语雨',
+    'yù': '喻域寓峪御愈欲浴狱玉育芋裕誉豫遇郁预驭',
+    'yuān': '冤渊鸳',
+    'yuán': '元原员园圆垣援源猿缘袁辕',
+    'yuǎn': '远',
+    'yuàn': '怨愿苑院',
+    'yuē': '曰约',
+    'yuè': '岳悦月粤越跃阅',
+    'yūn': '晕',
+    'yún': '云匀耘郧',
+    'yǔn': '允陨',
+    'yùn': '孕熨蕴运酝韵',
+    'zā': '匝',
+    'zá': '杂砸',
+    'zǎ': '咋',
+    'zāi': '哉栽灾',
+    'zǎi': '宰崽',
+    'zài': '再在载',
+    'zán': '咱',
+    'zǎn': '攒',
+    'zàn': '暂赞',
+    'zāng': '脏赃',
+    'zàng': '葬',
+    'zāo': '糟遭',
+    'záo': '凿',
+    'zǎo': '早枣澡藻蚤',
+    'zào': '噪灶燥皂躁造',
+    'zé': '则择泽责',
+    'zéi': '贼',
+    'zěn': '怎',
+    'zēng': '增憎',
+    'zèng': '赠',
+    'zhā': '扎渣',
+    'zhá': '札铡闸',
+    'zhǎ': '眨',
+    'zhà': '乍栅榨炸蚱诈',
+    'zhāi': '摘斋',
+    'zhái': '宅',
+    'zhǎi': '窄',
+    'zhài': '债寨',
+    'zhān': '毡沾瞻粘詹',
+    'zhǎn': '展崭斩盏',
+    'zhàn': '占战栈湛站绽蘸',
+    'zhāng': '张彰樟漳章',
+    'zhǎng': '掌涨',
+    'zhàng': '丈仗帐杖瘴胀账障',
+    'zhāo': '招昭',
+    'zhǎo': '找沼爪',
+    'zhào': '兆召照罩肇赵',
+    'zhē': '遮',
+    'zhé': '哲折蛰辙',
+    'zhě': '者锗',
+    'zhè': '浙蔗这',
+    'zhe': '着',
+    'zhēn': '侦帧斟榛珍甄真砧臻贞针',
+    'zhěn': '枕疹诊',
+    'zhèn': '振镇阵震',
+    'zhēng': '争征怔狰睁筝蒸',
+    'zhěng': '拯整',
+    'zhèng': '挣政正症证郑',
+    'zhī': '之吱支枝汁知织肢脂芝蜘',
+    'zhí': '侄值执植殖直职',
+    'zhǐ': '只址指旨止纸趾',
+    'zhì': '制峙帜志挚掷智治滞炙痔秩稚窒置至致质',
+    'zhōng': '中忠盅终衷钟',
+    'zhǒng': '种肿',
+    'zhòng': '仲众重',
+    'zhōu': '周州洲粥舟诌',
+    'zhóu': '轴',
+    'zhǒu': '帚肘',
+    'zhòu': '咒宙昼皱骤',
+    'zhū': '朱株猪珠蛛诛诸',
+    'zhú': '烛竹逐',
+    'zhǔ': '主嘱拄煮瞩',
+    'zhù': '住助柱注祝筑著蛀贮铸驻',
+    'zhuā': '抓',
+    'zhuài': '拽',
+    'zhuān': '专砖',
+    'zhuǎn': '转',
+    'zhuàn': '撰篆赚',
+    'zhuāng': '妆庄桩装',
+    'zhuàng': '壮撞状',
+    'zhuī': '椎追锥',
+    'zhuì': '坠缀赘',
+    'zhūn': '谆',
+    'zhǔn': '准',
+    'zhuō': '卓拙捉桌',
+    'zhuó': '啄浊灼琢茁酌',
+    'zī': '兹咨姿孜淄滋资',
+    'zǐ': '仔子滓籽紫',
+    'zì': '字渍自',
+    'zōng': '宗棕综踪鬃',
+    'zǒng': '总',
+    'zòng': '粽纵',
+    'zōu': '邹',
+    'zǒu': '走',
+    'zòu': '奏揍',
+    'zū': '租',
+    'zú': '卒族足',
+    'zǔ': '祖组诅阻',
+    'zuān': '钻',
+    'zuǎn': '纂',
+    'zuǐ': '嘴',
+    'zuì': '最罪醉',
+    'zūn': '尊遵',
+    'zuó': '昨',
+    'zuǒ': '佐左',
+    'zuò': '作做坐座柞'
+  },
+
+  polyphones: {
+    '啊': ['a', 'ā', 'á', 'ǎ', 'à'], '挨': ['āi', 'ái'], '扒': ['bā', 'pá'], '把': ['bǎ', 'bà'],
+    '吧': ['ba', 'bā'], '柏': ['bǎi', 'bó'], '膀': ['bǎng', 'páng', 'pāng'], '磅': ['bàng', 'páng'],
+    '薄': ['báo', 'bó'], '曝': ['bào', 'pù'], '背': ['bèi', 'bēi'], '奔': ['bēn', 'bèn'],
+    '扁': ['biǎn', 'piān'], '便': ['biàn', 'pián'], '剥': ['bō', 'bāo'], '泊': ['bó', 'pō'],
+    '簸': ['bǒ', 'bò'], '卜': ['bǔ', 'bo'], '参': ['cān', 'shēn', 'cēn'], '藏': ['cáng', 'zàng'],
+    '曾': ['céng', 'zēng'], '叉': ['chā', 'chá', 'chǎ'], '差': ['chà', 'chā', 'chāi', 'cī'], '颤': ['chàn', 'zhàn'],
+    '长': ['cháng', 'zhǎng'], '场': ['chǎng', 'cháng'], '嘲': ['cháo', 'zhāo'], '朝': ['cháo', 'zhāo'],
+    '车': ['chē', 'jū'], '称': ['chēng', 'chèn'], '乘': ['chéng', 'shèng'], '澄': ['chéng', 'dèng'],
+    '匙': ['chí', 'shi'], '冲': ['chōng', 'chòng'], '臭': ['chòu', 'xiù'], '处': ['chù', 'chǔ'],
+    '畜': ['chù', 'xù'], '传': ['chuán', 'zhuàn'], '大': ['dà', 'dài'], '逮': ['dǎi', 'dài'],
+    '单': ['dān', 'shàn', 'chán'], '担': ['dān', 'dàn'], '倒': ['dǎo', 'dào'], '得': ['dé', 'de', 'děi'],
+    '的': ['de', 'dí', 'dì'], '地': ['dì', 'de'], '钉': ['dīng', 'dìng'], '都': ['dōu', 'dū'],
+    '斗': ['dòu', 'dǒu'], '恶': ['è', 'wù'], '发': ['fā', 'fà'], '坊': ['fāng', 'fáng'],
+    '分': ['fēn', 'fèn'], '缝': ['féng', 'fèng'], '佛': ['fó', 'fú'], '否': ['fǒu', 'pǐ'],
+    '干': ['gān', 'gàn'], '葛': ['gé', 'gě'], '个': ['gè', 'gě'], '给': ['gěi', 'jǐ'],
+    '更': ['gèng', 'gēng'], '供': ['gōng', 'gòng'], '骨': ['gǔ', 'gū'], '冠': ['guān', 'guàn'],
+    '蛤': ['há', 'gé'], '还': ['hái', 'huán'], '吭': ['háng', 'kēng'], '好': ['hǎo', 'hào'],
+    '号': ['hào', 'háo'], '呵': ['hē', 'ā'], '喝': ['hē', 'hè'], '合': ['hé', 'gě'],
+    '和': ['hé', 'huo', 'hè', 'huó', 'hú'], '核': ['hé', 'hú'], '貉': ['hé', 'háo'], '横': ['héng', 'hèng'],
+    '红': ['hóng', 'gōng'], '虹': ['hóng', 'jiàng'], '哄': ['hǒng', 'hōng', 'hòng'], '糊': ['hú', 'hū', 'hù'],
+    '划': ['huá', 'huà'], '华': ['huá', 'huà'], '晃': ['huǎng', 'huàng'], '会': ['huì', 'kuài'],
+    '混': ['hùn', 'hún'], '豁': ['huō', 'huò', 'huá'], '几': ['jǐ', 'jī'], '济': ['jì', 'jǐ'],
+    '假': ['jiǎ', 'jià'], '间': ['jiān', 'jiàn'], '将': ['jiāng', 'jiàng'], '降': ['jiàng', 'xiáng'],
+    '嚼': ['jiáo', 'jué', 'jiào'], '角': ['jiǎo', 'jué'], '教': ['jiào', 'jiāo'], '结': ['jié', 'jiē'],
+    '解': ['jiě', 'xiè', 'jiè'], '劲': ['jìn', 'jìng'], '尽': ['jìn', 'jǐn'], '禁': ['jìn', 'jīn'],
+    '卷': ['juǎn', 'juàn'], '觉': ['jué', 'jiào'], '卡': ['kǎ', 'qiǎ'], '看': ['kàn', 'kān'],
+    '壳': ['ké', 'qiào'], '可': ['kě', 'kè'], '空': ['kōng', 'kòng'], '乐': ['lè', 'yuè'],
+    '了': ['le', 'liǎo'], '累': ['lèi', 'lěi', 'léi'], '量': ['liàng', 'liáng'], '露': ['lù', 'lòu'],
+    '落': ['luò', 'là', 'lào'], '率': ['lǜ', 'shuài'], '绿': ['lǜ', 'lù'], '蚂': ['mǎ', 'mà', 'mā'],
+    '蔓': ['màn', 'wàn', 'mán'], '没': ['méi', 'mò'], '蒙': ['méng', 'mēng', 'měng'], '秘': ['mì', 'bì'],
+    '模': ['mó', 'mú'], '磨': ['mó', 'mò'], '抹': ['mǒ', 'mā', 'mò'], '哪': ['nǎ', 'na'],
+    '难': ['nán', 'nàn'], '宁': ['níng', 'nìng'], '拧': ['níng', 'nǐng', 'nìng'], '弄': ['nòng', 'lòng'],
+    '耙': ['pá', 'bà'], '刨': ['páo', 'bào'], '泡': ['pào', 'pāo'], '片': ['piàn', 'piān'],
+    '漂': ['piāo', 'piào', 'piǎo'], '屏': ['píng', 'bǐng'], '铺': ['pū', 'pù'], '仆': ['pú', 'pū'],
+    '脯': ['pú', 'fǔ'], '埔': ['pǔ', 'bù'], '朴': ['pǔ', 'piáo', 'pò'], '蹊': ['qī', 'xī'],
+    '奇': ['qí', 'jī'], '乾': ['qián', 'gān'], '强': ['qiáng', 'qiǎng'], '悄': ['qiāo', 'qiǎo'],
+    '翘': ['qiào', 'qiáo'], '切': ['qiē', 'qiè'], '茄': ['qié', 'jiā'], '亲': ['qīn', 'qìng'],
+    '区': ['qū', 'ōu'], '曲': ['qū', 'qǔ'], '圈': ['quān', 'juàn'], '雀': ['què', 'qiǎo'],
+    '嚷': ['rǎng', 'rāng'], '任': ['rèn', 'rén'], '塞': ['sāi', 'sài', 'sè'], '散': ['sàn', 'sǎn'],
+    '丧': ['sàng', 'sāng'], '扫': ['sǎo', 'sào'], '色': ['sè', 'shǎi'], '刹': ['shā', 'chà'],
+    '厦': ['shà', 'xià'], '杉': ['shān', 'shā'], '扇': ['shàn', 'shān'], '上': ['shàng', 'shǎng'],
+    '少': ['shǎo', 'shào'], '舍': ['shě', 'shè'], '什': ['shén', 'shí'], '沈': ['shěn', 'chén'],
+    '甚': ['shèn', 'shén'], '省': ['shěng', 'xǐng'], '盛': ['shèng', 'chéng'], '拾': ['shí', 'shè'],
+    '石': ['shí', 'dàn'], '识': ['shí', 'zhì'], '属': ['shǔ', 'zhǔ'], '数': ['shù', 'shǔ'],
+    '说': ['shuō', 'shuì'], '似': ['sì', 'shì'], '宿': ['sù', 'xiǔ', 'xiù'], '踏': ['tà', 'tā'],
+    '弹': ['tán', 'dàn'], '提': ['tí', 'dī'], '挑': ['tiāo', 'tiǎo'], '调': ['tiáo', 'diào'],
+    '帖': ['tiě', 'tiè', 'tiē'], '吐': ['tǔ', 'tù'], '为': ['wèi', 'wéi'], '系': ['xì', 'jì'],
+    '吓': ['xià', 'hè'], '鲜': ['xiān', 'xiǎn'], '相': ['xiāng', 'xiàng'], '削': ['xiāo', 'xuē'],
+    '校': ['xiào', 'jiào'], '兴': ['xīng', 'xìng'], '行': ['xíng', 'háng'], '旋': ['xuán', 'xuàn'],
+    '血': ['xuè', 'xiě'], '咽': ['yān', 'yàn', 'yè'], '燕': ['yàn', 'yān'], '要': ['yào', 'yāo'],
+    '应': ['yīng', 'yìng'], '与': ['yǔ', 'yù'], '晕': ['yūn', 'yùn'], '熨': ['yùn', 'yù'],
+    '载': ['zài', 'zǎi'], '脏': ['zāng', 'zàng'], '扎': ['zhā', 'zā'], '栅': ['zhà', 'shān'],
+    '炸': ['zhà', 'zhá'], '粘': ['zhān', 'nián'], '爪': ['zhǎo', 'zhuǎ'], '召': ['zhào', 'shào'],
+    '折': ['zhé', 'shé', 'zhē'], '着': ['zhe', 'zháo', 'zhuó', 'zhāo'], '挣': ['zhèng', 'zhēng'], '正': ['zhèng', 'zhēng'],
+    '症': ['zhèng', 'zhēng'], '殖': ['zhí', 'shi'], '只': ['zhǐ', 'zhī'], '中': ['zhōng', 'zhòng'],
+    '种': ['zhǒng', 'zhòng'], '重': ['zhòng', 'chóng'], '轴': ['zhóu', 'zhòu'], '著': ['zhù', 'zhe', 'zhuó'],
+    '转': ['zhuǎn', 'zhuàn'], '椎': ['zhuī', 'chuí'], '琢': ['zhuó', 'zuó'], '仔': ['zǐ', 'zǎi'],
+    '钻': ['zuān', 'zuàn'], '作': ['zuò', 'zuō'], '柞': ['zuò', 'zhà']
+  },
+
+  phrases: {
+    '爸爸': 'bà ba', '妈妈': 'mā ma', '哥哥': 'gē ge', '姐姐': 'jiě jie',
+    '弟弟': 'dì di', '妹妹': 'mèi mei', '爷爷': 'yé ye', '奶奶': 'nǎi nai',
+    '姥姥': 'lǎo lao', '姥爷': 'lǎo ye', '叔叔': 'shū shu', '伯伯': 'bó bo',
+    '舅舅': 'jiù jiu', '阿姨': 'ā yí', '婆婆': 'pó po', '公公': 'gōng gong',
+    '宝宝': 'bǎo bao', '娃娃': 'wá wa', '星星': 'xīng xing', '猩猩': 'xīng xing',
+    '蝈蝈': 'guō guo', '狒狒': 'fèi fei', '谢谢': 'xiè xie', '朋友': 'péng you',
+    '孔子': 'kǒng zǐ', '男子': 'nán zǐ', '女子': 'nǚ zǐ', '电子': 'diàn zǐ',
+    '原子': 'yuán zǐ', '分子': 'fēn zǐ', '瓜子': 'guā zǐ', '莲子': 'lián zǐ',
+    '松子': 'sōng zǐ', '棋子': 'qí zǐ', '君子': 'jūn zǐ', '鱼子': 'yú zǐ',
+    '木头': 'mù tou', '石头': 'shí tou', '馒头': 'mán tou', '枕头': 'zhěn tou',
+    '骨头': 'gǔ tou', '舌头': 'shé tou', '指头': 'zhǐ tou', '拳头': 'quán tou',
+    '码头': 'mǎ tou', '罐头': 'guàn tou', '芋头': 'yù tou', '里头': 'lǐ tou',
+    '外头': 'wài tou', '护士': 'hù shi', '风筝': 'fēng zheng', '窗户': 'chuāng hu',
+    '休息': 'xiū xi', '篱笆': 'lí ba', '尾巴': 'wěi ba', '嘴巴': 'zuǐ ba',
+    '泥巴': 'ní ba', '下巴': 'xià ba', '哑巴': 'yǎ ba', '喇叭': 'lǎ ba',
+    '萝卜': 'luó bo', '葡萄': 'pú tao', '核桃': 'hé tao', '豆腐': 'dòu fu',
+    '衣服': 'yī fu', '舒服': 'shū fu', '师傅': 'shī fu', '丈夫': 'zhàng fu',
+    '大夫': 'dài fu', '包袱': 'bāo fu', '东西': 'dōng xi', '消息': 'xiāo xi',
+    '知识': 'zhī shi', '认识': 'rèn shi', '意思': 'yì si', '事情': 'shì qing',
+    '时候': 'shí hou', '地方': 'dì fang', '明白': 'míng bai', '漂亮': 'piào liang',
+    '月亮': 'yuè liang', '玻璃': 'bō li', '狐狸': 'hú li', '琵琶': 'pí pa',
+    '枇杷': 'pí pa', '蘑菇': 'mó gu', '姑娘': 'gū niang', '眼睛': 'yǎn jing',
+    '眉毛': 'méi mao', '耳朵': 'ěr duo', '胳膊': 'gē bo', '脑袋': 'nǎo dai',
+    '头发': 'tóu fa', '衣裳': 'yī shang', '钥匙': 'yào shi', '收拾': 'shōu shi',
+    '柴火': 'chái huo', '暖和': 'nuǎn huo', '热闹': 'rè nao', '清楚': 'qīng chu',
+    '告诉': 'gào su', '喜欢': 'xǐ huan', '力气': 'lì qi', '客气': 'kè qi',
+    '聪明': 'cōng ming', '糊涂': 'hú tu', '馄饨': 'hún tun', '骆驼': 'luò tuo',
+    '蛤蟆': 'há ma', '蚂蚱': 'mà zha', '苍蝇': 'cāng ying', '蜻蜓': 'qīng tíng',
+    '刺猬': 'cì wei', '老鼠': 'lǎo shǔ', '黄瓜': 'huáng guā', '西瓜': 'xī guā',
+    '芝麻': 'zhī ma', '部分': 'bù fen', '个子': 'gè zi', '什么': 'shén me',
+    '怎么': 'zěn me', '这么': 'zhè me', '那么': 'nà me', '多么': 'duō me',
+    '为什么': 'wèi shén me', '因为': 'yīn wèi', '为了': 'wèi le', '成为': 'chéng wéi',
+    '作为': 'zuò wéi', '认为': 'rèn wéi', '以为': 'yǐ wéi', '行为': 'xíng wéi',
+    '银行': 'yín háng', '行业': 'háng yè', '一行': 'yī háng', '排行': 'pái háng',
+    '自行车': 'zì xíng chē', '长大': 'zhǎng dà', '长高': 'zhǎng gāo', '成长': 'chéng zhǎng',
+    '生长': 'shēng zhǎng', '校长': 'xiào zhǎng', '班长': 'bān zhǎng', '站长': 'zhàn zhǎng',
+    '市长': 'shì zhǎng', '家长': 'jiā zhǎng', '船长': 'chuán zhǎng', '队长': 'duì zhǎng',
+    '院长': 'yuàn zhǎng', '列车长': 'liè chē zhǎng', '长颈鹿': 'cháng jǐng lù', '长城': 'cháng chéng',
+    '长江': 'cháng jiāng', '重新': 'chóng xīn', '重复': 'chóng fù', '重阳': 'chóng yáng',
+    '重阳节': 'chóng yáng jié', '重庆': 'chóng qìng', '还是': 'hái shi', '归还': 'guī huán',
+    '还书': 'huán shū', '还给': 'huán gěi', '好奇': 'hào qí', '爱好': 'ài hào',
+    '好客': 'hào kè', '音乐': 'yīn yuè', '乐器': 'yuè qì', '乐队': 'yuè duì',
+    '乐园': 'lè yuán', '快乐': 'kuài lè', '了解': 'liǎo jiě', '了不起': 'liǎo bu qǐ',
+    '觉得': 'jué de', '睡觉': 'shuì jiào', '午觉': 'wǔ jiào', '感觉': 'gǎn jué',
+    '教室': 'jiào shì', '教师': 'jiào shī', '教书': 'jiāo shū', '教学': 'jiào xué',
+    '调皮': 'tiáo pí', '空调': 'kōng tiáo', '调查': 'diào chá', '声调': 'shēng diào',
+    '音调': 'yīn diào', '传说': 'chuán shuō', '自传': 'zì zhuàn', '会计': 'kuài jì',
+    '还有': 'hái yǒu', '干净': 'gān jìng', '干活': 'gàn huó', '干部': 'gàn bù',
+    '中奖': 'zhòng jiǎng', '看守': 'kān shǒu', '空地': 'kòng dì', '空白': 'kòng bái',
+    '少年': 'shào nián', '少先队': 'shào xiān duì', '相机': 'xiàng jī', '照相': 'zhào xiàng',
+    '相片': 'xiàng piàn', '应该': 'yīng gāi', '回应': 'huí yìng', '答应': 'dā ying',
+    '角色': 'jué sè', '主角': 'zhǔ jué', '配角': 'pèi jué', '系鞋带': 'jì xié dài',
+    '重要': 'zhòng yào', '要求': 'yāo qiú', '曲子': 'qǔ zi', '歌曲': 'gē qǔ',
+    '弯曲': 'wān qū', '更加': 'gèng jiā', '打更': 'dǎ gēng', '更换': 'gēng huàn',
+    '更新': 'gēng xīn', '没有': 'méi yǒu', '淹没': 'yān mò', '沉没': 'chén mò',
+    '反省': 'fǎn xǐng', '一只': 'yī zhī', '两只': 'liǎng zhī', '三只': 'sān zhī',
+    '几只': 'jǐ zhī', '每只': 'měi zhī', '船只': 'chuán zhī', '只有': 'zhǐ yǒu',
+    '盛饭': 'chéng fàn', '人参': 'rén shēn', '海参': 'hǎi shēn', '相称': 'xiāng chèn',
+    '对称': 'duì chèn', '放假': 'fàng jià', '假期': 'jià qī', '暑假': 'shǔ jià',
+    '寒假': 'hán jià', '请假': 'qǐng jià', '中间': 'zhōng jiān', '房间': 'fáng jiān',
+    '时间': 'shí jiān', '间隔': 'jiàn gé', '将军': 'jiāng jūn', '卡车': 'kǎ chē',
+    '卡片': 'kǎ piàn', '发卡': 'fà qiǎ', '关卡': 'guān qiǎ', '猪圈': 'zhū juàn',
+    '羊圈': 'yáng juàn', '新鲜': 'xīn xiān', '海鲜': 'hǎi xiān', '鲜花': 'xiān huā',
+    '朝鲜': 'cháo xiǎn', '勉强': 'miǎn qiǎng', '悄悄': 'qiāo qiāo', '麻雀': 'má què',
+    '孔雀': 'kǒng què', '塞车': 'sāi chē', '要塞': 'yào sài', '边塞': 'biān sài',
+    '堵塞': 'dǔ sè', '宿舍': 'sù shè', '提防': 'dī fang', '呕吐': 'ǒu tù',
+    '挣扎': 'zhēng zhá', '挣钱': 'zhèng qián', '正月': 'zhēng yuè', '转动': 'zhuàn dòng',
+    '转圈': 'zhuàn quān', '旋转': 'xuán zhuǎn', '转盘': 'zhuàn pán', '打折': 'dǎ zhé',
+    '折腾': 'zhē teng', '泡泡': 'pào pao', '眼皮': 'yǎn pí', '把手': 'bǎ shou',
+    '刀把': 'dāo bà', '落下': 'là xià', '丢三落四': 'diū sān là sì', '色子': 'shǎi zi',
+    '贝壳': 'bèi ké', '地壳': 'dì qiào', '晕车': 'yùn chē', '晕船': 'yùn chuán',
+    '骨朵': 'gū duo', '吓唬': 'xià hu', '恐吓': 'kǒng hè', '担子': 'dàn zi',
+    '扁舟': 'piān zhōu', '便宜': 'pián yi', '学校': 'xué xiào', '校对': 'jiào duì',
+    '柏林': 'bó lín', '区别': 'qū bié', '钉子': 'dīng zi', '钉扣子': 'dìng kòu zi',
+    '投奔': 'tóu bèn', '冠军': 'guàn jūn', '使劲': 'shǐ jìn', '强劲': 'qiáng jìng',
+    '不禁': 'bù jīn', '禁不住': 'jīn bu zhù', '尽管': 'jǐn guǎn', '尽量': 'jǐn liàng',
+    '曾经': 'céng jīng', '曾祖': 'zēng zǔ', '扫帚': 'sào zhou', '分量': 'fèn liàng',
+    '成分': 'chéng fèn', '亲家': 'qìng jia', '华山': 'huà shān', '卷子': 'juàn zi',
+    '试卷': 'shì juàn', '朴素': 'pǔ sù', '游说': 'yóu shuì', '参与': 'cān yù',
+    '作坊': 'zuō fang', '标识': 'biāo zhì', '呵呵': 'hē hē', '钉耙': 'dīng pá',
+    '茄子': 'qié zi', '雪茄': 'xuě jiā', '佛像': 'fó xiàng', '仿佛': 'fǎng fú',
+    '哄堂大笑': 'hōng táng dà xiào', '起哄': 'qǐ hòng', '计划': 'jì huà', '划船': 'huá chuán',
+    '划分': 'huà fēn', '仆人': 'pú rén', '请帖': 'qǐng tiě', '字帖': 'zì tiè',
+    '服帖': 'fú tiē', '著名': 'zhù míng', '心脏': 'xīn zàng', '内脏': 'nèi zàng',
+    '肮脏': 'āng zāng', '恶心': 'ě xin', '可恶': 'kě wù', '厌恶': 'yàn wù',
+    '喝彩': 'hè cǎi', '蛮横': 'mán hèng', '混蛋': 'hún dàn', '济南': 'jǐ nán',
+    '累积': 'lěi jī', '积累': 'jī lěi', '劳累': 'láo lèi', '累赘': 'léi zhui',
+    '蒙古': 'měng gǔ', '蒙蒙': 'méng méng', '磨坊': 'mò fáng', '石磨': 'shí mò',
+    '宁可': 'nìng kě', '宁愿': 'nìng yuàn', '照片': 'zhào piàn', '画片': 'huà piān',
+    '唱片': 'chàng piàn', '屏住': 'bǐng zhù', '屏息': 'bǐng xī', '任性': 'rèn xìng',
+    '挑战': 'tiǎo zhàn', '挑逗': 'tiǎo dòu', '晃眼': 'huǎng yǎn', '摇晃': 'yáo huàng',
+    '高兴': 'gāo xìng', '兴趣': 'xìng qù', '兴奋': 'xīng fèn', '旋风': 'xuàn fēng',
+    '熨斗': 'yùn dǒu', '漏斗': 'lòu dǒu', '北斗': 'běi dǒu', '北斗星': 'běi dǒu xīng',
+    '斗笠': 'dǒu lì', '熨帖': 'yù tiē', '栅栏': 'zhà lan', '挨打': 'ái dǎ',
+    '膀胱': 'páng guāng', '磅礴': 'páng bó', '剥皮': 'bāo pí', '剥花生': 'bāo huā shēng',
+    '叉子': 'chā zi', '颤抖': 'chàn dǒu', '打颤': 'dǎ zhàn', '场院': 'cháng yuàn',
+    '一场雨': 'yī cháng yǔ', '澄清': 'chéng qīng', '逮捕': 'dài bǔ', '坊间': 'fāng jiān',
+    '缝隙': 'fèng xì', '裂缝': 'liè fèng', '合眼': 'hé yǎn', '吭声': 'kēng shēng',
+    '女红': 'nǚ gōng', '彩虹': 'cǎi hóng', '糊弄': 'hù nong', '豁然': 'huò rán',
+    '蹊跷': 'qī qiao', '翘尾巴': 'qiào wěi ba', '杉木': 'shā mù', '召集': 'zhào jí',
+    '压轴': 'yā zhòu', '爪子': 'zhuǎ zi', '琢磨': 'zuó mo', '湖泊': 'hú pō',
+    '停泊': 'tíng bó', '淡薄': 'dàn bó', '薄荷': 'bò he', '单薄': 'dān bó',
+    '背包': 'bēi bāo', '背书包': 'bēi shū bāo', '背着': 'bēi zhe', '差不多': 'chà bu duō',
+    '差别': 'chā bié', '差异': 'chā yì', '出差': 'chū chāi', '参差': 'cēn cī',
+    '子弹': 'zǐ dàn', '弹弓': 'dàn gōng', '导弹': 'dǎo dàn', '弹琴': 'tán qín',
+    '倒水': 'dào shuǐ', '倒车': 'dào chē', '倒影': 'dào yǐng', '得到': 'dé dào',
+    '记得': 'jì de', '懂得': 'dǒng de', '地道': 'dì dao', '的确': 'dí què',
+    '目的': 'mù dì', '战斗': 'zhàn dòu', '奋斗': 'fèn dòu', '几乎': 'jī hū',
+    '茶几': 'chá jī', '结果': 'jié guǒ', '结实': 'jiē shi', '质量': 'zhì liàng',
+    '数量': 'shù liàng', '测量': 'cè liáng', '量身高': 'liáng shēn gāo', '商量': 'shāng liang',
+    '漂流': 'piāo liú', '漂白': 'piǎo bái', '店铺': 'diàn pù', '床铺': 'chuáng pù',
+    '一切': 'yī qiè', '亲切': 'qīn qiè', '嚷嚷': 'rāng rang', '似的': 'shì de',
+    '汤匙': 'tāng chí', '为难': 'wéi nán', '事迹': 'shì jì', '成绩': 'chéng jì',
+    '咀嚼': 'jǔ jué', '踏实': 'tā shi', '厦门': 'xià mén', '扇子': 'shàn zi',
+    '扇风': 'shān fēng', '记载': 'jì zǎi', '仔细': 'zǐ xì', '牛仔': 'niú zǎi',
+    '模样': 'mú yàng', '模子': 'mú zi', '种子': 'zhǒng zi', '种树': 'zhòng shù',
+    '种花': 'zhòng huā', '种地': 'zhòng dì', '种菜': 'zhòng cài', '种田': 'zhòng tián',
+    '钻石': 'zuàn shí', '钻头': 'zuàn tóu', '剥削': 'bō xuē', '削皮': 'xiāo pí',
+    '削铅笔': 'xiāo qiān bǐ', '流血': 'liú xuè', '血液': 'xuè yè', '出血': 'chū xiě',
+    '散步': 'sàn bù', '雨伞': 'yǔ sǎn', '松散': 'sōng sǎn', '散文': 'sǎn wén',
+    '丧事': 'sāng shì', '扎针': 'zhā zhēn', '包扎': 'bāo zā', '炸鸡': 'zhá jī',
+    '炸薯条': 'zhá shǔ tiáo', '炸酱面': 'zhá jiàng miàn', '油炸': 'yóu zhá', '爆炸': 'bào zhà',
+    '炸弹': 'zhà dàn', '鸡爪': 'jī zhuǎ', '着急': 'zháo jí', '睡着': 'shuì zháo',
+    '着火': 'zháo huǒ', '着凉': 'zháo liáng', '穿着': 'chuān zhuó', '着陆': 'zhuó lù',
+    '困难': 'kùn nan', '灾难': 'zāi nàn', '难民': 'nàn mín', '粘土': 'nián tǔ',
+    '抹布': 'mā bù', '露出': 'lòu chū', '露面': 'lòu miàn', '效率': 'xiào lǜ',
+    '率领': 'shuài lǐng', '投降': 'tóu xiáng', '传记': 'zhuàn jì', '畜牧': 'xù mù',
+    '朝阳': 'zhāo yáng', '朝气': 'zhāo qì', '朝霞': 'zhāo xiá', '刹那': 'chà nà',
+    '宝藏': 'bǎo zàng', '西藏': 'xī zàng', '藏族': 'zàng zú', '刨子': 'bào zi',
+    '扒手': 'pá shǒu', '扒拉': 'bā la', '什锦': 'shí jǐn', '数数': 'shǔ shù',
+    '数一数': 'shǔ yī shǔ', '哽咽': 'gěng yè', '处理': 'chǔ lǐ', '相处': 'xiāng chǔ',
+    '处罚': 'chǔ fá', '和面': 'huó miàn', '搀和': 'chān huo', '和了': 'hú le',
+    '附和': 'fù hè', '旋转木马': 'xuán zhuǎn mù mǎ'
+  }
+};
+
+export default pinyinDictionary;
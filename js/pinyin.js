@@ -0,0 +1,297 @@
+/**
+ * Pinyin Module
+ * Converts Chinese text to tone-marked pinyin using the bundled dictionary in
+ * js/pinyin-data.js. Words are matched longest-first against user overrides,
+ * then the phrase list, then per-character defaults, so polyphones such as
+ * 长 read correctly in 长颈鹿 and 长大 without any network service.
+ */
+
+import pinyinDictionary from './pinyin-data.js';
+
+const TONE_MARKS = {
+  a: ['a', 'ā', 'á', 'ǎ', 'à'],
+  e: ['e', 'ē', 'é', 'ě', 'è'],
+  i: ['i', 'ī', 'í', 'ǐ', 'ì'],
+  o: ['o', 'ō', 'ó', 'ǒ', 'ò'],
+  u: ['u', 'ū', 'ú', 'ǔ', 'ù'],
+  ü: ['ü', 'ǖ', 'ǘ', 'ǚ', 'ǜ']
+};
+
+const CHINESE_CHAR_PATTERN = /[\u4e00-\u9fa5]/;
+
+class PinyinConverter {
+  /**
+   * @param {Object} deps - { dictionary, storage }; storage holds user overrides
+   */
+  constructor({ dictionary = pinyinDictionary, storage = null } = {}) {
+    this.dictionary = dictionary;
+    this.storage = storage;
+    this.charIndex = null; // char -> readings, most common first
+    this.phrases = {};
+    this.maxPhraseLength = 1;
+    this.syllables = null; // Toneless syllables, e.g. "zhang"
+  }
+
+  /**
+   * Build lookup tables from the dictionary on first use
+   */
+  ensureIndex() {
+    if (this.charIndex) return;
+
+    const dictionary = this.dictionary;
+    this.charIndex = {};
+    this.syllables = new Set();
+
+    Object.entries(dictionary.chars).forEach(([syllable, chars]) => {
+      for (const char of chars) {
+        this.charIndex[char] = [syllable];
+      }
+      this.syllables.add(this.stripTone(syllable));
+    });
+
+    Object.entries(dictionary.polyphones || {}).forEach(([char, readings]) => {
+      this.charIndex[char] = readings;
+      readings.forEach(reading => this.syllables.add(this.stripTone(reading)));
+    });
+
+    this.phrases = dictionary.phrases || {};
+    this.maxPhraseLength = Math.max(1, ...Object.keys(this.phrases).map(word => word.length));
+  }
+
+  /**
+   * Get every reading of a character
+   * @param {string} char - Chinese character
+   * @returns {Array} Readings, most common first; empty if unknown
+   */
+  getReadings(char) {
+    this.ensureIndex();
+    return this.charIndex[char] || [];
+  }
+
+  /**
+   * Check whether a character has more than one reading
+   * @param {string} char - Chinese character
+   * @returns {boolean} True for polyphones
+   */
+  isPolyphone(char) {
+    return this.getReadings(char).length > 1;
+  }
+
+  /**
+   * Get the readings the user has corrected by hand
+   * @returns {Object} Word -> pinyin
+   */
+  getOverrides() {
+    return this.storage?.getPinyinOverrides() || {};
+  }
+
+  /**
+   * Split text into words and pick a reading for each character
+   * @param {string} text - Text to convert
+   * @returns {Array} Array of { text, pinyin, source } where source is
+   *   'override', 'phrase', 'char', 'unknown' or 'other' (non-Chinese text)
+   */
+  segment(text) {
+    this.ensureIndex();
+
+    const overrides = this.getOverrides();
+    const maxLength = Math.max(this.maxPhraseLength, ...Object.keys(overrides).map(word => word.length));
+    const chars = Array.from(text || '');
+    const segments = [];
+    let index = 0;
+
+    while (index < chars.length) {
+      const char = chars[index];
+
+      if (!CHINESE_CHAR_PATTERN.test(char)) {
+        // Keep runs of letters, digits and punctuation together
+        let end = index;
+        while (end < chars.length && !CHINESE_CHAR_PATTERN.test(chars[end])) end++;
+        const other = chars.slice(index, end).join('').trim();
+        if (other) {
+          segments.push({ text: other, pinyin: [other], source: 'other' });
+        }
+        index = end;
+        continue;
+      }
+
+      const match = this.matchWord(chars, index, maxLength, overrides);
+      if (match) {
+        segments.push(match);
+        index += match.text.length;
+        continue;
+      }
+
+      const readings = this.charIndex[char];
+      if (!readings) {
+        segments.push({ text: char, pinyin: [char], source: 'unknown' });
+      } else {
+        segments.push({ text: char, pinyin: [this.getCharReading(chars, index)], source: 'char' });
+      }
+      index++;
+    }
+
+    return segments;
+  }
+
+  /**
+   * Find the longest override or phrase starting at a position
+   * @param {Array} chars - Text as an array of characters
+   * @param {number} start - Start index
+   * @param {number} maxLength - Longest word to try
+   * @param {Object} overrides - User overrides
+   * @returns {Object|null} Segment, or null if nothing matched
+   */
+  matchWord(chars, start, maxLength, overrides) {
+    for (let length = Math.min(maxLength, chars.length - start); length >= 1; length--) {
+      const word = chars.slice(start, start + length).join('');
+
+      if (overrides[word]) {
+        return { text: word, pinyin: overrides[word].split(/\s+/), source: 'override' };
+      }
+      if (length > 1 && this.phrases[word]) {
+        return { text: word, pinyin: this.phrases[word].split(' '), source: 'phrase' };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Default reading for a character that isn't part of a known phrase
+   * @param {Array} chars - Text as an array of characters
+   * @param {number} index - Character index
+   * @returns {string} Reading
+   */
+  getCharReading(chars, index) {
+    // The noun suffix 子 is toneless (桌子, 兔子); word-initial 子 keeps zǐ
+    if (chars[index] === '子' && index > 0 && CHINESE_CHAR_PATTERN.test(chars[index - 1])) {
+      return 'zi';
+    }
+    return this.charIndex[chars[index]][0];
+  }
+
+  /**
+   * Convert text to tone-marked pinyin
+   * @param {string} text - Chinese text
+   * @returns {string} Pinyin with one space between syllables
+   */
+  convert(text) {
+    return this.segment(text).flatMap(segment => segment.pinyin).join(' ');
+  }
+
+  /**
+   * Convert text and report anything the user may want to check
+   * @param {string} text - Chinese text
+   * @returns {Object} { pinyin, polyphones: [{ char, readings, reading }], unknown: [chars] }
+   */
+  analyze(text) {
+    const segments = this.segment(text);
+    const polyphones = [];
+    const unknown = [];
+
+    segments.forEach(segment => {
+      if (segment.source === 'unknown') {
+        unknown.push(segment.text);
+      } else if (segment.source === 'char' && this.isPolyphone(segment.text)) {
+        polyphones.push({
+          char: segment.text,
+          readings: this.getReadings(segment.text),
+          reading: segment.pinyin[0]
+        });
+      }
+    });
+
+    return {
+      pinyin: segments.flatMap(segment => segment.pinyin).join(' '),
+      polyphones: polyphones,
+      unknown: unknown
+    };
+  }
+
+  /**
+   * Remove tone marks from a syllable
+   * @param {string} syllable - e.g. "zhǎng"
+   * @returns {string} e.g. "zhang" (ü is kept)
+   */
+  stripTone(syllable) {
+    return syllable.replace(/[āáǎàēéěèīíǐìōóǒòūúǔùǖǘǚǜ]/g, mark => {
+      const vowel = Object.keys(TONE_MARKS).find(key => TONE_MARKS[key].includes(mark));
+      return vowel;
+    });
+  }
+
+  /**
+   * Turn typed pinyin into a tone-marked syllable. Accepts tone numbers
+   * ("zhang3", "lv4") and v for ü; already marked syllables are kept.
+   * @param {string} syllable - Typed syllable
+   * @returns {string} Tone-marked syllable
+   */
+  normalizeSyllable(syllable) {
+    let value = syllable.trim().toLowerCase().replace(/v|u:/g, 'ü');
+    const toneMatch = value.match(/^([a-zü]+)([0-5])$/);
+    if (!toneMatch) return value;
+
+    const [, base, toneText] = toneMatch;
+    const tone = parseInt(toneText, 10) % 5;
+    value = base;
+    if (tone === 0) return value;
+
+    // a and e always take the mark, "ou" marks the o, otherwise the last vowel
+    let position = value.search(/[ae]/);
+    if (position === -1) position = value.indexOf('ou');
+    if (position === -1) {
+      const vowels = Array.from(value.matchAll(/[iouü]/g));
+      position = vowels.length > 0 ? vowels[vowels.length - 1].index : -1;
+    }
+    if (position === -1) return value;
+
+    const vowel = value[position];
+    return value.slice(0, position) + TONE_MARKS[vowel][tone] + value.slice(position + 1);
+  }
+
+  /**
+   * Normalize a typed pinyin string
+   * @param {string} pinyin - e.g. "shou1 yin2 yuan2"
+   * @returns {string} e.g. "shōu yín yuán"
+   */
+  normalize(pinyin) {
+    return (pinyin || '').trim().split(/\s+/).filter(Boolean)
+      .map(syllable => this.normalizeSyllable(syllable))
+      .join(' ');
+  }
+
+  /**
+   * Check that a syllable exists in Mandarin (tone marks ignored)
+   * @param {string} syllable - Tone-marked syllable
+   * @returns {boolean} True if known
+   */
+  isValidSyllable(syllable) {
+    this.ensureIndex();
+    return this.syllables.has(this.stripTone(syllable.toLowerCase()));
+  }
+
+  /**
+   * Remember a hand-corrected reading for a word
+   * @param {string} word - Chinese word
+   * @param {string} pinyin - Reading, tone marks or tone numbers
+   * @returns {boolean} True if saved
+   */
+  setOverride(word, pinyin) {
+    const normalized = this.normalize(pinyin);
+    if (!word || normalized.split(' ').length !== Array.from(word).length) {
+      return false;
+    }
+    return this.storage.savePinyinOverride(word, normalized);
+  }
+
+  /**
+   * Forget a hand-corrected reading
+   * @param {string} word - Chinese word
+   * @returns {boolean} True if removed
+   */
+  removeOverride(word) {
+    return this.storage.removePinyinOverride(word);
+  }
+}
+
+export default PinyinConverter;
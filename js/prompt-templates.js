@@ -0,0 +1,217 @@
+/**
+ * Prompt Templates Module
+ * Loads versioned prompt templates from data/prompt-templates.json, merges in
+ * user templates saved through StorageManager, and renders them with named
+ * placeholders such as {{title}}, {{theme}} and {{vocabulary.core}}
+ */
+
+class PromptTemplateEngine {
+  /**
+   * @param {Object} deps - { storage, pinyin }
+   */
+  constructor({ storage = null, pinyin = null } = {}) {
+    this.storage = storage;
+    this.pinyin = pinyin;
+    this.templates = {};
+    this.defaultTemplateId = 'simple-poster';
+    this.isLoaded = false;
+  }
+
+  /**
+   * Load built-in templates from the data file
+   * @param {string} url - Templates file URL
+   * @returns {Promise<Object>} Loaded templates keyed by ID
+   */
+  async loadTemplates(url = 'data/prompt-templates.json') {
+    try {
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (!data || !data.templates) {
+        throw new Error('提示词模板格式错误');
+      }
+
+      this.templates = {};
+      Object.entries(data.templates).forEach(([id, template]) => {
+        this.templates[id] = this.normalizeTemplate(id, template);
+      });
+      this.defaultTemplateId = data.defaultTemplate || Object.keys(this.templates)[0];
+
+      console.log('✅ 提示词模板加载成功:', Object.keys(this.templates));
+    } catch (error) {
+      console.error('❌ 提示词模板加载失败，使用默认模板:', error);
+      this.templates = this.getDefaultTemplates();
+      this.defaultTemplateId = 'simple-poster';
+    }
+
+    this.isLoaded = true;
+    return this.templates;
+  }
+
+  /**
+   * Convert a template entry to { id, name, version, description, body, custom, basedOn }
+   * @param {string} id - Template ID
+   * @param {Object} template - Raw template; body may be an array of lines
+   * @param {boolean} custom - True for templates saved by the user
+   * @returns {Object} Normalized template
+   */
+  normalizeTemplate(id, template, custom = false) {
+    return {
+      id: id,
+      name: template.name || id,
+      version: template.version || 1,
+      description: template.description || '',
+      body: Array.isArray(template.body) ? template.body.join('\n') : (template.body || ''),
+      custom: custom,
+      basedOn: template.basedOn || null
+    };
+  }
+
+  /**
+   * Get templates created in the template editor
+   * @returns {Object} Custom templates keyed by ID
+   */
+  getCustomTemplates() {
+    const templates = {};
+    (this.storage?.getCustomTemplates() || []).forEach(template => {
+      templates[template.id] = this.normalizeTemplate(template.id, template, true);
+    });
+    return templates;
+  }
+
+  /**
+   * 获取默认模板（备用方案）
+   */
+  getDefaultTemplates() {
+    return {
+      'simple-poster': this.normalizeTemplate('simple-poster', {
+        name: '简洁海报',
+        version: 1,
+        description: '较短的提示词，适合快速生成',
+        body: [
+          '一张中国儿童识字海报：标题《{{title}}》，主题：{{theme}}',
+          '',
+          '适合5-9岁儿童学习中文汉字的教育插图。',
+          '',
+          '必须包含的词汇：',
+          '{{vocabulary.core}}',
+          '{{vocabulary.items}}',
+          '{{vocabulary.environment}}',
+          '',
+          '每个物品都要有中文标签：',
+          '第一行：拼音',
+          '第二行：汉字',
+          '',
+          '色彩明亮，教育风格，清晰标注，适合教室使用。'
+        ]
+      })
+    };
+  }
+
+  /**
+   * Get template by ID, falling back to the default template
+   * @param {string} id - Template ID
+   * @returns {Object|null} Template
+   */
+  getTemplate(id) {
+    if (!this.isLoaded) {
+      this.templates = this.getDefaultTemplates();
+      this.isLoaded = true;
+    }
+
+    return this.getCustomTemplates()[id] ||
+      this.templates[id] ||
+      this.templates[this.defaultTemplateId] ||
+      null;
+  }
+
+  /**
+   * List built-in templates followed by custom ones
+   * @returns {Array} Array of templates
+   */
+  listTemplates() {
+    return [...Object.values(this.templates), ...Object.values(this.getCustomTemplates())];
+  }
+
+  /**
+   * Build the placeholder values for a theme and title
+   * @param {string} theme - Theme key
+   * @param {string} title - Poster title
+   * @param {Object} vocabulary - { core, items, environment } word lists
+   * @param {Object} themeInfo - Theme information including name
+   * @returns {Object} Render context
+   */
+  buildContext(theme, title, vocabulary, themeInfo = null) {
+    const formatWords = (words = []) => words.map(item => `${item.pinyin} ${item.chinese}`).join(', ');
+    const core = vocabulary.core || [];
+    const items = vocabulary.items || [];
+    const environment = vocabulary.environment || [];
+
+    return {
+      title: title,
+      titlePinyin: this.pinyin?.convert(title) || '',
+      theme: themeInfo?.name || theme,
+      themeKey: theme,
+      vocabulary: {
+        core: formatWords(core),
+        items: formatWords(items),
+        environment: formatWords(environment),
+        all: formatWords([...core, ...items, ...environment]),
+        count: core.length + items.length + environment.length
+      }
+    };
+  }
+
+  /**
+   * Replace {{name}} and {{name.path}} placeholders. Unknown placeholders are
+   * left in place so they show up in the preview.
+   * @param {string} body - Template text
+   * @param {Object} context - Placeholder values
+   * @returns {string} Rendered prompt
+   */
+  render(body, context) {
+    return body.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+      const value = this.resolvePath(context, path);
+      return value === undefined || value === null || typeof value === 'object' ? match : String(value);
+    });
+  }
+
+  /**
+   * Read a dotted path from an object
+   * @param {Object} context - Source object
+   * @param {string} path - e.g. "vocabulary.core"
+   * @returns {*} Value or undefined
+   */
+  resolvePath(context, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+  }
+
+  /**
+   * List the placeholders used in a template
+   * @param {string} body - Template text
+   * @returns {Array} Unique placeholder names
+   */
+  getPlaceholders(body) {
+    const names = Array.from(body.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g), match => match[1]);
+    return [...new Set(names)];
+  }
+
+  /**
+   * Find placeholders that the context can't fill
+   * @param {string} body - Template text
+   * @param {Object} context - Placeholder values
+   * @returns {Array} Unknown placeholder names
+   */
+  getUnknownPlaceholders(body, context) {
+    return this.getPlaceholders(body).filter(path => {
+      const value = this.resolvePath(context, path);
+      return value === undefined || value === null || typeof value === 'object';
+    });
+  }
+}
+
+export default PromptTemplateEngine;
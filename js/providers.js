@@ -0,0 +1,353 @@
+/**
+ * Image Generation Providers Module
+ * Defines the provider interface used by ImageGenerator and the registry of
+ * available backends (KIE Nano Banana Pro by default)
+ */
+
+import Utils from './utils.js';
+import GenerationErrors from './errors.js';
+
+/**
+ * Base provider - every backend implements these four operations.
+ * Jobs are normalized to:
+ * { taskId, state, resultUrls, failCode, failMsg, costTime, createTime }
+ * where state is one of 'waiting', 'running', 'processing', 'success', 'fail'.
+ */
+class GenerationProvider {
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+  }
+
+  /**
+   * Create a new generation job
+   * @param {string} apiKey - API authentication key
+   * @param {string} prompt - Text prompt for image generation
+   * @param {Object} options - Additional generation options
+   * @param {AbortSignal} signal - Aborts the request when fired
+   * @returns {Promise<Object>} Object containing the new taskId
+   */
+  async createJob(apiKey, prompt, options = {}, signal = null) {
+    throw new Error(`${this.id}: createJob 未实现`);
+  }
+
+  /**
+   * Fetch the current state of a job
+   * @param {string} taskId - Task ID to query
+   * @param {string} apiKey - API authentication key
+   * @param {AbortSignal} signal - Aborts the request when fired
+   * @returns {Promise<Object>} Normalized job
+   */
+  async pollJob(taskId, apiKey, signal = null) {
+    throw new Error(`${this.id}: pollJob 未实现`);
+  }
+
+  /**
+   * Cancel a job on the backend
+   * @param {string} taskId - Task ID to cancel
+   * @returns {Promise<boolean>} True if the backend accepted the cancellation
+   */
+  async cancelJob(taskId) {
+    return false;
+  }
+
+  /**
+   * Describe what the backend supports
+   * @returns {Object} Capabilities
+   */
+  getCapabilities() {
+    return {
+      aspectRatios: [],
+      resolutions: [],
+      outputFormats: [],
+      maxImageInputs: 0,
+      supportsCancel: false,
+      supportsCallback: false
+    };
+  }
+
+  /**
+   * Convert a backend record (poll response or callback body) into the
+   * normalized job shape
+   * @param {Object} record - Backend task record
+   * @returns {Object} Normalized job
+   */
+  normalizeJob(record) {
+    return record;
+  }
+}
+
+/**
+ * KIE AI provider for the Nano Banana Pro model
+ */
+class KieProvider extends GenerationProvider {
+  /**
+   * @param {Object} deps - { storage } for the `apiBaseUrl` preference
+   */
+  constructor({ storage = null } = {}) {
+    super('kie', 'KIE Nano Banana Pro');
+    this.storage = storage;
+    this.apiBaseUrl = 'https://api.kie.ai/api/v1';
+    this.modelName = 'nano-banana-pro';
+  }
+
+  /**
+   * Get API base URL, honoring the `apiBaseUrl` preference
+   * (e.g. the local mock server in tools/mock-server.js)
+   * @returns {string} Base URL without trailing slash
+   */
+  getApiBaseUrl() {
+    const preferences = this.storage?.getPreferences();
+    return (preferences?.apiBaseUrl || this.apiBaseUrl).replace(/\/+$/, '');
+  }
+
+  /**
+   * Create a new image generation task
+   * @param {string} apiKey - API authentication key
+   * @param {string} prompt - Text prompt for image generation
+   * @param {Object} options - Additional generation options; `callBackUrl` is sent
+   *   at the top level of the request instead of inside `input`
+   * @param {AbortSignal} signal - Aborts the request when fired
+   * @returns {Promise<Object>} Object containing the new taskId
+   */
+  async createJob(apiKey, prompt, options = {}, signal = null) {
+    const { callBackUrl = null, ...inputOptions } = options;
+
+    const defaultOptions = {
+      aspect_ratio: '3:4', // Portrait format for literacy images
+      resolution: '2K',
+      output_format: 'png',
+      image_input: []
+    };
+
+    const requestBody = {
+      model: this.modelName,
+      input: {
+        ...defaultOptions,
+        ...inputOptions,
+        prompt: prompt
+      },
+      callBackUrl: callBackUrl // 未开启回调模式时为null
+    };
+
+    try {
+      console.log('🔗 创建API任务...');
+      console.log('请求URL:', `${this.getApiBaseUrl()}/jobs/createTask`);
+      // Reference images are large data URLs - log only how many were sent
+      const loggedInput = { ...requestBody.input, image_input: `[${requestBody.input.image_input.length} 张参考图]` };
+      console.log('请求体:', JSON.stringify({ ...requestBody, input: loggedInput }, null, 2));
+
+      const response = await fetch(`${this.getApiBaseUrl()}/jobs/createTask`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestBody),
+        signal: signal
+      });
+
+      console.log('📡 API响应状态:', response.status, response.statusText);
+
+      const data = await response.json();
+      console.log('📋 API响应数据:', data);
+
+      if (!response.ok) {
+        const error = this.handleApiError(response.status, data, response.headers);
+        console.error('❌ API请求失败:', error);
+        throw error;
+      }
+
+      if (!data.data || !data.data.taskId) {
+        throw new GenerationErrors.ServerError('API响应格式错误：缺少taskId', { status: response.status, data: data });
+      }
+
+      console.log('✅ 任务创建成功:', data.data.taskId);
+      return { taskId: data.data.taskId };
+
+    } catch (error) {
+      console.error('❌ 创建图片生成任务时出错:', error);
+
+      // fetch 抛出 TypeError 表示请求没有到达服务器
+      if (error.name === 'TypeError') {
+        throw new GenerationErrors.NetworkError();
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Query task status and results
+   * @param {string} taskId - Task ID to query
+   * @param {string} apiKey - API authentication key
+   * @param {AbortSignal} signal - Aborts the request when fired
+   * @returns {Promise<Object>} Normalized job
+   */
+  async pollJob(taskId, apiKey, signal = null) {
+    try {
+      console.log(`🔍 查询任务状态: ${taskId}`);
+      const response = await fetch(`${this.getApiBaseUrl()}/jobs/recordInfo?taskId=${taskId}`, {
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        signal: signal
+      });
+      const data = await response.json();
+
+      console.log('📊 任务状态响应:', data);
+
+      if (!response.ok) {
+        const error = this.handleApiError(response.status, data, response.headers);
+        console.error('❌ 查询任务状态失败:', error);
+        throw error;
+      }
+
+      return this.normalizeJob(data.data);
+    } catch (error) {
+      console.error('❌ 查询任务状态时出错:', error);
+
+      if (error.name === 'TypeError') {
+        throw new GenerationErrors.NetworkError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a recordInfo payload into the provider-neutral job shape
+   * @param {Object} record - `data` field of the recordInfo response
+   * @returns {Object} Normalized job
+   */
+  normalizeJob(record) {
+    let resultUrls = [];
+    if (record.state === 'success' && record.resultJson) {
+      resultUrls = JSON.parse(record.resultJson).resultUrls || [];
+    }
+
+    return {
+      taskId: record.taskId,
+      state: record.state,
+      resultUrls: resultUrls,
+      failCode: record.failCode,
+      failMsg: record.failMsg,
+      costTime: record.costTime,
+      createTime: record.createTime
+    };
+  }
+
+  /**
+   * Describe the options accepted by Nano Banana Pro
+   * @returns {Object} Capabilities
+   */
+  getCapabilities() {
+    return {
+      aspectRatios: ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9', 'auto'],
+      resolutions: ['1K', '2K', '4K'],
+      outputFormats: ['png', 'jpg'],
+      maxImageInputs: 8,
+      supportsCancel: false, // API doesn't have a cancel endpoint
+      supportsCallback: true
+    };
+  }
+
+  /**
+   * Handle API errors and return appropriate error objects
+   * @param {number} status - HTTP status code
+   * @param {Object} data - Response data
+   * @param {Headers} headers - Response headers, used for Retry-After
+   * @returns {GenerationError} Typed error (see js/errors.js)
+   */
+  handleApiError(status, data, headers = null) {
+    const errorMessages = {
+      400: '请求参数格式错误，请检查输入内容',
+      401: 'API密钥无效或已过期，请检查密钥是否正确',
+      402: '账户余额不足，请充值后重试',
+      404: '请求的资源不存在或已被删除',
+      422: '请求参数验证失败，请检查输入内容是否符合要求',
+      429: '请求频率过高，请稍后再试',
+      500: '服务器内部错误，请稍后重试',
+      502: '网关错误，请稍后重试',
+      503: '服务暂时不可用，请稍后重试',
+      504: '网关超时，请稍后重试'
+    };
+
+    // 尝试从响应中获取更详细的错误信息
+    let message = data.msg || data.message || errorMessages[status] || `未知错误 (${status})`;
+
+    // 如果有详细的错误信息，添加到消息中
+    if (data.failMsg) {
+      message += ` (${data.failMsg})`;
+    }
+
+    // 如果有错误代码，添加到消息中
+    if (data.failCode) {
+      message += ` [错误代码: ${data.failCode}]`;
+    }
+
+    const error = GenerationErrors.fromHttpStatus(status, message, {
+      code: data.code || data.failCode,
+      data: data,
+      retryAfter: Utils.parseRetryAfter(headers?.get('Retry-After'))
+    });
+
+    console.error('🚨 API错误详情:', {
+      type: error.type,
+      status: status,
+      message: message,
+      code: error.code,
+      data: data
+    });
+
+    return error;
+  }
+}
+
+/**
+ * Registry of available providers
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultProviderId = 'kie';
+  }
+
+  /**
+   * Register a provider implementation
+   * @param {GenerationProvider} provider - Provider instance
+   */
+  register(provider) {
+    if (!provider || !provider.id) {
+      throw new Error('Provider must have an id');
+    }
+    this.providers.set(provider.id, provider);
+  }
+
+  /**
+   * Remove a provider
+   * @param {string} id - Provider ID
+   */
+  unregister(id) {
+    this.providers.delete(id);
+  }
+
+  /**
+   * Get provider by ID, falling back to the default provider
+   * @param {string} id - Provider ID
+   * @returns {GenerationProvider} Provider instance
+   */
+  get(id) {
+    return this.providers.get(id) || this.providers.get(this.defaultProviderId);
+  }
+
+  /**
+   * List registered providers for display
+   * @returns {Array} Array of { id, name }
+   */
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      id: provider.id,
+      name: provider.name
+    }));
+  }
+}
+
+export { GenerationProvider, KieProvider, ProviderRegistry };
@@ -0,0 +1,310 @@
+/**
+ * Generation Queue Module
+ * Runs several theme/title generations with a concurrency limit
+ */
+
+import Utils from './utils.js';
+import GenerationErrors from './errors.js';
+
+class GenerationQueue {
+  /**
+   * @param {Object} deps - { storage, generator, imageLibrary, parentLock }
+   */
+  constructor({ storage, generator, imageLibrary = null, parentLock = null }) {
+    this.storage = storage;
+    this.generator = generator;
+    this.imageLibrary = imageLibrary;
+    this.parentLock = parentLock;
+    this.items = [];
+    this.apiKey = null;
+    this.isRunning = false;
+    this.limitReached = false; // Stopped because the daily generation limit was used up
+    this.listeners = [];
+  }
+
+  /**
+   * Get concurrency limit from preferences
+   * @returns {number} Maximum simultaneous generations
+   */
+  getConcurrency() {
+    const preferences = this.storage.getPreferences();
+    return Math.max(1, preferences?.queueConcurrency || 2);
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} listener - Called with the queue after every change
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Notify listeners of a change
+   */
+  emitChange() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Add an item to the queue
+   * @param {Object} item - { theme, themeName, title, prompt, vocabulary, options, imageInput, references }
+   * @returns {Object} Queued item
+   */
+  add(item) {
+    const queueItem = {
+      id: Utils.generateUUID(),
+      theme: item.theme,
+      themeName: item.themeName,
+      title: item.title,
+      prompt: item.prompt,
+      vocabulary: item.vocabulary || null,
+      options: item.options || {},
+      imageInput: item.imageInput || [],
+      references: item.references || [],
+      profileId: this.storage.getActiveProfileId(), // History is saved for the profile that queued it
+      status: 'queued',
+      progress: null,
+      taskId: null,
+      result: null,
+      error: null,
+      attempts: 0,
+      controller: null
+    };
+
+    this.items.push(queueItem);
+    this.emitChange();
+
+    if (this.isRunning) this.pump();
+    return queueItem;
+  }
+
+  /**
+   * Remove an item, cancelling it first if it is running
+   * @param {string} itemId - Queue item ID
+   */
+  remove(itemId) {
+    const item = this.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    if (item.status === 'running') {
+      item.controller.abort();
+    }
+
+    this.items = this.items.filter(i => i.id !== itemId);
+    this.emitChange();
+  }
+
+  /**
+   * Put a failed or cancelled item back in the queue
+   * @param {string} itemId - Queue item ID
+   */
+  retry(itemId) {
+    const item = this.items.find(i => i.id === itemId);
+    if (!item || (item.status !== 'failed' && item.status !== 'cancelled')) return;
+
+    item.status = 'queued';
+    item.progress = null;
+    item.taskId = null;
+    item.error = null;
+    this.emitChange();
+
+    if (this.isRunning) this.pump();
+  }
+
+  /**
+   * Remove finished (successful) items
+   */
+  clearFinished() {
+    this.items = this.items.filter(item => item.status !== 'success');
+    this.emitChange();
+  }
+
+  /**
+   * Start processing queued items
+   * @param {string} apiKey - API authentication key
+   */
+  start(apiKey) {
+    this.apiKey = apiKey;
+    this.isRunning = true;
+    this.limitReached = false;
+    this.emitChange();
+    this.pump();
+  }
+
+  /**
+   * Stop starting new items and cancel the running ones
+   */
+  stop() {
+    this.isRunning = false;
+    this.items
+      .filter(item => item.status === 'running')
+      .forEach(item => item.controller.abort());
+    this.emitChange();
+  }
+
+  /**
+   * Count free generation slots. Generations started outside the queue
+   * (tracked in ImageGenerator.activeTasks) count against the limit too.
+   * @returns {number} Number of items that may start now
+   */
+  getAvailableSlots() {
+    const running = this.items.filter(item => item.status === 'running');
+    const queueTaskIds = new Set(running.map(item => item.taskId).filter(Boolean));
+    const external = Array.from(this.generator.activeTasks.keys())
+      .filter(taskId => !queueTaskIds.has(taskId)).length;
+
+    return this.getConcurrency() - running.length - external;
+  }
+
+  /**
+   * Start as many queued items as the concurrency limit allows
+   */
+  pump() {
+    let slots = this.getAvailableSlots();
+
+    while (this.isRunning && slots > 0) {
+      const next = this.items.find(item => item.status === 'queued');
+      if (!next) break;
+
+      if (this.parentLock && !this.parentLock.canGenerate()) {
+        this.isRunning = false;
+        this.limitReached = true;
+        this.emitChange();
+        break;
+      }
+
+      this.parentLock?.recordGeneration();
+      this.runItem(next).catch(error => this.failItem(next, error));
+      slots--;
+    }
+
+    const hasWork = this.items.some(item => item.status === 'queued' || item.status === 'running');
+    if (this.isRunning && !hasWork) {
+      this.isRunning = false;
+      this.emitChange();
+    }
+  }
+
+  /**
+   * Generate a single queue item
+   * @param {Object} item - Queue item
+   */
+  async runItem(item) {
+    item.status = 'running';
+    item.attempts++;
+    item.controller = new AbortController();
+    this.emitChange();
+
+    const options = { ...item.options, image_input: item.imageInput };
+
+    const result = await this.generator.generateImage(this.apiKey, item.prompt, options, (progress) => {
+      if (progress.taskId && !item.taskId) {
+        item.taskId = progress.taskId;
+        this.storage.savePendingTask({
+          taskId: item.taskId,
+          title: item.title,
+          theme: item.theme,
+          themeName: item.themeName,
+          prompt: item.prompt,
+          vocabulary: item.vocabulary,
+          options: item.options,
+          references: item.references,
+          profileId: item.profileId
+        });
+      }
+
+      item.progress = progress;
+      this.emitChange();
+    }, item.controller.signal);
+
+    // A transient failure leaves the task running on the server, so keep it
+    // pending and let the next page load pick up its result
+    const unfinished = !result.success && !result.cancelled && !GenerationErrors.isTerminal(result.cause);
+    if (item.taskId && !unfinished) {
+      this.storage.removePendingTask(item.taskId);
+    }
+
+    // Item was removed from the queue while running
+    if (!this.items.includes(item)) {
+      this.pump();
+      return;
+    }
+
+    item.controller = null;
+    item.result = result;
+
+    if (result.success) {
+      // Keep a local copy - the returned URL expires
+      const imageId = await this.imageLibrary?.saveFromUrl(result.imageUrl, {
+        taskId: result.taskId,
+        title: item.title
+      });
+
+      item.status = 'success';
+      this.storage.addToHistory({
+        status: 'success',
+        taskId: result.taskId,
+        title: item.title,
+        theme: item.theme,
+        themeName: item.themeName,
+        imageUrl: result.imageUrl,
+        imageId: imageId || null,
+        generationTime: result.generationTime,
+        timestamp: result.timestamp,
+        vocabulary: item.vocabulary,
+        options: item.options,
+        references: item.references
+      }, item.profileId);
+    } else if (result.cancelled) {
+      item.status = 'cancelled';
+    } else if (unfinished && item.taskId) {
+      item.status = 'failed';
+      item.error = `${result.error}（任务已保存，下次打开时会继续）`;
+    } else {
+      item.status = 'failed';
+      item.error = result.error;
+      this.storage.addToHistory({
+        status: 'failed',
+        taskId: result.taskId,
+        title: item.title,
+        theme: item.theme,
+        themeName: item.themeName,
+        error: result.error
+      }, item.profileId);
+    }
+
+    this.emitChange();
+    this.pump();
+  }
+
+  /**
+   * Mark an item failed after an unexpected error (e.g. storage or the image
+   * library throwing) so it doesn't stay "running" and block a slot
+   * @param {Object} item - Queue item
+   * @param {Error} error - Error thrown by runItem()
+   */
+  failItem(item, error) {
+    console.error('❌ 队列任务出错:', item.title, error);
+
+    item.controller = null;
+    item.status = 'failed';
+    item.error = error?.message || '未知错误';
+
+    this.emitChange();
+    this.pump();
+  }
+
+  /**
+   * Summarize item states
+   * @returns {Object} Counts per status
+   */
+  getStats() {
+    return this.items.reduce((stats, item) => {
+      stats[item.status] = (stats[item.status] || 0) + 1;
+      return stats;
+    }, { queued: 0, running: 0, success: 0, failed: 0, cancelled: 0 });
+  }
+}
+
+export default GenerationQueue;
@@ -0,0 +1,150 @@
+/**
+ * Review Scheduler Module
+ * Spaced repetition over every word the child has met in a poster. Uses the
+ * SM-2 algorithm: each word keeps an easiness factor and an interval in days,
+ * and comes back for review when its due date is reached. The schedule is
+ * part of the per-word progress of the active profile.
+ */
+
+import Utils from './utils.js';
+
+class ReviewScheduler {
+  /**
+   * @param {Object} deps - { storage } for history and progress, { flashcards } for building cards
+   */
+  constructor({ storage, flashcards }) {
+    this.storage = storage;
+    this.flashcards = flashcards;
+    this.defaultEasiness = 2.5;
+    this.minEasiness = 1.3;
+    this.newWordsPerDay = 10; // Words reviewed for the first time per day
+    this.grades = {
+      again: 1, // Forgot the word
+      hard: 3, // Remembered after thinking
+      easy: 5 // Remembered right away
+    };
+  }
+
+  /**
+   * Collect the words of all successful posters in history. Posters are
+   * read oldest first and each word keeps the first poster it appeared in
+   * as its source; within a poster the words follow buildDeck(), so words
+   * the child didn't know in the flashcards come first.
+   * @param {Object} themes - Theme data by key; vocabulary for posters saved without their own
+   * @returns {Array} Cards of { chinese, pinyin, hint, source } where source is the history item
+   */
+  collectWords(themes = {}) {
+    const history = this.storage.getHistory()
+      .filter(item => item.status !== 'failed' && item.status !== 'cancelled')
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const words = new Map();
+    history.forEach(item => {
+      this.flashcards.buildDeck(this.flashcards.getVocabulary(item, themes)).forEach(card => {
+        if (!words.has(card.chinese)) {
+          words.set(card.chinese, { ...card, source: item });
+        }
+      });
+    });
+
+    return [...words.values()];
+  }
+
+  /**
+   * Build today's review: words that are due, oldest due date first, then
+   * up to newWordsPerDay words that were never reviewed
+   * @param {Object} themes - Theme data by key
+   * @returns {Array} Cards from collectWords()
+   */
+  getTodaySession(themes = {}) {
+    const today = Utils.getDateKey();
+    const progress = this.storage.getProgress().words;
+    const words = this.collectWords(themes);
+
+    const due = words
+      .filter(word => progress[word.chinese]?.due && progress[word.chinese].due <= today)
+      .sort((a, b) => progress[a.chinese].due.localeCompare(progress[b.chinese].due));
+
+    // Words the child didn't know in the flashcards come first
+    const unseen = words.filter(word => !progress[word.chinese]?.due);
+    const needsPractice = word => progress[word.chinese]?.known === false;
+    const newWords = [...unseen.filter(needsPractice), ...unseen.filter(word => !needsPractice(word))];
+
+    const startedToday = Object.values(progress).filter(record => record.firstReviewed === today).length;
+    const newLimit = Math.max(0, this.newWordsPerDay - startedToday);
+
+    return [...due, ...newWords.slice(0, newLimit)];
+  }
+
+  /**
+   * Count the words waiting in today's review
+   * @param {Object} themes - Theme data by key
+   * @returns {number} Number of cards
+   */
+  getDueCount(themes = {}) {
+    return this.getTodaySession(themes).length;
+  }
+
+  /**
+   * Work out the next interval with SM-2
+   * @param {Object|null} record - Saved word record, or null for a new word
+   * @param {number} quality - Grade from 0 (forgot) to 5 (easy)
+   * @returns {Object} { easiness, interval, repetitions }
+   */
+  schedule(record, quality) {
+    const easiness = record?.easiness || this.defaultEasiness;
+    const repetitions = record?.repetitions || 0;
+
+    // A forgotten word starts over but keeps its easiness
+    if (quality < 3) {
+      return { easiness: easiness, interval: 1, repetitions: 0 };
+    }
+
+    let interval;
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round((record.interval || 1) * easiness);
+    }
+
+    const penalty = 5 - quality;
+    const nextEasiness = Math.max(this.minEasiness, easiness + 0.1 - penalty * (0.08 + penalty * 0.02));
+
+    return {
+      easiness: Math.round(nextEasiness * 100) / 100,
+      interval: interval,
+      repetitions: repetitions + 1
+    };
+  }
+
+  /**
+   * Record how well the child remembered a word and schedule its next review
+   * @param {Object} card - Card from getTodaySession()
+   * @param {number} quality - One of this.grades
+   * @returns {Object} Updated word record, including the next due date as YYYY-MM-DD
+   */
+  grade(card, quality) {
+    const record = this.flashcards.getWordRecord(card.chinese);
+    const known = quality >= 3;
+    const next = this.schedule(record, quality);
+
+    const changes = {
+      ...next,
+      pinyin: card.pinyin,
+      known: known,
+      knownCount: (record?.knownCount || 0) + (known ? 1 : 0),
+      unknownCount: (record?.unknownCount || 0) + (known ? 0 : 1),
+      due: Utils.getDateKey(Date.now(), next.interval),
+      firstReviewed: record?.firstReviewed || Utils.getDateKey(),
+      lastStudied: Date.now()
+    };
+
+    this.storage.updateWordProgress(card.chinese, changes);
+    console.log('📅 已安排复习:', card.chinese, changes.due);
+    return { ...record, ...changes };
+  }
+}
+
+export default ReviewScheduler;
@@ -3,25 +3,63 @@
  * Handles data persistence using browser's localStorage
  */
 
+import Utils from './utils.js';
+
 class StorageManager {
   constructor() {
     this.storageKeys = {
       HISTORY: 'literacy_generation_history',
       PREFERENCES: 'literacy_user_preferences',
       API_KEY: 'literacy_api_key',
-      CACHE: 'literacy_image_cache'
+      CACHE: 'literacy_image_cache',
+      PENDING_TASKS: 'literacy_pending_tasks',
+      CUSTOM_TEMPLATES: 'literacy_custom_templates',
+      CUSTOM_THEMES: 'literacy_custom_themes',
+      PINYIN_OVERRIDES: 'literacy_pinyin_overrides',
+      THEMES_CACHE: 'literacy_themes_cache',
+      PARENT_LOCK: 'literacy_parent_lock',
+      GENERATION_USAGE: 'literacy_generation_usage',
+      PROFILES: 'literacy_profiles',
+      ACTIVE_PROFILE: 'literacy_active_profile',
+      PROGRESS: 'literacy_learning_progress',
+      APP_SETTINGS: 'literacy_app_settings'
     };
 
+    // Kept separately for every child profile. The default profile uses the
+    // plain keys, so data saved before profiles existed belongs to it.
+    this.profileKeys = ['HISTORY', 'PREFERENCES', 'PROGRESS'];
+    this.defaultProfileId = 'default';
+    this.activeProfileId = this.defaultProfileId;
+
+    // Preferences that belong to this browser rather than to one child: the
+    // generation service, callbacks, queue and API key lock. They're saved
+    // under APP_SETTINGS; everything else is saved per profile.
+    this.appSettingKeys = ['provider', 'apiBaseUrl', 'queueConcurrency', 'apiKeyLockMinutes', 'callbackMode', 'callbackServerUrl', 'callbackPublicUrl'];
+
     this.defaultPreferences = {
       language: 'zh-CN',
       autoSave: true,
       maxHistory: 50,
       theme: 'auto',
       soundEnabled: true,
-      autoDownload: false
+      autoDownload: false,
+      provider: 'kie',
+      apiBaseUrl: null, // null uses the provider's default endpoint
+      queueConcurrency: 2,
+      apiKeyLockMinutes: 15, // Lock the saved API key after this much idle time; 0 never locks
+      callbackMode: false, // Wait for KIE callbacks via tools/callback-server.js
+      callbackServerUrl: 'http://localhost:8788',
+      callbackPublicUrl: null, // Public address KIE posts to; null uses callbackServerUrl
+      promptTemplate: null, // null uses the default in data/prompt-templates.json
+      generationOptions: {
+        aspect_ratio: '3:4', // Portrait format for literacy images
+        resolution: '2K',
+        output_format: 'png'
+      }
     };
 
     this.maxCacheSize = 50 * 1024 * 1024; // 50MB cache limit
+    this.maxPendingTaskAge = 24 * 60 * 60 * 1000; // Give up resuming after 24 hours
   }
 
   /**
@@ -122,9 +160,13 @@ class StorageManager {
     if (!storage) return false;
 
     try {
+      this.getProfiles().forEach(profile => {
+        this.profileKeys.forEach(name => storage.removeItem(this.getProfileKey(name, profile.id)));
+      });
       Object.values(this.storageKeys).forEach(key => {
         storage.removeItem(key);
       });
+      this.activeProfileId = this.defaultProfileId;
       return true;
     } catch (error) {
       console.error('Error clearing localStorage:', error);
@@ -169,43 +211,56 @@ class StorageManager {
   /**
    * Save generation history
    * @param {Array} history - Array of history items
+   * @param {string} profileId - Profile to save for; defaults to the active one
    * @returns {boolean} True if successful
    */
-  saveHistory(history) {
+  saveHistory(history, profileId = this.activeProfileId) {
     if (!Array.isArray(history)) {
       console.error('History must be an array');
       return false;
     }
 
-    const preferences = this.getPreferences();
+    const preferences = this.getPreferences(profileId);
     const maxHistory = preferences.maxHistory || this.defaultPreferences.maxHistory;
 
     // Limit history size
     const limitedHistory = history.slice(-maxHistory);
 
-    return this.setItem(this.storageKeys.HISTORY, limitedHistory);
+    return this.setItem(this.getProfileKey('HISTORY', profileId), limitedHistory);
   }
 
   /**
    * Get generation history
+   * @param {string} profileId - Profile to read; defaults to the active one
    * @returns {Array} Array of history items
    */
-  getHistory() {
-    return this.getItem(this.storageKeys.HISTORY, []);
+  getHistory(profileId = this.activeProfileId) {
+    return this.getItem(this.getProfileKey('HISTORY', profileId), []);
+  }
+
+  /**
+   * Get the history of every profile, e.g. to find images still in use
+   * @returns {Array} History items of all profiles
+   */
+  getAllHistory() {
+    return this.getProfiles().flatMap(profile => this.getHistory(profile.id));
   }
 
   /**
    * Add item to history
    * @param {Object} item - History item to add
+   * @param {string} profileId - Profile the item belongs to; defaults to the
+   *   active one. Generations that finish after a profile switch pass the
+   *   profile they were started for.
    * @returns {boolean} True if successful
    */
-  addToHistory(item) {
+  addToHistory(item, profileId = this.activeProfileId) {
     if (!item || typeof item !== 'object') {
       console.error('Invalid history item');
       return false;
     }
 
-    const history = this.getHistory();
+    const history = this.getHistory(profileId);
     const newItem = {
       id: Utils.generateUUID(),
       timestamp: Date.now(),
@@ -215,14 +270,33 @@ class StorageManager {
     history.push(newItem);
 
     // Check auto-save preference
-    const preferences = this.getPreferences();
+    const preferences = this.getPreferences(profileId);
     if (preferences.autoSave) {
-      return this.saveHistory(history);
+      return this.saveHistory(history, profileId);
     }
 
     return true;
   }
 
+  /**
+   * Update fields of a history item
+   * @param {string} itemId - ID of item to update
+   * @param {Object} changes - Fields to set
+   * @returns {boolean} True if successful
+   */
+  updateHistoryItem(itemId, changes) {
+    const history = this.getHistory();
+    const index = history.findIndex(item => item.id === itemId);
+
+    if (index === -1) {
+      console.warn('Item not found in history:', itemId);
+      return false;
+    }
+
+    history[index] = { ...history[index], ...changes };
+    return this.saveHistory(history);
+  }
+
   /**
    * Remove item from history
    * @param {string} itemId - ID of item to remove
@@ -245,29 +319,263 @@ class StorageManager {
    * @returns {boolean} True if successful
    */
   clearHistory() {
-    return this.setItem(this.storageKeys.HISTORY, []);
+    return this.setItem(this.getProfileKey('HISTORY'), []);
+  }
+
+  /**
+   * Remember an in-flight generation task so it can be resumed after reload
+   * @param {Object} task - Task info ({ taskId, title, theme, themeName, prompt })
+   * @returns {boolean} True if successful
+   */
+  savePendingTask(task) {
+    if (!task || !task.taskId) {
+      console.error('Invalid pending task');
+      return false;
+    }
+
+    const pendingTasks = this.getPendingTasks().filter(item => item.taskId !== task.taskId);
+    pendingTasks.push({
+      createdAt: Date.now(),
+      ...task
+    });
+
+    return this.setItem(this.storageKeys.PENDING_TASKS, pendingTasks);
+  }
+
+  /**
+   * Get in-flight generation tasks, dropping ones too old to resume
+   * @returns {Array} Array of pending tasks
+   */
+  getPendingTasks() {
+    const pendingTasks = this.getItem(this.storageKeys.PENDING_TASKS, []);
+    const now = Date.now();
+    return pendingTasks.filter(task => now - task.createdAt <= this.maxPendingTaskAge);
+  }
+
+  /**
+   * Forget an in-flight generation task
+   * @param {string} taskId - Task ID to remove
+   * @returns {boolean} True if successful
+   */
+  removePendingTask(taskId) {
+    const pendingTasks = this.getPendingTasks().filter(task => task.taskId !== taskId);
+    return this.setItem(this.storageKeys.PENDING_TASKS, pendingTasks);
+  }
+
+  /**
+   * Get user-created prompt templates
+   * @returns {Array} Array of { id, name, version, description, body, basedOn, updatedAt }
+   */
+  getCustomTemplates() {
+    return this.getItem(this.storageKeys.CUSTOM_TEMPLATES, []);
+  }
+
+  /**
+   * Create or update a custom prompt template. The version goes up by one on
+   * every save.
+   * @param {Object} template - Template with name and body; id for updates
+   * @returns {Object|null} Saved template, or null on failure
+   */
+  saveCustomTemplate(template) {
+    const templates = this.getCustomTemplates();
+    const existing = templates.find(t => t.id === template.id);
+
+    const savedTemplate = {
+      id: existing ? existing.id : `custom-${Utils.generateUUID()}`,
+      name: template.name,
+      version: existing ? existing.version + 1 : 1,
+      description: template.description || '',
+      body: template.body,
+      basedOn: existing ? existing.basedOn : (template.basedOn || null),
+      updatedAt: Date.now()
+    };
+
+    const updatedTemplates = existing
+      ? templates.map(t => (t.id === savedTemplate.id ? savedTemplate : t))
+      : [...templates, savedTemplate];
+
+    return this.setItem(this.storageKeys.CUSTOM_TEMPLATES, updatedTemplates) ? savedTemplate : null;
+  }
+
+  /**
+   * Delete a custom prompt template
+   * @param {string} templateId - Template ID
+   * @returns {boolean} True if successful
+   */
+  removeCustomTemplate(templateId) {
+    const templates = this.getCustomTemplates().filter(t => t.id !== templateId);
+    return this.setItem(this.storageKeys.CUSTOM_TEMPLATES, templates);
+  }
+
+  /**
+   * Get user-created themes
+   * @returns {Array} Array of { key, name, icon, description, vocabulary, updatedAt }
+   */
+  getCustomThemes() {
+    return this.getItem(this.storageKeys.CUSTOM_THEMES, []);
+  }
+
+  /**
+   * Create or update a custom theme
+   * @param {Object} theme - Theme in themes.json format; key for updates or imports
+   * @returns {Object|null} Saved theme, or null on failure
+   */
+  saveCustomTheme(theme) {
+    const themes = this.getCustomThemes();
+    const toWord = word => ({ chinese: word.chinese, pinyin: word.pinyin.trim() });
+    const existing = themes.find(t => t.key === theme.key);
+
+    const savedTheme = {
+      // Imported themes keep their key so history entries still match
+      key: existing ? existing.key : (/^custom-[\w-]+$/.test(theme.key || '') ? theme.key : `custom-${Utils.generateUUID()}`),
+      name: theme.name,
+      icon: theme.icon,
+      description: theme.description || '',
+      // Only the fields the editor knows about - imported files may carry anything else
+      vocabulary: {
+        core: theme.vocabulary.core.map(toWord),
+        items: theme.vocabulary.items.map(toWord),
+        environment: theme.vocabulary.environment.map(toWord)
+      },
+      updatedAt: Date.now()
+    };
+
+    const updatedThemes = existing
+      ? themes.map(t => (t.key === savedTheme.key ? savedTheme : t))
+      : [...themes, savedTheme];
+
+    return this.setItem(this.storageKeys.CUSTOM_THEMES, updatedThemes) ? savedTheme : null;
+  }
+
+  /**
+   * Delete a custom theme
+   * @param {string} themeKey - Theme key
+   * @returns {boolean} True if successful
+   */
+  removeCustomTheme(themeKey) {
+    const themes = this.getCustomThemes().filter(t => t.key !== themeKey);
+    return this.setItem(this.storageKeys.CUSTOM_THEMES, themes);
   }
 
   /**
-   * Save user preferences
+   * Remember the last successfully loaded data/themes.json as the offline fallback
+   * @param {Object} themes - Built-in themes keyed by theme key
+   * @returns {boolean} True if successful
+   */
+  saveThemesCache(themes) {
+    return this.setItem(this.storageKeys.THEMES_CACHE, {
+      themes: themes,
+      savedAt: Date.now()
+    });
+  }
+
+  /**
+   * Get the cached built-in themes
+   * @returns {Object|null} Themes keyed by theme key, or null if never loaded
+   */
+  getThemesCache() {
+    const cache = this.getItem(this.storageKeys.THEMES_CACHE, null);
+    return cache && cache.themes ? cache.themes : null;
+  }
+
+  /**
+   * Get hand-corrected pinyin readings
+   * @returns {Object} Word -> tone-marked pinyin
+   */
+  getPinyinOverrides() {
+    return this.getItem(this.storageKeys.PINYIN_OVERRIDES, {});
+  }
+
+  /**
+   * Save a hand-corrected pinyin reading
+   * @param {string} word - Chinese word
+   * @param {string} pinyin - Tone-marked pinyin, one syllable per character
+   * @returns {boolean} True if successful
+   */
+  savePinyinOverride(word, pinyin) {
+    const overrides = this.getPinyinOverrides();
+    overrides[word] = pinyin;
+    return this.setItem(this.storageKeys.PINYIN_OVERRIDES, overrides);
+  }
+
+  /**
+   * Delete a hand-corrected pinyin reading
+   * @param {string} word - Chinese word
+   * @returns {boolean} True if successful
+   */
+  removePinyinOverride(word) {
+    const overrides = this.getPinyinOverrides();
+    delete overrides[word];
+    return this.setItem(this.storageKeys.PINYIN_OVERRIDES, overrides);
+  }
+
+  /**
+   * Split preferences into the app settings and the per-profile part
+   * @param {Object} preferences - Preferences object
+   * @returns {Object} { appSettings, profilePreferences }
+   */
+  splitPreferences(preferences) {
+    const appSettings = {};
+    const profilePreferences = {};
+
+    Object.entries(preferences || {}).forEach(([key, value]) => {
+      if (this.appSettingKeys.includes(key)) {
+        appSettings[key] = value;
+      } else {
+        profilePreferences[key] = value;
+      }
+    });
+
+    return { appSettings, profilePreferences };
+  }
+
+  /**
+   * Get the settings shared by every profile
+   * @returns {Object} Values for the keys in appSettingKeys
+   */
+  getAppSettings() {
+    return {
+      ...this.splitPreferences(this.defaultPreferences).appSettings,
+      ...this.getItem(this.storageKeys.APP_SETTINGS, {})
+    };
+  }
+
+  /**
+   * Save user preferences. App settings are saved for every profile; app
+   * settings left out keep their current value.
    * @param {Object} preferences - Preferences object
+   * @param {string} profileId - Profile to save the rest for; defaults to the active one
    * @returns {boolean} True if successful
    */
-  savePreferences(preferences) {
+  savePreferences(preferences, profileId = this.activeProfileId) {
+    const { appSettings, profilePreferences } = this.splitPreferences(preferences);
     const mergedPreferences = {
-      ...this.defaultPreferences,
-      ...preferences
+      ...this.splitPreferences(this.defaultPreferences).profilePreferences,
+      ...profilePreferences
     };
 
-    return this.setItem(this.storageKeys.PREFERENCES, mergedPreferences);
+    if (Object.keys(appSettings).length > 0 &&
+        !this.setItem(this.storageKeys.APP_SETTINGS, { ...this.getAppSettings(), ...appSettings })) {
+      return false;
+    }
+
+    return this.setItem(this.getProfileKey('PREFERENCES', profileId), mergedPreferences);
   }
 
   /**
-   * Get user preferences
+   * Get user preferences: the profile's own preferences plus the app settings
+   * @param {string} profileId - Profile to read; defaults to the active one
    * @returns {Object} Preferences object
    */
-  getPreferences() {
-    return this.getItem(this.storageKeys.PREFERENCES, this.defaultPreferences);
+  getPreferences(profileId = this.activeProfileId) {
+    const { profilePreferences } = this.splitPreferences(
+      this.getItem(this.getProfileKey('PREFERENCES', profileId), this.defaultPreferences)
+    );
+
+    return {
+      ...profilePreferences,
+      ...this.getAppSettings()
+    };
   }
 
   /**
@@ -283,28 +591,60 @@ class StorageManager {
   }
 
   /**
-   * Save API key (encrypted)
-   * @param {string} apiKey - API key to save
+   * Get default generation options, filling in any missing values
+   * @returns {Object} { aspect_ratio, resolution, output_format }
+   */
+  getGenerationOptions() {
+    const preferences = this.getPreferences();
+    return {
+      ...this.defaultPreferences.generationOptions,
+      ...preferences.generationOptions
+    };
+  }
+
+  /**
+   * Remember generation options as the new defaults
+   * @param {Object} options - { aspect_ratio, resolution, output_format }
+   * @returns {boolean} True if successful
+   */
+  saveGenerationOptions(options) {
+    return this.updatePreference('generationOptions', {
+      aspect_ratio: options.aspect_ratio,
+      resolution: options.resolution,
+      output_format: options.output_format
+    });
+  }
+
+  /**
+   * Save the encrypted API key record created by KeyVault
+   * @param {Object} record - { version, iterations, salt, iv, ciphertext }
    * @returns {boolean} True if successful
    */
-  saveApiKey(apiKey) {
-    if (!apiKey || typeof apiKey !== 'string') {
-      console.error('Invalid API key');
+  saveApiKey(record) {
+    if (!record || typeof record !== 'object' || !record.ciphertext) {
+      console.error('Invalid API key record');
       return false;
     }
 
-    // Simple obfuscation (not encryption for demo)
-    const obfuscatedKey = btoa(apiKey);
-    return this.setItem(this.storageKeys.API_KEY, obfuscatedKey);
+    return this.setItem(this.storageKeys.API_KEY, record);
   }
 
   /**
-   * Get API key (decrypted)
-   * @returns {string|null} API key or null if not found
+   * Get the encrypted API key record
+   * @returns {Object|null} Record for KeyVault.decrypt, or null if none is saved
    */
   getApiKey() {
+    const record = this.getItem(this.storageKeys.API_KEY);
+    return record && typeof record === 'object' ? record : null;
+  }
+
+  /**
+   * Get a key saved by earlier versions, which only base64-encoded it
+   * @returns {string|null} Plain API key, or null if there is none
+   */
+  getLegacyApiKey() {
     const obfuscatedKey = this.getItem(this.storageKeys.API_KEY);
-    if (!obfuscatedKey) return null;
+    if (typeof obfuscatedKey !== 'string') return null;
 
     try {
       return atob(obfuscatedKey);
@@ -322,6 +662,197 @@ class StorageManager {
     return this.removeItem(this.storageKeys.API_KEY);
   }
 
+  /**
+   * Get the storage key of per-profile data
+   * @param {string} name - Name in storageKeys, one of profileKeys
+   * @param {string} profileId - Profile ID; defaults to the active one
+   * @returns {string} localStorage key
+   */
+  getProfileKey(name, profileId = this.activeProfileId) {
+    const key = this.storageKeys[name];
+    return profileId === this.defaultProfileId ? key : `${key}:${profileId}`;
+  }
+
+  /**
+   * Get the child profiles. Before any profile is saved there is one
+   * default profile holding the existing data.
+   * @returns {Array} Array of { id, name, avatar, ageBand, createdAt }
+   */
+  getProfiles() {
+    const profiles = this.getItem(this.storageKeys.PROFILES, []);
+    if (profiles.length > 0) return profiles;
+
+    return [{ id: this.defaultProfileId, name: '小朋友', avatar: '🧒', ageBand: null, createdAt: 0 }];
+  }
+
+  /**
+   * Get the profile whose data is currently used
+   * @returns {Object} Active profile
+   */
+  getActiveProfile() {
+    const profiles = this.getProfiles();
+    return profiles.find(profile => profile.id === this.activeProfileId) || profiles[0];
+  }
+
+  /**
+   * Get the ID of the active profile
+   * @returns {string} Profile ID
+   */
+  getActiveProfileId() {
+    return this.activeProfileId;
+  }
+
+  /**
+   * Switch to another profile. History, preferences and progress are read
+   * from that profile from now on.
+   * @param {string} profileId - Profile ID
+   * @returns {boolean} True if the profile exists
+   */
+  setActiveProfile(profileId) {
+    if (!this.getProfiles().some(profile => profile.id === profileId)) {
+      console.warn('Profile not found:', profileId);
+      return false;
+    }
+
+    this.activeProfileId = profileId;
+    this.setItem(this.storageKeys.ACTIVE_PROFILE, profileId);
+
+    if (!this.getItem(this.getProfileKey('PREFERENCES'))) {
+      this.savePreferences({});
+    }
+    return true;
+  }
+
+  /**
+   * Create or update a child profile. A new profile starts with a copy of the
+   * active profile's preferences, an empty history and no progress. App
+   * settings are shared, not copied.
+   * @param {Object} profile - { name, avatar, ageBand }; id for updates
+   * @returns {Object|null} Saved profile, or null on failure
+   */
+  saveProfile(profile) {
+    const profiles = this.getProfiles();
+    const existing = profiles.find(p => p.id === profile.id);
+
+    const savedProfile = {
+      id: existing ? existing.id : Utils.generateUUID(),
+      name: profile.name,
+      avatar: profile.avatar,
+      ageBand: profile.ageBand || null,
+      createdAt: existing ? existing.createdAt : Date.now()
+    };
+
+    const updatedProfiles = existing
+      ? profiles.map(p => (p.id === savedProfile.id ? savedProfile : p))
+      : [...profiles, savedProfile];
+
+    if (!this.setItem(this.storageKeys.PROFILES, updatedProfiles)) {
+      return null;
+    }
+
+    if (!existing) {
+      const { profilePreferences } = this.splitPreferences(this.getPreferences());
+      this.savePreferences(profilePreferences, savedProfile.id);
+    }
+    return savedProfile;
+  }
+
+  /**
+   * Delete a profile with its history, preferences and progress. The last
+   * profile can't be deleted; deleting the active one switches to the first
+   * remaining profile.
+   * @param {string} profileId - Profile ID
+   * @returns {boolean} True if successful
+   */
+  removeProfile(profileId) {
+    const profiles = this.getProfiles();
+    const remaining = profiles.filter(profile => profile.id !== profileId);
+
+    if (remaining.length === profiles.length || remaining.length === 0) {
+      return false;
+    }
+
+    if (!this.setItem(this.storageKeys.PROFILES, remaining)) {
+      return false;
+    }
+
+    this.profileKeys.forEach(name => this.removeItem(this.getProfileKey(name, profileId)));
+
+    if (this.activeProfileId === profileId) {
+      this.setActiveProfile(remaining[0].id);
+    }
+    return true;
+  }
+
+  /**
+   * Get learning progress
+   * @param {string} profileId - Profile to read; defaults to the active one
+   * @returns {Object} { words } - per-word records keyed by the Chinese word
+   */
+  getProgress(profileId = this.activeProfileId) {
+    return {
+      words: {},
+      ...this.getItem(this.getProfileKey('PROGRESS', profileId), {})
+    };
+  }
+
+  /**
+   * Save learning progress
+   * @param {Object} progress - Object from getProgress()
+   * @param {string} profileId - Profile to save for; defaults to the active one
+   * @returns {boolean} True if successful
+   */
+  saveProgress(progress, profileId = this.activeProfileId) {
+    return this.setItem(this.getProfileKey('PROGRESS', profileId), progress);
+  }
+
+  /**
+   * Merge fields into the progress record of one word
+   * @param {string} word - Chinese word
+   * @param {Object} changes - Fields to set
+   * @returns {boolean} True if successful
+   */
+  updateWordProgress(word, changes) {
+    const progress = this.getProgress();
+    progress.words[word] = { ...progress.words[word], ...changes };
+    return this.saveProgress(progress);
+  }
+
+  /**
+   * Get parent mode settings. Kept apart from the preferences so that
+   * importing a data file can't switch the lock off.
+   * @returns {Object|null} { mode, pinHash, pinSalt, dailyLimit }, or null if never saved
+   */
+  getParentLockSettings() {
+    return this.getItem(this.storageKeys.PARENT_LOCK, null);
+  }
+
+  /**
+   * Save parent mode settings
+   * @param {Object} settings - { mode, pinHash, pinSalt, dailyLimit }
+   * @returns {boolean} True if successful
+   */
+  saveParentLockSettings(settings) {
+    return this.setItem(this.storageKeys.PARENT_LOCK, settings);
+  }
+
+  /**
+   * Get the number of generations started on a day
+   * @returns {Object|null} { date, count } for the last day anything was generated
+   */
+  getGenerationUsage() {
+    return this.getItem(this.storageKeys.GENERATION_USAGE, null);
+  }
+
+  /**
+   * Save the generation count for a day
+   * @param {Object} usage - { date, count }
+   * @returns {boolean} True if successful
+   */
+  saveGenerationUsage(usage) {
+    return this.setItem(this.storageKeys.GENERATION_USAGE, usage);
+  }
+
   /**
    * Cache image data
    * @param {string} url - Image URL
@@ -408,8 +939,10 @@ class StorageManager {
     return {
       version: '1.0',
       exportDate: new Date().toISOString(),
+      profile: this.getActiveProfile(),
       history: this.getHistory(),
-      preferences: this.getPreferences(),
+      // App settings (service address, key lock) stay with this browser
+      preferences: this.splitPreferences(this.getPreferences()).profilePreferences,
       // Note: API key is not exported for security reasons
     };
   }
@@ -446,15 +979,16 @@ class StorageManager {
         );
 
         if (this.saveHistory(uniqueHistory)) {
-          result.imported.history = data.history.length;
+          // Count only entries that weren't already in history
+          result.imported.history = uniqueHistory.length - existingHistory.length;
         } else {
           result.errors.push('Failed to import history');
         }
       }
 
-      // Import preferences
+      // Import preferences - a data file can't change the app settings
       if (data.preferences && typeof data.preferences === 'object') {
-        if (this.savePreferences(data.preferences)) {
+        if (this.savePreferences(this.splitPreferences(data.preferences).profilePreferences)) {
           result.imported.preferences = true;
         } else {
           result.errors.push('Failed to import preferences');
@@ -510,6 +1044,36 @@ class StorageManager {
     };
   }
 
+  /**
+   * Move data saved by the old standalone page script (its own newest-first
+   * history list and plain-text API key) into the current storage keys
+   */
+  migrateLegacyData() {
+    const storage = this.getStorage();
+    const legacyHistory = this.getItem('literacy_history', null);
+    const legacyApiKey = storage.getItem('literacy_user_api_key');
+
+    if (Array.isArray(legacyHistory)) {
+      const history = this.getHistory();
+      const knownIds = new Set(history.map(item => item.id));
+      const migrated = legacyHistory.filter(item => item && item.imageUrl && !knownIds.has(item.id));
+      const merged = [...history, ...migrated].sort((a, b) => a.timestamp - b.timestamp);
+
+      if (migrated.length === 0 || this.saveHistory(merged)) {
+        storage.removeItem('literacy_history');
+        console.log(`📦 已迁移 ${migrated.length} 条旧版历史记录`);
+      }
+    }
+
+    // Kept in the old base64 format until the user sets a passphrase for it
+    if (legacyApiKey && !this.getItem(this.storageKeys.API_KEY)) {
+      this.setItem(this.storageKeys.API_KEY, btoa(legacyApiKey));
+    }
+
+    ['literacy_user_api_key', 'literacy_user_title', 'literacy_user_theme']
+      .forEach(key => storage.removeItem(key));
+  }
+
   /**
    * Initialize storage with default values
    */
@@ -519,21 +1083,32 @@ class StorageManager {
       return false;
     }
 
+    // Continue with the profile used last
+    const activeProfileId = this.getItem(this.storageKeys.ACTIVE_PROFILE);
+    if (this.getProfiles().some(profile => profile.id === activeProfileId)) {
+      this.activeProfileId = activeProfileId;
+    }
+
+    // App settings used to be saved with the preferences of the default profile
+    const savedPreferences = this.getItem(this.storageKeys.PREFERENCES);
+    if (savedPreferences && !this.getItem(this.storageKeys.APP_SETTINGS)) {
+      this.setItem(this.storageKeys.APP_SETTINGS, {
+        ...this.getAppSettings(),
+        ...this.splitPreferences(savedPreferences).appSettings
+      });
+    }
+
     // Initialize preferences if not exists
-    const preferences = this.getItem(this.storageKeys.PREFERENCES);
+    const preferences = this.getItem(this.getProfileKey('PREFERENCES'));
     if (!preferences) {
-      this.savePreferences(this.defaultPreferences);
+      this.savePreferences({});
     }
 
+    this.migrateLegacyData();
+
     console.log('Storage manager initialized successfully');
     return true;
   }
 }
 
-// Create singleton instance
-window.storageManager = new StorageManager();
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = StorageManager;
-}
\ No newline at end of file
+export default StorageManager;
\ No newline at end of file
@@ -3,49 +3,72 @@
  * Manages user interface interactions and DOM manipulation
  */
 
+import Utils from './utils.js';
+import GenerationErrors from './errors.js';
+
 class UIManager {
-  constructor() {
+  /**
+   * @param {Object} deps - { storage, keyVault, parentLock, generator, imageProcessor, imageLibrary, queue, templates, pinyin, flashcards, reviewScheduler }
+   */
+  constructor({ storage, keyVault, parentLock, generator, imageProcessor, imageLibrary, queue, templates, pinyin, flashcards, reviewScheduler }) {
+    this.storage = storage;
+    this.keyVault = keyVault;
+    this.parentLock = parentLock;
+    this.generator = generator;
+    this.imageProcessor = imageProcessor;
+    this.imageLibrary = imageLibrary;
+    this.queue = queue;
+    this.templates = templates;
+    this.pinyin = pinyin;
+    this.flashcards = flashcards;
+    this.reviewScheduler = reviewScheduler;
+
     this.currentPage = 'generate';
     this.selectedTheme = null;
     this.isGenerating = false;
-    this.themesData = null;
+    this.generationController = null;
+    this.themesData = null; // Built-in themes merged with custom themes
+    this.builtInThemes = null;
+    this.referenceImages = []; // { id, name, source, url, thumbnail, historyId }
+    this.selectedWords = new Set(); // "category:汉字" keys chosen in the vocabulary picker
+    this.editingTemplate = null; // { id, basedOn } - id is null for unsaved copies
+    this.editingTheme = null; // { key } - key is null for new themes
+    this.flashcardDeckId = null; // History item ID, or 'current' for the unsaved result
+    this.flashcardSession = null; // { source, cards, index, face, results }
+    this.reviewSession = null; // { cards, index, face, results } for today's review
+    this.billingUrl = 'https://kie.ai/billing';
+    this.profileAvatars = ['🐼', '🐯', '🐰', '🦊', '🐸', '🐻', '🐱', '🐶', '🦄', '🐧', '🐥', '🐳'];
+    this.profileAgeBands = { '3-4': '3-4岁', '5-6': '5-6岁', '7-8': '7-8岁', '9+': '9岁以上' };
 
     // DOM element references
     this.elements = {};
-
-    // 等待DOM完全加载后再初始化
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => this.init());
-    } else {
-      setTimeout(() => this.init(), 0);
-    }
   }
 
   /**
-   * Initialize UI components and event listeners
+   * Initialize UI components and event listeners. Called by the app
+   * bootstrap once the DOM is ready.
+   * @returns {Promise<void>} Resolves after themes and templates are loaded
    */
-  init() {
+  async init() {
     console.log('🎨 UI管理器初始化开始...');
 
-    // 延迟一点时间确保DOM完全渲染
-    setTimeout(() => {
-      try {
-        this.cacheElements();
-        console.log('✅ DOM元素缓存完成');
+    this.cacheElements();
+    this.bindEvents();
+    console.log('✅ 事件监听器绑定完成');
 
-        this.bindEvents();
-        console.log('✅ 事件监听器绑定完成');
+    this.renderAdvancedOptions();
+    await Promise.all([
+      this.templates.loadTemplates().then(() => this.renderTemplateOptions()),
+      this.loadThemes()
+    ]);
 
-        this.loadThemes();
-        console.log('✅ 主题数据加载开始...');
+    this.loadSavedData();
+    this.hideLoadingScreen();
+    console.log('✅ UI管理器初始化完成');
 
-        this.hideLoadingScreen();
-        console.log('✅ UI管理器初始化完成');
-      } catch (error) {
-        console.error('❌ UI初始化失败:', error);
-        this.showToast('页面初始化失败，请刷新页面', 'error');
-      }
-    }, 200);
+    await this.pruneImageLibrary();
+    this.resumePendingTasks();
+    this.backfillImageLibrary();
   }
 
   /**
@@ -54,17 +77,46 @@ class UIManager {
   cacheElements() {
     const elements = {
       // Navigation
-      navButtons: document.querySelectorAll('.nav-btn'),
+      navButtons: document.querySelectorAll('.nav-btn[data-page]'),
+      parentLockBtn: document.getElementById('parentLockBtn'),
+      profileBtn: document.getElementById('profileBtn'),
+      profileAvatar: document.getElementById('profileAvatar'),
+      profileName: document.getElementById('profileName'),
+      reviewBadge: document.getElementById('reviewBadge'),
       pages: document.querySelectorAll('.page'),
 
       // Generate page
       themeGrid: document.getElementById('themeGrid'),
       titleInput: document.getElementById('titleInput'),
       titleCounter: document.getElementById('titleCounter'),
+      titlePinyinRow: document.getElementById('titlePinyinRow'),
+      titlePinyin: document.getElementById('titlePinyin'),
+      editTitlePinyinBtn: document.getElementById('editTitlePinyinBtn'),
       apiKeyInput: document.getElementById('apiKeyInput'),
       toggleApiKey: document.getElementById('toggleApiKey'),
+      apiKeyStatus: document.getElementById('apiKeyStatus'),
+      saveApiKeyBtn: document.getElementById('saveApiKeyBtn'),
+      unlockApiKeyBtn: document.getElementById('unlockApiKeyBtn'),
+      lockApiKeyBtn: document.getElementById('lockApiKeyBtn'),
+      forgetApiKeyBtn: document.getElementById('forgetApiKeyBtn'),
+      apiKeySection: document.getElementById('apiKeySection'),
+      apiKeyLockedHint: document.getElementById('apiKeyLockedHint'),
+      apiKeyParentBtn: document.getElementById('apiKeyParentBtn'),
       generateBtn: document.getElementById('generateBtn'),
-      suggestionButtons: document.querySelectorAll('.suggestion-btn'),
+      suggestionButtons: document.querySelectorAll('.suggestion-btn[data-suggestion]'),
+      advancedOptions: document.getElementById('advancedOptions'),
+      advancedOptionSelects: document.querySelectorAll('#advancedOptions select[data-option]'),
+      promptTemplateSelect: document.getElementById('promptTemplateSelect'),
+      previewPromptBtn: document.getElementById('previewPromptBtn'),
+      referenceInput: document.getElementById('referenceInput'),
+      referenceList: document.getElementById('referenceList'),
+      vocabularyPicker: document.getElementById('vocabularyPicker'),
+      vocabularyGroups: document.getElementById('vocabularyGroups'),
+      vocabSelectAllBtn: document.getElementById('vocabSelectAllBtn'),
+      vocabClearBtn: document.getElementById('vocabClearBtn'),
+      vocabRandomCount: document.getElementById('vocabRandomCount'),
+      vocabRandomBtn: document.getElementById('vocabRandomBtn'),
+      vocabSummary: document.getElementById('vocabSummary'),
 
       // Result section
       resultSection: document.getElementById('resultSection'),
@@ -73,12 +125,75 @@ class UIManager {
       saveHistoryBtn: document.getElementById('saveHistoryBtn'),
       generateAnotherBtn: document.getElementById('generateAnotherBtn'),
 
+      // Templates page
+      templateList: document.getElementById('templateList'),
+      templateEditor: document.getElementById('templateEditor'),
+      templateNameInput: document.getElementById('templateNameInput'),
+      templateBodyInput: document.getElementById('templateBodyInput'),
+      templatePlaceholders: document.getElementById('templatePlaceholders'),
+      templateWarnings: document.getElementById('templateWarnings'),
+      templatePreviewTheme: document.getElementById('templatePreviewTheme'),
+      templatePreviewTitle: document.getElementById('templatePreviewTitle'),
+      templatePreview: document.getElementById('templatePreview'),
+      templateSaveBtn: document.getElementById('templateSaveBtn'),
+      templateCancelBtn: document.getElementById('templateCancelBtn'),
+
+      // Themes page
+      customThemeList: document.getElementById('customThemeList'),
+      themeEditor: document.getElementById('themeEditor'),
+      themeNameInput: document.getElementById('themeNameInput'),
+      themeIconInput: document.getElementById('themeIconInput'),
+      themeDescriptionInput: document.getElementById('themeDescriptionInput'),
+      themeVocabularyInputs: {
+        core: document.getElementById('themeCoreInput'),
+        items: document.getElementById('themeItemsInput'),
+        environment: document.getElementById('themeEnvironmentInput')
+      },
+      themeErrors: document.getElementById('themeErrors'),
+      themeNewBtn: document.getElementById('themeNewBtn'),
+      themeExportBtn: document.getElementById('themeExportBtn'),
+      themeImportInput: document.getElementById('themeImportInput'),
+      themeSaveBtn: document.getElementById('themeSaveBtn'),
+      themeFillPinyinBtn: document.getElementById('themeFillPinyinBtn'),
+      themeCancelBtn: document.getElementById('themeCancelBtn'),
+
       // History page
       historyGrid: document.getElementById('historyGrid'),
       emptyHistory: document.getElementById('emptyHistory'),
       clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+      startGeneratingBtn: document.getElementById('startGeneratingBtn'),
       exportHistoryBtn: document.getElementById('exportHistoryBtn'),
 
+      // Flashcards page
+      flashcardDeckPicker: document.getElementById('flashcardDeckPicker'),
+      flashcardDeckSelect: document.getElementById('flashcardDeckSelect'),
+      flashcardStudy: document.getElementById('flashcardStudy'),
+      flashcardProgress: document.getElementById('flashcardProgress'),
+      flashcard: document.getElementById('flashcard'),
+      flashcardKnownBtn: document.getElementById('flashcardKnownBtn'),
+      flashcardUnknownBtn: document.getElementById('flashcardUnknownBtn'),
+      flashcardSummary: document.getElementById('flashcardSummary'),
+      emptyFlashcards: document.getElementById('emptyFlashcards'),
+
+      // Review page
+      reviewStudy: document.getElementById('reviewStudy'),
+      reviewProgress: document.getElementById('reviewProgress'),
+      reviewCard: document.getElementById('reviewCard'),
+      reviewGrades: document.getElementById('reviewGrades'),
+      reviewSummary: document.getElementById('reviewSummary'),
+      emptyReview: document.getElementById('emptyReview'),
+
+      // Queue page
+      queueThemeSelect: document.getElementById('queueThemeSelect'),
+      queueTitleInput: document.getElementById('queueTitleInput'),
+      queueAddBtn: document.getElementById('queueAddBtn'),
+      queueConcurrencyInput: document.getElementById('queueConcurrencyInput'),
+      queueStartBtn: document.getElementById('queueStartBtn'),
+      queueStopBtn: document.getElementById('queueStopBtn'),
+      queueClearBtn: document.getElementById('queueClearBtn'),
+      queueSummary: document.getElementById('queueSummary'),
+      queueList: document.getElementById('queueList'),
+
       // Containers
       modalContainer: document.getElementById('modalContainer'),
       toastContainer: document.getElementById('toastContainer'),
@@ -122,20 +237,94 @@ class UIManager {
     // Theme selection
     this.elements.themeGrid.addEventListener('click', (e) => {
       const themeCard = e.target.closest('.theme-card');
-      if (themeCard) {
+      if (themeCard?.dataset.action === 'create') {
+        this.switchPage('themes');
+        this.openThemeEditor(null);
+      } else if (themeCard) {
         this.selectTheme(themeCard.dataset.theme);
       }
     });
 
+    // Vocabulary picker
+    this.elements.vocabularyGroups?.addEventListener('click', (e) => {
+      const chip = e.target.closest('.word-chip');
+      if (chip) {
+        this.toggleWord(chip.dataset.wordKey);
+      }
+    });
+
+    this.elements.vocabSelectAllBtn?.addEventListener('click', () => {
+      this.selectAllWords(true);
+    });
+
+    this.elements.vocabClearBtn?.addEventListener('click', () => {
+      this.selectAllWords(false);
+    });
+
+    this.elements.vocabRandomBtn?.addEventListener('click', () => {
+      this.randomPickWords(parseInt(this.elements.vocabRandomCount.value, 10));
+    });
+
     // Title input
     this.elements.titleInput.addEventListener('input', (e) => {
       this.updateTitleCounter(e.target.value);
+      this.updateTitlePinyin(e.target.value);
       this.validateForm();
     });
 
+    this.elements.editTitlePinyinBtn?.addEventListener('click', () => {
+      this.showTitlePinyinEditor();
+    });
+
     // API key input
     this.elements.apiKeyInput.addEventListener('input', () => {
       this.validateForm();
+      this.updateApiKeyStatus();
+    });
+
+    // Saved API key
+    this.elements.saveApiKeyBtn?.addEventListener('click', () => {
+      this.showSaveApiKeyModal();
+    });
+
+    this.elements.unlockApiKeyBtn?.addEventListener('click', () => {
+      this.showUnlockApiKeyModal();
+    });
+
+    this.elements.lockApiKeyBtn?.addEventListener('click', () => {
+      this.keyVault.lock('manual');
+    });
+
+    this.elements.forgetApiKeyBtn?.addEventListener('click', () => {
+      this.confirmForgetApiKey();
+    });
+
+    this.keyVault.onLock(reason => this.handleApiKeyLocked(reason));
+
+    // Child profiles
+    this.elements.profileBtn?.addEventListener('click', () => {
+      this.showProfileSwitcher();
+    });
+
+    // Parent mode
+    this.elements.parentLockBtn?.addEventListener('click', () => {
+      if (this.requireParent(() => this.showParentSettingsModal())) {
+        this.showParentSettingsModal();
+      }
+    });
+
+    this.elements.apiKeyParentBtn?.addEventListener('click', () => {
+      this.requireParent(() => this.elements.apiKeyInput.focus());
+    });
+
+    this.parentLock.onChange(() => this.updateParentLockState());
+
+    // Any interaction keeps the unlocked key and parent mode alive
+    ['pointerdown', 'keydown'].forEach(type => {
+      document.addEventListener(type, () => {
+        this.keyVault.touch();
+        this.parentLock.touch();
+      }, { passive: true });
     });
 
     // Toggle API key visibility
@@ -149,10 +338,40 @@ class UIManager {
         const suggestion = btn.dataset.suggestion;
         this.elements.titleInput.value = suggestion;
         this.updateTitleCounter(suggestion);
+        this.updateTitlePinyin(suggestion);
         this.validateForm();
       });
     });
 
+    // Advanced options - remember the latest choice as the default
+    this.elements.advancedOptionSelects.forEach(select => {
+      select.addEventListener('change', () => {
+        this.storage.saveGenerationOptions(this.getGenerationOptions());
+      });
+    });
+
+    // Prompt template
+    this.elements.promptTemplateSelect?.addEventListener('change', (e) => {
+      this.storage.updatePreference('promptTemplate', e.target.value);
+    });
+
+    this.elements.previewPromptBtn?.addEventListener('click', () => {
+      this.showPromptPreview();
+    });
+
+    // Reference images
+    this.elements.referenceInput?.addEventListener('change', async (e) => {
+      await this.addReferenceFiles(e.target.files);
+      e.target.value = '';
+    });
+
+    this.elements.referenceList?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('[data-reference-id]');
+      if (removeBtn) {
+        this.removeReferenceImage(removeBtn.dataset.referenceId);
+      }
+    });
+
     // Generate button
     this.elements.generateBtn.addEventListener('click', () => {
       this.handleGenerate();
@@ -171,7 +390,53 @@ class UIManager {
       this.resetForm();
     });
 
+    // Flashcards page
+    this.elements.flashcardDeckSelect?.addEventListener('change', (e) => {
+      this.flashcardDeckId = e.target.value;
+      this.startFlashcards(this.getFlashcardSources().find(source => source.id === this.flashcardDeckId));
+    });
+
+    this.elements.flashcard?.addEventListener('click', () => {
+      this.flipFlashcard();
+    });
+
+    this.elements.flashcardKnownBtn?.addEventListener('click', () => {
+      this.answerFlashcard(true);
+    });
+
+    this.elements.flashcardUnknownBtn?.addEventListener('click', () => {
+      this.answerFlashcard(false);
+    });
+
+    this.elements.flashcardSummary?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-flashcard-action]');
+      if (!button || !this.flashcardSession) return;
+
+      const { source, results } = this.flashcardSession;
+      if (button.dataset.flashcardAction === 'unknown') {
+        this.startFlashcards(source, this.flashcards.summarize(results).unknown);
+      } else {
+        this.startFlashcards(source);
+      }
+    });
+
+    // Review page
+    this.elements.reviewCard?.addEventListener('click', () => {
+      this.flipReviewCard();
+    });
+
+    this.elements.reviewGrades?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-review-grade]');
+      if (button) {
+        this.gradeReviewCard(button.dataset.reviewGrade);
+      }
+    });
+
     // History page buttons
+    this.elements.startGeneratingBtn?.addEventListener('click', () => {
+      this.switchPage('generate');
+    });
+
     this.elements.clearHistoryBtn?.addEventListener('click', () => {
       this.confirmClearHistory();
     });
@@ -180,6 +445,139 @@ class UIManager {
       this.exportHistory();
     });
 
+    // Queue page
+    this.elements.queueAddBtn?.addEventListener('click', () => {
+      this.addToQueue();
+    });
+
+    this.elements.queueConcurrencyInput?.addEventListener('change', (e) => {
+      const concurrency = Math.min(4, Math.max(1, parseInt(e.target.value, 10) || 1));
+      e.target.value = concurrency;
+      this.storage.updatePreference('queueConcurrency', concurrency);
+      this.queue.pump();
+    });
+
+    this.elements.queueStartBtn?.addEventListener('click', () => {
+      this.startQueue();
+    });
+
+    this.elements.queueStopBtn?.addEventListener('click', () => {
+      this.queue.stop();
+    });
+
+    this.elements.queueClearBtn?.addEventListener('click', () => {
+      this.queue.clearFinished();
+    });
+
+    this.elements.queueList?.addEventListener('click', (e) => {
+      const actionBtn = e.target.closest('[data-queue-action]');
+      if (!actionBtn) return;
+
+      const itemId = actionBtn.dataset.itemId;
+      if (actionBtn.dataset.queueAction === 'retry') {
+        this.queue.retry(itemId);
+      } else if (actionBtn.dataset.queueAction === 'remove') {
+        this.queue.remove(itemId);
+      }
+    });
+
+    // Themes page
+    this.elements.customThemeList?.addEventListener('click', (e) => {
+      const actionBtn = e.target.closest('[data-theme-action]');
+      if (!actionBtn) return;
+
+      const themeKey = actionBtn.dataset.themeKey;
+      switch (actionBtn.dataset.themeAction) {
+        case 'use':
+          this.switchPage('generate');
+          this.selectTheme(themeKey);
+          break;
+        case 'edit':
+          this.openThemeEditor(themeKey);
+          break;
+        case 'delete':
+          this.confirmDeleteTheme(themeKey);
+          break;
+      }
+    });
+
+    this.elements.themeNewBtn?.addEventListener('click', () => {
+      this.openThemeEditor(null);
+    });
+
+    this.elements.themeSaveBtn?.addEventListener('click', () => {
+      this.saveEditingTheme();
+    });
+
+    this.elements.themeFillPinyinBtn?.addEventListener('click', () => {
+      this.fillThemePinyin();
+    });
+
+    this.elements.themeCancelBtn?.addEventListener('click', () => {
+      this.closeThemeEditor();
+    });
+
+    this.elements.themeExportBtn?.addEventListener('click', () => {
+      this.exportCustomThemes();
+    });
+
+    this.elements.themeImportInput?.addEventListener('change', async (e) => {
+      if (e.target.files[0]) {
+        await this.importCustomThemes(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
+
+    // Templates page
+    this.elements.templateList?.addEventListener('click', (e) => {
+      const actionBtn = e.target.closest('[data-template-action]');
+      if (!actionBtn) return;
+
+      const templateId = actionBtn.dataset.templateId;
+      switch (actionBtn.dataset.templateAction) {
+        case 'use':
+          this.useTemplate(templateId);
+          break;
+        case 'clone':
+          this.openTemplateEditor(templateId, true);
+          break;
+        case 'edit':
+          this.openTemplateEditor(templateId, false);
+          break;
+        case 'delete':
+          this.confirmDeleteTemplate(templateId);
+          break;
+      }
+    });
+
+    const updateTemplatePreview = Utils.debounce(() => this.updateTemplatePreview(), 200);
+    this.elements.templateBodyInput?.addEventListener('input', updateTemplatePreview);
+    this.elements.templatePreviewTitle?.addEventListener('input', updateTemplatePreview);
+    this.elements.templatePreviewTheme?.addEventListener('change', () => this.updateTemplatePreview());
+
+    this.elements.templatePlaceholders?.addEventListener('click', (e) => {
+      const placeholderBtn = e.target.closest('[data-placeholder]');
+      if (placeholderBtn) {
+        this.insertTemplatePlaceholder(placeholderBtn.dataset.placeholder);
+      }
+    });
+
+    this.elements.templateSaveBtn?.addEventListener('click', () => {
+      this.saveEditingTemplate();
+    });
+
+    this.elements.templateCancelBtn?.addEventListener('click', () => {
+      this.closeTemplateEditor();
+    });
+
+    this.queue.subscribe(() => {
+      if (this.currentPage === 'queue') {
+        this.renderQueue();
+      }
+      // Finished items add new words to review
+      this.updateReviewBadge();
+    });
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       this.handleKeyboardShortcuts(e);
@@ -210,7 +608,9 @@ class UIManager {
         throw new Error('主题数据格式错误');
       }
 
-      this.themesData = data.themes;
+      this.builtInThemes = data.themes;
+      this.storage.saveThemesCache(data.themes);
+      this.themesData = this.mergeCustomThemes();
       console.log('✅ 主题数据加载成功:', this.themesData);
       console.log('✅ 可用的主题:', Object.keys(this.themesData));
 
@@ -220,59 +620,58 @@ class UIManager {
     } catch (error) {
       console.error('❌ 主题数据加载失败:', error);
 
-      // 使用默认主题数据
-      this.themesData = this.getDefaultThemes();
-      console.log('🔄 使用默认主题数据:', this.themesData);
+      // 使用上次成功加载时缓存的主题数据
+      const cachedThemes = this.storage.getThemesCache();
+      this.builtInThemes = cachedThemes || {};
+      this.themesData = this.mergeCustomThemes();
+      console.log('🔄 使用缓存的主题数据:', this.themesData);
       this.renderThemes();
 
-      this.showToast('主题数据加载失败，使用默认主题', 'warning');
+      if (cachedThemes) {
+        this.showToast('主题数据加载失败，使用上次保存的主题', 'warning');
+      } else {
+        this.showToast('主题数据加载失败，请检查网络后刷新页面', 'error');
+      }
     }
   }
 
   /**
-   * 获取默认主题数据（备用方案）
+   * Combine built-in themes with the custom themes saved in storage
+   * @returns {Object} Themes keyed by theme key
    */
-  getDefaultThemes() {
-    return {
-      "supermarket": {
-        "name": "超市",
-        "icon": "🛒",
-        "description": "Supermarket shopping experience",
-        "vocabulary": {
-          "core": [
-            {"chinese": "收银员", "pinyin": "shōu yín yuán"},
-            {"chinese": "货架", "pinyin": "huò jià"}
-          ],
-          "items": [
-            {"chinese": "苹果", "pinyin": "píng guǒ"},
-            {"chinese": "牛奶", "pinyin": "niú nǎi"}
-          ],
-          "environment": [
-            {"chinese": "出口", "pinyin": "chū kǒu"},
-            {"chinese": "灯", "pinyin": "dēng"}
-          ]
-        }
-      },
-      "park": {
-        "name": "公园",
-        "icon": "🌳",
-        "description": "Park and recreational area",
-        "vocabulary": {
-          "core": [
-            {"chinese": "大树", "pinyin": "dà shù"},
-            {"chinese": "草地", "pinyin": "cǎo dì"}
-          ],
-          "items": [
-            {"chinese": "秋千", "pinyin": "qiū qiān"},
-            {"chinese": "滑梯", "pinyin": "huá tī"}
-          ],
-          "environment": [
-            {"chinese": "小路", "pinyin": "xiǎo lù"},
-            {"chinese": "长椅", "pinyin": "cháng yǐ"}
-          ]
-        }
-      }
-    };
+  mergeCustomThemes() {
+    const themes = { ...this.builtInThemes };
+
+    this.storage.getCustomThemes().forEach(theme => {
+      themes[theme.key] = {
+        name: theme.name,
+        icon: theme.icon,
+        description: theme.description,
+        vocabulary: theme.vocabulary,
+        custom: true
+      };
+    });
+
+    return themes;
+  }
+
+  /**
+   * Re-merge custom themes after they change and re-render theme lists
+   */
+  refreshThemes() {
+    if (!this.builtInThemes) return;
+
+    this.themesData = this.mergeCustomThemes();
+
+    // The selected theme may have been deleted
+    if (this.selectedTheme && !this.themesData[this.selectedTheme]) {
+      this.selectedTheme = null;
+      this.selectedWords.clear();
+      this.elements.vocabularyPicker?.classList.add('hidden');
+    }
+
+    this.renderThemes();
+    this.validateForm();
   }
 
   /**
@@ -286,16 +685,29 @@ class UIManager {
 
     Object.entries(this.themesData).forEach(([key, theme]) => {
       const themeCard = document.createElement('div');
-      themeCard.className = 'theme-card';
+      themeCard.className = `theme-card ${theme.custom ? 'custom' : ''}`;
+      themeCard.classList.toggle('selected', key === this.selectedTheme);
       themeCard.dataset.theme = key;
 
       themeCard.innerHTML = `
-        <span class="theme-icon">${theme.icon}</span>
-        <span class="theme-name">${theme.name}</span>
+        <span class="theme-icon">${Utils.sanitizeHTML(theme.icon)}</span>
+        <span class="theme-name">${Utils.sanitizeHTML(theme.name)}</span>
       `;
 
       themeGrid.appendChild(themeCard);
     });
+
+    // Shortcut to the theme creator
+    const createCard = document.createElement('div');
+    createCard.className = 'theme-card custom';
+    createCard.dataset.action = 'create';
+    createCard.innerHTML = `
+      <span class="theme-icon">➕</span>
+      <span class="theme-name">自定义主题</span>
+    `;
+    themeGrid.appendChild(createCard);
+
+    this.renderThemeOptions();
   }
 
   /**
@@ -318,7 +730,19 @@ class UIManager {
     // Load page-specific data
     if (page === 'history') {
       this.loadHistory();
+    } else if (page === 'queue') {
+      this.renderQueue();
+    } else if (page === 'themes') {
+      this.renderCustomThemeList();
+    } else if (page === 'templates') {
+      this.renderTemplateList();
+    } else if (page === 'flashcards') {
+      this.renderFlashcardDecks();
+    } else if (page === 'review') {
+      this.renderReview();
     }
+
+    this.updateReviewBadge();
   }
 
   /**
@@ -350,130 +774,1240 @@ class UIManager {
 
     this.selectedTheme = themeKey;
     console.log('✅ 主题选择成功:', themeKey, '-', this.themesData[themeKey].name);
+
+    // Start with every word of the new theme selected
+    this.selectedWords = new Set(this.getThemeWords(themeKey).map(word => word.key));
+    this.renderVocabularyPicker();
     this.validateForm();
   }
 
   /**
-   * Update title counter
-   * @param {string} value - Current title value
+   * List a theme's words with their category and picker key
+   * @param {string} themeKey - Theme key
+   * @returns {Array} Array of { key, category, chinese, pinyin, english }
    */
-  updateTitleCounter(value) {
-    const length = value.length;
-    this.elements.titleCounter.textContent = `${length}/30`;
-    this.elements.titleCounter.style.color = length > 25 ? 'var(--disney-red)' : 'var(--stone-gray)';
+  getThemeWords(themeKey) {
+    const vocabulary = this.themesData?.[themeKey]?.vocabulary || {};
+
+    return ['core', 'items', 'environment'].flatMap(category =>
+      (vocabulary[category] || []).map(word => ({
+        ...word,
+        category: category,
+        key: `${category}:${word.chinese}`
+      }))
+    );
   }
 
   /**
-   * Toggle API key visibility
+   * Render the selected theme's words as toggleable chips
    */
-  toggleApiKeyVisibility() {
-    const input = this.elements.apiKeyInput;
-    const icon = this.elements.toggleApiKey.querySelector('.eye-icon');
-
-    if (input.type === 'password') {
-      input.type = 'text';
-      icon.textContent = '🙈';
-    } else {
-      input.type = 'password';
-      icon.textContent = '👁️';
-    }
-  }
+  renderVocabularyPicker() {
+    const picker = this.elements.vocabularyPicker;
+    if (!picker) return;
 
-  /**
-   * Validate form and enable/disable generate button
-   */
-  validateForm() {
-    const title = this.elements.titleInput.value.trim();
-    const apiKey = this.elements.apiKeyInput.value.trim();
+    const words = this.getThemeWords(this.selectedTheme);
+    picker.classList.toggle('hidden', words.length === 0);
 
-    // 详细验证状态
-    const validation = {
-      theme: { valid: !!this.selectedTheme, value: this.selectedTheme || '未选择' },
-      title: { valid: title.length > 0, value: title || '未输入', length: title.length },
-      apiKey: { valid: apiKey.length > 0, value: apiKey ? '已输入' : '未输入', length: apiKey.length }
+    const groups = {
+      core: '核心角色与设施',
+      items: '常见物品/工具',
+      environment: '环境与装饰'
     };
 
-    const isValid = validation.theme.valid && validation.title.valid && validation.apiKey.valid && !this.isGenerating;
+    this.elements.vocabularyGroups.innerHTML = Object.entries(groups).map(([category, label]) => {
+      const groupWords = words.filter(word => word.category === category);
+      if (groupWords.length === 0) return '';
 
-    // 调试日志
-    console.log('表单验证状态:', validation, '最终结果:', isValid);
+      return `
+        <div class="vocab-group">
+          <div class="vocab-group-title">${label}</div>
+          <div class="vocab-chips">
+            ${groupWords.map(word => `
+              <button type="button" class="word-chip ${this.selectedWords.has(word.key) ? 'selected' : ''}" data-word-key="${Utils.sanitizeHTML(word.key)}" title="${Utils.sanitizeHTML(word.english || '')}">
+                <span class="word-chip-pinyin">${Utils.sanitizeHTML(word.pinyin)}</span>
+                <span class="word-chip-chinese">${Utils.sanitizeHTML(word.chinese)}</span>
+              </button>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    }).join('');
 
-    this.elements.generateBtn.disabled = !isValid;
+    this.elements.vocabRandomCount.max = words.length;
+    this.updateVocabularySummary();
+  }
 
-    // 更新按钮文本以提供反馈
-    if (!isValid) {
-      const reasons = [];
-      if (!validation.theme.valid) reasons.push('选择主题');
-      if (!validation.title.valid) reasons.push('输入标题');
-      if (!validation.apiKey.valid) reasons.push('输入API密钥');
+  /**
+   * Update the "selected X / Y" counter
+   */
+  updateVocabularySummary() {
+    if (!this.elements.vocabSummary) return;
 
-      const btnText = this.elements.generateBtn.querySelector('.btn-text');
-      const btnIcon = this.elements.generateBtn.querySelector('.btn-icon');
+    const total = this.getThemeWords(this.selectedTheme).length;
+    this.elements.vocabSummary.textContent = `已选 ${this.selectedWords.size} / ${total} 个词`;
+  }
 
-      if (btnText && btnIcon) {
-        btnText.textContent = `请${reasons.join('、')}`;
-        btnIcon.textContent = '⚠️';
-      }
+  /**
+   * Toggle a single word chip
+   * @param {string} key - Word key, "category:汉字"
+   */
+  toggleWord(key) {
+    if (this.selectedWords.has(key)) {
+      this.selectedWords.delete(key);
     } else {
-      const btnText = this.elements.generateBtn.querySelector('.btn-text');
-      const btnIcon = this.elements.generateBtn.querySelector('.btn-icon');
+      this.selectedWords.add(key);
+    }
 
-      if (btnText && btnIcon) {
-        btnText.textContent = '开始生成魔法图片';
-        btnIcon.textContent = '🪄';
+    this.elements.vocabularyGroups.querySelectorAll('.word-chip').forEach(chip => {
+      if (chip.dataset.wordKey === key) {
+        chip.classList.toggle('selected', this.selectedWords.has(key));
       }
-    }
+    });
+
+    this.updateVocabularySummary();
+    this.validateForm();
   }
 
   /**
-   * Handle image generation
+   * Select or clear every word of the current theme
+   * @param {boolean} selected - True to select all, false to clear
    */
-  async handleGenerate() {
-    if (this.isGenerating) return;
-
-    const title = this.elements.titleInput.value.trim();
-    const apiKey = this.elements.apiKeyInput.value.trim();
+  selectAllWords(selected) {
+    this.selectedWords = new Set(selected ? this.getThemeWords(this.selectedTheme).map(word => word.key) : []);
+    this.renderVocabularyPicker();
+    this.validateForm();
+  }
 
-    if (!this.selectedTheme || !title || !apiKey) {
-      this.showToast('请填写所有必填项', 'warning');
+  /**
+   * Replace the selection with N random words of the current theme
+   * @param {number} count - Number of words to pick
+   */
+  randomPickWords(count) {
+    const words = this.getThemeWords(this.selectedTheme);
+    if (!count || count < 1) {
+      this.showToast('请输入要随机选择的词汇数量', 'warning');
       return;
     }
 
-    // Check network connection
-    if (!Utils.checkInternetConnection()) {
-      this.showToast('网络连接已断开，请检查网络后重试', 'error');
-      return;
+    // Fisher-Yates shuffle, then keep the first N
+    const shuffled = [...words];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
 
-    // Validate inputs
-    const titleValidation = Utils.validateChineseText(title, 1, 30);
-    if (!titleValidation.valid) {
-      this.showToast(titleValidation.message, 'warning');
-      return;
-    }
+    this.selectedWords = new Set(shuffled.slice(0, count).map(word => word.key));
+    this.renderVocabularyPicker();
+    this.validateForm();
+  }
 
-    const apiValidation = Utils.validateApiKey(apiKey);
-    if (!apiValidation.valid) {
-      this.showToast(apiValidation.message, 'warning');
-      return;
-    }
+  /**
+   * Get the words chosen in the picker, grouped like themes.json
+   * @returns {Object} { core, items, environment }
+   */
+  getSelectedVocabulary() {
+    const vocabulary = { core: [], items: [], environment: [] };
 
-    // Wait for themes data to load
-    if (!this.themesData) {
-      this.showToast('主题数据正在加载中，请稍候...', 'warning');
-      // Wait for themes to load (with timeout)
-      let attempts = 0;
-      const maxAttempts = 10;
-      while (!this.themesData && attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        attempts++;
+    this.getThemeWords(this.selectedTheme).forEach(({ key, category, ...word }) => {
+      if (this.selectedWords.has(key)) {
+        vocabulary[category].push(word);
       }
+    });
 
-      if (!this.themesData) {
-        this.showToast('主题数据加载失败，请刷新页面重试', 'error');
-        return;
-      }
-    }
+    return vocabulary;
+  }
+
+  /**
+   * Update title counter
+   * @param {string} value - Current title value
+   */
+  updateTitleCounter(value) {
+    const length = value.length;
+    this.elements.titleCounter.textContent = `${length}/30`;
+    this.elements.titleCounter.style.color = length > 25 ? 'var(--disney-red)' : 'var(--stone-gray)';
+  }
+
+  /**
+   * Show the generated pinyin under the title
+   * @param {string} value - Current title value
+   */
+  updateTitlePinyin(value) {
+    const row = this.elements.titlePinyinRow;
+    if (!row) return;
+
+    const title = value.trim();
+    const hasChinese = /[\u4e00-\u9fa5]/.test(title);
+    row.classList.toggle('hidden', !hasChinese);
+    this.elements.titlePinyin.textContent = hasChinese ? this.pinyin.convert(title) : '';
+  }
+
+  /**
+   * Let the user correct the title's pinyin; an empty value restores the
+   * generated reading
+   */
+  showTitlePinyinEditor() {
+    const title = this.elements.titleInput.value.trim();
+    if (!title) return;
+
+    const modal = this.createModal({
+      title: '修改标题拼音',
+      content: `
+        <p><strong>${Utils.sanitizeHTML(title)}</strong></p>
+        <input type="text" class="magic-input" id="titlePinyinInput" value="${Utils.sanitizeHTML(this.pinyin.convert(title))}">
+        <p class="form-hint">每个汉字一个音节，用空格分隔，可以用数字标声调，例如 chang2。留空则恢复自动拼音。</p>
+      `,
+      buttons: [
+        {
+          text: '取消',
+          icon: '❌',
+          class: 'secondary-btn',
+          action: null
+        },
+        {
+          text: '保存',
+          icon: '💾',
+          class: 'magic-btn',
+          action: () => {
+            const pinyin = document.getElementById('titlePinyinInput').value.trim();
+            if (!pinyin) {
+              this.pinyin.removeOverride(title);
+            } else if (!this.pinyin.setOverride(title, pinyin)) {
+              this.showToast('拼音音节数要和汉字个数一致', 'warning');
+              return;
+            }
+            this.updateTitlePinyin(title);
+            this.hideModal();
+            this.showToast('标题拼音已更新', 'success');
+          }
+        }
+      ]
+    });
+
+    this.showModal(modal);
+  }
+
+  /**
+   * Toggle API key visibility
+   */
+  toggleApiKeyVisibility() {
+    const input = this.elements.apiKeyInput;
+    const icon = this.elements.toggleApiKey.querySelector('.eye-icon');
+
+    if (input.type === 'password') {
+      input.type = 'text';
+      icon.textContent = '🙈';
+    } else {
+      input.type = 'password';
+      icon.textContent = '👁️';
+    }
+  }
+
+  /**
+   * Show whether the API key is saved and locked, and the matching actions
+   */
+  updateApiKeyStatus() {
+    const { apiKeyStatus, saveApiKeyBtn, unlockApiKeyBtn, lockApiKeyBtn, forgetApiKeyBtn } = this.elements;
+    if (!apiKeyStatus) return;
+
+    const inputKey = this.elements.apiKeyInput.value.trim();
+    const saved = this.keyVault.hasSavedKey();
+    const unlocked = this.keyVault.isUnlocked();
+    const lockMinutes = Math.round(this.keyVault.getIdleTimeout() / 60000);
+
+    let status = '';
+    if (this.storage.getLegacyApiKey()) {
+      status = '⚠️ 已保存的密钥没有加密';
+    } else if (saved && unlocked) {
+      status = lockMinutes > 0 ? `🔐 已加密保存 · 闲置${lockMinutes}分钟后自动锁定` : '🔐 已加密保存';
+    } else if (saved) {
+      status = '🔒 已保存的密钥已锁定';
+    }
+
+    apiKeyStatus.textContent = status;
+    saveApiKeyBtn.classList.toggle('hidden', !inputKey || (unlocked && inputKey === this.keyVault.getApiKey()));
+    unlockApiKeyBtn.classList.toggle('hidden', !saved || unlocked);
+    lockApiKeyBtn.classList.toggle('hidden', !unlocked);
+    forgetApiKeyBtn.classList.toggle('hidden', !saved);
+  }
+
+  /**
+   * Ask for a passphrase and save the entered API key encrypted with it
+   * @param {string} message - Optional explanation shown above the inputs
+   */
+  showSaveApiKeyModal(message = '') {
+    const apiKey = this.elements.apiKeyInput.value.trim();
+    const apiValidation = Utils.validateApiKey(apiKey);
+    if (!apiValidation.valid) {
+      this.showToast(apiValidation.message, 'warning');
+      return;
+    }
+
+    if (!this.keyVault.isSupported()) {
+      this.showToast('当前环境不支持加密保存（需要通过 HTTPS 或 localhost 访问）', 'warning');
+      return;
+    }
+
+    const modal = this.createModal({
+      title: '加密保存API密钥',
+      content: `
+        ${message ? `<p>${message}</p>` : ''}
+        <input type="password" class="magic-input" id="apiKeyPassphraseInput" placeholder="设置口令（至少${this.keyVault.minPassphraseLength}个字符）" autocomplete="new-password">
+        <input type="password" class="magic-input" id="apiKeyPassphraseConfirm" placeholder="再输入一次口令" autocomplete="new-password">
+        <p class="form-hint">密钥用口令加密后保存在本机，每次打开页面需要输入口令解锁。口令忘记后只能重新输入密钥。</p>
+      `,
+      buttons: [
+        {
+          text: '取消',
+          icon: '❌',
+          class: 'secondary-btn',
+          action: null
+        },
+        {
+          text: '加密保存',
+          icon: '🔐',
+          class: 'magic-btn',
+          action: async () => {
+            const passphrase = document.getElementById('apiKeyPassphraseInput').value;
+            const confirmation = document.getElementById('apiKeyPassphraseConfirm').value;
+
+            const validation = this.keyVault.validatePassphrase(passphrase);
+            if (!validation.valid) {
+              this.showToast(validation.message, 'warning');
+              return;
+            }
+            if (passphrase !== confirmation) {
+              this.showToast('两次输入的口令不一致', 'warning');
+              return;
+            }
+
+            try {
+              if (!await this.keyVault.save(apiKey, passphrase)) {
+                this.showToast('保存失败，请重试', 'error');
+                return;
+              }
+            } catch (error) {
+              this.showToast(error.message, 'error');
+              return;
+            }
+
+            this.hideModal();
+            this.updateApiKeyStatus();
+            this.showToast('API密钥已加密保存', 'success');
+          }
+        }
+      ]
+    });
+
+    this.showModal(modal);
+    document.getElementById('apiKeyPassphraseInput')?.focus();
+  }
+
+  /**
+   * Ask for the passphrase and unlock the saved API key
+   */
+  showUnlockApiKeyModal() {
+    const modal = this.createModal({
+      title: '解锁API密钥',
+      content: `
+        <p>输入保存密钥时设置的口令。</p>
+        <input type="password" class="magic-input" id="apiKeyUnlockInput" placeholder="口令" autocomplete="current-password">
+      `,
+      buttons: [
+        {
+          text: '稍后',
+          icon: '⏰',
+          class: 'secondary-btn',
+          action: null
+        },
+        {
+          text: '解锁',
+          icon: '🔓',
+          class: 'magic-btn',
+          action: async () => {
+            const input = document.getElementById('apiKeyUnlockInput');
+
+            try {
+              const apiKey = await this.keyVault.unlock(input.value);
+              this.elements.apiKeyInput.value = apiKey;
+            } catch (error) {
+              this.showToast(error.message, 'error');
+              input.value = '';
+              input.focus();
+              return;
+            }
+
+            this.hideModal();
+            this.validateForm();
+            this.updateApiKeyStatus();
+            this.showToast('API密钥已解锁', 'success');
+
+            // Tasks left from the last visit are skipped while the key is locked
+            this.resumePendingTasks();
+          }
+        }
+      ]
+    });
+
+    this.showModal(modal);
+    document.getElementById('apiKeyUnlockInput')?.focus();
+  }
+
+  /**
+   * Confirm deleting the saved API key
+   */
+  confirmForgetApiKey() {
+    if (!this.requireParent(() => this.confirmForgetApiKey())) return;
+
+    const modal = this.createModal({
+      title: '忘记API密钥',
+      content: '确定要删除本机保存的API密钥吗？之后需要重新输入密钥。',
+      buttons: [
+        {
+          text: '取消',
+          icon: '❌',
+          class: 'secondary-btn',
+          action: null
+        },
+        {
+          text: '删除',
+          icon: '🗑️',
+          class: 'secondary-btn',
+          action: () => {
+            this.keyVault.forget();
+            this.hideModal();
+          }
+        }
+      ]
+    });
+
+    this.showModal(modal);
+  }
+
+  /**
+   * Replace a rejected API key: deletes the saved key and focuses the empty
+   * input. Needs parent mode, like forgetting the key from the form.
+   */
+  reenterApiKey() {
+    if (!this.requireParent(() => this.reenterApiKey())) return;
+
+    this.keyVault.forget();
+    this.switchPage('generate');
+    this.elements.apiKeyInput.value = '';
+    this.elements.apiKeyInput.focus();
+    this.validateForm();
+  }
+
+  /**
+   * Clear the decrypted key from the page when the vault locks
+   * @param {string} reason - 'idle', 'manual' or 'forget'
+   */
+  handleApiKeyLocked(reason) {
+    this.elements.apiKeyInput.value = '';
+    this.elements.apiKeyInput.type = 'password';
+    this.elements.toggleApiKey.querySelector('.eye-icon').textContent = '👁️';
+    this.validateForm();
+    this.updateApiKeyStatus();
+
+    const messages = {
+      idle: '长时间未操作，API密钥已锁定',
+      manual: 'API密钥已锁定',
+      forget: '已删除保存的API密钥'
+    };
+    this.showToast(messages[reason] || messages.manual, 'info');
+  }
+
+  /**
+   * Show or hide the parent-only parts of the page
+   */
+  updateParentLockState() {
+    const unlocked = this.parentLock.isUnlocked();
+    const parentMode = unlocked && this.parentLock.isEnabled();
+
+    this.elements.apiKeySection?.classList.toggle('hidden', !unlocked);
+    this.elements.apiKeyLockedHint?.classList.toggle('hidden', unlocked);
+
+    const button = this.elements.parentLockBtn;
+    if (button) {
+      button.classList.toggle('unlocked', parentMode);
+      button.querySelector('.btn-icon').textContent = parentMode ? '🔓' : '👪';
+      button.querySelector('.parent-lock-text').textContent = parentMode ? '家长模式' : '家长';
+    }
+
+    this.validateForm();
+  }
+
+  /**
+   * Check for parent mode before a parent-only action
+   * @param {Function} onUnlock - Runs the action again once parent mode starts
+   * @returns {boolean} True if the action may go ahead now; otherwise the gate is shown
+   */
+  requireParent(onUnlock) {
+    if (this.parentLock.isUnlocked()) return true;
+
+    this.showParentGateModal(onUnlock);
+    return false;
+  }
+
+  /**
+   * Ask for the PIN or the answer to an arithmetic question
+   * @param {Function} onUnlock - Called after parent mode starts
+   */
+  showParentGateModal(onUnlock = null) {
+    const isPin = this.parentLock.getSettings().mode === 'pin';
+
+    const modal = this.createModal({
+      title: '家长验证',
+      content: isPin ? `
+        <p>请输入家长PIN。</p>
+        <input type="password" inputmode="numeric" class="magic-input" id="parentGateInput" placeholder="PIN" autocomplete="off">
+      ` : `
+        <p>请家长回答：</p>
+        <p class="parent-gate-question" id="parentGateQuestion">${this.parentLock.createChallenge()}</p>
+        <input type="number" inputmode="numeric" class="magic-input" id="parentGateInput" placeholder="答案">
+      `,
+      buttons: [
+        {
+          text: '取消',
+          icon: '❌',
+          class: 'secondary-btn',
+          action: null
+        },
+        {
+          text: '确定',
+          icon: '🔓',
+          class: 'magic-btn',
+          action: async () => {
+            const input = document.getElementById('parentGateInput');
+            let unlocked = false;
+
+            try {
+              unlocked = await this.parentLock.unlock(input.value);
+              if (!unlocked) {
+                this.showToast(isPin ? 'PIN不正确' : '答案不对，换一道题试试', 'error');
+              }
+            } catch (error) {
+              this.showToast(error.message, 'error');
+            }
+
+            if (!unlocked) {
+              // A question can only be answered once
+              if (!isPin) {
+                document.getElementById('parentGateQuestion').textContent = this.parentLock.createChallenge();
+              }
+              input.value = '';
+              input.focus();
+              return;
+            }
+
+            this.hideModal();
+            this.showToast('已进入家长模式', 'success');
+            onUnlock?.();
+          }
+        }
+      ]
+    });
+
+    this.showModal(modal);
+    document.getElementById('parentGateInput')?.focus();
+  }
+
+  /**
+   * Show the parent settings: gate type, PIN and daily generation limit
+   */
+  showParentSettingsModal() {
+    const settings = this.parentLock.getSettings();
+    const pinSupported = this.parentLock.isPinSupported();
+
+    const modal = this.createModal({
+      title: '家长设置',
+      content: `
+        <label class="advanced-option">
+          <span>验证方式</span>
+          <select class="magic-input" id="parentModeSelect">
+            <option value="math">算术题</option>
+            <option value="pin" ${pinSupported ? '' : 'disabled'}>PIN${pinSupported ? '' : '（需要 HTTPS 或 localhost）'}</option>
+            <option value="off">不验证</option>
+          </select>
+        </label>
+        <input type="password" inputmode="numeric" class="magic-input" id="parentPinInput" placeholder="${settings.pinHash ? '新PIN（留空则不修改）' : '设置4到8位数字PIN'}" autocomplete="new-password">
+        <label class="advanced-option">
+          <span>每天最多生成（张）</span>
+          <input type="number" class="magic-input" id="parentDailyLimitInput" min="0" value="${settings.dailyLimit}">
+        </label>
+        <p class="form-hint">📝 0 表示不限制，家长模式下不受限制。今天已生成 ${this.parentLock.getTodayCount()} 张。</p>
+        <p class="form-hint">🔒 API密钥、删除和导入需要家长验证。家长模式闲置${this.parentLock.idleMinutes}分钟后自动退出。</p>
+      `,
+      buttons: [
+        {
+          text: '退出家长模式',
+          icon: '🔒',
+          class: 'secondary-btn',
+          action: () => {
+            this.parentLock.lock('manual');
+            this.hideModal();
+          }
+        },
+        {
+          text: '保存',
+          icon: '💾',
+          class: 'magic-btn',
+          action: async () => {
+            try {
+              if (!await this.parentLock.saveSettings({
+                mode: document.getElementById('parentModeSelect').value,
+                pin: document.getElementById('parentPinInput').value.trim(),
+                dailyLimit: document.getElementById('parentDailyLimitInput').value
+              })) {
+                this.showToast('保存失败，请重试', 'error');
+                return;
+              }
+            } catch (error) {
+              this.showToast(error.message, 'warning');
+              return;
+            }
+
+            this.hideModal();
+            this.showToast('家长设置已保存', 'success');
+          }
+        }
+      ]
+    });
+
+    const modeSelect = modal.querySelector('#parentModeSelect');
+    const pinInput = modal.querySelector('#parentPinInput');
+    const updatePinInput = () => pinInput.classList.toggle('hidden', modeSelect.value !== 'pin');
+
+    modeSelect.value = settings.mode;
+    modeSelect.addEventListener('change', updatePinInput);
+    updatePinInput();
+
+    this.showModal(modal);
+  }
+
+  /**
+   * Tell the child that today's generations are used up
+   */
+  showDailyLimitReached() {
+    const limit = this.parentLock.getSettings().dailyLimit;
+    this.showToast(`今天已经生成了${limit}张图片，明天再来吧！`, 'warning');
+  }
+
+  /**
+   * Show the active profile in the header
+   */
+  updateProfileButton() {
+    const profile = this.storage.getActiveProfile();
+    if (!this.elements.profileBtn) return;
+
+    this.elements.profileAvatar.textContent = profile.avatar;
+    this.elements.profileName.textContent = profile.name;
+  }
+
+  /**
+   * List the child profiles to switch between, edit or delete
+   */
+  showProfileSwitcher() {
+    const activeId = this.storage.getActiveProfileId();
+    const profiles = this.storage.getProfiles();
+
+    const items = profiles.map(profile => {
+      const posters = this.storage.getHistory(profile.id).filter(item => item.status !== 'failed' && item.status !== 'cancelled').length;
+      const words = Object.keys(this.storage.getProgress(profile.id).words).length;
+      const details = [this.profileAgeBands[profile.ageBand], `${posters}张小报`, `${words}个词`].filter(Boolean).join(' · ');
+
+      return `
+        <div class="profile-item ${profile.id === activeId ? 'active' : ''}">
+          <button class="profile-select" data-profile-action="switch" data-profile-id="${profile.id}">
+            <span class="profile-avatar">${profile.avatar}</span>
+            <span class="profile-info">
+              <span class="profile-name">${Utils.sanitizeHTML(profile.name)}</span>
+              <span class="profile-details">${details}</span>
+            </span>
+          </button>
+          <button class="suggestion-btn" data-profile-action="edit" data-profile-id="${profile.id}" title="修改">✏️</button>
+          ${profiles.length > 1 ? `<button class="suggestion-btn" data-profile-action="delete" data-profile-id="${profile.id}" title="删除">🗑️</button>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    const modal = this.createModal({
+      title: '选择小朋友',
+      content: `
+        <div class="profile-list">${items}</div>
+        <p class="form-hint">📝 每个小朋友有自己的历史记录、设置和学习进度。</p>
+      `,
+      buttons: [
+        {
+          text: '添加小朋友',
+          icon: '➕',
+          class: 'magic-btn',
+          action: () => this.showProfileEditor(null)
+        }
+      ]
+    });
+
+    modal.querySelector('.profile-list').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-profile-action]');
+      if (!button) return;
+
+      const profileId = button.dataset.profileId;
+      if (button.dataset.profileAction === 'switch') {
+        this.hideModal();
+        this.switchProfile(profileId);
+      } else if (button.dataset.profileAction === 'edit') {
+        this.showProfileEditor(profileId);
+      } else if (button.dataset.profileAction === 'delete') {
+        this.confirmDeleteProfile(profileId);
+      }
+    });
+
+    this.showModal(modal);
+  }
+
+  /**
+   * Create or edit a child profile
+   * @param {string|null} profileId - Profile to edit; null creates a new one
+   */
+  showProfileEditor(profileId) {
+    const profile = this.storage.getProfiles().find(p => p.id === profileId);
+    let avatar = profile?.avatar || this.profileAvatars[Math.floor(Math.random() * this.profileAvatars.length)];
+
+    const modal = this.createModal({
+      title: profile ? '修改小朋友' : '添加小朋友',
+      content: `
+        <input type="text" class="magic-input" id="profileNameInput" placeholder="名字或昵称" maxlength="12" value="${Utils.sanitizeHTML(profile?.name || '')}">
+        <div class="avatar-choices">
+          ${this.profileAvatars.map(choice => `
+            <button class="avatar-choice ${choice === avatar ? 'selected' : ''}" data-avatar="${choice}">${choice}</button>
+          `).join('')}
+        </div>
+        <label class="advanced-option">
+          <span>年龄</span>
+          <select class="magic-input" id="profileAgeSelect">
+            <option value="">不填写</option>
+            ${Object.entries(this.profileAgeBands).map(([value, label]) => `
+              <option value="${value}" ${profile?.ageBand === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </label>
+      `,
+      buttons: [
+        {
+          text: '返回',
+          icon: '↩️',
+          class: 'secondary-btn',
+          action: () => this.showProfileSwitcher()
+        },
+        {
+          text: '保存',
+          icon: '💾',
+          class: 'magic-btn',
+          action: () => {
+            const name = document.getElementById('profileNameInput').value.trim();
+            if (!name) {
+              this.showToast('请输入名字', 'warning');
+              return;
+            }
+
+            const saved = this.storage.saveProfile({
+              id: profileId,
+              name: name,
+              avatar: avatar,
+              ageBand: document.getElementById('profileAgeSelect').value
+            });
+            if (!saved) {
+              this.showToast('保存失败，请重试', 'error');
+              return;
+            }
+
+            this.hideModal();
+            if (profile) {
+              this.updateProfileButton();
+              this.showToast('已保存', 'success');
+            } else {
+              this.switchProfile(saved.id);
+            }
+          }
+        }
+      ]
+    });
+
+    modal.querySelector('.avatar-choices').addEventListener('click', (e) => {
+      const choice = e.target.closest('[data-avatar]');
+      if (!choice) return;
+
+      avatar = choice.dataset.avatar;
+      modal.querySelectorAll('.avatar-choice').forEach(btn => {
+        btn.classList.toggle('selected', btn === choice);
+      });
+    });
+
+    this.showModal(modal);
+    document.getElementById('profileNameInput')?.focus();
+  }
+
+  /**
+   * Confirm deleting a profile with its history and progress
+   * @param {string} profileId - Profile ID
+   */
+  confirmDeleteProfile(profileId) {
+    if (!this.requireParent(() => this.confirmDeleteProfile(profileId))) return;
+
+    const profile = this.storage.getProfiles().find(p => p.id === profileId);
+    if (!profile) return;
+
+    const modal = this.createModal({
+      title: '确认删除',
+      content: `确定要删除“${Utils.sanitizeHTML(profile.name)}”吗？TA的历史记录和学习进度都会被删除，此操作无法撤销。`,
+      buttons: [
+        {
+          text: '取消',
+          icon: '❌',
+          class: 'secondary-btn',
+          action: () => this.showProfileSwitcher()
+        },
+        {
+          text: '删除',
+          icon: '🗑️',
+          class: 'secondary-btn',
+          action: () => {
+            const wasActive = this.storage.getActiveProfileId() === profileId;
+            if (!this.storage.removeProfile(profileId)) {
+              this.showToast('删除失败，请重试', 'error');
+              return;
+            }
+
+            this.pruneImageLibrary();
+            this.hideModal();
+            this.showToast(`已删除“${profile.name}”`, 'success');
+            if (wasActive) {
+              this.switchProfile(this.storage.getActiveProfileId());
+            }
+          }
+        }
+      ]
+    });
+
+    this.showModal(modal);
+  }
+
+  /**
+   * Use another child's history, preferences and progress
+   * @param {string} profileId - Profile ID
+   */
+  switchProfile(profileId) {
+    if (this.isGenerating) {
+      this.showToast('正在生成图片，请完成后再切换', 'warning');
+      return;
+    }
+
+    if (!this.storage.setActiveProfile(profileId)) {
+      this.showToast('找不到这个小朋友', 'error');
+      return;
+    }
+
+    // The shown result and the study rounds belong to the previous profile
+    this.currentResult = null;
+    this.elements.resultSection.classList.add('hidden');
+    this.flashcardDeckId = null;
+    this.flashcardSession = null;
+    this.reviewSession = null;
+
+    this.renderAdvancedOptions();
+    this.renderTemplateOptions();
+    this.updateProfileButton();
+    this.updateApiKeyStatus();
+    this.switchPage(this.currentPage);
+
+    const profile = this.storage.getActiveProfile();
+    console.log('👧 已切换小朋友:', profile.name);
+    this.showToast(`你好，${profile.name}！`, 'success');
+  }
+
+  /**
+   * Validate form and enable/disable generate button
+   */
+  validateForm() {
+    const title = this.elements.titleInput.value.trim();
+    const apiKey = this.elements.apiKeyInput.value.trim();
+
+    // 详细验证状态
+    const validation = {
+      theme: { valid: !!this.selectedTheme, value: this.selectedTheme || '未选择' },
+      vocabulary: { valid: !this.selectedTheme || this.selectedWords.size > 0, count: this.selectedWords.size },
+      title: { valid: title.length > 0, value: title || '未输入', length: title.length },
+      apiKey: { valid: apiKey.length > 0, value: apiKey ? '已输入' : '未输入', length: apiKey.length }
+    };
+
+    const isValid = validation.theme.valid && validation.vocabulary.valid && validation.title.valid && validation.apiKey.valid && !this.isGenerating;
+
+    // 调试日志
+    console.log('表单验证状态:', validation, '最终结果:', isValid);
+
+    this.elements.generateBtn.disabled = !isValid;
+
+    // 更新按钮文本以提供反馈
+    if (!isValid) {
+      const reasons = [];
+      if (!validation.theme.valid) reasons.push('选择主题');
+      if (!validation.vocabulary.valid) reasons.push('选择词汇');
+      if (!validation.title.valid) reasons.push('输入标题');
+      if (!validation.apiKey.valid) {
+        reasons.push(this.parentLock.isUnlocked()
+          ? (this.keyVault.hasSavedKey() ? '解锁API密钥' : '输入API密钥')
+          : '家长解锁API密钥');
+      }
+
+      const btnText = this.elements.generateBtn.querySelector('.btn-text');
+      const btnIcon = this.elements.generateBtn.querySelector('.btn-icon');
+
+      if (btnText && btnIcon) {
+        btnText.textContent = `请${reasons.join('、')}`;
+        btnIcon.textContent = '⚠️';
+      }
+    } else {
+      const btnText = this.elements.generateBtn.querySelector('.btn-text');
+      const btnIcon = this.elements.generateBtn.querySelector('.btn-icon');
+
+      if (btnText && btnIcon) {
+        btnText.textContent = '开始生成魔法图片';
+        btnIcon.textContent = '🪄';
+      }
+    }
+  }
+
+  /**
+   * Fill the advanced option selects from the provider's capabilities
+   */
+  renderAdvancedOptions() {
+    const capabilities = this.generator.getProvider().getCapabilities();
+    const defaults = this.storage.getGenerationOptions();
+    const choices = {
+      aspect_ratio: capabilities.aspectRatios,
+      resolution: capabilities.resolutions,
+      output_format: capabilities.outputFormats
+    };
+
+    this.elements.advancedOptionSelects.forEach(select => {
+      const key = select.dataset.option;
+      select.innerHTML = (choices[key] || []).map(value => `
+        <option value="${value}" ${value === defaults[key] ? 'selected' : ''}>${this.getOptionLabel(key, value)}</option>
+      `).join('');
+    });
+  }
+
+  /**
+   * Fill the prompt template select
+   */
+  renderTemplateOptions() {
+    const select = this.elements.promptTemplateSelect;
+    if (!select) return;
+
+    const selectedId = this.templates.getTemplate(this.storage.getPreferences().promptTemplate)?.id;
+    select.innerHTML = this.templates.listTemplates().map(template => `
+      <option value="${template.id}" ${template.id === selectedId ? 'selected' : ''}>${Utils.sanitizeHTML(template.name)} v${template.version}</option>
+    `).join('');
+  }
+
+  /**
+   * Show the exact prompt that will be sent for the current theme and title
+   */
+  showPromptPreview() {
+    const title = this.elements.titleInput.value.trim();
+    const theme = this.themesData?.[this.selectedTheme];
+
+    if (!theme || !title) {
+      this.showToast('请先选择主题并填写标题', 'warning');
+      return;
+    }
+
+    const template = this.templates.getTemplate(this.storage.getPreferences().promptTemplate);
+    const prompt = this.generator.buildPrompt(this.selectedTheme, title, this.getSelectedVocabulary(), theme, template.id);
+
+    const modal = this.createModal({
+      title: '👀 提示词预览',
+      content: `
+        <p class="prompt-preview-meta">模板：${Utils.sanitizeHTML(template.name)} v${template.version} · ${prompt.length} 字</p>
+        <pre class="prompt-preview">${Utils.sanitizeHTML(prompt)}</pre>
+      `,
+      buttons: [
+        {
+          text: '复制',
+          icon: '📋',
+          class: 'secondary-btn',
+          action: async () => {
+            const copied = await Utils.copyToClipboard(prompt);
+            this.showToast(copied ? '提示词已复制' : '复制失败，请手动选择复制', copied ? 'success' : 'error');
+          }
+        },
+        {
+          text: '关闭',
+          icon: '❌',
+          class: 'secondary-btn',
+          action: null
+        }
+      ]
+    });
+
+    this.showModal(modal);
+  }
+
+  /**
+   * Read the generation options currently selected in the advanced panel
+   * @returns {Object} { aspect_ratio, resolution, output_format }
+   */
+  getGenerationOptions() {
+    const options = this.storage.getGenerationOptions();
+
+    this.elements.advancedOptionSelects?.forEach(select => {
+      if (select.value) {
+        options[select.dataset.option] = select.value;
+      }
+    });
+
+    return options;
+  }
+
+  /**
+   * Get display label for a generation option value
+   * @param {string} key - Option name
+   * @param {string} value - Option value
+   * @returns {string} Label
+   */
+  getOptionLabel(key, value) {
+    const labels = {
+      aspect_ratio: {
+        '1:1': '1:1 正方形',
+        '3:4': '3:4 竖版海报',
+        '4:3': '4:3 横版',
+        '9:16': '9:16 手机竖屏',
+        '16:9': '16:9 宽屏',
+        'auto': '自动'
+      },
+      resolution: {
+        '1K': '1K 标准',
+        '2K': '2K 高清',
+        '4K': '4K 超清'
+      },
+      output_format: {
+        'png': 'PNG',
+        'jpg': 'JPG'
+      }
+    };
+
+    return labels[key]?.[value] || value;
+  }
+
+  /**
+   * Summarize generation options for display
+   * @param {Object} options - { aspect_ratio, resolution, output_format }
+   * @returns {string} e.g. "3:4 竖版海报 · 2K 高清 · PNG"
+   */
+  formatGenerationOptions(options) {
+    return ['aspect_ratio', 'resolution', 'output_format']
+      .filter(key => options[key])
+      .map(key => this.getOptionLabel(key, options[key]))
+      .join(' · ');
+  }
+
+  /**
+   * Check that a file can be used as a reference image
+   * @param {File} file - Uploaded file
+   * @returns {Object} Validation result with valid flag and message
+   */
+  validateReferenceImage(file) {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
+    const maxSize = 30 * 1024 * 1024; // API limit per image
+
+    if (!allowedTypes.includes(file.type)) {
+      return { valid: false, message: '只支持 JPG、PNG、WebP 格式的图片' };
+    }
+
+    if (file.size > maxSize) {
+      return { valid: false, message: `图片不能超过${Utils.formatFileSize(maxSize)}` };
+    }
+
+    return { valid: true, message: '' };
+  }
+
+  /**
+   * Validate, compress and add uploaded reference images
+   * @param {FileList} files - Selected files
+   */
+  async addReferenceFiles(files) {
+    const maxImages = this.generator.getProvider().getCapabilities().maxImageInputs;
+
+    for (const file of Array.from(files)) {
+      if (this.referenceImages.length >= maxImages) {
+        this.showToast(`最多只能添加${maxImages}张参考图`, 'warning');
+        break;
+      }
+
+      const validation = this.validateReferenceImage(file);
+      if (!validation.valid) {
+        this.showToast(`${file.name}：${validation.message}`, 'warning');
+        continue;
+      }
+
+      try {
+        const compressed = await Utils.compressImage(file, 1024, 1024, 0.85);
+        const thumbnail = await Utils.compressImage(compressed, 96, 96, 0.6);
+
+        this.referenceImages.push({
+          id: Utils.generateUUID(),
+          name: file.name,
+          source: 'upload',
+          url: await Utils.blobToDataURL(compressed),
+          thumbnail: await Utils.blobToDataURL(thumbnail)
+        });
+      } catch (error) {
+        console.error('❌ 参考图处理失败:', error);
+        this.showToast(`${file.name}：${error.message}`, 'error');
+      }
+    }
+
+    this.renderReferenceImages();
+  }
+
+  /**
+   * Use an earlier poster from history as a reference image
+   * @param {Object} item - History item
+   */
+  async addReferenceFromHistory(item) {
+    const maxImages = this.generator.getProvider().getCapabilities().maxImageInputs;
+
+    if (this.referenceImages.some(ref => ref.historyId === item.id)) {
+      this.showToast('这张图片已经是参考图了', 'info');
+    } else if (this.referenceImages.length >= maxImages) {
+      this.showToast(`最多只能添加${maxImages}张参考图`, 'warning');
+      return;
+    } else {
+      this.referenceImages.push({
+        id: Utils.generateUUID(),
+        name: item.title,
+        source: 'history',
+        historyId: item.id,
+        ...await this.getHistoryReferenceImage(item)
+      });
+      this.showToast('已添加为参考图', 'success');
+    }
+
+    this.renderReferenceImages();
+    if (this.elements.advancedOptions) this.elements.advancedOptions.open = true;
+    this.switchPage('generate');
+  }
+
+  /**
+   * Get reference image data for a history item. The local copy is sent as
+   * a data URL since the original URL may have expired.
+   * @param {Object} item - History item
+   * @returns {Promise<Object>} { url, thumbnail }
+   */
+  async getHistoryReferenceImage(item) {
+    const original = { url: item.imageUrl, thumbnail: item.imageUrl };
+    const blob = await this.imageLibrary.getBlob(item.imageId);
+    if (!blob) return original;
+
+    try {
+      const compressed = await Utils.compressImage(blob, 1024, 1024, 0.85);
+      const thumbnail = await Utils.compressImage(compressed, 96, 96, 0.6);
+
+      return {
+        url: await Utils.blobToDataURL(compressed),
+        thumbnail: await Utils.blobToDataURL(thumbnail)
+      };
+    } catch (error) {
+      console.warn('⚠️ 本地图片处理失败，改用原始地址:', error.message);
+      return original;
+    }
+  }
+
+  /**
+   * Remove a reference image
+   * @param {string} referenceId - Reference image ID
+   */
+  removeReferenceImage(referenceId) {
+    this.referenceImages = this.referenceImages.filter(ref => ref.id !== referenceId);
+    this.renderReferenceImages();
+  }
+
+  /**
+   * Render reference image thumbnails
+   */
+  renderReferenceImages() {
+    const list = this.elements.referenceList;
+    if (!list) return;
+
+    list.innerHTML = this.referenceImages.map(ref => `
+      <div class="reference-item" title="${Utils.sanitizeHTML(ref.name)}">
+        <img src="${Utils.sanitizeHTML(ref.thumbnail)}" alt="${Utils.sanitizeHTML(ref.name)}">
+        <button class="reference-remove" data-reference-id="${ref.id}" title="移除">×</button>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Describe reference images for history - thumbnails only, not full image data
+   * @param {Array} referenceImages - Reference images used for a generation
+   * @returns {Array} Array of { name, source, thumbnail }
+   */
+  getReferenceRecords(referenceImages) {
+    return referenceImages.map(ref => ({
+      name: ref.name,
+      source: ref.source,
+      thumbnail: ref.thumbnail
+    }));
+  }
+
+  /**
+   * Handle image generation
+   */
+  async handleGenerate() {
+    if (this.isGenerating) return;
+
+    const title = this.elements.titleInput.value.trim();
+    const apiKey = this.elements.apiKeyInput.value.trim();
+
+    if (!this.selectedTheme || !title || !apiKey) {
+      this.showToast('请填写所有必填项', 'warning');
+      return;
+    }
+
+    // Check network connection
+    if (!Utils.checkInternetConnection()) {
+      this.showToast('网络连接已断开，请检查网络后重试', 'error');
+      return;
+    }
+
+    // Validate inputs
+    const titleValidation = Utils.validateChineseText(title, 1, 30);
+    if (!titleValidation.valid) {
+      this.showToast(titleValidation.message, 'warning');
+      return;
+    }
+
+    const apiValidation = Utils.validateApiKey(apiKey);
+    if (!apiValidation.valid) {
+      this.showToast(apiValidation.message, 'warning');
+      return;
+    }
+
+    // Wait for themes data to load
+    if (!this.themesData) {
+      this.showToast('主题数据正在加载中，请稍候...', 'warning');
+      // Wait for themes to load (with timeout)
+      let attempts = 0;
+      const maxAttempts = 10;
+      while (!this.themesData && attempts < maxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        attempts++;
+      }
+
+      if (!this.themesData) {
+        this.showToast('主题数据加载失败，请刷新页面重试', 'error');
+        return;
+      }
+    }
 
     // Check if selected theme exists
     if (!this.themesData[this.selectedTheme]) {
@@ -483,428 +2017,1839 @@ class UIManager {
       return;
     }
 
-    this.isGenerating = true;
-    this.updateGenerateButton(true);
+    if (this.selectedWords.size === 0) {
+      this.showToast('请至少选择一个词汇', 'warning');
+      return;
+    }
+
+    if (!this.parentLock.canGenerate()) {
+      this.showDailyLimitReached();
+      return;
+    }
+    this.parentLock.recordGeneration();
+
+    this.isGenerating = true;
+    this.updateGenerateButton(true);
+
+    let pendingTaskId = null;
+    let keepPendingTask = false;
+
+    try {
+      console.log('🎨 开始生成图片...');
+      console.log('主题:', this.selectedTheme);
+      console.log('标题:', title);
+
+      // Get the words chosen in the picker
+      const theme = this.themesData[this.selectedTheme];
+      const vocabulary = this.getSelectedVocabulary();
+      console.log('选择的词汇:', vocabulary);
+
+      // Build prompt
+      const prompt = this.generator.buildPrompt(this.selectedTheme, title, vocabulary, theme);
+      console.log('生成的提示词长度:', prompt.length);
+
+      const generationOptions = this.getGenerationOptions();
+      const referenceImages = [...this.referenceImages];
+      const references = this.getReferenceRecords(referenceImages);
+      console.log('生成选项:', generationOptions, '参考图数量:', referenceImages.length);
+
+      // Show progress
+      this.generationController = new AbortController();
+      this.showProgressModal(() => this.cancelGeneration());
+
+      // Generate image
+      const result = await this.generator.generateImage(apiKey, prompt, {
+        ...generationOptions,
+        image_input: referenceImages.map(ref => ref.url)
+      }, (progress) => {
+        // Persist the task as soon as it exists so a reload can resume it
+        if (progress.taskId && !pendingTaskId) {
+          pendingTaskId = progress.taskId;
+          this.storage.savePendingTask({
+            taskId: pendingTaskId,
+            title: title,
+            theme: this.selectedTheme,
+            themeName: theme.name,
+            prompt: prompt,
+            vocabulary: vocabulary,
+            options: generationOptions,
+            references: references,
+            profileId: this.storage.getActiveProfileId()
+          });
+        }
+        this.updateProgress(progress);
+      }, this.generationController.signal);
+
+      if (result.cancelled) {
+        this.recordCancelledGeneration(result, title, this.selectedTheme);
+        this.showToast('已取消生成', 'info');
+      } else if (result.success) {
+        console.log('✅ 原始图片生成成功:', result);
+
+        // Keep a local copy - the returned URL expires
+        this.updateProgress({ status: 'processing', message: '正在把图片保存到本地...' });
+        const imageId = await this.imageLibrary.saveFromUrl(result.imageUrl, { taskId: result.taskId, title: title });
+
+        // 由于跨域限制，暂时不进行图片处理
+        console.log('📝 跳过图片处理，直接显示原始图片');
+        await this.displayResult({ ...result, imageId: imageId, vocabulary: vocabulary, options: generationOptions, references: references }, title, this.selectedTheme);
+        Utils.createConfetti();
+        this.showToast('图片生成成功！', 'success');
+      } else {
+        // The server may still finish a task we lost track of - resume it on the next load
+        keepPendingTask = !GenerationErrors.isTerminal(result.cause);
+        throw result.cause || new Error(result.error);
+      }
+
+    } catch (error) {
+      console.error('❌ 图片生成失败:', error);
+      this.showErrorRecovery(GenerationErrors.normalize(error));
+
+    } finally {
+      if (pendingTaskId && !keepPendingTask) {
+        this.storage.removePendingTask(pendingTaskId);
+      }
+
+      this.isGenerating = false;
+      this.generationController = null;
+      this.updateGenerateButton(false);
+      this.hideProgressModal();
+    }
+  }
+
+  /**
+   * Show a failed generation with a recovery action suited to the error type
+   * @param {GenerationError} error - Typed generation error
+   */
+  showErrorRecovery(error) {
+    const recovery = this.getRecoveryAction(error);
+    const buttons = [
+      {
+        text: '关闭',
+        icon: '❌',
+        class: 'secondary-btn',
+        action: null
+      }
+    ];
+
+    if (recovery.button) {
+      buttons.unshift({
+        ...recovery.button,
+        class: 'magic-btn',
+        action: () => {
+          this.hideModal();
+          recovery.button.action();
+        }
+      });
+    }
+
+    const modal = this.createModal({
+      title: `${recovery.icon} ${recovery.title}`,
+      content: `
+        <div style="text-align: center;">
+          <p>${Utils.sanitizeHTML(error.message)}</p>
+          <p class="form-hint">${recovery.hint}</p>
+        </div>
+      `,
+      buttons: buttons
+    });
+
+    this.showModal(modal);
+  }
+
+  /**
+   * Map a generation error to what the user can do about it
+   * @param {GenerationError} error - Typed generation error
+   * @returns {Object} { icon, title, hint, button } where button is
+   *   { text, icon, action } or null when there is nothing to do
+   */
+  getRecoveryAction(error) {
+    const retry = {
+      text: '重新生成',
+      icon: '🔄',
+      action: () => this.handleGenerate()
+    };
+
+    switch (error.type) {
+      case 'auth':
+        return {
+          icon: '🔑',
+          title: 'API密钥无效',
+          hint: '请家长重新输入有效的 API 密钥',
+          button: {
+            text: '重新输入密钥',
+            icon: '✏️',
+            action: () => this.reenterApiKey()
+          }
+        };
+
+      case 'quota':
+        return {
+          icon: '💰',
+          title: '账户余额不足',
+          hint: '充值完成后回到这里重新生成即可',
+          button: {
+            text: '前往充值',
+            icon: '💳',
+            action: () => window.open(this.billingUrl, '_blank')
+          }
+        };
+
+      case 'rate_limit': {
+        const seconds = Math.ceil((error.retryAfter || 30000) / 1000);
+        return {
+          icon: '⏳',
+          title: '请求过于频繁',
+          hint: `请等待 ${seconds} 秒后再试`,
+          button: {
+            text: `${seconds}秒后重试`,
+            icon: '⏱️',
+            action: () => {
+              this.showToast(`将在 ${seconds} 秒后自动重试`, 'info');
+              setTimeout(() => this.handleGenerate(), seconds * 1000);
+            }
+          }
+        };
+      }
+
+      case 'validation':
+        return {
+          icon: '📝',
+          title: '请求内容有误',
+          hint: '请检查标题和高级选项后再试',
+          button: {
+            text: '检查输入',
+            icon: '✏️',
+            action: () => {
+              this.switchPage('generate');
+              this.elements.titleInput.focus();
+            }
+          }
+        };
+
+      case 'content_policy':
+        return {
+          icon: '🛡️',
+          title: '内容未通过审核',
+          hint: '换一个标题，或移除可能不合适的参考图',
+          button: {
+            text: '修改标题',
+            icon: '✏️',
+            action: () => {
+              this.switchPage('generate');
+              if (this.elements.advancedOptions && this.referenceImages.length > 0) {
+                this.elements.advancedOptions.open = true;
+              }
+              this.elements.titleInput.select();
+            }
+          }
+        };
+
+      case 'network':
+        return {
+          icon: '📡',
+          title: '网络连接失败',
+          hint: '请检查网络连接，恢复后重新生成',
+          button: Utils.checkInternetConnection() ? retry : null
+        };
+
+      case 'timeout':
+        return {
+          icon: '⌛',
+          title: '生成超时',
+          hint: '服务器繁忙，可以稍后重新生成',
+          button: retry
+        };
+
+      default:
+        return {
+          icon: '😢',
+          title: '生成失败',
+          hint: error.retryable ? '这可能是临时问题，可以重新生成' : '请检查输入后再试',
+          button: error.retryable ? retry : null
+        };
+    }
+  }
+
+  /**
+   * Cancel the running generation
+   */
+  cancelGeneration() {
+    if (!this.generationController) return;
+
+    this.generationController.abort();
+    this.updateProgress({ status: 'cancelling', message: '正在取消...' });
+
+    const cancelBtn = document.getElementById('progressCancelBtn');
+    if (cancelBtn) cancelBtn.disabled = true;
+  }
+
+  /**
+   * Record a cancelled generation in history
+   * @param {Object} result - Generation result
+   * @param {string} title - Image title
+   * @param {string} theme - Image theme
+   */
+  recordCancelledGeneration(result, title, theme) {
+    this.storage.addToHistory({
+      status: 'cancelled',
+      taskId: result.taskId,
+      title: title,
+      theme: theme,
+      themeName: this.themesData?.[theme]?.name || theme
+    });
+  }
+
+  /**
+   * Resume generation tasks left running by a previous page load
+   */
+  async resumePendingTasks() {
+    // Skip tasks this page is already polling
+    const pendingTasks = this.storage.getPendingTasks()
+      .filter(task => !this.generator.activeTasks.has(task.taskId));
+    if (pendingTasks.length === 0) return;
+
+    if (!Utils.checkInternetConnection()) {
+      console.log('⏸️ 离线状态，稍后继续未完成的任务');
+      return;
+    }
+
+    const apiKey = this.keyVault.getApiKey() || this.elements.apiKeyInput?.value.trim();
+    if (!apiKey) {
+      console.warn('⚠️ 没有API密钥，无法继续未完成的任务');
+      return;
+    }
+
+    this.showToast(`正在继续 ${pendingTasks.length} 个未完成的生成任务...`, 'info');
+    await Promise.all(pendingTasks.map(task => this.resumePendingTask(apiKey, task)));
+  }
+
+  /**
+   * Poll a single pending task and save its outcome to history. A task that
+   * can't be checked right now (offline, still rendering when polling gives
+   * up) stays pending and is resumed again on the next page load.
+   * @param {string} apiKey - API authentication key
+   * @param {Object} task - Pending task from storage
+   */
+  async resumePendingTask(apiKey, task) {
+    console.log('🔄 继续任务:', task.taskId, task.title);
+
+    const result = await this.generator.resumeTask(apiKey, task.taskId);
+
+    if (!result.success && !result.cancelled && !GenerationErrors.isTerminal(result.cause)) {
+      console.warn('⏸️ 任务暂时无法完成，稍后继续:', task.taskId, result.error);
+      this.showToast(`《${task.title}》还没有完成，下次打开时会继续`, 'warning');
+      return;
+    }
+
+    this.storage.removePendingTask(task.taskId);
+
+    if (result.success) {
+      const imageId = await this.imageLibrary.saveFromUrl(result.imageUrl, { taskId: task.taskId, title: task.title });
+
+      this.storage.addToHistory({
+        status: 'success',
+        taskId: task.taskId,
+        title: task.title,
+        theme: task.theme,
+        themeName: task.themeName,
+        imageUrl: result.imageUrl,
+        imageId: imageId,
+        generationTime: result.generationTime,
+        timestamp: result.timestamp,
+        vocabulary: task.vocabulary,
+        options: task.options,
+        references: task.references
+      }, task.profileId);
+      this.showToast(`《${task.title}》已完成，已保存到历史记录`, 'success');
+    } else {
+      this.storage.addToHistory({
+        status: 'failed',
+        taskId: task.taskId,
+        title: task.title,
+        theme: task.theme,
+        themeName: task.themeName,
+        error: result.error
+      }, task.profileId);
+      this.showToast(`《${task.title}》生成失败：${result.error}`, 'error');
+    }
+
+    if (this.currentPage === 'history') {
+      this.loadHistory();
+    }
+    this.updateReviewBadge();
+  }
+
+  /**
+   * Update generate button state
+   * @param {boolean} isGenerating - Whether currently generating
+   */
+  updateGenerateButton(isGenerating) {
+    const btn = this.elements.generateBtn;
+    const btnText = btn.querySelector('.btn-text');
+    const btnIcon = btn.querySelector('.btn-icon');
+
+    if (isGenerating) {
+      btn.disabled = true;
+      btnText.textContent = 'AI正在绘制中...';
+      btnIcon.textContent = '⏳';
+      btn.classList.add('generating');
+    } else {
+      btn.disabled = false;
+      btnText.textContent = '开始生成魔法图片';
+      btnIcon.textContent = '🪄';
+      btn.classList.remove('generating');
+      this.validateForm();
+    }
+  }
+
+  /**
+   * Display generated result
+   * @param {Object} result - Generation result
+   * @param {string} title - Image title
+   * @param {string} theme - Image theme
+   */
+  async displayResult(result, title, theme) {
+    console.log('🎨 开始显示结果');
+    console.log('📊 生成结果:', result);
+    console.log('📝 标题:', title);
+    console.log('🎯 主题:', theme);
+
+    // Store current result data
+    this.currentResult = {
+      ...result,
+      title: title,
+      theme: theme,
+      themeName: this.themesData && this.themesData[theme] ? this.themesData[theme].name : theme
+    };
+
+    console.log('✅ 当前结果已保存:', this.currentResult);
+
+    const resultSection = this.elements.resultSection;
+    const resultImage = this.elements.resultImage;
+
+    // 检查元素是否存在
+    if (!resultSection || !resultImage) {
+      console.error('❌ 关键元素缺失，尝试动态查找...');
+      resultSection = resultSection || document.getElementById('resultSection');
+      resultImage = resultImage || document.getElementById('resultImage');
+
+      if (!resultSection || !resultImage) {
+        console.error('❌ 最终仍缺少关键元素');
+        this.showToast('页面元素加载失败，请刷新页面', 'error');
+        return;
+      }
+    }
+
+    // Display image
+    const imageUrl = result.imageUrl;
+    console.log('🖼️ 图片URL:', imageUrl);
+
+    if (!imageUrl) {
+      console.error('❌ 图片URL为空');
+      this.showToast('图片URL无效', 'error');
+      return;
+    }
+
+    resultImage.onload = () => {
+      console.log('✅ 图片加载成功');
+
+      // 图片加载成功后，创建词汇显示
+      this.createVocabularyDisplay();
+
+      resultSection.classList.remove('hidden');
+      Utils.scrollToElement(resultSection, 100);
+    };
+
+    resultImage.onerror = (error) => {
+      console.error('❌ 图片加载失败:', error);
+      this.showToast('图片加载失败', 'error');
+    };
+
+    resultImage.src = await this.getImageSource(this.currentResult);
+  }
+
+  /**
+   * Create vocabulary display
+   */
+  createVocabularyDisplay() {
+    console.log('🔄 创建词汇显示，当前结果:', this.currentResult);
+    console.log('🔄 主题数据:', this.themesData);
+
+    if (!this.currentResult) {
+      console.error('❌ currentResult 未定义');
+      return;
+    }
+
+    if (!this.currentResult.theme) {
+      console.error('❌ currentResult.theme 未定义');
+      return;
+    }
+
+    if (!this.themesData || !this.themesData[this.currentResult.theme]) {
+      console.error('❌ 主题数据不存在:', this.currentResult.theme);
+      return;
+    }
+
+    // Only show the words that were sent to the prompt
+    const theme = this.themesData[this.currentResult.theme];
+    const vocabulary = this.currentResult.vocabulary || theme.vocabulary;
+
+    console.log('✅ 开始创建词汇显示');
+
+    // Remove existing vocabulary display
+    const existingVocab = document.querySelector('.vocabulary-display');
+    if (existingVocab) {
+      existingVocab.remove();
+    }
+
+    // Create vocabulary section
+    const vocabSection = document.createElement('div');
+    vocabSection.className = 'vocabulary-display';
+    vocabSection.innerHTML = `
+      <h3 style="color: #9B59B6; margin: 20px 0; font-family: 'Comic Neue', 'Noto Sans SC', cursive; font-size: 1.5rem;">
+        📚 ${this.currentResult.title || ''} - 词汇表
+      </h3>
+      <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 15px; margin: 20px 0;">
+        ${this.createVocabularyCards(vocabulary)}
+      </div>
+      <p style="color: #666; font-style: italic; margin-top: 15px;">
+        💡 提示：可以将上面的图片和词汇表一起使用来学习中文汉字
+      </p>
+      <button class="magic-btn" id="vocabFlashcardsBtn">
+        <span class="btn-icon">🃏</span>
+        <span>用识字卡片练习</span>
+      </button>
+    `;
+    vocabSection.querySelector('#vocabFlashcardsBtn').addEventListener('click', () => {
+      this.openFlashcards('current');
+    });
+
+    // Insert vocabulary section
+    const resultSection = this.elements.resultSection;
+    const generateAnotherBtn = document.getElementById('generateAnotherBtn');
+
+    if (resultSection && generateAnotherBtn) {
+      resultSection.insertBefore(vocabSection, generateAnotherBtn);
+      console.log('✅ 词汇显示创建完成');
+    } else {
+      console.error('❌ 找不到结果区域或按钮元素');
+    }
+  }
+
+  /**
+   * Create vocabulary cards HTML
+   * @param {Object} vocabulary - Vocabulary data
+   * @returns {string} HTML string
+   */
+  createVocabularyCards(vocabulary) {
+    console.log('🔄 创建词汇卡片，词汇数据:', vocabulary);
+
+    if (!vocabulary) {
+      console.error('❌ 词汇数据为空');
+      return '<div>暂无词汇数据</div>';
+    }
+
+    const allItems = [
+      ...(vocabulary.core || []),
+      ...(vocabulary.items || []),
+      ...(vocabulary.environment || [])
+    ];
+
+    console.log('📝 所有词汇项目:', allItems);
+
+    if (allItems.length === 0) {
+      return '<div>暂无词汇项目</div>';
+    }
+
+    return allItems.map((item, index) => {
+      if (!item || !item.pinyin || !item.chinese) {
+        console.warn('⚠️ 词汇项目不完整:', item);
+        return '';
+      }
+
+      return `
+      <div style="
+        background: linear-gradient(135deg, #FFE66D, #FFF);
+        border: 2px solid #4A90E2;
+        border-radius: 15px;
+        padding: 15px;
+        text-align: center;
+        box-shadow: 0 4px 10px rgba(0,0,0,0.1);
+        transition: transform 0.3s ease;
+      "
+      onmouseover="this.style.transform='translateY(-5px)'"
+      onmouseout="this.style.transform='translateY(0)'"
+      >
+        <div style="font-size: 14px; color: #666; margin-bottom: 5px; font-family: 'Comic Neue', cursive;">
+          ${item.pinyin}
+        </div>
+        <div style="font-size: 20px; font-weight: bold; color: #333; font-family: 'Noto Sans SC', sans-serif;">
+          ${item.chinese}
+        </div>
+      </div>
+    `;
+    }).filter(Boolean).join('');
+  }
+
+  /**
+   * Get the posters whose words can be studied: the unsaved result first,
+   * then history, newest first
+   * @returns {Array} History items (the unsaved result has id 'current')
+   */
+  getFlashcardSources() {
+    const history = this.storage.getHistory()
+      .filter(item => item.status !== 'failed' && item.status !== 'cancelled')
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    const current = this.currentResult;
+    const currentSaved = history.some(item => item.taskId && item.taskId === current?.taskId);
+    const sources = current && !currentSaved ? [{ ...current, id: 'current' }, ...history] : history;
+
+    return sources.filter(source => this.getFlashcardDeck(source).length > 0);
+  }
+
+  /**
+   * Build the deck of a poster, with the same theme fallback as today's review
+   * @param {Object} source - History item or current result
+   * @returns {Array} Cards from Flashcards.buildDeck()
+   */
+  getFlashcardDeck(source) {
+    return this.flashcards.buildDeck(this.flashcards.getVocabulary(source, this.themesData || {}));
+  }
+
+  /**
+   * Study the words of a poster
+   * @param {string} sourceId - History item ID, or 'current' for the unsaved result
+   */
+  openFlashcards(sourceId) {
+    this.flashcardDeckId = sourceId;
+    this.flashcardSession = null;
+    this.switchPage('flashcards');
+  }
+
+  /**
+   * Fill the poster select and continue or start a round
+   */
+  renderFlashcardDecks() {
+    const sources = this.getFlashcardSources();
+    const hasDecks = sources.length > 0;
+
+    this.elements.emptyFlashcards.style.display = hasDecks ? 'none' : 'block';
+    this.elements.flashcardDeckPicker.classList.toggle('hidden', !hasDecks);
+    if (!hasDecks) {
+      this.flashcardSession = null;
+      this.elements.flashcardStudy.classList.add('hidden');
+      this.elements.flashcardSummary.classList.add('hidden');
+      return;
+    }
+
+    const source = sources.find(s => s.id === this.flashcardDeckId) || sources[0];
+    this.flashcardDeckId = source.id;
+
+    this.elements.flashcardDeckSelect.innerHTML = sources.map(s => `
+      <option value="${s.id}" ${s.id === source.id ? 'selected' : ''}>${s.id === 'current' ? '🆕 ' : ''}${Utils.sanitizeHTML(s.title)} · ${Utils.sanitizeHTML(s.themeName || s.theme)}</option>
+    `).join('');
+
+    // Coming back to the page continues the round
+    if (this.flashcardSession?.source.id === source.id) {
+      this.renderFlashcard();
+    } else {
+      this.startFlashcards(source);
+    }
+  }
+
+  /**
+   * Start a round
+   * @param {Object} source - Poster from getFlashcardSources()
+   * @param {Array} cards - Cards to study; defaults to all of the poster's words
+   */
+  startFlashcards(source, cards = null) {
+    if (!source) return;
+
+    this.flashcardSession = {
+      source: source,
+      cards: cards || this.getFlashcardDeck(source),
+      index: 0,
+      face: this.flashcards.faces[0],
+      results: []
+    };
+
+    this.elements.flashcardSummary.classList.add('hidden');
+    this.elements.flashcardStudy.classList.remove('hidden');
+    this.renderFlashcard();
+  }
+
+  /**
+   * Show the current side of the current card
+   */
+  renderFlashcard() {
+    const session = this.flashcardSession;
+    if (!session) return;
+
+    if (session.index >= session.cards.length) {
+      this.showFlashcardSummary();
+      return;
+    }
+
+    this.renderCardFace(this.elements.flashcard, session.cards[session.index], session.face, session.source);
+    this.elements.flashcardProgress.textContent = `第 ${session.index + 1} / ${session.cards.length} 张`;
+  }
+
+  /**
+   * Show one side of a card
+   * @param {HTMLElement} element - Card button
+   * @param {Object} card - { chinese, pinyin, hint }
+   * @param {string} face - 'hanzi', 'pinyin' or 'hint'
+   * @param {Object} source - Poster the word comes from, shown when there's no emoji hint
+   */
+  renderCardFace(element, card, face, source) {
+    let content;
+
+    if (face === 'pinyin') {
+      content = `
+        <span class="flashcard-pinyin">${Utils.sanitizeHTML(card.pinyin)}</span>
+        <span class="flashcard-caption">${Utils.sanitizeHTML(card.chinese)}</span>
+      `;
+    } else if (face === 'hint') {
+      if (card.hint) {
+        content = `<span class="flashcard-emoji">${Utils.sanitizeHTML(card.hint)}</span>`;
+      } else if (source.imageId || source.imageUrl) {
+        content = `
+          ${this.createHistoryImage(source, 'thumbnail', 'class="flashcard-poster"')}
+          <span class="flashcard-caption">在小报里找一找</span>
+        `;
+      } else {
+        content = `<span class="flashcard-emoji">${Utils.sanitizeHTML(this.themesData?.[source.theme]?.icon || '🤔')}</span>`;
+      }
+    } else {
+      content = `<span class="flashcard-hanzi">${Utils.sanitizeHTML(card.chinese)}</span>`;
+    }
+
+    element.className = `flashcard ${face}`;
+    element.innerHTML = content;
+    this.loadLocalImages(element);
+  }
+
+  /**
+   * Turn the card to its next side
+   */
+  flipFlashcard() {
+    const session = this.flashcardSession;
+    if (!session || session.index >= session.cards.length) return;
+
+    session.face = this.flashcards.nextFace(session.face);
+    this.renderFlashcard();
+  }
+
+  /**
+   * Record the child's answer and move to the next card
+   * @param {boolean} known - True if the child knew the word
+   */
+  answerFlashcard(known) {
+    const session = this.flashcardSession;
+    if (!session || session.index >= session.cards.length) return;
+
+    const card = session.cards[session.index];
+    this.flashcards.recordResult(card, known);
+    session.results.push({ card: card, known: known });
+
+    session.index++;
+    session.face = this.flashcards.faces[0];
+    this.renderFlashcard();
+
+    if (session.index === session.cards.length && session.results.every(result => result.known)) {
+      Utils.createConfetti();
+    }
+  }
+
+  /**
+   * Show how the round went
+   */
+  showFlashcardSummary() {
+    const { known, unknown } = this.flashcards.summarize(this.flashcardSession.results);
+    const summary = this.elements.flashcardSummary;
+
+    summary.innerHTML = `
+      <h3 class="flashcard-summary-title">${unknown.length === 0 ? '🎉 全都认识，太棒了！' : '👏 练完一轮啦！'}</h3>
+      <p>认识 ${known.length} 个，还不认识 ${unknown.length} 个</p>
+      ${unknown.length > 0 ? `
+      <div class="flashcard-word-list">
+        ${unknown.map(card => `
+          <span class="flashcard-word">
+            <span class="flashcard-caption">${Utils.sanitizeHTML(card.pinyin)}</span>
+            ${Utils.sanitizeHTML(card.chinese)}
+          </span>
+        `).join('')}
+      </div>` : ''}
+      <div class="flashcard-actions">
+        ${unknown.length > 0 ? `
+        <button class="magic-btn" data-flashcard-action="unknown">
+          <span class="btn-icon">🔁</span>
+          <span>再练不认识的</span>
+        </button>` : ''}
+        <button class="secondary-btn" data-flashcard-action="restart">
+          <span class="btn-icon">🔄</span>
+          <span>从头再来</span>
+        </button>
+      </div>
+    `;
+
+    this.elements.flashcardStudy.classList.add('hidden');
+    summary.classList.remove('hidden');
+  }
+
+  /**
+   * Show the number of words in today's review on the nav button
+   */
+  updateReviewBadge() {
+    const badge = this.elements.reviewBadge;
+    if (!badge || !this.reviewScheduler) return;
+
+    const count = this.reviewScheduler.getDueCount(this.themesData || {});
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.classList.toggle('hidden', count === 0);
+  }
+
+  /**
+   * Continue today's review, or start it if none is in progress
+   */
+  renderReview() {
+    const session = this.reviewSession;
+    if (session && session.index < session.cards.length) {
+      this.renderReviewCard();
+      return;
+    }
+
+    const cards = this.reviewScheduler.getTodaySession(this.themesData || {});
+    const hasCards = cards.length > 0;
+
+    this.elements.emptyReview.style.display = hasCards || session ? 'none' : 'block';
+    this.elements.reviewStudy.classList.toggle('hidden', !hasCards);
+    this.elements.reviewSummary.classList.toggle('hidden', hasCards || !session);
+
+    // A finished review keeps its summary until new words are due
+    if (!hasCards) return;
+
+    this.reviewSession = {
+      cards: cards,
+      index: 0,
+      face: this.flashcards.faces[0],
+      results: []
+    };
+    this.renderReviewCard();
+  }
+
+  /**
+   * Show the current side of the current review card
+   */
+  renderReviewCard() {
+    const session = this.reviewSession;
+    const card = session.cards[session.index];
+
+    this.elements.emptyReview.style.display = 'none';
+    this.elements.reviewSummary.classList.add('hidden');
+    this.elements.reviewStudy.classList.remove('hidden');
+
+    this.renderCardFace(this.elements.reviewCard, card, session.face, card.source);
+    this.elements.reviewProgress.textContent = `今天还要复习 ${session.cards.length - session.index} 张`;
+  }
+
+  /**
+   * Turn the review card to its next side
+   */
+  flipReviewCard() {
+    const session = this.reviewSession;
+    if (!session || session.index >= session.cards.length) return;
+
+    session.face = this.flashcards.nextFace(session.face);
+    this.renderReviewCard();
+  }
+
+  /**
+   * Schedule the current word and move on. A forgotten word comes back once
+   * more at the end of the round; only the first answer is scheduled.
+   * @param {string} gradeName - 'again', 'hard' or 'easy'
+   */
+  gradeReviewCard(gradeName) {
+    const session = this.reviewSession;
+    const quality = this.reviewScheduler.grades[gradeName];
+    if (!session || session.index >= session.cards.length || quality === undefined) return;
+
+    const card = session.cards[session.index];
+    if (!card.repeat) {
+      const record = this.reviewScheduler.grade(card, quality);
+      session.results.push({ card: card, quality: quality, due: record.due });
+    }
+    if (quality < 3 && !card.repeat) {
+      session.cards.push({ ...card, repeat: true });
+    }
+
+    session.index++;
+    session.face = this.flashcards.faces[0];
+    this.updateReviewBadge();
+
+    if (session.index < session.cards.length) {
+      this.renderReviewCard();
+      return;
+    }
+
+    this.showReviewSummary();
+    if (session.results.every(result => result.quality >= 3)) {
+      Utils.createConfetti();
+    }
+  }
+
+  /**
+   * Show how today's review went
+   */
+  showReviewSummary() {
+    const results = this.reviewSession.results;
+    const forgotten = results.filter(result => result.quality < 3);
+    const summary = this.elements.reviewSummary;
+
+    summary.innerHTML = `
+      <h3 class="flashcard-summary-title">${forgotten.length === 0 ? '🎉 今天的复习全都记住了！' : '👏 今天的复习完成啦！'}</h3>
+      <p>复习了 ${results.length} 个词语，记住 ${results.length - forgotten.length} 个</p>
+      ${forgotten.length > 0 ? `
+      <p class="form-hint">这些词语明天会再来找你：</p>
+      <div class="flashcard-word-list">
+        ${forgotten.map(result => `
+          <span class="flashcard-word">
+            <span class="flashcard-caption">${Utils.sanitizeHTML(result.card.pinyin)}</span>
+            ${Utils.sanitizeHTML(result.card.chinese)}
+          </span>
+        `).join('')}
+      </div>` : ''}
+    `;
+
+    this.elements.reviewStudy.classList.add('hidden');
+    summary.classList.remove('hidden');
+  }
+
+  /**
+   * Download current image
+   */
+  async downloadCurrentImage() {
+    if (!this.currentResult) {
+      this.showToast('没有可下载的图片', 'warning');
+      return;
+    }
+
+    const extension = this.currentResult.options?.output_format || 'png';
+    const filename = `识字图片_${this.currentResult.title}_${Date.now()}.${extension}`;
+    const imageUrl = this.currentResult.processedImage || await this.getImageSource(this.currentResult);
+    Utils.downloadImage(imageUrl, filename);
+    this.showToast('图片下载中...', 'success');
+  }
 
-    try {
-      console.log('🎨 开始生成图片...');
-      console.log('主题:', this.selectedTheme);
-      console.log('标题:', title);
+  /**
+   * Save current image to history
+   */
+  saveCurrentToHistory() {
+    if (!this.currentResult) {
+      this.showToast('没有可保存的图片', 'warning');
+      return;
+    }
 
-      // Get theme vocabulary
-      const theme = this.themesData[this.selectedTheme];
-      console.log('主题词汇:', theme.vocabulary);
+    const historyItem = {
+      status: 'success',
+      taskId: this.currentResult.taskId,
+      title: this.currentResult.title,
+      theme: this.currentResult.theme,
+      themeName: this.currentResult.themeName,
+      imageUrl: this.currentResult.processedImage || this.currentResult.imageUrl,
+      imageId: this.currentResult.processedImage ? null : (this.currentResult.imageId || null),
+      generationTime: this.currentResult.generationTime,
+      timestamp: this.currentResult.timestamp,
+      hasChineseLabels: !!this.currentResult.processedImage,
+      vocabulary: this.currentResult.vocabulary,
+      options: this.currentResult.options,
+      references: this.currentResult.references
+    };
 
-      // Build prompt
-      const prompt = window.imageGenerator.buildPrompt(this.selectedTheme, title, theme.vocabulary, theme);
-      console.log('生成的提示词长度:', prompt.length);
+    const success = this.storage.addToHistory(historyItem);
+    if (success) {
+      this.updateReviewBadge();
+      this.showToast('已保存到历史记录', 'success');
+    } else {
+      this.showToast('保存失败，请重试', 'error');
+    }
+  }
+
+  /**
+   * Reset form for new generation
+   */
+  resetForm() {
+    this.elements.resultSection.classList.add('hidden');
+    this.elements.titleInput.value = '';
+    this.elements.titleCounter.textContent = '0/30';
+    this.updateTitlePinyin('');
+    this.selectedTheme = null;
+    this.selectedWords.clear();
+    this.elements.vocabularyPicker?.classList.add('hidden');
+    this.elements.themeGrid.querySelectorAll('.theme-card').forEach(card => {
+      card.classList.remove('selected');
+    });
+    this.validateForm();
+    Utils.scrollToElement(document.querySelector('.generate-form'), 100);
+  }
+
+  /**
+   * Load and display history
+   */
+  loadHistory() {
+    const history = this.storage.getHistory();
+    const historyGrid = this.elements.historyGrid;
+    const emptyHistory = this.elements.emptyHistory;
+
+    historyGrid.innerHTML = '';
+
+    if (history.length === 0) {
+      emptyHistory.style.display = 'block';
+      historyGrid.style.display = 'none';
+      return;
+    }
+
+    emptyHistory.style.display = 'none';
+    historyGrid.style.display = 'grid';
+
+    // Sort by timestamp (newest first)
+    const sortedHistory = [...history].sort((a, b) => b.timestamp - a.timestamp);
+
+    sortedHistory.forEach(item => {
+      const historyItem = document.createElement('div');
+      historyItem.className = 'history-item';
+      historyItem.innerHTML = `
+        ${this.createHistoryPreview(item)}
+        <div class="history-item-info">
+          <h4 class="history-item-title">${Utils.sanitizeHTML(item.title)}</h4>
+          <p class="history-item-date">${Utils.formatDate(item.timestamp)}</p>
+          <p class="history-item-theme">${Utils.sanitizeHTML(item.themeName || item.theme)}</p>
+          ${this.getHistoryStatusLabel(item) ? `<p class="history-item-status">${this.getHistoryStatusLabel(item)}</p>` : ''}
+        </div>
+      `;
+
+      historyItem.addEventListener('click', () => {
+        this.showHistoryItemModal(item);
+      });
+
+      historyGrid.appendChild(historyItem);
+    });
+
+    this.loadLocalImages(historyGrid);
+  }
+
+  /**
+   * Get display label for unsuccessful history items
+   * @param {Object} item - History item
+   * @returns {string} Label, or empty string for successful items
+   */
+  getHistoryStatusLabel(item) {
+    const labels = {
+      cancelled: '🚫 已取消',
+      failed: '⚠️ 生成失败'
+    };
+
+    return labels[item.status] || '';
+  }
+
+  /**
+   * Create preview markup for a history card
+   * @param {Object} item - History item
+   * @returns {string} HTML string
+   */
+  createHistoryPreview(item) {
+    if (!item.imageUrl && !item.imageId) {
+      return `<div class="history-item-image history-item-placeholder">${item.status === 'failed' ? '⚠️' : '🚫'}</div>`;
+    }
+
+    return this.createHistoryImage(item, 'thumbnail', 'class="history-item-image" loading="lazy"');
+  }
+
+  /**
+   * Create markup for a history image. Images kept in the local library get
+   * their src from loadLocalImages(); older items use their original URL.
+   * @param {Object} item - History item
+   * @param {string} variant - 'full' or 'thumbnail'
+   * @param {string} attributes - Extra attributes for the img element
+   * @returns {string} HTML string
+   */
+  createHistoryImage(item, variant, attributes) {
+    if (!item.imageId) {
+      return `<img src="${Utils.sanitizeHTML(item.imageUrl)}" alt="${Utils.sanitizeHTML(item.title)}" ${attributes}>`;
+    }
+
+    return `<img data-image-id="${Utils.sanitizeHTML(item.imageId)}" data-variant="${variant}" data-fallback-src="${Utils.sanitizeHTML(item.imageUrl)}" alt="${Utils.sanitizeHTML(item.title)}" ${attributes}>`;
+  }
+
+  /**
+   * Fill in images rendered by createHistoryImage() from the local library,
+   * falling back to the original URL when the local copy is missing
+   * @param {HTMLElement} container - Element containing the images
+   */
+  async loadLocalImages(container) {
+    const images = Array.from(container.querySelectorAll('img[data-image-id]'));
+
+    await Promise.all(images.map(async (img) => {
+      const localUrl = await this.imageLibrary.getObjectUrl(img.dataset.imageId, img.dataset.variant);
+      const src = localUrl || img.dataset.fallbackSrc;
+
+      if (src) {
+        img.src = src;
+      } else {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'history-item-image history-item-placeholder';
+        placeholder.textContent = '🖼️';
+        img.replaceWith(placeholder);
+      }
+    }));
+  }
+
+  /**
+   * Get the URL to show or download an image: the local copy when there is
+   * one, otherwise the URL returned by the generation service
+   * @param {Object} item - History item or current result
+   * @param {string} variant - 'full' or 'thumbnail'
+   * @returns {Promise<string|null>} Image URL
+   */
+  async getImageSource(item, variant = 'full') {
+    const localUrl = item.imageId ? await this.imageLibrary.getObjectUrl(item.imageId, variant) : null;
+    return localUrl || item.imageUrl || null;
+  }
+
+  /**
+   * Delete local images that no history item uses any more
+   */
+  async pruneImageLibrary() {
+    if (!this.storage.isAvailable() || !this.imageLibrary.isAvailable()) return;
+
+    const imageIds = this.storage.getAllHistory().map(item => item.imageId);
+    await this.imageLibrary.prune([...imageIds, this.currentResult?.imageId]);
+  }
+
+  /**
+   * Download images for history items saved before the local library
+   * existed. Each item is tried once; expired URLs are recorded as imageId null.
+   */
+  async backfillImageLibrary() {
+    if (!this.imageLibrary.isAvailable() || !Utils.checkInternetConnection()) return;
+
+    const items = this.storage.getHistory().filter(item => item.imageUrl && !('imageId' in item));
+    if (items.length === 0) return;
+
+    console.log(`📥 正在保存 ${items.length} 张历史图片到本地...`);
+    for (const item of items) {
+      const imageId = await this.imageLibrary.saveFromUrl(item.imageUrl, { taskId: item.taskId, title: item.title });
+      this.storage.updateHistoryItem(item.id, { imageId: imageId });
+    }
+
+    if (this.currentPage === 'history') {
+      this.loadHistory();
+    }
+  }
+
+  /**
+   * Show modal for history item
+   * @param {Object} item - History item
+   */
+  showHistoryItemModal(item) {
+    const buttons = [
+      {
+        text: '删除',
+        icon: '🗑️',
+        class: 'secondary-btn',
+        action: () => {
+          this.confirmDeleteHistoryItem(item.id);
+        }
+      },
+      {
+        text: '关闭',
+        icon: '❌',
+        class: 'secondary-btn',
+        action: null
+      }
+    ];
+
+    if (item.status !== 'failed' && item.status !== 'cancelled' && this.getFlashcardDeck(item).length > 0) {
+      buttons.unshift({
+        text: '识字卡片',
+        icon: '🃏',
+        class: 'secondary-btn',
+        action: () => {
+          this.hideModal();
+          this.openFlashcards(item.id);
+        }
+      });
+    }
+
+    if (item.imageUrl || item.imageId) {
+      buttons.unshift({
+        text: '用作参考图',
+        icon: '🖼️',
+        class: 'secondary-btn',
+        action: () => {
+          this.hideModal();
+          this.addReferenceFromHistory(item);
+        }
+      });
+      buttons.unshift({
+        text: '下载',
+        icon: '💾',
+        class: 'magic-btn',
+        action: async () => {
+          const filename = `识字图片_${item.title}_${item.timestamp}.${item.options?.output_format || 'png'}`;
+          Utils.downloadImage(await this.getImageSource(item), filename);
+          this.showToast('图片下载中...', 'success');
+        }
+      });
+    }
+
+    const modal = this.createModal({
+      title: Utils.sanitizeHTML(item.title),
+      content: `
+        <div style="text-align: center;">
+          ${item.imageUrl || item.imageId
+            ? this.createHistoryImage(item, 'full', 'style="max-width: 100%; border-radius: 10px; margin-bottom: 20px;"')
+            : `<p class="history-item-status">${this.getHistoryStatusLabel(item)}</p>`}
+          ${item.error ? `<p>${Utils.sanitizeHTML(item.error)}</p>` : ''}
+          <p><strong>主题：</strong>${Utils.sanitizeHTML(item.themeName || item.theme)}</p>
+          <p><strong>生成时间：</strong>${Utils.formatFullDate(item.timestamp)}</p>
+          ${item.generationTime ? `<p><strong>生成耗时：</strong>${Math.round(item.generationTime / 1000)}秒</p>` : ''}
+          ${item.options ? `<p><strong>画面设置：</strong>${this.formatGenerationOptions(item.options)}</p>` : ''}
+          ${item.references?.length ? `
+          <p><strong>参考图片：</strong></p>
+          <div class="reference-list">
+            ${item.references.map(ref => `
+              <div class="reference-item" title="${Utils.sanitizeHTML(ref.name)}">
+                <img src="${Utils.sanitizeHTML(ref.thumbnail)}" alt="${Utils.sanitizeHTML(ref.name)}">
+              </div>
+            `).join('')}
+          </div>` : ''}
+        </div>
+      `,
+      buttons: buttons
+    });
+
+    this.showModal(modal);
+    this.loadLocalImages(modal);
+  }
+
+  /**
+   * Confirm delete history item
+   * @param {string} itemId - Item ID to delete
+   */
+  confirmDeleteHistoryItem(itemId) {
+    if (!this.requireParent(() => this.confirmDeleteHistoryItem(itemId))) return;
+
+    const modal = this.createModal({
+      title: '确认删除',
+      content: '确定要删除这张识字图片吗？此操作无法撤销。',
+      buttons: [
+        {
+          text: '取消',
+          icon: '❌',
+          class: 'secondary-btn',
+          action: null
+        },
+        {
+          text: '删除',
+          icon: '🗑️',
+          class: 'secondary-btn',
+          action: () => {
+            const imageId = this.storage.getHistory().find(item => item.id === itemId)?.imageId;
+            const success = this.storage.removeFromHistory(itemId);
+            if (success) {
+              this.removeUnusedImage(imageId);
+              this.showToast('图片已删除', 'success');
+              this.loadHistory(); // Refresh history
+            } else {
+              this.showToast('删除失败，请重试', 'error');
+            }
+            this.hideModal();
+          }
+        }
+      ]
+    });
+
+    this.showModal(modal);
+  }
+
+  /**
+   * Delete a local image once no history item or the current result uses it
+   * @param {string} imageId - Image ID
+   */
+  removeUnusedImage(imageId) {
+    if (!imageId || this.currentResult?.imageId === imageId) return;
+
+    const inUse = this.storage.getAllHistory().some(item => item.imageId === imageId);
+    if (!inUse) {
+      this.imageLibrary.remove(imageId);
+    }
+  }
+
+  /**
+   * Confirm clear all history
+   */
+  confirmClearHistory() {
+    if (!this.requireParent(() => this.confirmClearHistory())) return;
+
+    const modal = this.createModal({
+      title: '清空历史记录',
+      content: '确定要清空所有历史记录吗？此操作无法撤销。',
+      buttons: [
+        {
+          text: '取消',
+          icon: '❌',
+          class: 'secondary-btn',
+          action: null
+        },
+        {
+          text: '清空',
+          icon: '🗑️',
+          class: 'secondary-btn',
+          action: () => {
+            const success = this.storage.clearHistory();
+            if (success) {
+              this.pruneImageLibrary();
+              this.showToast('历史记录已清空', 'success');
+              this.loadHistory(); // Refresh history
+            } else {
+              this.showToast('清空失败，请重试', 'error');
+            }
+            this.hideModal();
+          }
+        }
+      ]
+    });
 
-      // Show progress
-      this.showProgressModal();
+    this.showModal(modal);
+  }
 
-      // Generate image
-      const result = await window.imageGenerator.generateImage(apiKey, prompt, {}, (progress) => {
-        this.updateProgress(progress);
-      });
+  /**
+   * Export history data
+   */
+  exportHistory() {
+    const data = this.storage.exportAllData();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const filename = `识字图片历史记录_${Utils.formatFullDate(Date.now()).replace(/[\/\s:]/g, '_')}.json`;
 
-      if (result.success) {
-        console.log('✅ 原始图片生成成功:', result);
+    Utils.downloadImage(url, filename);
+    URL.revokeObjectURL(url);
 
-        // 由于跨域限制，暂时不进行图片处理
-        console.log('📝 跳过图片处理，直接显示原始图片');
-        this.displayResult(result, title, this.selectedTheme);
-        Utils.createConfetti();
-        this.showToast('图片生成成功！', 'success');
-      } else {
-        throw new Error(result.error);
-      }
+    this.showToast('历史记录导出成功', 'success');
+  }
 
-    } catch (error) {
-      console.error('❌ 图片生成失败:', error);
+  /**
+   * Fill the theme selectors on the queue and templates pages
+   */
+  renderThemeOptions() {
+    if (!this.themesData) return;
 
-      // 提供更具体的错误处理
-      let errorMessage = error.message;
-
-      if (error.message.includes('网络')) {
-        errorMessage = '网络连接失败，请检查网络连接';
-      } else if (error.message.includes('API密钥')) {
-        errorMessage = 'API密钥无效，请检查密钥是否正确';
-      } else if (error.message.includes('余额')) {
-        errorMessage = '账户余额不足，请充值后重试';
-      } else if (error.message.includes('频率')) {
-        errorMessage = '请求过于频繁，请稍后重试';
-      }
+    const optionsHtml = Object.entries(this.themesData).map(([key, theme]) =>
+      `<option value="${Utils.sanitizeHTML(key)}">${Utils.sanitizeHTML(theme.icon)} ${Utils.sanitizeHTML(theme.name)}</option>`
+    ).join('');
 
-      this.showToast(`生成失败：${errorMessage}`, 'error');
+    [this.elements.queueThemeSelect, this.elements.templatePreviewTheme].forEach(select => {
+      if (select) select.innerHTML = optionsHtml;
+    });
+  }
 
-      // 显示调试建议
-      setTimeout(() => {
-        this.showToast('💡 提示：可以打开 api-test.html 进行详细测试', 'info');
-      }, 3000);
+  /**
+   * Render the custom themes on the themes page
+   */
+  renderCustomThemeList() {
+    const list = this.elements.customThemeList;
+    if (!list) return;
 
-    } finally {
-      this.isGenerating = false;
-      this.updateGenerateButton(false);
-      this.hideProgressModal();
+    const themes = this.storage.getCustomThemes();
+    if (themes.length === 0) {
+      list.innerHTML = '<p class="form-hint">还没有自定义主题，点击“新建主题”开始创建吧</p>';
+      return;
     }
+
+    list.innerHTML = themes.map(theme => {
+      const wordCount = ['core', 'items', 'environment']
+        .reduce((count, category) => count + (theme.vocabulary[category] || []).length, 0);
+      const description = [`${wordCount} 个词`, Utils.sanitizeHTML(theme.description)].filter(Boolean).join(' · ');
+
+      return `
+        <div class="template-card custom ${this.editingTheme?.key === theme.key ? 'active' : ''}">
+          <h4 class="history-item-title">${Utils.sanitizeHTML(theme.icon)} ${Utils.sanitizeHTML(theme.name)}</h4>
+          <p>${description}</p>
+          <div class="template-card-actions">
+            <button class="secondary-btn" data-theme-action="use" data-theme-key="${Utils.sanitizeHTML(theme.key)}">🎨 去生成</button>
+            <button class="secondary-btn" data-theme-action="edit" data-theme-key="${Utils.sanitizeHTML(theme.key)}">✏️ 编辑</button>
+            <button class="secondary-btn" data-theme-action="delete" data-theme-key="${Utils.sanitizeHTML(theme.key)}">🗑️ 删除</button>
+          </div>
+        </div>
+      `;
+    }).join('');
   }
 
   /**
-   * Update generate button state
-   * @param {boolean} isGenerating - Whether currently generating
+   * Open the theme editor
+   * @param {string|null} themeKey - Custom theme key, or null for a new theme
    */
-  updateGenerateButton(isGenerating) {
-    const btn = this.elements.generateBtn;
-    const btnText = btn.querySelector('.btn-text');
-    const btnIcon = btn.querySelector('.btn-icon');
+  openThemeEditor(themeKey) {
+    const theme = themeKey ? this.storage.getCustomThemes().find(t => t.key === themeKey) : null;
+    if (themeKey && !theme) return;
+
+    this.editingTheme = { key: theme ? theme.key : null };
+
+    this.elements.themeNameInput.value = theme ? theme.name : '';
+    this.elements.themeIconInput.value = theme ? theme.icon : '';
+    this.elements.themeDescriptionInput.value = theme ? theme.description : '';
+    Object.entries(this.elements.themeVocabularyInputs).forEach(([category, textarea]) => {
+      textarea.value = theme
+        ? (theme.vocabulary[category] || []).map(word => `${word.chinese} ${word.pinyin}`).join('\n')
+        : '';
+    });
+    this.elements.themeErrors.innerHTML = '';
+    this.elements.themeEditor.classList.remove('hidden');
 
-    if (isGenerating) {
-      btn.disabled = true;
-      btnText.textContent = 'AI正在绘制中...';
-      btnIcon.textContent = '⏳';
-      btn.classList.add('generating');
-    } else {
-      btn.disabled = false;
-      btnText.textContent = '开始生成魔法图片';
-      btnIcon.textContent = '🪄';
-      btn.classList.remove('generating');
-      this.validateForm();
-    }
+    this.renderCustomThemeList();
+    this.elements.themeNameInput.focus();
   }
 
   /**
-   * Display generated result
-   * @param {Object} result - Generation result
-   * @param {string} title - Image title
-   * @param {string} theme - Image theme
+   * Close the theme editor without saving
    */
-  displayResult(result, title, theme) {
-    console.log('🎨 开始显示结果');
-    console.log('📊 生成结果:', result);
-    console.log('📝 标题:', title);
-    console.log('🎯 主题:', theme);
+  closeThemeEditor() {
+    this.editingTheme = null;
+    this.elements.themeEditor?.classList.add('hidden');
+    this.renderCustomThemeList();
+  }
 
-    // Store current result data
-    this.currentResult = {
-      ...result,
-      title: title,
-      theme: theme,
-      themeName: this.themesData && this.themesData[theme] ? this.themesData[theme].name : theme
-    };
+  /**
+   * Parse "汉字 pinyin" lines into vocabulary entries
+   * @param {string} text - One word per line
+   * @returns {Array} Array of { chinese, pinyin }
+   */
+  parseVocabularyLines(text) {
+    return text.split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const [chinese, ...pinyin] = line.split(/\s+/);
+        return { chinese: chinese, pinyin: pinyin.join(' ') };
+      });
+  }
 
-    console.log('✅ 当前结果已保存:', this.currentResult);
+  /**
+   * Fill in missing pinyin and normalize typed pinyin (tone numbers, v for ü).
+   * Words typed with a reading that differs from the generated one are
+   * returned as overrides so later conversions use the user's reading.
+   * @param {Object} vocabulary - { core, items, environment } word lists
+   * @returns {Object} { vocabulary, overrides: [{ word, pinyin }], polyphones: [{ word, char, readings, reading }] }
+   */
+  completeVocabularyPinyin(vocabulary) {
+    const completed = {};
+    const overrides = [];
+    const polyphones = [];
+
+    Object.entries(vocabulary).forEach(([category, words]) => {
+      completed[category] = words.map(word => {
+        const analysis = this.pinyin.analyze(word.chinese);
+
+        if (!word.pinyin) {
+          analysis.polyphones.forEach(polyphone => polyphones.push({ word: word.chinese, ...polyphone }));
+          return { chinese: word.chinese, pinyin: analysis.pinyin };
+        }
 
-    const resultSection = this.elements.resultSection;
-    const resultImage = this.elements.resultImage;
+        const pinyin = this.pinyin.normalize(word.pinyin);
+        if (pinyin !== analysis.pinyin) {
+          overrides.push({ word: word.chinese, pinyin: pinyin });
+        }
+        return { chinese: word.chinese, pinyin: pinyin };
+      });
+    });
 
-    // 检查元素是否存在
-    if (!resultSection || !resultImage) {
-      console.error('❌ 关键元素缺失，尝试动态查找...');
-      resultSection = resultSection || document.getElementById('resultSection');
-      resultImage = resultImage || document.getElementById('resultImage');
+    return { vocabulary: completed, overrides: overrides, polyphones: polyphones };
+  }
 
-      if (!resultSection || !resultImage) {
-        console.error('❌ 最终仍缺少关键元素');
-        this.showToast('页面元素加载失败，请刷新页面', 'error');
-        return;
-      }
-    }
+  /**
+   * Fill in missing pinyin in the theme editor and point out polyphones
+   */
+  fillThemePinyin() {
+    const vocabulary = {};
+    Object.entries(this.elements.themeVocabularyInputs).forEach(([category, textarea]) => {
+      vocabulary[category] = this.parseVocabularyLines(textarea.value);
+    });
 
-    // Display image
-    const imageUrl = result.imageUrl;
-    console.log('🖼️ 图片URL:', imageUrl);
+    const result = this.completeVocabularyPinyin(vocabulary);
+    Object.entries(this.elements.themeVocabularyInputs).forEach(([category, textarea]) => {
+      textarea.value = result.vocabulary[category].map(word => `${word.chinese} ${word.pinyin}`).join('\n');
+    });
 
-    if (!imageUrl) {
-      console.error('❌ 图片URL为空');
-      this.showToast('图片URL无效', 'error');
-      return;
+    if (result.polyphones.length > 0) {
+      this.elements.themeErrors.innerHTML = `
+        <ul class="theme-errors-list">
+          ${result.polyphones.map(p => `<li>🔤 “${Utils.sanitizeHTML(p.word)}”中的“${p.char}”是多音字（${p.readings.join(' / ')}），已读作 ${p.reading}，不对请直接修改</li>`).join('')}
+        </ul>
+      `;
+    } else {
+      this.elements.themeErrors.innerHTML = '';
     }
 
-    resultImage.src = imageUrl;
-    resultImage.onload = () => {
-      console.log('✅ 图片加载成功');
-
-      // 图片加载成功后，创建词汇显示
-      this.createVocabularyDisplay();
+    this.showToast('拼音已补全', 'success');
+  }
 
-      resultSection.classList.remove('hidden');
-      Utils.scrollToElement(resultSection, 100);
-    };
+  /**
+   * Check a theme and make sure its name isn't taken by another theme
+   * @param {Object} theme - Theme in themes.json format
+   * @param {string|null} themeKey - Key of the theme being replaced
+   * @returns {Object} { valid, message, errors }
+   */
+  validateCustomTheme(theme, themeKey) {
+    const validation = Utils.validateTheme(theme);
+    const name = typeof theme?.name === 'string' ? theme.name.trim() : '';
+    const nameTaken = Object.entries(this.themesData || {})
+      .some(([key, existing]) => key !== themeKey && existing.name === name);
+
+    if (nameTaken) {
+      validation.errors.push(`已经有名为“${name}”的主题`);
+      validation.valid = false;
+      validation.message = validation.errors[0];
+    }
 
-    resultImage.onerror = (error) => {
-      console.error('❌ 图片加载失败:', error);
-      this.showToast('图片加载失败', 'error');
-    };
+    return validation;
   }
 
   /**
-   * Create vocabulary display
+   * Validate and save the theme being edited
    */
-  createVocabularyDisplay() {
-    console.log('🔄 创建词汇显示，当前结果:', this.currentResult);
-    console.log('🔄 主题数据:', this.themesData);
+  saveEditingTheme() {
+    if (!this.editingTheme) return;
 
-    if (!this.currentResult) {
-      console.error('❌ currentResult 未定义');
-      return;
-    }
+    const vocabulary = {};
+    Object.entries(this.elements.themeVocabularyInputs).forEach(([category, textarea]) => {
+      vocabulary[category] = this.parseVocabularyLines(textarea.value);
+    });
+    const pinyinResult = this.completeVocabularyPinyin(vocabulary);
+
+    const theme = {
+      key: this.editingTheme.key,
+      name: this.elements.themeNameInput.value.trim(),
+      icon: this.elements.themeIconInput.value.trim(),
+      description: this.elements.themeDescriptionInput.value.trim(),
+      vocabulary: pinyinResult.vocabulary
+    };
 
-    if (!this.currentResult.theme) {
-      console.error('❌ currentResult.theme 未定义');
+    const validation = this.validateCustomTheme(theme, theme.key);
+    if (!validation.valid) {
+      this.elements.themeErrors.innerHTML = `
+        <ul class="theme-errors-list">
+          ${validation.errors.map(error => `<li>⚠️ ${Utils.sanitizeHTML(error)}</li>`).join('')}
+        </ul>
+      `;
+      this.showToast(validation.message, 'warning');
       return;
     }
 
-    if (!this.themesData || !this.themesData[this.currentResult.theme]) {
-      console.error('❌ 主题数据不存在:', this.currentResult.theme);
+    const saved = this.storage.saveCustomTheme(theme);
+    if (!saved) {
+      this.showToast('保存失败，请重试', 'error');
       return;
     }
 
-    const theme = this.themesData[this.currentResult.theme];
-    const vocabulary = theme.vocabulary;
-
-    console.log('✅ 开始创建词汇显示');
-
-    // Remove existing vocabulary display
-    const existingVocab = document.querySelector('.vocabulary-display');
-    if (existingVocab) {
-      existingVocab.remove();
-    }
-
-    // Create vocabulary section
-    const vocabSection = document.createElement('div');
-    vocabSection.className = 'vocabulary-display';
-    vocabSection.innerHTML = `
-      <h3 style="color: #9B59B6; margin: 20px 0; font-family: 'Comic Neue', 'Noto Sans SC', cursive; font-size: 1.5rem;">
-        📚 ${this.currentResult.title || ''} - 词汇表
-      </h3>
-      <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 15px; margin: 20px 0;">
-        ${this.createVocabularyCards(vocabulary)}
-      </div>
-      <p style="color: #666; font-style: italic; margin-top: 15px;">
-        💡 提示：可以将上面的图片和词汇表一起使用来学习中文汉字
-      </p>
-    `;
-
-    // Insert vocabulary section
-    const resultSection = this.elements.resultSection;
-    const generateAnotherBtn = document.getElementById('generateAnotherBtn');
+    pinyinResult.overrides.forEach(({ word, pinyin }) => this.pinyin.setOverride(word, pinyin));
+    Object.entries(this.elements.themeVocabularyInputs).forEach(([category, textarea]) => {
+      textarea.value = saved.vocabulary[category].map(word => `${word.chinese} ${word.pinyin}`).join('\n');
+    });
 
-    if (resultSection && generateAnotherBtn) {
-      resultSection.insertBefore(vocabSection, generateAnotherBtn);
-      console.log('✅ 词汇显示创建完成');
-    } else {
-      console.error('❌ 找不到结果区域或按钮元素');
-    }
+    this.editingTheme = { key: saved.key };
+    this.elements.themeErrors.innerHTML = '';
+    this.refreshThemes();
+    this.renderCustomThemeList();
+    this.showToast(`主题“${saved.name}”已保存`, 'success');
   }
 
   /**
-   * Create vocabulary cards HTML
-   * @param {Object} vocabulary - Vocabulary data
-   * @returns {string} HTML string
+   * Confirm deleting a custom theme
+   * @param {string} themeKey - Theme key
    */
-  createVocabularyCards(vocabulary) {
-    console.log('🔄 创建词汇卡片，词汇数据:', vocabulary);
+  confirmDeleteTheme(themeKey) {
+    if (!this.requireParent(() => this.confirmDeleteTheme(themeKey))) return;
 
-    if (!vocabulary) {
-      console.error('❌ 词汇数据为空');
-      return '<div>暂无词汇数据</div>';
-    }
-
-    const allItems = [
-      ...(vocabulary.core || []),
-      ...(vocabulary.items || []),
-      ...(vocabulary.environment || [])
-    ];
-
-    console.log('📝 所有词汇项目:', allItems);
+    const modal = this.createModal({
+      title: '确认删除',
+      content: '确定要删除这个主题吗？已生成的历史记录不会受影响，此操作无法撤销。',
+      buttons: [
+        {
+          text: '取消',
+          icon: '❌',
+          class: 'secondary-btn',
+          action: null
+        },
+        {
+          text: '删除',
+          icon: '🗑️',
+          class: 'secondary-btn',
+          action: () => {
+            this.storage.removeCustomTheme(themeKey);
 
-    if (allItems.length === 0) {
-      return '<div>暂无词汇项目</div>';
-    }
+            if (this.editingTheme?.key === themeKey) {
+              this.closeThemeEditor();
+            }
 
-    return allItems.map((item, index) => {
-      if (!item || !item.pinyin || !item.chinese) {
-        console.warn('⚠️ 词汇项目不完整:', item);
-        return '';
-      }
+            this.refreshThemes();
+            this.renderCustomThemeList();
+            this.showToast('主题已删除', 'success');
+            this.hideModal();
+          }
+        }
+      ]
+    });
 
-      return `
-      <div style="
-        background: linear-gradient(135deg, #FFE66D, #FFF);
-        border: 2px solid #4A90E2;
-        border-radius: 15px;
-        padding: 15px;
-        text-align: center;
-        box-shadow: 0 4px 10px rgba(0,0,0,0.1);
-        transition: transform 0.3s ease;
-      "
-      onmouseover="this.style.transform='translateY(-5px)'"
-      onmouseout="this.style.transform='translateY(0)'"
-      >
-        <div style="font-size: 14px; color: #666; margin-bottom: 5px; font-family: 'Comic Neue', cursive;">
-          ${item.pinyin}
-        </div>
-        <div style="font-size: 20px; font-weight: bold; color: #333; font-family: 'Noto Sans SC', sans-serif;">
-          ${item.chinese}
-        </div>
-      </div>
-    `;
-    }).filter(Boolean).join('');
+    this.showModal(modal);
   }
 
   /**
-   * Download current image
+   * Download custom themes as a themes.json-style file
    */
-  downloadCurrentImage() {
-    if (!this.currentResult) {
-      this.showToast('没有可下载的图片', 'warning');
+  exportCustomThemes() {
+    const themes = this.storage.getCustomThemes();
+    if (themes.length === 0) {
+      this.showToast('还没有可导出的自定义主题', 'warning');
       return;
     }
 
-    const filename = `识字图片_${this.currentResult.title}_${Date.now()}.png`;
-    const imageUrl = this.currentResult.processedImage || this.currentResult.imageUrl;
-    Utils.downloadImage(imageUrl, filename);
-    this.showToast('图片下载中...', 'success');
+    const data = {
+      version: '1.0',
+      exportDate: new Date().toISOString(),
+      themes: Object.fromEntries(themes.map(({ key, updatedAt, ...theme }) => [key, theme]))
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const filename = `自定义主题_${Utils.formatFullDate(Date.now()).replace(/[\/\s:]/g, '_')}.json`;
+
+    Utils.downloadImage(url, filename);
+    URL.revokeObjectURL(url);
+
+    this.showToast(`已导出 ${themes.length} 个主题`, 'success');
   }
 
   /**
-   * Save current image to history
+   * Import themes from an exported file. Invalid themes and themes whose name
+   * is already used are skipped.
+   * @param {File} file - JSON file in themes.json format
    */
-  saveCurrentToHistory() {
-    if (!this.currentResult) {
-      this.showToast('没有可保存的图片', 'warning');
+  async importCustomThemes(file) {
+    if (!this.requireParent(() => this.importCustomThemes(file))) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      console.error('❌ 主题文件解析失败:', error);
+      this.showToast('文件格式错误，请选择导出的主题文件', 'error');
       return;
     }
 
-    const historyItem = {
-      title: this.currentResult.title,
-      theme: this.currentResult.theme,
-      themeName: this.currentResult.themeName,
-      imageUrl: this.currentResult.processedImage || this.currentResult.imageUrl,
-      generationTime: this.currentResult.generationTime,
-      timestamp: this.currentResult.timestamp,
-      hasChineseLabels: !!this.currentResult.processedImage
-    };
+    if (!data || !data.themes || typeof data.themes !== 'object') {
+      this.showToast('文件中没有主题数据', 'error');
+      return;
+    }
 
-    const success = storageManager.addToHistory(historyItem);
-    if (success) {
-      this.showToast('已保存到历史记录', 'success');
+    const customKeys = this.storage.getCustomThemes().map(theme => theme.key);
+    let imported = 0;
+    let skipped = 0;
+
+    Object.entries(data.themes).forEach(([key, theme]) => {
+      // Re-importing a theme from this browser updates it instead of adding a copy
+      const replaceKey = customKeys.includes(key) ? key : null;
+      const validation = this.validateCustomTheme(theme, replaceKey);
+
+      if (!validation.valid) {
+        console.warn('⚠️ 跳过无效主题:', key, validation.errors);
+        skipped++;
+        return;
+      }
+
+      if (this.storage.saveCustomTheme({ ...theme, key: key, name: theme.name.trim(), icon: theme.icon.trim() })) {
+        imported++;
+        this.themesData = this.mergeCustomThemes();
+      } else {
+        skipped++;
+      }
+    });
+
+    this.refreshThemes();
+    this.renderCustomThemeList();
+
+    if (imported === 0) {
+      this.showToast('没有导入任何主题，请检查主题名称是否重复或词汇是否完整', 'warning');
     } else {
-      this.showToast('保存失败，请重试', 'error');
+      this.showToast(`已导入 ${imported} 个主题${skipped > 0 ? `，跳过 ${skipped} 个` : ''}`, 'success');
     }
   }
 
   /**
-   * Reset form for new generation
+   * Render built-in and custom prompt templates
    */
-  resetForm() {
-    this.elements.resultSection.classList.add('hidden');
-    this.elements.titleInput.value = '';
-    this.elements.titleCounter.textContent = '0/30';
-    this.selectedTheme = null;
-    this.elements.themeGrid.querySelectorAll('.theme-card').forEach(card => {
-      card.classList.remove('selected');
-    });
-    this.validateForm();
-    Utils.scrollToElement(document.querySelector('.generate-form'), 100);
+  renderTemplateList() {
+    const list = this.elements.templateList;
+    if (!list) return;
+
+    const activeId = this.templates.getTemplate(this.storage.getPreferences().promptTemplate)?.id;
+
+    list.innerHTML = this.templates.listTemplates().map(template => {
+      const isActive = template.id === activeId;
+      const description = [
+        template.custom ? '自定义模板' : '内置模板',
+        isActive ? '✅ 当前使用' : '',
+        Utils.sanitizeHTML(template.description)
+      ].filter(Boolean).join(' · ');
+
+      return `
+        <div class="template-card ${template.custom ? 'custom' : ''} ${isActive ? 'active' : ''}">
+          <h4 class="history-item-title">${Utils.sanitizeHTML(template.name)} v${template.version}</h4>
+          <p>${description}</p>
+          <div class="template-card-actions">
+            ${isActive ? '' : `<button class="secondary-btn" data-template-action="use" data-template-id="${template.id}">✅ 使用</button>`}
+            <button class="secondary-btn" data-template-action="clone" data-template-id="${template.id}">📋 复制并编辑</button>
+            ${template.custom ? `
+            <button class="secondary-btn" data-template-action="edit" data-template-id="${template.id}">✏️ 编辑</button>
+            <button class="secondary-btn" data-template-action="delete" data-template-id="${template.id}">🗑️ 删除</button>` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
   }
 
   /**
-   * Load and display history
+   * Make a template the one used for generation
+   * @param {string} templateId - Template ID
    */
-  loadHistory() {
-    const history = storageManager.getHistory();
-    const historyGrid = this.elements.historyGrid;
-    const emptyHistory = this.elements.emptyHistory;
+  useTemplate(templateId) {
+    this.storage.updatePreference('promptTemplate', templateId);
+    this.renderTemplateList();
+    this.renderTemplateOptions();
+    this.showToast('已切换提示词模板', 'success');
+  }
 
-    historyGrid.innerHTML = '';
+  /**
+   * Open the editor for a template
+   * @param {string} templateId - Template ID
+   * @param {boolean} clone - Edit a new copy instead of the template itself
+   */
+  openTemplateEditor(templateId, clone) {
+    const template = this.templates.getTemplate(templateId);
+    if (!template) return;
 
-    if (history.length === 0) {
-      emptyHistory.style.display = 'block';
-      historyGrid.style.display = 'none';
-      return;
-    }
+    this.editingTemplate = clone
+      ? { id: null, basedOn: template.id }
+      : { id: template.id, basedOn: template.basedOn };
 
-    emptyHistory.style.display = 'none';
-    historyGrid.style.display = 'grid';
+    this.elements.templateNameInput.value = clone ? `${template.name}（副本）` : template.name;
+    this.elements.templateBodyInput.value = template.body;
+    this.elements.templateEditor.classList.remove('hidden');
 
-    // Sort by timestamp (newest first)
-    const sortedHistory = [...history].sort((a, b) => b.timestamp - a.timestamp);
+    this.updateTemplatePreview();
+    this.elements.templateNameInput.focus();
+  }
 
-    sortedHistory.forEach(item => {
-      const historyItem = document.createElement('div');
-      historyItem.className = 'history-item';
-      historyItem.innerHTML = `
-        <img src="${item.imageUrl}" alt="${item.title}" class="history-item-image" loading="lazy">
-        <div class="history-item-info">
-          <h4 class="history-item-title">${Utils.sanitizeHTML(item.title)}</h4>
-          <p class="history-item-date">${Utils.formatDate(item.timestamp)}</p>
-          <p class="history-item-theme">${item.themeName || item.theme}</p>
-        </div>
-      `;
+  /**
+   * Close the template editor without saving
+   */
+  closeTemplateEditor() {
+    this.editingTemplate = null;
+    this.elements.templateEditor?.classList.add('hidden');
+  }
 
-      historyItem.addEventListener('click', () => {
-        this.showHistoryItemModal(item);
-      });
+  /**
+   * Insert a placeholder at the cursor in the template body
+   * @param {string} name - Placeholder name, e.g. "vocabulary.core"
+   */
+  insertTemplatePlaceholder(name) {
+    const textarea = this.elements.templateBodyInput;
+    textarea.setRangeText(`{{${name}}}`, textarea.selectionStart, textarea.selectionEnd, 'end');
+    textarea.focus();
+    this.updateTemplatePreview();
+  }
 
-      historyGrid.appendChild(historyItem);
-    });
+  /**
+   * Render the template being edited against the selected preview theme
+   */
+  updateTemplatePreview() {
+    const preview = this.elements.templatePreview;
+    if (!preview || !this.editingTemplate) return;
+
+    const themeKey = this.elements.templatePreviewTheme.value;
+    const theme = this.themesData?.[themeKey];
+    if (!theme) {
+      preview.textContent = '主题数据加载中...';
+      return;
+    }
+
+    const engine = this.templates;
+    const body = this.elements.templateBodyInput.value;
+    const title = this.elements.templatePreviewTitle.value.trim() || '我的识字小报';
+    const context = engine.buildContext(themeKey, title, theme.vocabulary, theme);
+    const unknown = engine.getUnknownPlaceholders(body, context);
+
+    preview.textContent = engine.render(body, context);
+    this.elements.templateWarnings.textContent = unknown.length > 0
+      ? `⚠️ 无法识别的占位符：${unknown.map(name => `{{${name}}}`).join('、')}`
+      : '';
   }
 
   /**
-   * Show modal for history item
-   * @param {Object} item - History item
+   * Save the template being edited and start using it
    */
-  showHistoryItemModal(item) {
-    const modal = this.createModal({
-      title: item.title,
-      content: `
-        <div style="text-align: center;">
-          <img src="${item.imageUrl}" alt="${item.title}" style="max-width: 100%; border-radius: 10px; margin-bottom: 20px;">
-          <p><strong>主题：</strong>${item.themeName || item.theme}</p>
-          <p><strong>生成时间：</strong>${Utils.formatFullDate(item.timestamp)}</p>
-          ${item.generationTime ? `<p><strong>生成耗时：</strong>${Math.round(item.generationTime / 1000)}秒</p>` : ''}
-        </div>
-      `,
-      buttons: [
-        {
-          text: '下载',
-          icon: '💾',
-          class: 'magic-btn',
-          action: () => {
-            const filename = `识字图片_${item.title}_${item.timestamp}.png`;
-            Utils.downloadImage(item.imageUrl, filename);
-            this.showToast('图片下载中...', 'success');
-          }
-        },
-        {
-          text: '删除',
-          icon: '🗑️',
-          class: 'secondary-btn',
-          action: () => {
-            this.confirmDeleteHistoryItem(item.id);
-          }
-        },
-        {
-          text: '关闭',
-          icon: '❌',
-          class: 'secondary-btn',
-          action: null
-        }
-      ]
+  saveEditingTemplate() {
+    if (!this.editingTemplate) return;
+
+    const name = this.elements.templateNameInput.value.trim();
+    const body = this.elements.templateBodyInput.value;
+
+    if (!name) {
+      this.showToast('请填写模板名称', 'warning');
+      return;
+    }
+
+    if (!body.trim()) {
+      this.showToast('模板内容不能为空', 'warning');
+      return;
+    }
+
+    if (body.length > 10000) {
+      this.showToast('模板内容不能超过10000个字符', 'warning');
+      return;
+    }
+
+    const saved = this.storage.saveCustomTemplate({
+      id: this.editingTemplate.id,
+      name: name,
+      body: body,
+      basedOn: this.editingTemplate.basedOn
     });
 
-    this.showModal(modal);
+    if (!saved) {
+      this.showToast('保存失败，请重试', 'error');
+      return;
+    }
+
+    this.editingTemplate = { id: saved.id, basedOn: saved.basedOn };
+    this.storage.updatePreference('promptTemplate', saved.id);
+    this.renderTemplateList();
+    this.renderTemplateOptions();
+    this.showToast(`模板已保存（v${saved.version}）并设为当前模板`, 'success');
   }
 
   /**
-   * Confirm delete history item
-   * @param {string} itemId - Item ID to delete
+   * Confirm deleting a custom template
+   * @param {string} templateId - Template ID
    */
-  confirmDeleteHistoryItem(itemId) {
+  confirmDeleteTemplate(templateId) {
+    if (!this.requireParent(() => this.confirmDeleteTemplate(templateId))) return;
+
     const modal = this.createModal({
       title: '确认删除',
-      content: '确定要删除这张识字图片吗？此操作无法撤销。',
+      content: '确定要删除这个模板吗？此操作无法撤销。',
       buttons: [
         {
           text: '取消',
@@ -917,13 +3862,18 @@ class UIManager {
           icon: '🗑️',
           class: 'secondary-btn',
           action: () => {
-            const success = storageManager.removeFromHistory(itemId);
-            if (success) {
-              this.showToast('图片已删除', 'success');
-              this.loadHistory(); // Refresh history
-            } else {
-              this.showToast('删除失败，请重试', 'error');
+            this.storage.removeCustomTemplate(templateId);
+
+            if (this.storage.getPreferences().promptTemplate === templateId) {
+              this.storage.updatePreference('promptTemplate', null);
             }
+            if (this.editingTemplate?.id === templateId) {
+              this.closeTemplateEditor();
+            }
+
+            this.renderTemplateList();
+            this.renderTemplateOptions();
+            this.showToast('模板已删除', 'success');
             this.hideModal();
           }
         }
@@ -934,65 +3884,136 @@ class UIManager {
   }
 
   /**
-   * Confirm clear all history
+   * Add the theme/title pair from the queue form
    */
-  confirmClearHistory() {
-    const modal = this.createModal({
-      title: '清空历史记录',
-      content: '确定要清空所有历史记录吗？此操作无法撤销。',
-      buttons: [
-        {
-          text: '取消',
-          icon: '❌',
-          class: 'secondary-btn',
-          action: null
-        },
-        {
-          text: '清空',
-          icon: '🗑️',
-          class: 'secondary-btn',
-          action: () => {
-            const success = storageManager.clearHistory();
-            if (success) {
-              this.showToast('历史记录已清空', 'success');
-              this.loadHistory(); // Refresh history
-            } else {
-              this.showToast('清空失败，请重试', 'error');
-            }
-            this.hideModal();
-          }
-        }
-      ]
+  addToQueue() {
+    const themeKey = this.elements.queueThemeSelect.value;
+    const title = this.elements.queueTitleInput.value.trim();
+    const theme = this.themesData?.[themeKey];
+
+    if (!theme) {
+      this.showToast('请选择主题', 'warning');
+      return;
+    }
+
+    const titleValidation = Utils.validateChineseText(title, 1, 30);
+    if (!titleValidation.valid) {
+      this.showToast(titleValidation.message, 'warning');
+      return;
+    }
+
+    this.queue.add({
+      theme: themeKey,
+      themeName: theme.name,
+      title: title,
+      prompt: this.generator.buildPrompt(themeKey, title, theme.vocabulary, theme),
+      vocabulary: theme.vocabulary,
+      options: this.getGenerationOptions(),
+      imageInput: this.referenceImages.map(ref => ref.url),
+      references: this.getReferenceRecords(this.referenceImages)
     });
 
-    this.showModal(modal);
+    this.elements.queueTitleInput.value = '';
+    this.elements.queueTitleInput.focus();
   }
 
   /**
-   * Export history data
+   * Start the generation queue
    */
-  exportHistory() {
-    const data = storageManager.exportAllData();
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const filename = `识字图片历史记录_${Utils.formatFullDate(Date.now()).replace(/[\/\s:]/g, '_')}.json`;
+  startQueue() {
+    const apiKey = this.elements.apiKeyInput.value.trim() || this.keyVault.getApiKey();
+    const apiValidation = Utils.validateApiKey(apiKey);
+    if (!apiValidation.valid) {
+      this.showToast(`${apiValidation.message}（请在“生成图片”页面填写）`, 'warning');
+      return;
+    }
 
-    Utils.downloadImage(url, filename);
-    URL.revokeObjectURL(url);
+    if (!Utils.checkInternetConnection()) {
+      this.showToast('网络连接已断开，请检查网络后重试', 'error');
+      return;
+    }
 
-    this.showToast('历史记录导出成功', 'success');
+    if (this.queue.getStats().queued === 0) {
+      this.showToast('队列中没有等待生成的小报', 'warning');
+      return;
+    }
+
+    if (!this.parentLock.canGenerate()) {
+      this.showDailyLimitReached();
+      return;
+    }
+
+    this.queue.start(apiKey);
+  }
+
+  /**
+   * Render queue items and summary
+   */
+  renderQueue() {
+    const queue = this.queue;
+    const list = this.elements.queueList;
+    if (!list) return;
+
+    const preferences = this.storage.getPreferences();
+    this.elements.queueConcurrencyInput.value = preferences.queueConcurrency || 2;
+
+    const stats = queue.getStats();
+    this.elements.queueSummary.textContent = queue.items.length === 0
+      ? '队列是空的，先添加几张小报吧！'
+      : `共 ${queue.items.length} 张 · 等待 ${stats.queued} · 生成中 ${stats.running} · 完成 ${stats.success} · 失败 ${stats.failed}${queue.isRunning ? ' · 运行中' : ''}${queue.limitReached ? ' · 今天的生成次数已用完' : ''}`;
+
+    this.elements.queueStartBtn.disabled = queue.isRunning;
+    this.elements.queueStopBtn.disabled = !queue.isRunning;
+
+    const statusLabels = {
+      queued: '⏳ 等待中',
+      running: '🎨 生成中',
+      success: '✅ 已完成',
+      failed: '⚠️ 失败',
+      cancelled: '🚫 已取消'
+    };
+
+    list.innerHTML = queue.items.map(item => {
+      const percent = item.status === 'success' ? 100 : this.getProgressPercent(item.progress?.status);
+      let message = item.status === 'failed'
+        ? item.error
+        : (item.status === 'running' ? item.progress?.message : '');
+      if (item.status === 'running' && typeof item.progress?.elapsed === 'number') {
+        message += ` (${this.getProgressTimeText(item.progress)})`;
+      }
+      const canRetry = item.status === 'failed' || item.status === 'cancelled';
+
+      return `
+        <div class="queue-item ${item.status}">
+          <div class="queue-item-info">
+            <h4 class="history-item-title">${Utils.sanitizeHTML(item.title)}</h4>
+            <p class="history-item-theme">${Utils.sanitizeHTML(item.themeName)} · ${statusLabels[item.status]}${item.attempts > 1 ? ` · 第${item.attempts}次` : ''}</p>
+            ${message ? `<p class="queue-item-message">${Utils.sanitizeHTML(message)}</p>` : ''}
+            <div class="progress-bar-container">
+              <div class="progress-bar" style="width: ${percent}%"></div>
+            </div>
+          </div>
+          <div class="queue-item-actions">
+            ${canRetry ? `<button class="secondary-btn" data-queue-action="retry" data-item-id="${item.id}">🔄 重试</button>` : ''}
+            <button class="secondary-btn" data-queue-action="remove" data-item-id="${item.id}">${item.status === 'running' ? '🛑 取消' : '🗑️ 移除'}</button>
+          </div>
+        </div>
+      `;
+    }).join('');
   }
 
   /**
    * Show progress modal
+   * @param {Function} onCancel - Called when the cancel button is clicked
    */
-  showProgressModal() {
+  showProgressModal(onCancel = null) {
     const progressHtml = `
       <div class="progress-container">
         <div class="progress-content">
           <div class="progress-icon">🪄</div>
           <h3 class="progress-title">AI正在绘制魔法图片</h3>
           <p class="progress-message" id="progressMessage">正在创建生成任务...</p>
+          <p class="progress-time" id="progressTime"></p>
           <div class="progress-bar-container">
             <div class="progress-bar" id="progressBar" style="width: 0%"></div>
           </div>
@@ -1001,6 +4022,11 @@ class UIManager {
             <div class="progress-step"></div>
             <div class="progress-step"></div>
           </div>
+          ${onCancel ? `
+          <button class="secondary-btn progress-cancel" id="progressCancelBtn">
+            <span class="btn-icon">🛑</span>
+            <span>取消生成</span>
+          </button>` : ''}
         </div>
       </div>
     `;
@@ -1013,6 +4039,10 @@ class UIManager {
     `;
 
     document.body.appendChild(modal);
+
+    if (onCancel) {
+      modal.querySelector('#progressCancelBtn').addEventListener('click', onCancel);
+    }
   }
 
   /**
@@ -1022,6 +4052,7 @@ class UIManager {
   updateProgress(progress) {
     const messageElement = document.getElementById('progressMessage');
     const barElement = document.getElementById('progressBar');
+    const timeElement = document.getElementById('progressTime');
     const steps = document.querySelectorAll('.progress-step');
 
     if (messageElement) {
@@ -1029,16 +4060,11 @@ class UIManager {
     }
 
     if (barElement && progress.status) {
-      const progressMap = {
-        'creating': 20,
-        'waiting': 40,
-        'running': 60,
-        'processing': 80,
-        'success': 100
-      };
+      barElement.style.width = `${this.getProgressPercent(progress.status)}%`;
+    }
 
-      const width = progressMap[progress.status] || 0;
-      barElement.style.width = `${width}%`;
+    if (timeElement && typeof progress.elapsed === 'number') {
+      timeElement.textContent = this.getProgressTimeText(progress);
     }
 
     // Update steps
@@ -1057,6 +4083,40 @@ class UIManager {
     });
   }
 
+  /**
+   * Describe elapsed and estimated remaining time
+   * @param {Object} progress - Progress data with elapsed/remaining in ms
+   * @returns {string} Display text
+   */
+  getProgressTimeText(progress) {
+    const elapsedText = `已用时 ${Utils.formatDuration(progress.elapsed)}`;
+
+    if (progress.status === 'success') {
+      return elapsedText;
+    }
+    if (typeof progress.remaining === 'number') {
+      return `${elapsedText} · 预计还需约 ${Utils.formatDuration(progress.remaining)}`;
+    }
+    return `${elapsedText} · 比平时稍慢，请耐心等待`;
+  }
+
+  /**
+   * Map a generation status to a progress bar percentage
+   * @param {string} status - Generation status
+   * @returns {number} Percentage (0-100)
+   */
+  getProgressPercent(status) {
+    const progressMap = {
+      'creating': 20,
+      'waiting': 40,
+      'running': 60,
+      'processing': 80,
+      'success': 100
+    };
+
+    return progressMap[status] || 0;
+  }
+
   /**
    * Hide progress modal
    */
@@ -1079,8 +4139,8 @@ class UIManager {
     const modal = document.createElement('div');
     modal.className = 'modal';
 
-    const buttonsHtml = options.buttons ? options.buttons.map(btn => `
-      <button class="${btn.class}" data-action="${btn.action ? 'true' : 'false'}">
+    const buttonsHtml = options.buttons ? options.buttons.map((btn, index) => `
+      <button class="${btn.class}" data-action="${btn.action ? 'true' : 'false'}" data-button-index="${index}">
         <span class="btn-icon">${btn.icon}</span>
         <span>${btn.text}</span>
       </button>
@@ -1106,7 +4166,7 @@ class UIManager {
     modal.querySelectorAll('[data-action]').forEach(btn => {
       btn.addEventListener('click', () => {
         const shouldClose = btn.dataset.action === 'false';
-        const action = options.buttons?.find(b => b.text === btn.textContent.trim())?.action;
+        const action = options.buttons?.[btn.dataset.buttonIndex]?.action;
 
         if (action) {
           action();
@@ -1151,6 +4211,8 @@ class UIManager {
     if (modal) {
       modal.classList.remove('active');
       setTimeout(() => {
+        // Another modal may have been shown in the meantime
+        if (!modal.isConnected) return;
         container.innerHTML = '';
         container.classList.add('hidden');
       }, 300);
@@ -1247,6 +4309,7 @@ class UIManager {
       this.showToast('网络连接已断开', 'warning');
     } else {
       this.showToast('网络连接已恢复', 'success');
+      this.resumePendingTasks();
     }
   }
 
@@ -1271,15 +4334,23 @@ class UIManager {
    * Load saved API key and preferences
    */
   loadSavedData() {
-    // Load API key
-    const savedApiKey = storageManager?.getApiKey();
-    if (savedApiKey) {
-      this.elements.apiKeyInput.value = savedApiKey;
-      console.log('已加载保存的API密钥');
+    // Load API key - the saved key needs its passphrase once per session
+    const legacyApiKey = this.storage.getLegacyApiKey();
+    if (legacyApiKey) {
+      this.elements.apiKeyInput.value = legacyApiKey;
+      this.showSaveApiKeyModal('之前保存的API密钥没有加密，设置一个口令把它加密保存。');
+    } else if (this.keyVault.isUnlocked()) {
+      this.elements.apiKeyInput.value = this.keyVault.getApiKey();
+    } else if (this.keyVault.hasSavedKey()) {
+      this.showUnlockApiKeyModal();
     }
+    this.updateApiKeyStatus();
+    this.updateParentLockState();
+    this.updateProfileButton();
+    this.updateReviewBadge();
 
     // Load preferences
-    const preferences = storageManager?.getPreferences();
+    const preferences = this.storage.getPreferences();
     if (preferences) {
       console.log('已加载用户偏好设置');
       // Apply preferences as needed
@@ -1290,10 +4361,4 @@ class UIManager {
   }
 }
 
-// Create singleton instance
-window.uiManager = new UIManager();
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = UIManager;
-}
\ No newline at end of file
+export default UIManager;
\ No newline at end of file
@@ -52,11 +52,21 @@ function formatFullDate(timestamp) {
   });
 }
 
-// Sanitize HTML to prevent XSS
+// Get a local calendar day as YYYY-MM-DD, optionally moved by whole days
+function getDateKey(timestamp = Date.now(), offsetDays = 0) {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + offsetDays);
+
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Sanitize HTML to prevent XSS - quotes are escaped too, so the result is safe inside attributes
 function sanitizeHTML(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+  return String(str ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 // Validate Chinese text input
@@ -103,6 +113,72 @@ function validateApiKey(key) {
   return { valid: true, message: 'API密钥格式正确' };
 }
 
+// Validate a theme in themes.json format ({ name, icon, description, vocabulary })
+function validateTheme(theme, maxWordsPerCategory = 20) {
+  const errors = [];
+  const categories = { core: '核心词', items: '物品词', environment: '环境词' };
+
+  if (!theme || typeof theme !== 'object') {
+    return { valid: false, message: '主题数据格式错误', errors: ['主题数据格式错误'] };
+  }
+
+  const nameValidation = validateChineseText(theme.name, 1, 10);
+  if (!nameValidation.valid) {
+    errors.push(`主题名称：${nameValidation.message}`);
+  }
+
+  if (!theme.icon || typeof theme.icon !== 'string' || theme.icon.trim().length === 0) {
+    errors.push('请选择主题图标');
+  } else if ([...theme.icon.trim()].length > 4) {
+    errors.push('主题图标只能是一个表情符号');
+  }
+
+  if (theme.description && String(theme.description).length > 100) {
+    errors.push('主题描述最多只能输入100个字符');
+  }
+
+  const chinesePattern = /^[\u4e00-\u9fa5]{1,8}$/;
+  const pinyinPattern = /^[a-zA-Züāáǎàēéěèīíǐìōóǒòūúǔùǖǘǚǜ\s]+$/;
+  const seen = new Set();
+
+  Object.entries(categories).forEach(([category, label]) => {
+    const words = theme.vocabulary?.[category];
+
+    if (!Array.isArray(words) || words.length === 0) {
+      errors.push(`${label}至少需要一个词`);
+      return;
+    }
+
+    if (words.length > maxWordsPerCategory) {
+      errors.push(`${label}最多只能有${maxWordsPerCategory}个词`);
+    }
+
+    words.forEach((word, index) => {
+      const position = `${label}第${index + 1}个`;
+
+      if (!word || !chinesePattern.test(word.chinese || '')) {
+        errors.push(`${position}：汉字必须是1-8个中文字符`);
+        return;
+      }
+
+      if (!word.pinyin || !pinyinPattern.test(word.pinyin.trim())) {
+        errors.push(`${position}“${word.chinese}”：请填写拼音`);
+      }
+
+      if (seen.has(word.chinese)) {
+        errors.push(`${position}“${word.chinese}”：重复的词汇`);
+      }
+      seen.add(word.chinese);
+    });
+  });
+
+  return {
+    valid: errors.length === 0,
+    message: errors.length === 0 ? '主题有效' : errors[0],
+    errors: errors
+  };
+}
+
 // Download image from URL
 function downloadImage(url, filename) {
   const link = document.createElement('a');
@@ -129,12 +205,19 @@ function imageToBase64(img) {
 
 // Compress image if needed
 async function compressImage(file, maxWidth = 1920, maxHeight = 1080, quality = 0.8) {
-  return new Promise((resolve) => {
+  return new Promise((resolve, reject) => {
     const canvas = document.createElement('canvas');
     const ctx = canvas.getContext('2d');
     const img = new Image();
+    const objectUrl = URL.createObjectURL(file);
+
+    img.onerror = () => {
+      URL.revokeObjectURL(objectUrl);
+      reject(new Error('图片无法读取，可能已损坏'));
+    };
 
     img.onload = () => {
+      URL.revokeObjectURL(objectUrl);
       let { width, height } = img;
 
       // Calculate new dimensions
@@ -157,7 +240,17 @@ async function compressImage(file, maxWidth = 1920, maxHeight = 1080, quality =
       canvas.toBlob(resolve, 'image/jpeg', quality);
     };
 
-    img.src = URL.createObjectURL(file);
+    img.src = objectUrl;
+  });
+}
+
+// Read a Blob as a base64 data URL
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
   });
 }
 
@@ -306,7 +399,9 @@ async function retry(fn, options = {}) {
     retries = 3,
     retryDelay = 1000,
     exponentialBackoff = true,
-    onRetry = null
+    onRetry = null,
+    shouldRetry = null,
+    signal = null
   } = options;
 
   let lastError;
@@ -317,7 +412,8 @@ async function retry(fn, options = {}) {
     } catch (error) {
       lastError = error;
 
-      if (i === retries) {
+      // Never retry cancelled operations or errors the caller marks as permanent
+      if (i === retries || isAbortError(error) || (shouldRetry && !shouldRetry(error))) {
         throw lastError;
       }
 
@@ -329,11 +425,68 @@ async function retry(fn, options = {}) {
         onRetry(error, i + 1, delay);
       }
 
-      await new Promise(resolve => setTimeout(resolve, delay));
+      await sleep(delay, signal);
     }
   }
 }
 
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Format a duration in milliseconds, e.g. "1分05秒"
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+
+  if (minutes === 0) {
+    return `${seconds}秒`;
+  }
+  return `${minutes}分${String(seconds).padStart(2, '0')}秒`;
+}
+
+// Create the error thrown when an AbortSignal fires
+function createAbortError() {
+  return new DOMException('操作已取消', 'AbortError');
+}
+
+// Check whether an error came from an aborted operation
+function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+// Wait for a delay, rejecting early if the signal is aborted
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 // Create confetti effect
 function createConfetti() {
   const colors = ['#FFE66D', '#FF6B9D', '#4A90E2', '#6BCF7F', '#9B59B6'];
@@ -357,17 +510,20 @@ function createConfetti() {
   }
 }
 
-// Export utilities for use in other modules
-window.Utils = {
+// Utilities shared by the other modules
+const Utils = {
   generateUUID,
   formatDate,
   formatFullDate,
+  getDateKey,
   sanitizeHTML,
   validateChineseText,
   validateApiKey,
+  validateTheme,
   downloadImage,
   imageToBase64,
   compressImage,
+  blobToDataURL,
   debounce,
   isMobile,
   isTablet,
@@ -382,5 +538,12 @@ window.Utils = {
   isValidUrl,
   getMimeTypeFromExtension,
   retry,
+  parseRetryAfter,
+  formatDuration,
+  createAbortError,
+  isAbortError,
+  sleep,
   createConfetti
-};
\ No newline at end of file
+};
+
+export default Utils;
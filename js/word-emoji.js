@@ -0,0 +1,133 @@
+/**
+ * Word Emoji Hints
+ * Picture hints for the flashcard study mode, keyed by the Chinese word.
+ * Covers the built-in theme vocabulary where an emoji clearly shows the
+ * word; other words fall back to the poster itself as the hint.
+ */
+
+const wordEmoji = {
+  // Supermarket
+  '收银员': '🧑‍💼',
+  '购物车': '🛒',
+  '收银台': '💰',
+  '苹果': '🍎',
+  '牛奶': '🥛',
+  '面包': '🍞',
+  '鸡蛋': '🥚',
+  '香蕉': '🍌',
+  '橙汁': '🧃',
+  '饼干': '🍪',
+  '糖果': '🍬',
+  '灯': '💡',
+  '墙': '🧱',
+  '标价牌': '🏷️',
+
+  // Hospital
+  '医生': '🧑‍⚕️',
+  '护士': '👩‍⚕️',
+  '病人': '🤒',
+  '病床': '🛏️',
+  '听诊器': '🩺',
+  '体温计': '🌡️',
+  '药片': '💊',
+  '针管': '💉',
+  '绷带': '🩹',
+  '口罩': '😷',
+  '轮椅': '🦽',
+  '救护车': '🚑',
+
+  // Park
+  '大树': '🌳',
+  '草地': '🌱',
+  '花坛': '🌷',
+  '长椅': '🪑',
+  '小路': '🛤️',
+  '滑梯': '🛝',
+  '喷泉': '⛲',
+  '鸽子': '🕊️',
+  '气球': '🎈',
+  '风筝': '🪁',
+  '湖泊': '🏞️',
+  '小桥': '🌉',
+  '垃圾桶': '🗑️',
+  '告示牌': '🪧',
+
+  // School
+  '老师': '🧑‍🏫',
+  '学生': '🧑‍🎓',
+  '教室': '🏫',
+  '书包': '🎒',
+  '铅笔': '✏️',
+  '课本': '📘',
+  '作业本': '📓',
+  '尺子': '📏',
+  '彩笔': '🖍️',
+  '地球仪': '🌍',
+  '操场': '⚽',
+  '图书馆': '📚',
+  '食堂': '🍱',
+  '旗杆': '🚩',
+
+  // Home
+  '爸爸': '👨',
+  '妈妈': '👩',
+  '厨房': '🍳',
+  '沙发': '🛋️',
+  '电视': '📺',
+  '椅子': '🪑',
+  '床': '🛏️',
+  '玩具': '🧸',
+  '书': '📖',
+  '门': '🚪',
+  '窗户': '🪟',
+  '浴室': '🛁',
+  '花园': '🌻',
+
+  // Zoo
+  '狮子': '🦁',
+  '老虎': '🐯',
+  '大象': '🐘',
+  '猴子': '🐒',
+  '熊猫': '🐼',
+  '长颈鹿': '🦒',
+  '斑马': '🦓',
+  '袋鼠': '🦘',
+  '企鹅': '🐧',
+  '鹦鹉': '🦜',
+  '蛇': '🐍',
+  '乌龟': '🐢',
+  '兔子': '🐰',
+  '假山': '⛰️',
+  '指示牌': '🪧',
+
+  // Amusement park
+  '旋转木马': '🎠',
+  '摩天轮': '🎡',
+  '过山车': '🎢',
+  '海盗船': '🏴‍☠️',
+  '碰碰车': '🚗',
+  '爆米花': '🍿',
+  '热狗': '🌭',
+  '冰淇淋': '🍦',
+  '玩具熊': '🧸',
+  '门票': '🎟️',
+  '地图': '🗺️',
+  '售票处': '🎫',
+  '纪念品店': '🎁',
+  '停车场': '🅿️',
+
+  // Farm
+  '农夫': '🧑‍🌾',
+  '拖拉机': '🚜',
+  '农田': '🌾',
+  '牛': '🐄',
+  '羊': '🐑',
+  '鸡': '🐔',
+  '鸭': '🦆',
+  '猪': '🐖',
+  '马': '🐎',
+  '房屋': '🏠',
+  '菜园': '🥬'
+};
+
+export default wordEmoji;
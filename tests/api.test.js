@@ -0,0 +1,279 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { installBrowser, stubFetch, silenceConsole } from './helpers.js';
+import Utils from '../js/utils.js';
+import GenerationErrors from '../js/errors.js';
+import StorageManager from '../js/storage.js';
+import PinyinConverter from '../js/pinyin.js';
+import PromptTemplateEngine from '../js/prompt-templates.js';
+import { ProviderRegistry, KieProvider } from '../js/providers.js';
+import ImageGenerator from '../js/api.js';
+
+const TEMPLATES_FILE = new URL('../data/prompt-templates.json', import.meta.url);
+const API_KEY = 'test-api-key-123';
+
+const VOCABULARY = {
+  core: [{ chinese: '长颈鹿', pinyin: 'cháng jǐng lù' }, { chinese: '熊猫', pinyin: 'xióng māo' }],
+  items: [{ chinese: '门票', pinyin: 'mén piào' }],
+  environment: [{ chinese: '草地', pinyin: 'cǎo dì' }]
+};
+
+/**
+ * Wire up an ImageGenerator the same way js/app.js does
+ * @returns {Object} { storage, templates, generator }
+ */
+function createGenerator() {
+  const storage = new StorageManager();
+  storage.initialize();
+
+  const providers = new ProviderRegistry();
+  providers.register(new KieProvider({ storage }));
+
+  const pinyin = new PinyinConverter({ storage });
+  const templates = new PromptTemplateEngine({ storage, pinyin });
+  const generator = new ImageGenerator({ storage, providers, templates });
+
+  return { storage, templates, generator };
+}
+
+/**
+ * Build a recordInfo response body
+ * @param {string} state - KIE task state
+ * @param {Object} extra - Additional record fields
+ * @returns {Object} Response description for stubFetch
+ */
+function record(state, extra = {}) {
+  return {
+    body: {
+      code: 200,
+      data: { taskId: 'task-1', state, createTime: Date.now(), ...extra }
+    }
+  };
+}
+
+describe('ImageGenerator.buildPrompt', () => {
+  let restoreConsole;
+  let fetchStub;
+
+  beforeEach(() => {
+    restoreConsole = silenceConsole();
+    installBrowser();
+    fetchStub = stubFetch(() => ({ body: JSON.parse(readFileSync(TEMPLATES_FILE, 'utf8')) }));
+  });
+
+  afterEach(() => {
+    fetchStub.restore();
+    restoreConsole();
+  });
+
+  test('renders every word and the theme name into the default template', async () => {
+    const { templates, generator } = createGenerator();
+    await templates.loadTemplates();
+
+    const prompt = generator.buildPrompt('zoo', '快乐动物园', VOCABULARY, { name: '动物园' });
+
+    assert.match(prompt, /快乐动物园/);
+    assert.match(prompt, /动物园/);
+    Object.values(VOCABULARY).flat().forEach(word => {
+      assert.ok(prompt.includes(`${word.pinyin} ${word.chinese}`), word.chinese);
+    });
+    assert.doesNotMatch(prompt, /\{\{/);
+  });
+
+  test('uses the promptTemplate preference and fills {{titlePinyin}}', () => {
+    const { storage, generator } = createGenerator();
+    const template = storage.saveCustomTemplate({
+      name: '测试模板',
+      body: '{{title}}|{{titlePinyin}}|{{theme}}|{{vocabulary.count}}|{{vocabulary.core}}'
+    });
+    storage.updatePreference('promptTemplate', template.id);
+
+    const prompt = generator.buildPrompt('zoo', '长颈鹿', VOCABULARY, { name: '动物园' });
+
+    assert.equal(prompt, '长颈鹿|cháng jǐng lù|动物园|4|cháng jǐng lù 长颈鹿, xióng māo 熊猫');
+  });
+
+  test('an explicit template id wins over the preference', () => {
+    const { storage, generator } = createGenerator();
+    const a = storage.saveCustomTemplate({ name: 'A', body: 'A:{{themeKey}}' });
+    const b = storage.saveCustomTemplate({ name: 'B', body: 'B:{{themeKey}}' });
+    storage.updatePreference('promptTemplate', a.id);
+
+    assert.equal(generator.buildPrompt('zoo', '标题', VOCABULARY, null, b.id), 'B:zoo');
+  });
+
+  test('falls back to the built-in template when the data file fails to load', async () => {
+    fetchStub.restore();
+    fetchStub = stubFetch(() => ({ status: 404, body: {} }));
+    const { templates, generator } = createGenerator();
+    await templates.loadTemplates();
+
+    const prompt = generator.buildPrompt('ocean', '海洋', VOCABULARY);
+
+    assert.match(prompt, /标题《海洋》，主题：ocean/);
+  });
+});
+
+describe('ImageGenerator.pollTaskUntilComplete', () => {
+  let restoreConsole;
+  let fetchStub;
+  let generator;
+  let delays;
+
+  /**
+   * Answer recordInfo requests with the given responses in order;
+   * the last one repeats
+   * @param {Array} responses - Response descriptions or Errors to throw
+   */
+  function respondWith(responses) {
+    fetchStub = stubFetch(() => {
+      const next = responses.length > 1 ? responses.shift() : responses[0];
+      if (next instanceof Error) throw next;
+      return next;
+    });
+  }
+
+  beforeEach((t) => {
+    restoreConsole = silenceConsole();
+    installBrowser();
+    ({ generator } = createGenerator());
+    generator.pollingJitter = 0;
+
+    // Record the waits between polls instead of sleeping
+    delays = [];
+    t.mock.method(Utils, 'sleep', async (ms) => { delays.push(ms); });
+  });
+
+  afterEach(() => {
+    fetchStub?.restore();
+    fetchStub = null;
+    restoreConsole();
+  });
+
+  test('polls until success and returns the result urls', async () => {
+    respondWith([
+      record('waiting'),
+      record('running'),
+      record('success', { resultJson: JSON.stringify({ resultUrls: ['https://example.com/out.png'] }), costTime: 4200 })
+    ]);
+    const updates = [];
+
+    const job = await generator.pollTaskUntilComplete('task-1', API_KEY, job => updates.push(job.state));
+
+    assert.equal(job.state, 'success');
+    assert.deepEqual(job.resultUrls, ['https://example.com/out.png']);
+    assert.equal(job.costTime, 4200);
+    assert.deepEqual(updates, ['waiting', 'running', 'success']);
+    assert.equal(fetchStub.calls.length, 3);
+    assert.match(fetchStub.calls[0].url, /\/jobs\/recordInfo\?taskId=task-1$/);
+    assert.equal(fetchStub.calls[0].options.headers.Authorization, `Bearer ${API_KEY}`);
+  });
+
+  test('backs off while the state is unchanged and resets after a change', async () => {
+    respondWith([
+      record('waiting'),
+      record('waiting'),
+      record('waiting'),
+      record('running'),
+      record('success', { resultJson: '{"resultUrls":[]}' })
+    ]);
+
+    await generator.pollTaskUntilComplete('task-1', API_KEY);
+
+    assert.deepEqual(delays, [2000, 3000, 4500, 2000]);
+  });
+
+  test('never waits longer than maxPollingInterval', async () => {
+    respondWith([...Array(8).fill(record('running')), record('success', { resultJson: '{"resultUrls":[]}' })]);
+
+    await generator.pollTaskUntilComplete('task-1', API_KEY);
+
+    assert.equal(Math.max(...delays), generator.maxPollingInterval);
+  });
+
+  test('throws a typed error when the task fails', async () => {
+    respondWith([record('running'), record('fail', { failCode: '400', failMsg: 'content policy violation' })]);
+
+    await assert.rejects(
+      generator.pollTaskUntilComplete('task-1', API_KEY),
+      error => error instanceof GenerationErrors.GenerationError && /content policy/.test(error.message)
+    );
+  });
+
+  test('waits for Retry-After when rate limited, then continues', async () => {
+    respondWith([
+      record('running'),
+      { status: 429, body: { code: 429, msg: 'Rate limited' }, headers: { 'Retry-After': '7' } },
+      record('success', { resultJson: '{"resultUrls":[]}' })
+    ]);
+
+    const job = await generator.pollTaskUntilComplete('task-1', API_KEY);
+
+    assert.equal(job.state, 'success');
+    assert.deepEqual(delays, [2000, 7000]);
+  });
+
+  test('retries transient errors without counting them as polls', async () => {
+    generator.pollingInterval = 1; // Utils.retry waits with its own timer
+    respondWith([
+      { status: 503, body: { code: 503, msg: 'Service Unavailable' } },
+      new TypeError('fetch failed'),
+      record('success', { resultJson: '{"resultUrls":[]}' })
+    ]);
+
+    const job = await generator.pollTaskUntilComplete('task-1', API_KEY);
+
+    assert.equal(job.state, 'success');
+    assert.equal(fetchStub.calls.length, 3);
+    assert.deepEqual(delays, []);
+  });
+
+  test('does not retry permanent errors', async () => {
+    respondWith([{ status: 401, body: { code: 401, msg: 'Unauthorized' } }]);
+
+    await assert.rejects(generator.pollTaskUntilComplete('task-1', API_KEY), GenerationErrors.AuthError);
+    assert.equal(fetchStub.calls.length, 1);
+  });
+
+  test('times out once the next wait would pass maxPollingTime', async (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    Utils.sleep.mock.mockImplementation(async (ms) => { delays.push(ms); now += ms; });
+    generator.maxPollingTime = 10000;
+    respondWith([record('waiting')]);
+
+    await assert.rejects(generator.pollTaskUntilComplete('task-1', API_KEY), GenerationErrors.TimeoutError);
+    assert.deepEqual(delays, [2000, 3000, 4500]);
+  });
+
+  test('stops when the signal is aborted', async () => {
+    const controller = new AbortController();
+    Utils.sleep.mock.mockImplementation(async () => {
+      controller.abort();
+      throw Utils.createAbortError();
+    });
+    respondWith([record('running')]);
+
+    await assert.rejects(
+      generator.pollTaskUntilComplete('task-1', API_KEY, null, controller.signal),
+      error => Utils.isAbortError(error)
+    );
+    assert.equal(fetchStub.calls.length, 1);
+  });
+});
+
+describe('GenerationErrors.isTerminal', () => {
+  test('a failed task, auth and content policy errors are final', () => {
+    assert.equal(GenerationErrors.isTerminal(GenerationErrors.fromTaskFailure({ state: 'fail', failMsg: 'render error' })), true);
+    assert.equal(GenerationErrors.isTerminal(new GenerationErrors.AuthError()), true);
+    assert.equal(GenerationErrors.isTerminal(new GenerationErrors.ContentPolicyError()), true);
+  });
+
+  test('network errors, timeouts and server hiccups can be waited out', () => {
+    assert.equal(GenerationErrors.isTerminal(new TypeError('fetch failed')), false);
+    assert.equal(GenerationErrors.isTerminal(new GenerationErrors.TimeoutError()), false);
+    assert.equal(GenerationErrors.isTerminal(GenerationErrors.fromHttpStatus(503, 'Service Unavailable')), false);
+  });
+});
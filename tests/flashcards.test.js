@@ -0,0 +1,84 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowser, silenceConsole } from './helpers.js';
+import StorageManager from '../js/storage.js';
+import Flashcards from '../js/flashcards.js';
+
+const VOCABULARY = {
+  core: [{ chinese: '熊猫', pinyin: 'xióng māo' }, { chinese: '笼子', pinyin: 'lóng zi' }],
+  items: [{ chinese: '门票', pinyin: 'mén piào' }, { chinese: '熊猫', pinyin: 'xióng māo' }],
+  environment: [{ chinese: '池塘', pinyin: 'chí táng' }, { chinese: '草地' }]
+};
+
+describe('Flashcards', () => {
+  let storage;
+  let flashcards;
+  let restoreConsole;
+
+  beforeEach(() => {
+    restoreConsole = silenceConsole();
+    installBrowser();
+    storage = new StorageManager();
+    storage.initialize();
+    flashcards = new Flashcards({ storage });
+  });
+
+  afterEach(() => restoreConsole());
+
+  test('builds one card per complete word with an emoji hint where known', () => {
+    const deck = flashcards.buildDeck(VOCABULARY);
+
+    assert.deepEqual(deck.map(card => card.chinese), ['熊猫', '笼子', '门票', '池塘']);
+    assert.deepEqual(deck[0], { chinese: '熊猫', pinyin: 'xióng māo', hint: '🐼' });
+    assert.equal(deck[1].hint, null);
+  });
+
+  test('puts words the child did not know first', () => {
+    flashcards.recordResult({ chinese: '池塘', pinyin: 'chí táng' }, false);
+    flashcards.recordResult({ chinese: '熊猫', pinyin: 'xióng māo' }, true);
+
+    assert.deepEqual(flashcards.buildDeck(VOCABULARY).map(card => card.chinese), ['池塘', '熊猫', '笼子', '门票']);
+  });
+
+  test('uses the theme words for posters saved without vocabulary', () => {
+    const themes = { zoo: { vocabulary: VOCABULARY } };
+
+    assert.equal(flashcards.getVocabulary({ theme: 'zoo' }, themes), VOCABULARY);
+    assert.deepEqual(flashcards.getVocabulary({ theme: 'zoo', vocabulary: { core: [] } }, themes), { core: [] });
+    assert.equal(flashcards.getVocabulary({ theme: 'farm' }, themes), null);
+  });
+
+  test('returns an empty deck for posters without vocabulary', () => {
+    assert.deepEqual(flashcards.buildDeck(undefined), []);
+  });
+
+  test('cycles through hanzi, pinyin and hint', () => {
+    assert.equal(flashcards.nextFace('hanzi'), 'pinyin');
+    assert.equal(flashcards.nextFace('pinyin'), 'hint');
+    assert.equal(flashcards.nextFace('hint'), 'hanzi');
+  });
+
+  test('stores results per word in the active profile', (t) => {
+    t.mock.method(Date, 'now', () => 1000);
+    const card = { chinese: '门票', pinyin: 'mén piào' };
+
+    flashcards.recordResult(card, false);
+    const record = flashcards.recordResult(card, true);
+
+    assert.deepEqual(record, { pinyin: 'mén piào', known: true, knownCount: 1, unknownCount: 1, lastStudied: 1000 });
+    assert.deepEqual(storage.getProgress().words['门票'], record);
+
+    const child = storage.saveProfile({ name: '小明', avatar: '🐼' });
+    storage.setActiveProfile(child.id);
+    assert.equal(flashcards.getWordRecord('门票'), null);
+  });
+
+  test('summarizes a round', () => {
+    const [panda, cage] = flashcards.buildDeck(VOCABULARY);
+
+    const summary = flashcards.summarize([{ card: panda, known: true }, { card: cage, known: false }]);
+
+    assert.deepEqual(summary, { known: [panda], unknown: [cage] });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Test Helpers
+ * Minimal browser stand-ins so the modules in js/ run under Node:
+ * an in-memory localStorage, a fetch stub and a quiet console.
+ */
+
+/**
+ * In-memory implementation of the Web Storage interface
+ */
+class FakeStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return Array.from(this.items.keys())[index] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Install `window` and a fresh localStorage on the global object
+ * @returns {FakeStorage} The new localStorage
+ */
+function installBrowser() {
+  const localStorage = new FakeStorage();
+  globalThis.window = globalThis;
+  globalThis.localStorage = localStorage;
+  return localStorage;
+}
+
+/**
+ * Replace global fetch with a stub. Each call is passed to `handler`, which
+ * returns { status, body, headers } (status defaults to 200) or throws to
+ * simulate a network failure.
+ * @param {Function} handler - (url, options) => response description
+ * @returns {Object} { calls, restore } - calls records every { url, options }
+ */
+function stubFetch(handler) {
+  const originalFetch = globalThis.fetch;
+  const calls = [];
+
+  globalThis.fetch = async (url, options = {}) => {
+    calls.push({ url: String(url), options });
+    const { status = 200, body = {}, headers = {} } = await handler(String(url), options);
+    return new Response(JSON.stringify(body), { status, headers });
+  };
+
+  return {
+    calls,
+    restore: () => { globalThis.fetch = originalFetch; }
+  };
+}
+
+/**
+ * Silence console output from the modules under test
+ * @returns {Function} Restores the original console methods
+ */
+function silenceConsole() {
+  const methods = ['log', 'info', 'warn', 'error'];
+  const originals = methods.map(method => console[method]);
+
+  methods.forEach(method => { console[method] = () => {}; });
+
+  return () => methods.forEach((method, index) => { console[method] = originals[index]; });
+}
+
+export { FakeStorage, installBrowser, stubFetch, silenceConsole };
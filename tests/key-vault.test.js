@@ -0,0 +1,135 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowser, silenceConsole } from './helpers.js';
+import StorageManager from '../js/storage.js';
+import KeyVault from '../js/key-vault.js';
+
+const API_KEY = 'kie-test-key-0123456789';
+const PASSPHRASE = 'classroom-42';
+const MINUTE = 60 * 1000;
+
+describe('KeyVault', () => {
+  let localStorage;
+  let storage;
+  let vault;
+  let restoreConsole;
+
+  beforeEach(() => {
+    restoreConsole = silenceConsole();
+    localStorage = installBrowser();
+    storage = new StorageManager();
+    storage.initialize();
+    vault = new KeyVault({ storage });
+    vault.iterations = 1000; // Keep PBKDF2 fast in tests
+  });
+
+  afterEach(() => {
+    vault.lock();
+    restoreConsole();
+  });
+
+  test('stores only ciphertext', async () => {
+    assert.equal(await vault.save(API_KEY, PASSPHRASE), true);
+
+    const stored = localStorage.getItem(storage.storageKeys.API_KEY);
+    assert.ok(!stored.includes(API_KEY));
+    assert.ok(!stored.includes(btoa(API_KEY)));
+
+    const record = JSON.parse(stored);
+    assert.equal(record.version, 1);
+    assert.equal(record.iterations, 1000);
+    assert.ok(record.salt && record.iv && record.ciphertext);
+  });
+
+  test('uses a fresh salt and iv for every save', async () => {
+    const first = await vault.encrypt(API_KEY, PASSPHRASE);
+    const second = await vault.encrypt(API_KEY, PASSPHRASE);
+
+    assert.notEqual(first.salt, second.salt);
+    assert.notEqual(first.iv, second.iv);
+    assert.notEqual(first.ciphertext, second.ciphertext);
+  });
+
+  test('unlocks with the right passphrase in a new session', async () => {
+    await vault.save(API_KEY, PASSPHRASE);
+
+    const nextSession = new KeyVault({ storage });
+    assert.equal(nextSession.hasSavedKey(), true);
+    assert.equal(nextSession.isUnlocked(), false);
+    assert.equal(nextSession.getApiKey(), null);
+
+    assert.equal(await nextSession.unlock(PASSPHRASE), API_KEY);
+    assert.equal(nextSession.getApiKey(), API_KEY);
+    nextSession.lock();
+  });
+
+  test('rejects a wrong passphrase and tampered records', async () => {
+    await vault.save(API_KEY, PASSPHRASE);
+    vault.lock();
+
+    await assert.rejects(vault.unlock('wrong-passphrase'), /口令不正确/);
+    assert.equal(vault.isUnlocked(), false);
+
+    const record = storage.getApiKey();
+    const bytes = Uint8Array.from(atob(record.ciphertext), char => char.charCodeAt(0));
+    bytes[0] ^= 1;
+    storage.saveApiKey({ ...record, ciphertext: btoa(String.fromCharCode(...bytes)) });
+
+    await assert.rejects(vault.unlock(PASSPHRASE), /口令不正确/);
+  });
+
+  test('refuses short passphrases', async () => {
+    await assert.rejects(vault.save(API_KEY, '12345'), /至少需要6个字符/);
+    assert.equal(vault.hasSavedKey(), false);
+  });
+
+  test('locks after the idle timeout and restarts it on activity', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    storage.updatePreference('apiKeyLockMinutes', 5);
+    const reasons = [];
+    vault.onLock(reason => reasons.push(reason));
+    await vault.save(API_KEY, PASSPHRASE);
+
+    t.mock.timers.tick(4 * MINUTE);
+    vault.touch();
+    t.mock.timers.tick(4 * MINUTE);
+    assert.equal(vault.getApiKey(), API_KEY);
+
+    t.mock.timers.tick(1 * MINUTE);
+    assert.equal(vault.getApiKey(), null);
+    assert.deepEqual(reasons, ['idle']);
+  });
+
+  test('never locks by itself when apiKeyLockMinutes is 0', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    storage.updatePreference('apiKeyLockMinutes', 0);
+    await vault.save(API_KEY, PASSPHRASE);
+
+    t.mock.timers.tick(24 * 60 * MINUTE);
+    assert.equal(vault.getApiKey(), API_KEY);
+  });
+
+  test('forget removes the saved key', async () => {
+    const reasons = [];
+    vault.onLock(reason => reasons.push(reason));
+    await vault.save(API_KEY, PASSPHRASE);
+
+    vault.forget();
+
+    assert.equal(vault.hasSavedKey(), false);
+    assert.equal(vault.isUnlocked(), false);
+    assert.deepEqual(reasons, ['forget']);
+  });
+
+  test('a key saved by earlier versions is readable until it is re-saved', async () => {
+    localStorage.setItem(storage.storageKeys.API_KEY, JSON.stringify(btoa(API_KEY)));
+
+    assert.equal(storage.getLegacyApiKey(), API_KEY);
+    assert.equal(vault.hasSavedKey(), false);
+
+    await vault.save(API_KEY, PASSPHRASE);
+    assert.equal(storage.getLegacyApiKey(), null);
+    assert.equal(vault.hasSavedKey(), true);
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowser, silenceConsole } from './helpers.js';
+import StorageManager from '../js/storage.js';
+import ParentLock from '../js/parent-lock.js';
+import GenerationQueue from '../js/queue.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('ParentLock', () => {
+  let localStorage;
+  let storage;
+  let lock;
+  let restoreConsole;
+
+  /**
+   * Answer the current arithmetic question correctly
+   * @param {ParentLock} parentLock - Lock to unlock
+   * @returns {Promise<boolean>} Result of unlock()
+   */
+  function solveChallenge(parentLock) {
+    const [a, b] = parentLock.createChallenge().match(/\d+/g).map(Number);
+    return parentLock.unlock(String(a * b));
+  }
+
+  beforeEach(() => {
+    restoreConsole = silenceConsole();
+    localStorage = installBrowser();
+    storage = new StorageManager();
+    storage.initialize();
+    lock = new ParentLock({ storage });
+  });
+
+  afterEach(() => {
+    lock.lock();
+    restoreConsole();
+  });
+
+  describe('gate', () => {
+    test('starts locked behind an arithmetic question', async () => {
+      assert.equal(lock.isEnabled(), true);
+      assert.equal(lock.isUnlocked(), false);
+
+      assert.equal(await solveChallenge(lock), true);
+      assert.equal(lock.isUnlocked(), true);
+    });
+
+    test('each question can only be answered once', async () => {
+      const [a, b] = lock.createChallenge().match(/\d+/g).map(Number);
+
+      assert.equal(await lock.unlock(String(a * b + 1)), false);
+      assert.equal(await lock.unlock(String(a * b)), false);
+      assert.equal(lock.isUnlocked(), false);
+    });
+
+    test('a PIN is stored only as a salted hash', async () => {
+      await solveChallenge(lock);
+      await lock.saveSettings({ mode: 'pin', pin: '2468' });
+      lock.lock();
+
+      const stored = localStorage.getItem(storage.storageKeys.PARENT_LOCK);
+      assert.ok(!stored.includes('2468'));
+
+      const nextSession = new ParentLock({ storage });
+      assert.equal(await nextSession.unlock('1357'), false);
+      assert.equal(await nextSession.unlock('2468'), true);
+      nextSession.lock();
+    });
+
+    test('refuses invalid PINs and the PIN mode without one', async () => {
+      await solveChallenge(lock);
+
+      await assert.rejects(lock.saveSettings({ mode: 'pin', pin: '12a4' }), /4到8位数字/);
+      await assert.rejects(lock.saveSettings({ mode: 'pin' }), /请设置PIN/);
+      assert.equal(lock.getSettings().mode, 'math');
+    });
+
+    test('settings can only be changed in parent mode', async () => {
+      await assert.rejects(lock.saveSettings({ mode: 'off' }), /家长模式/);
+      assert.equal(lock.isEnabled(), true);
+    });
+
+    test('waits a minute after too many wrong PINs', async (t) => {
+      let now = 1_000_000;
+      t.mock.method(Date, 'now', () => now);
+      await solveChallenge(lock);
+      await lock.saveSettings({ mode: 'pin', pin: '2468' });
+      lock.lock();
+
+      for (let i = 0; i < lock.maxFailedAttempts; i++) {
+        assert.equal(await lock.unlock('0000'), false);
+      }
+      await assert.rejects(lock.unlock('2468'), /尝试次数过多/);
+
+      now += MINUTE;
+      assert.equal(await lock.unlock('2468'), true);
+    });
+
+    test('switched off, everything is allowed', async () => {
+      await solveChallenge(lock);
+      await lock.saveSettings({ mode: 'off' });
+
+      const nextSession = new ParentLock({ storage });
+      assert.equal(nextSession.isEnabled(), false);
+      assert.equal(nextSession.isUnlocked(), true);
+    });
+
+    test('leaves parent mode after the idle time and restarts it on activity', async (t) => {
+      t.mock.timers.enable({ apis: ['setTimeout'] });
+      const changes = [];
+      lock.onChange(unlocked => changes.push(unlocked));
+      await solveChallenge(lock);
+
+      t.mock.timers.tick((lock.idleMinutes - 1) * MINUTE);
+      lock.touch();
+      t.mock.timers.tick((lock.idleMinutes - 1) * MINUTE);
+      assert.equal(lock.isUnlocked(), true);
+
+      t.mock.timers.tick(1 * MINUTE);
+      assert.equal(lock.isUnlocked(), false);
+      assert.deepEqual(changes, [true, false]);
+    });
+  });
+
+  describe('daily limit', () => {
+    beforeEach(async () => {
+      await solveChallenge(lock);
+      await lock.saveSettings({ dailyLimit: 2 });
+      lock.lock();
+    });
+
+    test('stops generations once the limit is used up', () => {
+      assert.equal(lock.getRemainingGenerations(), 2);
+      lock.recordGeneration();
+      lock.recordGeneration();
+
+      assert.equal(lock.getTodayCount(), 2);
+      assert.equal(lock.canGenerate(), false);
+    });
+
+    test('does not apply in parent mode', async () => {
+      lock.recordGeneration();
+      lock.recordGeneration();
+
+      await solveChallenge(lock);
+      assert.equal(lock.canGenerate(), true);
+      assert.equal(lock.getRemainingGenerations(), Infinity);
+    });
+
+    test('still applies with the gate switched off', async () => {
+      await solveChallenge(lock);
+      await lock.saveSettings({ mode: 'off' });
+      lock.lock();
+
+      assert.equal(lock.isUnlocked(), true);
+      lock.recordGeneration();
+      lock.recordGeneration();
+
+      assert.equal(lock.getRemainingGenerations(), 0);
+      assert.equal(lock.canGenerate(), false);
+    });
+
+    test('resets the next day', (t) => {
+      const now = new Date(2026, 9, 19, 23, 30).getTime();
+      t.mock.method(Date, 'now', () => now);
+      lock.recordGeneration();
+      lock.recordGeneration();
+      assert.equal(lock.canGenerate(), false);
+
+      Date.now.mock.mockImplementation(() => now + DAY);
+      assert.equal(lock.getTodayCount(), 0);
+      assert.equal(lock.getRemainingGenerations(), 2);
+    });
+  });
+
+  describe('GenerationQueue', () => {
+    test('stops starting items once the daily limit is used up', async () => {
+      await solveChallenge(lock);
+      await lock.saveSettings({ dailyLimit: 1 });
+      lock.lock();
+
+      // Never finishes, so the started item stays running
+      const generator = {
+        activeTasks: new Map(),
+        generateImage: () => new Promise(() => {})
+      };
+      const queue = new GenerationQueue({ storage, generator, parentLock: lock });
+      ['一', '二', '三'].forEach(title => queue.add({ theme: 'zoo', themeName: '动物园', title, prompt: title }));
+
+      queue.start('test-api-key');
+
+      assert.deepEqual(queue.items.map(item => item.status), ['running', 'queued', 'queued']);
+      assert.equal(queue.isRunning, false);
+      assert.equal(queue.limitReached, true);
+      assert.equal(lock.getTodayCount(), 1);
+    });
+  });
+});
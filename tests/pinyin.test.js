@@ -0,0 +1,82 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowser, silenceConsole } from './helpers.js';
+import StorageManager from '../js/storage.js';
+import PinyinConverter from '../js/pinyin.js';
+
+describe('PinyinConverter', () => {
+  let storage;
+  let pinyin;
+  let restoreConsole;
+
+  beforeEach(() => {
+    restoreConsole = silenceConsole();
+    installBrowser();
+    storage = new StorageManager();
+    storage.initialize();
+    pinyin = new PinyinConverter({ storage });
+  });
+
+  afterEach(() => restoreConsole());
+
+  describe('segmentation', () => {
+    test('matches known phrases inside a sentence', () => {
+      assert.deepEqual(pinyin.segment('我长大了'), [
+        { text: '我', pinyin: ['wǒ'], source: 'char' },
+        { text: '长大', pinyin: ['zhǎng', 'dà'], source: 'phrase' },
+        { text: '了', pinyin: ['le'], source: 'char' }
+      ]);
+    });
+
+    test('keeps non-Chinese runs together', () => {
+      assert.deepEqual(pinyin.segment('ABC熊猫')[0], { text: 'ABC', pinyin: ['ABC'], source: 'other' });
+      assert.equal(pinyin.convert('ABC熊猫'), 'ABC xióng māo');
+    });
+
+    test('uses the toneless suffix 子 and neutral tones from phrases', () => {
+      assert.equal(pinyin.convert('兔子'), 'tù zi');
+      assert.equal(pinyin.convert('子弹'), 'zǐ dàn');
+      assert.equal(pinyin.convert('爸爸'), 'bà ba');
+    });
+  });
+
+  describe('polyphones', () => {
+    test('reads 长 by the word it is in', () => {
+      assert.equal(pinyin.convert('长颈鹿'), 'cháng jǐng lù');
+      assert.equal(pinyin.convert('长大'), 'zhǎng dà');
+    });
+
+    test('reports a polyphone outside a known phrase', () => {
+      const result = pinyin.analyze('一条长');
+
+      assert.equal(result.pinyin, 'yī tiáo cháng');
+      assert.deepEqual(result.polyphones, [{ char: '长', readings: ['cháng', 'zhǎng'], reading: 'cháng' }]);
+    });
+
+    test('uses the everyday reading of 结果', () => {
+      assert.equal(pinyin.convert('结果'), 'jié guǒ');
+    });
+  });
+
+  describe('overrides', () => {
+    test('a hand-corrected reading wins over the dictionary', () => {
+      assert.equal(pinyin.setOverride('长大', 'chang2 da4'), true);
+
+      assert.deepEqual(pinyin.segment('长大')[0], { text: '长大', pinyin: ['cháng', 'dà'], source: 'override' });
+      assert.equal(new PinyinConverter({ storage }).convert('我长大了'), 'wǒ cháng dà le');
+
+      pinyin.removeOverride('长大');
+      assert.equal(pinyin.convert('长大'), 'zhǎng dà');
+    });
+
+    test('refuses a reading with the wrong number of syllables', () => {
+      assert.equal(pinyin.setOverride('熊猫', 'xiong2'), false);
+      assert.deepEqual(storage.getPinyinOverrides(), {});
+    });
+
+    test('turns tone numbers and v into tone marks', () => {
+      assert.equal(pinyin.normalize('lv4 shou1 zhang3'), 'lǜ shōu zhǎng');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowser, silenceConsole } from './helpers.js';
+import StorageManager from '../js/storage.js';
+import GenerationQueue from '../js/queue.js';
+import GenerationErrors from '../js/errors.js';
+
+const VOCABULARY = {
+  core: [{ chinese: '熊猫', pinyin: 'xióng māo' }],
+  items: [{ chinese: '门票', pinyin: 'mén piào' }],
+  environment: []
+};
+
+describe('GenerationQueue', () => {
+  let storage;
+  let restoreConsole;
+
+  beforeEach(() => {
+    restoreConsole = silenceConsole();
+    installBrowser();
+    storage = new StorageManager();
+    storage.initialize();
+  });
+
+  afterEach(() => restoreConsole());
+
+  /**
+   * Run one queued item against a stubbed generator until the queue stops
+   * @param {Function} generateImage - Stub for ImageGenerator.generateImage
+   * @returns {Promise<GenerationQueue>} Queue after the item finished
+   */
+  async function runOne(generateImage) {
+    const queue = new GenerationQueue({ storage, generator: { activeTasks: new Map(), generateImage } });
+    const finished = new Promise(resolve => queue.subscribe(() => {
+      if (!queue.isRunning) resolve();
+    }));
+
+    queue.add({ theme: 'zoo', themeName: '动物园', title: '熊猫馆', prompt: 'prompt', vocabulary: VOCABULARY });
+    queue.start('test-api-key');
+    await finished;
+    return queue;
+  }
+
+  test('saves the words of a finished poster to history and the pending task', async () => {
+    let pendingTask;
+    await runOne(async (apiKey, prompt, options, onProgress) => {
+      onProgress({ status: 'waiting', taskId: 'task-1' });
+      pendingTask = storage.getPendingTasks()[0];
+      return { success: true, taskId: 'task-1', imageUrl: 'https://example.com/1.png', timestamp: 1 };
+    });
+
+    assert.deepEqual(pendingTask.vocabulary, VOCABULARY);
+    assert.deepEqual(storage.getPendingTasks(), []);
+
+    const [item] = storage.getHistory();
+    assert.equal(item.status, 'success');
+    assert.deepEqual(item.vocabulary, VOCABULARY);
+  });
+
+  test('records failed items in history', async () => {
+    const queue = await runOne(async () => ({ success: false, taskId: 'task-2', error: '生成失败：render error' }));
+
+    assert.equal(queue.items[0].status, 'failed');
+    const [item] = storage.getHistory();
+    assert.equal(item.status, 'failed');
+    assert.equal(item.error, '生成失败：render error');
+  });
+
+  test('keeps the pending task when polling times out after the task was created', async () => {
+    const queue = await runOne(async (apiKey, prompt, options, onProgress) => {
+      onProgress({ status: 'waiting', taskId: 'task-3' });
+      const cause = new GenerationErrors.TimeoutError();
+      return { success: false, taskId: 'task-3', error: cause.message, cause: cause };
+    });
+
+    assert.equal(queue.items[0].status, 'failed');
+    assert.deepEqual(storage.getPendingTasks().map(task => task.taskId), ['task-3']);
+    assert.deepEqual(storage.getHistory(), []);
+  });
+
+  test('keeps the pending task when the network drops after the task was created', async () => {
+    await runOne(async (apiKey, prompt, options, onProgress) => {
+      onProgress({ status: 'waiting', taskId: 'task-4' });
+      const cause = new GenerationErrors.NetworkError();
+      return { success: false, taskId: 'task-4', error: cause.message, cause: cause };
+    });
+
+    assert.deepEqual(storage.getPendingTasks().map(task => task.taskId), ['task-4']);
+  });
+
+  test('forgets the pending task when the task failed on the server', async () => {
+    await runOne(async (apiKey, prompt, options, onProgress) => {
+      onProgress({ status: 'waiting', taskId: 'task-5' });
+      const cause = GenerationErrors.fromTaskFailure({ state: 'fail', failMsg: 'render error' });
+      return { success: false, taskId: 'task-5', error: cause.message, cause: cause };
+    });
+
+    assert.deepEqual(storage.getPendingTasks(), []);
+    assert.equal(storage.getHistory()[0].status, 'failed');
+  });
+
+  test('marks an item failed when running it throws', async () => {
+    const queue = await runOne(async () => {
+      throw new Error('storage broke');
+    });
+
+    assert.equal(queue.items[0].status, 'failed');
+    assert.equal(queue.items[0].error, 'storage broke');
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowser, silenceConsole } from './helpers.js';
+import StorageManager from '../js/storage.js';
+import Flashcards from '../js/flashcards.js';
+import ReviewScheduler from '../js/review-scheduler.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2026, 9, 19, 9, 0).getTime();
+
+const THEMES = {
+  zoo: {
+    vocabulary: {
+      core: [{ chinese: '熊猫', pinyin: 'xióng māo' }, { chinese: '老虎', pinyin: 'lǎo hǔ' }],
+      items: [{ chinese: '门票', pinyin: 'mén piào' }],
+      environment: []
+    }
+  }
+};
+
+describe('ReviewScheduler', () => {
+  let storage;
+  let flashcards;
+  let scheduler;
+  let restoreConsole;
+
+  beforeEach((t) => {
+    restoreConsole = silenceConsole();
+    installBrowser();
+    t.mock.method(Date, 'now', () => NOW);
+    storage = new StorageManager();
+    storage.initialize();
+    flashcards = new Flashcards({ storage });
+    scheduler = new ReviewScheduler({ storage, flashcards });
+  });
+
+  afterEach(() => restoreConsole());
+
+  /**
+   * Get the words of today's review
+   * @returns {Array} Chinese words in review order
+   */
+  function todayWords() {
+    return scheduler.getTodaySession(THEMES).map(card => card.chinese);
+  }
+
+  describe('collecting words', () => {
+    test('takes words from successful posters, using the theme for posters saved without vocabulary', () => {
+      storage.addToHistory({ status: 'success', theme: 'zoo', title: '动物园', timestamp: 1 });
+      storage.addToHistory({
+        status: 'success',
+        theme: 'park',
+        title: '公园',
+        timestamp: 2,
+        vocabulary: { core: [{ chinese: '滑梯', pinyin: 'huá tī' }, { chinese: '熊猫', pinyin: 'xióng māo' }] }
+      });
+      storage.addToHistory({
+        status: 'failed',
+        theme: 'farm',
+        title: '农场',
+        timestamp: 3,
+        vocabulary: { core: [{ chinese: '拖拉机', pinyin: 'tuō lā jī' }] }
+      });
+
+      const words = scheduler.collectWords(THEMES);
+
+      assert.deepEqual(words.map(word => word.chinese), ['熊猫', '老虎', '门票', '滑梯']);
+      assert.equal(words[0].source.title, '动物园');
+      assert.equal(words[0].hint, '🐼');
+    });
+
+    test('limits new words per day', () => {
+      scheduler.newWordsPerDay = 2;
+      storage.addToHistory({ status: 'success', theme: 'zoo', title: '动物园' });
+
+      assert.deepEqual(todayWords(), ['熊猫', '老虎']);
+
+      scheduler.grade({ chinese: '熊猫', pinyin: 'xióng māo' }, scheduler.grades.easy);
+      assert.deepEqual(todayWords(), ['老虎']);
+    });
+
+    test('puts words the child did not know in the flashcards first', () => {
+      storage.addToHistory({ status: 'success', theme: 'zoo', title: '动物园' });
+      flashcards.recordResult({ chinese: '门票', pinyin: 'mén piào' }, false);
+
+      assert.deepEqual(todayWords(), ['门票', '熊猫', '老虎']);
+      assert.equal(scheduler.getDueCount(THEMES), 3);
+    });
+  });
+
+  describe('SM-2', () => {
+    test('spaces the reviews of a remembered word further apart', () => {
+      let record = null;
+      const intervals = [];
+      for (let i = 0; i < 4; i++) {
+        record = scheduler.schedule(record, scheduler.grades.easy);
+        intervals.push(record.interval);
+      }
+
+      assert.deepEqual(intervals, [1, 6, 16, 45]);
+      assert.equal(record.easiness, 2.9);
+    });
+
+    test('a forgotten word starts over and becomes harder', () => {
+      const learned = { easiness: 2.5, interval: 15, repetitions: 3 };
+
+      assert.deepEqual(scheduler.schedule(learned, scheduler.grades.again), { easiness: 2.5, interval: 1, repetitions: 0 });
+      assert.equal(scheduler.schedule(learned, scheduler.grades.hard).easiness, 2.36);
+    });
+
+    test('easiness never drops below the minimum', () => {
+      const record = scheduler.schedule({ easiness: 1.35, interval: 6, repetitions: 2 }, 3);
+      assert.equal(record.easiness, scheduler.minEasiness);
+    });
+  });
+
+  describe('due dates', () => {
+    beforeEach(() => {
+      storage.addToHistory({ status: 'success', theme: 'zoo', title: '动物园' });
+    });
+
+    test('saves the schedule with the word progress of the active profile', () => {
+      const record = scheduler.grade({ chinese: '熊猫', pinyin: 'xióng māo' }, scheduler.grades.easy);
+
+      assert.equal(record.due, '2026-10-20');
+      assert.equal(record.firstReviewed, '2026-10-19');
+      assert.equal(record.known, true);
+      assert.deepEqual(storage.getProgress().words['熊猫'], record);
+
+      const child = storage.saveProfile({ name: '小明', avatar: '🐼' });
+      storage.setActiveProfile(child.id);
+      assert.equal(flashcards.getWordRecord('熊猫'), null);
+    });
+
+    test('brings words back on their due date, oldest first', () => {
+      scheduler.newWordsPerDay = 0;
+      scheduler.grade({ chinese: '熊猫', pinyin: 'xióng māo' }, scheduler.grades.easy);
+      scheduler.grade({ chinese: '熊猫', pinyin: 'xióng māo' }, scheduler.grades.easy);
+      scheduler.grade({ chinese: '老虎', pinyin: 'lǎo hǔ' }, scheduler.grades.again);
+      assert.deepEqual(todayWords(), []);
+
+      Date.now.mock.mockImplementation(() => NOW + DAY);
+      assert.deepEqual(todayWords(), ['老虎']);
+
+      Date.now.mock.mockImplementation(() => NOW + 6 * DAY);
+      assert.deepEqual(todayWords(), ['老虎', '熊猫']);
+    });
+  });
+});
@@ -0,0 +1,320 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installBrowser, silenceConsole } from './helpers.js';
+import StorageManager from '../js/storage.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Build history items with ids item-0, item-1, ...
+ * @param {number} count - Number of items
+ * @param {number} offset - First index
+ * @returns {Array} History items
+ */
+function makeHistory(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `item-${offset + i}`,
+    title: `标题${offset + i}`,
+    imageUrl: `https://example.com/${offset + i}.png`,
+    timestamp: 1000 + offset + i
+  }));
+}
+
+describe('StorageManager', () => {
+  let localStorage;
+  let storage;
+  let restoreConsole;
+
+  beforeEach(() => {
+    restoreConsole = silenceConsole();
+    localStorage = installBrowser();
+    storage = new StorageManager();
+    storage.initialize();
+  });
+
+  afterEach(() => restoreConsole());
+
+  describe('history limits', () => {
+    test('keeps the newest maxHistory items', () => {
+      storage.updatePreference('maxHistory', 3);
+      makeHistory(5).forEach(item => storage.addToHistory(item));
+
+      assert.deepEqual(storage.getHistory().map(item => item.id), ['item-2', 'item-3', 'item-4']);
+    });
+
+    test('falls back to the default limit of 50', () => {
+      storage.updatePreference('maxHistory', 0);
+      storage.saveHistory(makeHistory(60));
+
+      const history = storage.getHistory();
+      assert.equal(history.length, 50);
+      assert.equal(history[0].id, 'item-10');
+    });
+
+    test('addToHistory fills in id and timestamp', () => {
+      storage.addToHistory({ title: '动物园' });
+
+      const [item] = storage.getHistory();
+      assert.equal(item.title, '动物园');
+      assert.equal(typeof item.id, 'string');
+      assert.equal(typeof item.timestamp, 'number');
+    });
+
+    test('addToHistory does not persist when autoSave is off', () => {
+      storage.updatePreference('autoSave', false);
+
+      assert.equal(storage.addToHistory({ title: '海洋馆' }), true);
+      assert.deepEqual(storage.getHistory(), []);
+    });
+
+    test('rejects history that is not an array', () => {
+      assert.equal(storage.saveHistory({}), false);
+      assert.equal(storage.addToHistory(null), false);
+    });
+  });
+
+  describe('updateHistoryItem', () => {
+    test('merges changes into the matching item only', () => {
+      storage.saveHistory(makeHistory(2));
+
+      assert.equal(storage.updateHistoryItem('item-1', { imageId: 'image-1' }), true);
+
+      const [first, second] = storage.getHistory();
+      assert.equal(first.imageId, undefined);
+      assert.equal(second.imageId, 'image-1');
+      assert.equal(second.title, '标题1');
+    });
+
+    test('returns false for unknown ids', () => {
+      assert.equal(storage.updateHistoryItem('missing', { imageId: 'image-1' }), false);
+    });
+  });
+
+  describe('importData', () => {
+    test('merges history and drops duplicate ids, keeping the existing entry', () => {
+      storage.saveHistory(makeHistory(3));
+
+      const imported = [
+        { ...makeHistory(1, 1)[0], title: '导入的副本' },
+        ...makeHistory(2, 3),
+        makeHistory(1, 4)[0]
+      ];
+      const result = storage.importData({ history: imported });
+
+      assert.equal(result.success, true);
+      assert.equal(result.imported.history, 2);
+
+      const history = storage.getHistory();
+      assert.deepEqual(history.map(item => item.id), ['item-0', 'item-1', 'item-2', 'item-3', 'item-4']);
+      assert.equal(history[1].title, '标题1');
+    });
+
+    test('applies the history limit after merging', () => {
+      storage.updatePreference('maxHistory', 4);
+      storage.saveHistory(makeHistory(3));
+
+      storage.importData({ history: makeHistory(3, 3) });
+
+      assert.deepEqual(storage.getHistory().map(item => item.id), ['item-2', 'item-3', 'item-4', 'item-5']);
+    });
+
+    test('imports preferences over the defaults', () => {
+      const result = storage.importData({ preferences: { maxHistory: 10 } });
+
+      assert.equal(result.imported.preferences, true);
+      assert.equal(storage.getPreferences().maxHistory, 10);
+      assert.equal(storage.getPreferences().autoSave, true);
+    });
+
+    test('reports invalid input', () => {
+      const result = storage.importData(null);
+
+      assert.equal(result.success, false);
+      assert.match(result.errors[0], /Invalid data format/);
+    });
+
+    test('reports a failed save', () => {
+      localStorage.setItem = () => { throw new Error('QuotaExceededError'); };
+
+      const result = storage.importData({ history: makeHistory(1) });
+
+      assert.equal(result.success, false);
+      assert.deepEqual(result.errors, ['Failed to import history']);
+    });
+  });
+
+  describe('profiles', () => {
+    test('data saved before profiles belongs to the default profile', () => {
+      localStorage.setItem(storage.storageKeys.HISTORY, JSON.stringify(makeHistory(2)));
+
+      const [profile] = storage.getProfiles();
+      assert.equal(profile.id, storage.defaultProfileId);
+      assert.equal(storage.getActiveProfile().id, profile.id);
+      assert.equal(storage.getHistory().length, 2);
+    });
+
+    test('each profile has its own history, preferences and progress', () => {
+      storage.saveHistory(makeHistory(2));
+      storage.updatePreference('maxHistory', 10);
+      const child = storage.saveProfile({ name: '小明', avatar: '🐼', ageBand: '5-6' });
+
+      assert.equal(storage.setActiveProfile(child.id), true);
+      assert.deepEqual(storage.getHistory(), []);
+      assert.equal(storage.getPreferences().maxHistory, 10, 'copied from the profile it was created from');
+      assert.deepEqual(storage.getProgress(), { words: {} });
+
+      storage.addToHistory({ id: 'child-item', title: '小明的小报' });
+      storage.updatePreference('maxHistory', 5);
+      storage.updateWordProgress('熊猫', { known: true });
+
+      storage.setActiveProfile(storage.defaultProfileId);
+      assert.deepEqual(storage.getHistory().map(item => item.id), ['item-0', 'item-1']);
+      assert.equal(storage.getPreferences().maxHistory, 10);
+      assert.deepEqual(storage.getProgress().words, {});
+      assert.deepEqual(storage.getProgress(child.id).words, { 熊猫: { known: true } });
+      assert.equal(storage.getAllHistory().length, 3);
+    });
+
+    test('app settings are shared by every profile', () => {
+      const child = storage.saveProfile({ name: '小明', avatar: '🐼' });
+      storage.setActiveProfile(child.id);
+
+      storage.updatePreference('apiBaseUrl', 'http://localhost:8787/api/v1');
+      storage.updatePreference('apiKeyLockMinutes', 5);
+      storage.updatePreference('maxHistory', 5);
+
+      storage.setActiveProfile(storage.defaultProfileId);
+      assert.equal(storage.getPreferences().apiBaseUrl, 'http://localhost:8787/api/v1');
+      assert.equal(storage.getPreferences().apiKeyLockMinutes, 5);
+      assert.equal(storage.getPreferences().maxHistory, 50);
+
+      const later = storage.saveProfile({ name: '小红', avatar: '🐰' });
+      storage.updatePreference('queueConcurrency', 4);
+      assert.equal(storage.getPreferences(later.id).queueConcurrency, 4);
+    });
+
+    test('importing a data file keeps the app settings', () => {
+      storage.updatePreference('callbackMode', true);
+
+      storage.importData({ preferences: { callbackMode: false, apiBaseUrl: 'https://evil.example', maxHistory: 10 } });
+
+      assert.equal(storage.getPreferences().callbackMode, true);
+      assert.equal(storage.getPreferences().apiBaseUrl, null);
+      assert.equal(storage.getPreferences().maxHistory, 10);
+      assert.equal('apiBaseUrl' in storage.exportAllData().preferences, false);
+    });
+
+    test('moves app settings saved before the split out of the default preferences', () => {
+      localStorage.removeItem(storage.storageKeys.APP_SETTINGS);
+      localStorage.setItem(storage.storageKeys.PREFERENCES, JSON.stringify({
+        ...storage.defaultPreferences,
+        apiBaseUrl: 'http://localhost:8787/api/v1',
+        queueConcurrency: 3
+      }));
+
+      const nextLoad = new StorageManager();
+      nextLoad.initialize();
+      const child = nextLoad.saveProfile({ name: '小明', avatar: '🐼' });
+
+      assert.equal(nextLoad.getPreferences(child.id).apiBaseUrl, 'http://localhost:8787/api/v1');
+      assert.equal(nextLoad.getPreferences(child.id).queueConcurrency, 3);
+    });
+
+    test('addToHistory can target a profile that is not active', () => {
+      const child = storage.saveProfile({ name: '小红', avatar: '🐰' });
+
+      storage.addToHistory({ id: 'queued', title: '队列小报' }, child.id);
+
+      assert.deepEqual(storage.getHistory(), []);
+      assert.deepEqual(storage.getHistory(child.id).map(item => item.id), ['queued']);
+    });
+
+    test('remembers the active profile across page loads', () => {
+      const child = storage.saveProfile({ name: '小明', avatar: '🐼' });
+      storage.setActiveProfile(child.id);
+
+      const nextLoad = new StorageManager();
+      nextLoad.initialize();
+      assert.equal(nextLoad.getActiveProfileId(), child.id);
+    });
+
+    test('removing a profile deletes its data and switches away from it', () => {
+      const child = storage.saveProfile({ name: '小明', avatar: '🐼' });
+      storage.setActiveProfile(child.id);
+      storage.addToHistory({ title: '小明的小报' });
+      const historyKey = storage.getProfileKey('HISTORY', child.id);
+
+      assert.equal(storage.removeProfile(child.id), true);
+
+      assert.equal(localStorage.getItem(historyKey), null);
+      assert.equal(storage.getActiveProfileId(), storage.defaultProfileId);
+      assert.equal(storage.getProfiles().length, 1);
+    });
+
+    test('refuses to remove the last profile', () => {
+      assert.equal(storage.removeProfile(storage.defaultProfileId), false);
+      assert.equal(storage.setActiveProfile('missing'), false);
+    });
+  });
+
+  describe('getCachedImage', () => {
+    test('returns cached data within 30 days', (t) => {
+      const now = Date.now();
+      t.mock.method(Date, 'now', () => now);
+      storage.cacheImage('https://example.com/a.png', 'data:image/png;base64,AAA');
+
+      Date.now.mock.mockImplementation(() => now + 30 * DAY);
+      assert.equal(storage.getCachedImage('https://example.com/a.png'), 'data:image/png;base64,AAA');
+    });
+
+    test('expires entries older than 30 days and removes them', (t) => {
+      const now = Date.now();
+      t.mock.method(Date, 'now', () => now);
+      storage.cacheImage('https://example.com/old.png', 'old');
+      Date.now.mock.mockImplementation(() => now + 10 * DAY);
+      storage.cacheImage('https://example.com/new.png', 'new');
+
+      Date.now.mock.mockImplementation(() => now + 30 * DAY + 1);
+      assert.equal(storage.getCachedImage('https://example.com/old.png'), null);
+
+      const cache = JSON.parse(localStorage.getItem(storage.storageKeys.CACHE));
+      assert.deepEqual(Object.keys(cache), ['https://example.com/new.png']);
+    });
+
+    test('returns null for unknown urls', () => {
+      assert.equal(storage.getCachedImage('https://example.com/missing.png'), null);
+    });
+  });
+
+  describe('saveCustomTheme', () => {
+    const theme = {
+      name: '菜市场',
+      icon: '🥬',
+      vocabulary: {
+        core: [{ chinese: '白菜', pinyin: ' bái cài ', english: '" onmouseover="alert(1)' }],
+        items: [{ chinese: '秤', pinyin: 'chèng', note: 'extra' }],
+        environment: [{ chinese: '摊位', pinyin: 'tān wèi' }]
+      }
+    };
+
+    test('keeps an imported key that looks like a custom theme key', () => {
+      assert.equal(storage.saveCustomTheme({ ...theme, key: 'custom-market_2' }).key, 'custom-market_2');
+    });
+
+    test('replaces imported keys that could break out of an attribute', () => {
+      const saved = storage.saveCustomTheme({ ...theme, key: 'custom-x" onclick="alert(1)' });
+      assert.match(saved.key, /^custom-[\w-]+$/);
+    });
+
+    test('stores only the chinese and pinyin of each word', () => {
+      const saved = storage.saveCustomTheme(theme);
+      assert.deepEqual(saved.vocabulary, {
+        core: [{ chinese: '白菜', pinyin: 'bái cài' }],
+        items: [{ chinese: '秤', pinyin: 'chèng' }],
+        environment: [{ chinese: '摊位', pinyin: 'tān wèi' }]
+      });
+      assert.deepEqual(storage.getCustomThemes()[0].vocabulary, saved.vocabulary);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Utils from '../js/utils.js';
+
+describe('Utils.validateChineseText', () => {
+  test('rejects missing and non-string input', () => {
+    assert.deepEqual(Utils.validateChineseText(''), { valid: false, message: '请输入文本' });
+    assert.equal(Utils.validateChineseText(null).valid, false);
+    assert.equal(Utils.validateChineseText(42).valid, false);
+  });
+
+  test('accepts Chinese, letters, digits and common punctuation', () => {
+    ['动物园', '我的 ABC 123', '你好，世界！', '《小熊》（第1课）', 'a-b_c'].forEach(text => {
+      assert.equal(Utils.validateChineseText(text).valid, true, text);
+    });
+  });
+
+  test('measures length after trimming', () => {
+    assert.equal(Utils.validateChineseText('  海洋  ', 1, 2).valid, true);
+
+    const tooShort = Utils.validateChineseText('   ', 1, 10);
+    assert.equal(tooShort.valid, false);
+    assert.equal(tooShort.message, '至少需要输入1个字符');
+  });
+
+  test('enforces the length limits', () => {
+    assert.equal(Utils.validateChineseText('海', 2, 10).message, '至少需要输入2个字符');
+    assert.equal(Utils.validateChineseText('海洋馆里的鱼', 1, 5).message, '最多只能输入5个字符');
+    assert.equal(Utils.validateChineseText('字'.repeat(100)).valid, true);
+    assert.equal(Utils.validateChineseText('字'.repeat(101)).valid, false);
+  });
+
+  test('rejects markup, emoji and other symbols', () => {
+    ['<b>标题</b>', '动物园🐼', '价格$5', '海洋#1'].forEach(text => {
+      const result = Utils.validateChineseText(text);
+      assert.equal(result.valid, false, text);
+      assert.match(result.message, /包含无效字符/);
+    });
+  });
+});
+
+describe('Utils.getDateKey', () => {
+  test('uses the local calendar day', () => {
+    assert.equal(Utils.getDateKey(new Date(2026, 0, 5, 23, 59).getTime()), '2026-01-05');
+  });
+
+  test('moves by whole days across month and year ends', () => {
+    const newYearsEve = new Date(2025, 11, 31, 8, 0).getTime();
+    assert.equal(Utils.getDateKey(newYearsEve, 1), '2026-01-01');
+    assert.equal(Utils.getDateKey(newYearsEve, 6), '2026-01-06');
+  });
+});
+
+describe('Utils.sanitizeHTML', () => {
+  test('escapes markup and both kinds of quotes', () => {
+    assert.equal(
+      Utils.sanitizeHTML(`<img src=x onerror="alert('x')">&`),
+      '&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;&amp;'
+    );
+  });
+
+  test('turns missing values into an empty string', () => {
+    assert.equal(Utils.sanitizeHTML(null), '');
+    assert.equal(Utils.sanitizeHTML(undefined), '');
+    assert.equal(Utils.sanitizeHTML(3), '3');
+  });
+});
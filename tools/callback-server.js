@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Callback Receiver Server
+ * Receives KIE task callbacks and forwards them to the page over
+ * Server-Sent Events, so the page doesn't need to poll recordInfo.
+ *
+ * Usage:
+ *   node tools/callback-server.js [--port 8788]
+ *
+ * KIE must be able to reach POST /callback, so when using the real API expose
+ * this port publicly (e.g. with a tunnel) and set the `callbackPublicUrl`
+ * preference to that public address.
+ *
+ * Endpoints:
+ *   POST /callback          - KIE callback (same body as the recordInfo response)
+ *   GET  /events            - SSE stream, one `task` event per callback
+ *   GET  /tasks/<taskId>    - Last callback received for a task
+ */
+
+import http from 'http';
+import { URL, fileURLToPath } from 'url';
+
+const MAX_STORED_TASKS = 200;
+const HEARTBEAT_INTERVAL = 25000;
+
+class CallbackServer {
+  constructor(options = {}) {
+    this.port = options.port || 8788;
+    this.tasks = new Map();
+    this.clients = new Set();
+    this.heartbeat = null;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<number>} Bound port
+   */
+  start() {
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.write(': heartbeat\n\n'));
+    }, HEARTBEAT_INTERVAL);
+
+    return new Promise(resolve => {
+      this.server.listen(this.port, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close open event streams
+   * @returns {Promise<void>}
+   */
+  stop() {
+    clearInterval(this.heartbeat);
+    this.clients.forEach(client => client.end());
+    this.clients.clear();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Send a JSON response with CORS headers
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} Parsed body
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        try {
+          resolve(raw ? JSON.parse(raw) : {});
+        } catch (error) {
+          reject(error);
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Route incoming requests
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://localhost:${this.port}`);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      });
+      res.end();
+      return;
+    }
+
+    try {
+      if (req.method === 'POST' && url.pathname === '/callback') {
+        await this.handleCallback(req, res);
+      } else if (req.method === 'GET' && url.pathname === '/events') {
+        this.handleEvents(req, res);
+      } else if (req.method === 'GET' && url.pathname.startsWith('/tasks/')) {
+        this.handleTask(url, res);
+      } else {
+        this.sendJson(res, 404, { code: 404, msg: 'Not found' });
+      }
+    } catch (error) {
+      this.sendJson(res, 400, { code: 400, msg: error.message });
+    }
+  }
+
+  /**
+   * POST /callback - store the task record and broadcast it
+   */
+  async handleCallback(req, res) {
+    const body = await this.readBody(req);
+    const record = body.data;
+
+    if (!record || !record.taskId) {
+      this.sendJson(res, 400, { code: 400, msg: 'data.taskId is required' });
+      return;
+    }
+
+    this.tasks.set(record.taskId, record);
+    if (this.tasks.size > MAX_STORED_TASKS) {
+      this.tasks.delete(this.tasks.keys().next().value);
+    }
+
+    console.log(`📬 收到回调 ${record.taskId} (${record.state})`);
+
+    const event = `event: task\ndata: ${JSON.stringify(record)}\n\n`;
+    this.clients.forEach(client => client.write(event));
+
+    this.sendJson(res, 200, { code: 200, msg: 'success' });
+  }
+
+  /**
+   * GET /events - open an SSE stream
+   */
+  handleEvents(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.write('retry: 3000\n\n');
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * GET /tasks/<taskId> - last record received for a task
+   */
+  handleTask(url, res) {
+    const taskId = decodeURIComponent(url.pathname.replace('/tasks/', ''));
+    const record = this.tasks.get(taskId);
+
+    if (!record) {
+      this.sendJson(res, 404, { code: 404, msg: 'No callback received yet' });
+      return;
+    }
+
+    this.sendJson(res, 200, { code: 200, msg: 'success', data: record });
+  }
+}
+
+// Run the server when started from the command line, not when imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex > -1 ? parseInt(process.argv[portIndex + 1], 10) : 8788;
+  const server = new CallbackServer({ port });
+
+  server.start().then(boundPort => {
+    console.log(`📬 回调接收服务已启动: http://localhost:${boundPort}`);
+    console.log(`   回调地址: http://localhost:${boundPort}/callback`);
+  });
+}
+
+export default CallbackServer;
@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+/**
+ * Mock Generation Server
+ * Local stand-in for the KIE jobs API used during offline development and tests.
+ *
+ * Usage:
+ *   node tools/mock-server.js [--port 8787] [--scenario success] [--steps 2]
+ *
+ * Then point the app at it:
+ *   storageManager.updatePreference('apiBaseUrl', 'http://localhost:8787/api/v1')
+ *
+ * Scenarios:
+ *   success  - waiting → running → success
+ *   fail     - waiting → running → fail
+ *   timeout  - stays in waiting forever
+ *   401      - createTask responds with 401 (invalid key)
+ *   402      - createTask responds with 402 (insufficient balance)
+ *   429      - createTask responds with 429 (rate limited)
+ *
+ * If createTask is called with a `callBackUrl`, the finished task is POSTed
+ * there (as KIE does) after the same number of steps, at the polling interval.
+ *
+ * The scenario for a single task can be chosen by putting `[mock:<scenario>]`
+ * in the prompt. The default scenario can be changed at runtime with
+ * `POST /__mock/scenario` and body `{"scenario": "fail", "steps": 3}`.
+ */
+
+import http from 'http';
+import { URL, fileURLToPath } from 'url';
+
+const SCENARIOS = ['success', 'fail', 'timeout', '401', '402', '429'];
+const CALLBACK_STEP_DELAY = 2000;
+
+const HTTP_ERRORS = {
+  '401': { code: 401, msg: 'You do not have access permissions' },
+  '402': { code: 402, msg: 'Credits insufficient' },
+  '429': { code: 429, msg: 'Rate limited' }
+};
+
+/**
+ * Parse `--name value` command line flags
+ * @param {Array} argv - Process arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = { port: 8787, scenario: 'success', steps: 2 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+
+    if (flag === '--port') options.port = parseInt(value, 10);
+    if (flag === '--scenario') options.scenario = value;
+    if (flag === '--steps') options.steps = parseInt(value, 10);
+  }
+
+  return options;
+}
+
+/**
+ * Build a placeholder SVG poster for a finished task
+ * @param {Object} task - Mock task
+ * @returns {string} SVG markup
+ */
+function renderPlaceholder(task) {
+  const label = task.prompt.slice(0, 40).replace(/[<>&"]/g, '');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="768" height="1024" viewBox="0 0 768 1024">
+  <rect width="768" height="1024" fill="#FFE66D"/>
+  <rect x="40" y="40" width="688" height="944" rx="40" fill="#FFFFFF" stroke="#4A90E2" stroke-width="8"/>
+  <text x="384" y="460" font-size="120" text-anchor="middle">🏰</text>
+  <text x="384" y="580" font-size="36" text-anchor="middle" fill="#9B59B6">Mock ${task.taskId.slice(0, 8)}</text>
+  <text x="384" y="640" font-size="24" text-anchor="middle" fill="#666666">${label}</text>
+</svg>`;
+}
+
+class MockGenerationServer {
+  constructor(options = {}) {
+    this.port = options.port || 8787;
+    this.scenario = options.scenario || 'success';
+    this.steps = options.steps || 2;
+    this.tasks = new Map();
+    this.callbackTimers = new Set();
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<number>} Bound port
+   */
+  start() {
+    return new Promise(resolve => {
+      this.server.listen(this.port, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.callbackTimers.forEach(timer => clearTimeout(timer));
+    this.callbackTimers.clear();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Send a JSON response with CORS headers
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} Parsed body
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        try {
+          resolve(raw ? JSON.parse(raw) : {});
+        } catch (error) {
+          reject(error);
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Route incoming requests
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://localhost:${this.port}`);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+      });
+      res.end();
+      return;
+    }
+
+    try {
+      if (req.method === 'POST' && url.pathname === '/api/v1/jobs/createTask') {
+        await this.handleCreateTask(req, res);
+      } else if (req.method === 'GET' && url.pathname === '/api/v1/jobs/recordInfo') {
+        this.handleRecordInfo(url, res);
+      } else if (req.method === 'GET' && url.pathname.startsWith('/placeholder/')) {
+        this.handlePlaceholder(url, res);
+      } else if (req.method === 'POST' && url.pathname === '/__mock/scenario') {
+        await this.handleSetScenario(req, res);
+      } else {
+        this.sendJson(res, 404, { code: 404, msg: 'Not found' });
+      }
+    } catch (error) {
+      this.sendJson(res, 500, { code: 500, msg: error.message });
+    }
+  }
+
+  /**
+   * POST /api/v1/jobs/createTask
+   */
+  async handleCreateTask(req, res) {
+    if (!req.headers.authorization) {
+      this.sendJson(res, 401, HTTP_ERRORS['401']);
+      return;
+    }
+
+    const body = await this.readBody(req);
+    const prompt = body.input?.prompt;
+
+    if (!prompt) {
+      this.sendJson(res, 422, { code: 422, msg: 'input.prompt is required' });
+      return;
+    }
+
+    const marker = prompt.match(/\[mock:(\w+)\]/);
+    const scenario = marker && SCENARIOS.includes(marker[1]) ? marker[1] : this.scenario;
+
+    if (HTTP_ERRORS[scenario]) {
+      this.sendJson(res, parseInt(scenario, 10), HTTP_ERRORS[scenario]);
+      return;
+    }
+
+    const taskId = `mock${Date.now().toString(16)}${Math.random().toString(16).slice(2, 10)}`;
+    this.tasks.set(taskId, {
+      taskId: taskId,
+      scenario: scenario,
+      prompt: prompt,
+      param: body,
+      polls: 0,
+      createTime: Date.now()
+    });
+
+    console.log(`🧪 创建模拟任务 ${taskId} (${scenario})`);
+    this.sendJson(res, 200, { code: 200, msg: 'success', data: { taskId } });
+
+    if (body.callBackUrl && scenario !== 'timeout') {
+      this.scheduleCallback(this.tasks.get(taskId), body.callBackUrl);
+    }
+  }
+
+  /**
+   * POST the finished task to its callBackUrl once it would have completed
+   * @param {Object} task - Mock task
+   * @param {string} callBackUrl - Callback URL from createTask
+   */
+  scheduleCallback(task, callBackUrl) {
+    const timer = setTimeout(async () => {
+      this.callbackTimers.delete(timer);
+      task.polls = Math.max(task.polls, this.steps + 2);
+
+      try {
+        const response = await fetch(callBackUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ code: 200, msg: 'success', data: this.describeTask(task) })
+        });
+        console.log(`📮 回调已发送 ${task.taskId} → ${callBackUrl} (${response.status})`);
+      } catch (error) {
+        console.error(`❌ 回调发送失败 ${task.taskId}:`, error.message);
+      }
+    }, (this.steps + 1) * CALLBACK_STEP_DELAY);
+
+    this.callbackTimers.add(timer);
+  }
+
+  /**
+   * GET /api/v1/jobs/recordInfo?taskId=...
+   */
+  handleRecordInfo(url, res) {
+    const task = this.tasks.get(url.searchParams.get('taskId'));
+    if (!task) {
+      this.sendJson(res, 404, { code: 404, msg: 'Task not found' });
+      return;
+    }
+
+    task.polls++;
+    this.sendJson(res, 200, { code: 200, msg: 'success', data: this.describeTask(task) });
+  }
+
+  /**
+   * Compute the recordInfo payload for the task's current poll count
+   * @param {Object} task - Mock task
+   * @returns {Object} recordInfo data
+   */
+  describeTask(task) {
+    let state = 'waiting';
+    if (task.scenario !== 'timeout' && task.polls > 1) {
+      state = task.polls > this.steps + 1
+        ? (task.scenario === 'fail' ? 'fail' : 'success')
+        : 'running';
+    }
+
+    const finished = state === 'success' || state === 'fail';
+    const now = Date.now();
+
+    return {
+      taskId: task.taskId,
+      model: task.param.model,
+      state: state,
+      param: JSON.stringify(task.param),
+      resultJson: state === 'success'
+        ? JSON.stringify({ resultUrls: [`http://localhost:${this.port}/placeholder/${task.taskId}.svg`] })
+        : '',
+      failCode: state === 'fail' ? '500' : null,
+      failMsg: state === 'fail' ? 'Mock generation failed' : null,
+      costTime: finished ? now - task.createTime : null,
+      completeTime: finished ? now : null,
+      createTime: task.createTime
+    };
+  }
+
+  /**
+   * GET /placeholder/<taskId>.svg
+   */
+  handlePlaceholder(url, res) {
+    const taskId = url.pathname.replace('/placeholder/', '').replace(/\.svg$/, '');
+    const task = this.tasks.get(taskId) || { taskId: taskId, prompt: '' };
+
+    res.writeHead(200, {
+      'Content-Type': 'image/svg+xml',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(renderPlaceholder(task));
+  }
+
+  /**
+   * POST /__mock/scenario
+   */
+  async handleSetScenario(req, res) {
+    const body = await this.readBody(req);
+
+    if (!SCENARIOS.includes(body.scenario)) {
+      this.sendJson(res, 400, { code: 400, msg: `scenario must be one of ${SCENARIOS.join(', ')}` });
+      return;
+    }
+
+    this.scenario = body.scenario;
+    if (body.steps) this.steps = body.steps;
+    this.sendJson(res, 200, { code: 200, msg: 'success', data: { scenario: this.scenario, steps: this.steps } });
+  }
+}
+
+// Run the server when started from the command line, not when imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const options = parseArgs(process.argv.slice(2));
+  const server = new MockGenerationServer(options);
+
+  server.start().then(port => {
+    console.log(`🧪 模拟生成服务已启动: http://localhost:${port}/api/v1 (场景: ${server.scenario})`);
+  });
+}
+
+export default MockGenerationServer;
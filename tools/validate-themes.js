@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * Themes Validator
+ * Checks theme files against data/themes.schema.json and lints the vocabulary:
+ * duplicate words, pinyin syllables and tone marks, and the number of words
+ * per theme.
+ *
+ * Usage:
+ *   node tools/validate-themes.js [file ...] [--min-words 15] [--max-words 20]
+ *
+ * With no files, data/themes.json is checked. Other files (e.g. exported
+ * custom themes) can be passed as arguments.
+ * Exits with code 1 if any errors are found; warnings don't fail the run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import PinyinConverter from '../js/pinyin.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const THEMES_FILE = path.join(ROOT, 'data', 'themes.json');
+const SCHEMA_FILE = path.join(ROOT, 'data', 'themes.schema.json');
+const CATEGORIES = ['core', 'items', 'environment'];
+const TONE_MARKS = 'āáǎàēéěèīíǐìōóǒòūúǔùǖǘǚǜ';
+
+// The converter provides the syllable list and dictionary readings
+const converter = new PinyinConverter();
+
+/**
+ * Parse command line flags
+ * @param {Array} argv - Process arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = { files: [], minWords: 15, maxWords: 20 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+
+    if (flag === '--min-words') options.minWords = parseInt(argv[++i], 10);
+    else if (flag === '--max-words') options.maxWords = parseInt(argv[++i], 10);
+    else options.files.push(flag);
+  }
+
+  return options;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by themes.schema.json
+ * (type, required, properties, additionalProperties, propertyNames,
+ * minProperties, items, minItems, maxItems, minLength, maxLength, pattern, $ref)
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema or sub-schema
+ * @param {Object} root - Root schema for resolving $ref
+ * @param {string} at - Path of the value, e.g. "themes.zoo.name"
+ * @returns {Array} Error messages
+ */
+function validateSchema(value, schema, root = schema, at = '') {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+    return validateSchema(value, target, root, at);
+  }
+
+  const where = at || '(根)';
+  const errors = [];
+
+  if (schema.type) {
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (actual !== schema.type) {
+      return [`${where}: 应为 ${schema.type}，实际为 ${actual}`];
+    }
+  }
+
+  if (typeof value === 'string') {
+    const length = Array.from(value).length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push(`${where}: 至少 ${schema.minLength} 个字符`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push(`${where}: 最多 ${schema.maxLength} 个字符`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${where}: “${value}”格式不正确`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where}: 至少需要 ${schema.minItems} 项`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${where}: 最多 ${schema.maxItems} 项，实际 ${value.length} 项`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, root, `${at}[${index}]`));
+      });
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${where}: 缺少 ${key}`);
+    });
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push(`${where}: 至少需要 ${schema.minProperties} 项`);
+    }
+
+    keys.forEach(key => {
+      const childPath = at ? `${at}.${key}` : key;
+
+      if (schema.propertyNames) {
+        errors.push(...validateSchema(key, schema.propertyNames, root, `${childPath}(键名)`));
+      }
+
+      if (properties[key]) {
+        errors.push(...validateSchema(value[key], properties[key], root, childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${where}: 不允许的字段 ${key}`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(value[key], schema.additionalProperties, root, childPath));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Check one pinyin syllable's spelling and tone mark
+ * @param {string} syllable - Tone-marked syllable
+ * @returns {string|null} Problem description, or null if valid
+ */
+function checkSyllable(syllable) {
+  const marks = Array.from(syllable).filter(char => TONE_MARKS.includes(char));
+  if (marks.length > 1) {
+    return `“${syllable}”有多个声调符号`;
+  }
+
+  const base = converter.stripTone(syllable);
+  if (!converter.isValidSyllable(base)) {
+    return `“${syllable}”不是有效的拼音音节`;
+  }
+
+  if (marks.length === 1) {
+    const tone = TONE_MARKS.indexOf(marks[0]) % 4 + 1;
+    const expected = converter.normalizeSyllable(`${base}${tone}`);
+    if (expected !== syllable) {
+      return `“${syllable}”声调位置不对，应为“${expected}”`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lint vocabulary that already matches the schema
+ * @param {Object} themes - Themes keyed by theme key
+ * @param {Object} options - { minWords, maxWords }
+ * @returns {Object} { errors, warnings }
+ */
+function lintThemes(themes, options) {
+  const errors = [];
+  const warnings = [];
+  const names = new Map();
+
+  Object.entries(themes).forEach(([key, theme]) => {
+    if (names.has(theme.name)) {
+      errors.push(`themes.${key}.name: 名称“${theme.name}”与 ${names.get(theme.name)} 重复`);
+    }
+    names.set(theme.name, key);
+
+    const seen = new Map();
+    let count = 0;
+
+    CATEGORIES.forEach(category => {
+      (theme.vocabulary?.[category] || []).forEach((word, index) => {
+        const at = `themes.${key}.vocabulary.${category}[${index}]`;
+        count++;
+
+        if (seen.has(word.chinese)) {
+          errors.push(`${at}: “${word.chinese}”与 ${seen.get(word.chinese)} 重复`);
+        }
+        seen.set(word.chinese, `${category}[${index}]`);
+
+        const syllables = (word.pinyin || '').split(' ').filter(Boolean);
+        if (syllables.length !== Array.from(word.chinese || '').length) {
+          errors.push(`${at}: “${word.chinese}”有 ${Array.from(word.chinese || '').length} 个字，拼音“${word.pinyin}”有 ${syllables.length} 个音节`);
+          return;
+        }
+
+        syllables.forEach(syllable => {
+          const problem = checkSyllable(syllable);
+          if (problem) errors.push(`${at}: ${problem}`);
+        });
+
+        const reading = converter.convert(word.chinese);
+        if (reading !== word.pinyin) {
+          warnings.push(`${at}: “${word.chinese} ${word.pinyin}”与词典读音“${reading}”不同，请确认`);
+        }
+      });
+    });
+
+    if (count < options.minWords || count > options.maxWords) {
+      errors.push(`themes.${key}: 共 ${count} 个词，应在 ${options.minWords}-${options.maxWords} 个之间`);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate one themes file
+ * @param {string} file - Path to the file
+ * @param {Object} schema - Themes schema
+ * @param {Object} options - Parsed command line options
+ * @returns {Object} { errors, warnings }
+ */
+function validateFile(file, schema, options) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return { errors: [`无法读取 JSON: ${error.message}`], warnings: [] };
+  }
+
+  const schemaErrors = validateSchema(data, schema);
+  if (schemaErrors.length > 0) {
+    return { errors: schemaErrors, warnings: [] };
+  }
+
+  return lintThemes(data.themes, options);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const options = parseArgs(process.argv.slice(2));
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+  const files = options.files.length > 0 ? options.files : [THEMES_FILE];
+  let errorCount = 0;
+  let warningCount = 0;
+
+  files.forEach(file => {
+    const result = validateFile(file, schema, options);
+
+    const name = path.relative(process.cwd(), file) || file;
+    console.log(`${result.errors.length > 0 ? '❌' : '✅'} ${name}`);
+    result.errors.forEach(message => console.log(`   ❌ ${message}`));
+    result.warnings.forEach(message => console.log(`   ⚠️ ${message}`));
+
+    errorCount += result.errors.length;
+    warningCount += result.warnings.length;
+  });
+
+  console.log(`\n${errorCount} 个错误，${warningCount} 个警告`);
+  process.exitCode = errorCount > 0 ? 1 : 0;
+}
+
+export {
+  validateSchema,
+  lintThemes
+};